@@ -1,8 +1,18 @@
 import mongoose from 'mongoose';
-import { MongoMemoryServer } from 'mongodb-memory-server';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
 
 let mongod = null;
 
+// Transfers, imports, transaction edits and envelope moves write in multi-document
+// transactions, which a standalone server rejects; fail at startup rather than on the first one
+const ensureTransactionSupport = async (connection) => {
+  const hello = await connection.db.admin().command({ hello: 1 });
+  // A replica set member reports its set's name; a sharded cluster's router reports isdbgrid
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    throw new Error('MongoDB must run as a replica set (a single-node one will do), because the app writes in transactions. See DEPLOYMENT_GUIDE.md.');
+  }
+};
+
 const connectDB = async () => {
   try {
     let mongoUri;
@@ -15,11 +25,14 @@ const connectDB = async () => {
       mongoUri = process.env.MONGO_URI;
       console.log('Connecting to configured MongoDB...');
     } else {
-      // Use MongoDB Memory Server for development
+      // Use MongoDB Memory Server for development. A single-node replica set,
+      // because multi-document transactions (e.g. transfer pairs) need one.
       console.log('Starting MongoDB Memory Server for development...');
-      mongod = await MongoMemoryServer.create({
-        instance: {
-          dbName: 'perfind_dev'
+      mongod = await MongoMemoryReplSet.create({
+        replSet: {
+          count: 1,
+          dbName: 'perfind_dev',
+          storageEngine: 'wiredTiger'
         }
       });
       mongoUri = mongod.getUri();
@@ -27,6 +40,7 @@ const connectDB = async () => {
     }
 
     const conn = await mongoose.connect(mongoUri);
+    await ensureTransactionSupport(conn.connection);
 
     console.log(`MongoDB Connected: ${conn.connection.host}`);
     console.log(`Database: ${conn.connection.name}`);
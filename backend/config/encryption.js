@@ -95,6 +95,43 @@ export const decryptAmount = (encryptedAmount) => {
   return parseFloat(decrypted) || 0;
 };
 
+// Encrypt binary data (file contents) with AES-256-GCM; the output is iv + auth tag + ciphertext
+export const encryptBuffer = (buffer) => {
+  const key = getEncryptionKey();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+
+  const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+};
+
+// Decrypt binary data from encryptBuffer; throws if it was tampered with
+export const decryptBuffer = (buffer) => {
+  const key = getEncryptionKey();
+  const iv = buffer.subarray(0, IV_LENGTH);
+  const tag = buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+// Keyed hash for blind-index search tokens. The key is derived from the encryption
+// key, so tokens can be matched with equality queries but not reversed or
+// recomputed without it.
+export const blindIndex = (value) => {
+  const indexKey = crypto
+    .createHmac('sha256', getEncryptionKey())
+    .update('search-index')
+    .digest();
+
+  return crypto
+    .createHmac('sha256', indexKey)
+    .update(value)
+    .digest('hex')
+    .slice(0, 16);
+};
+
 // Generate a new encryption key (for setup)
 export const generateEncryptionKey = () => {
   return crypto.randomBytes(KEY_LENGTH).toString('hex');
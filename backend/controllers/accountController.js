@@ -0,0 +1,244 @@
+// backend/controllers/accountController.js
+
+import Account from '../models/Account.js';
+import Transaction from '../models/Transaction.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import Reconciliation from '../models/Reconciliation.js';
+
+// Page size for an account's ledger when the client doesn't ask for one
+const DEFAULT_LEDGER_PAGE_SIZE = 25;
+
+// @desc    Get all accounts for a user with their current balances
+// @route   GET /api/accounts
+// @access  Private
+export const getAccounts = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    // Make sure there's always somewhere to put a transaction
+    await Account.getDefaultAccount(userId);
+
+    const accounts = await Account.getBalances(userId, {
+      includeArchived: req.query.includeArchived === 'true'
+    });
+
+    // Balances in other currencies count towards the total at today's rate
+    const converter = await ExchangeRate.getConverter(userId);
+    const totalBalance = accounts
+      .filter(account => !account.isArchived)
+      .reduce((sum, account) => sum + converter.convert(account.balance, account.currency), 0);
+
+    res.json({
+      success: true,
+      count: accounts.length,
+      data: accounts,
+      totalBalance,
+      baseCurrency: converter.baseCurrency,
+      unconvertedCurrencies: converter.getUnconvertedCurrencies()
+    });
+  } catch (error) {
+    console.error('Get accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching accounts'
+    });
+  }
+};
+
+// @desc    Get a single account's transactions with running balances
+// @route   GET /api/accounts/:id/transactions
+// @access  Private
+export const getAccountLedger = async (req, res) => {
+  try {
+    const account = await Account.findByIdAndUserId(req.params.id, req.user._id);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const ledger = await account.getLedger({
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || DEFAULT_LEDGER_PAGE_SIZE
+    });
+
+    res.json({
+      success: true,
+      count: ledger.transactions.length,
+      data: ledger.transactions,
+      account: {
+        ...account.toJSON(),
+        balance: ledger.balance,
+        transactionCount: ledger.total
+      },
+      pagination: {
+        page: ledger.page,
+        limit: ledger.limit,
+        total: ledger.total,
+        pages: Math.ceil(ledger.total / ledger.limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get account ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching account transactions'
+    });
+  }
+};
+
+// @desc    Create a new account
+// @route   POST /api/accounts
+// @access  Private
+export const createAccount = async (req, res) => {
+  try {
+    const { name, type, institution, currency, openingBalance } = req.body;
+    const userId = req.user._id;
+
+    const existing = await Account.findOne({ userId, name: name.trim() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this name already exists'
+      });
+    }
+
+    const account = await Account.create({
+      userId,
+      name: name.trim(),
+      type,
+      institution: institution ? institution.trim() : undefined,
+      currency,
+      openingBalance: openingBalance !== undefined ? parseFloat(openingBalance) : 0
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: account
+    });
+  } catch (error) {
+    console.error('Create account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating account'
+    });
+  }
+};
+
+// @desc    Update an account (details, opening balance, archive/unarchive)
+// @route   PUT /api/accounts/:id
+// @access  Private
+export const updateAccount = async (req, res) => {
+  try {
+    const account = await Account.findByIdAndUserId(req.params.id, req.user._id);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const { name, type, institution, currency, openingBalance, isArchived } = req.body;
+
+    if (name !== undefined && name.trim() !== account.name) {
+      const existing = await Account.findOne({ userId: req.user._id, name: name.trim() });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: 'An account with this name already exists'
+        });
+      }
+      account.name = name.trim();
+    }
+
+    // New transactions fall back to the default account, so it has to stay open
+    if (isArchived === true && account.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default account cannot be archived'
+      });
+    }
+
+    if (type !== undefined) account.type = type;
+    if (institution !== undefined) account.institution = institution.trim();
+    if (currency !== undefined) account.currency = currency;
+    if (openingBalance !== undefined) account.openingBalance = parseFloat(openingBalance);
+    if (isArchived !== undefined) account.isArchived = isArchived;
+
+    const currencyChanged = account.isModified('currency');
+    await account.save();
+
+    // An account's transactions (Trash included) are always in its currency
+    if (currencyChanged) {
+      await Transaction.updateMany(
+        { userId: req.user._id, accountId: account._id },
+        { $set: { currency: account.currency } }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Account updated successfully',
+      data: account
+    });
+  } catch (error) {
+    console.error('Update account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating account'
+    });
+  }
+};
+
+// @desc    Delete an account that has no transactions
+// @route   DELETE /api/accounts/:id
+// @access  Private
+export const deleteAccount = async (req, res) => {
+  try {
+    const account = await Account.findByIdAndUserId(req.params.id, req.user._id);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    if (account.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default account cannot be deleted'
+      });
+    }
+
+    // Deleting would orphan the history (and anything restored from the Trash), so
+    // accounts in use are archived instead
+    const transactionCount = await Transaction.countDocuments({ userId: req.user._id, accountId: account._id })
+      .setOptions({ withDeleted: true });
+    if (transactionCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `This account has ${transactionCount} transactions (counting any in the Trash); archive it instead`
+      });
+    }
+
+    // A reconciliation of an account with no transactions has nothing worth keeping
+    await Reconciliation.deleteMany({ userId: req.user._id, accountId: account._id });
+    await Account.findByIdAndDelete(account._id);
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting account'
+    });
+  }
+};
@@ -0,0 +1,142 @@
+// backend/controllers/attachmentController.js
+
+import Attachment, { MAX_ATTACHMENTS_PER_TRANSACTION } from '../models/Attachment.js';
+import Transaction from '../models/Transaction.js';
+
+// Find the transaction an attachment request is about, or send a 404
+const findTransaction = async (req, res) => {
+  const transaction = await Transaction.findByIdAndUserId(req.params.id, req.user._id);
+  if (!transaction) {
+    res.status(404).json({ success: false, message: 'Transaction not found' });
+  }
+  return transaction;
+};
+
+// Find the attachment named in the URL on that transaction, or send a 404
+const findAttachment = async (req, res) => {
+  const attachment = await Attachment.findByIdAndTransaction(req.params.attachmentId, req.user._id, req.params.id);
+  if (!attachment) {
+    res.status(404).json({ success: false, message: 'Attachment not found' });
+  }
+  return attachment;
+};
+
+// @desc    Get a transaction's attachments
+// @route   GET /api/transactions/:id/attachments
+// @access  Private
+export const getAttachments = async (req, res) => {
+  try {
+    if (!await findTransaction(req, res)) return;
+
+    const attachments = await Attachment.findByTransaction(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      count: attachments.length,
+      data: attachments
+    });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching attachments' });
+  }
+};
+
+// @desc    Attach a receipt or document to a transaction (base64 content, limits checked by attachmentUploadLimits)
+// @route   POST /api/transactions/:id/attachments
+// @access  Private
+export const uploadAttachment = async (req, res) => {
+  try {
+    if (!await findTransaction(req, res)) return;
+
+    const existing = await Attachment.countDocuments({ userId: req.user._id, transactionId: req.params.id });
+    if (existing >= MAX_ATTACHMENTS_PER_TRANSACTION) {
+      return res.status(400).json({
+        success: false,
+        message: `A transaction can have at most ${MAX_ATTACHMENTS_PER_TRANSACTION} attachments`
+      });
+    }
+
+    const attachment = await Attachment.store(req.user._id, req.params.id, {
+      filename: req.body.filename,
+      mimeType: req.body.mimeType,
+      content: req.upload.content,
+      thumbnail: req.upload.thumbnail
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      data: attachment
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+    }
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ success: false, message: 'Server error while uploading attachment' });
+  }
+};
+
+// @desc    Download an attachment (decrypted)
+// @route   GET /api/transactions/:id/attachments/:attachmentId
+// @access  Private
+export const downloadAttachment = async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, res);
+    if (!attachment) return;
+
+    const content = await attachment.readContent();
+
+    res.attachment(attachment.filename);
+    res.type(attachment.mimeType);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(content);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ success: false, message: 'Server error while downloading attachment' });
+  }
+};
+
+// @desc    Get an attachment's thumbnail image
+// @route   GET /api/transactions/:id/attachments/:attachmentId/thumbnail
+// @access  Private
+export const getAttachmentThumbnail = async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, res);
+    if (!attachment) return;
+
+    if (!attachment.hasThumbnail) {
+      return res.status(404).json({ success: false, message: 'This attachment has no thumbnail' });
+    }
+
+    const content = await attachment.readContent({ thumbnail: true });
+
+    // The upload check only accepts JPEG thumbnails
+    res.type('image/jpeg');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.send(content);
+  } catch (error) {
+    console.error('Get attachment thumbnail error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching thumbnail' });
+  }
+};
+
+// @desc    Delete an attachment
+// @route   DELETE /api/transactions/:id/attachments/:attachmentId
+// @access  Private
+export const deleteAttachment = async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, res);
+    if (!attachment) return;
+
+    await attachment.deleteWithBlobs();
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ success: false, message: 'Server error while deleting attachment' });
+  }
+};
@@ -65,6 +65,7 @@ export const register = async (req, res) => {
         _id: user._id,
         name: user.name,
         email: user.email,
+        baseCurrency: user.baseCurrency,
         accessToken: tokens.accessToken,
         refreshToken: tokens.refreshToken
       });
@@ -115,6 +116,7 @@ export const login = async (req, res) => {
         _id: user._id,
         name: user.name,
         email: user.email,
+        baseCurrency: user.baseCurrency,
         accessToken: tokens.accessToken,
         refreshToken: tokens.refreshToken
       });
@@ -139,6 +141,7 @@ export const getUserProfile = async (req, res) => {
         _id: user._id,
         name: user.name,
         email: user.email,
+        baseCurrency: user.baseCurrency,
         createdAt: user.createdAt
       });
     } else {
@@ -150,6 +153,33 @@ export const getUserProfile = async (req, res) => {
   }
 };
 
+// @desc    Update user profile preferences (base currency)
+// @route   PUT /api/auth/profile
+// @access  Private
+export const updateUserProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (req.body.baseCurrency !== undefined) user.baseCurrency = req.body.baseCurrency;
+    await user.save();
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      baseCurrency: user.baseCurrency,
+      createdAt: user.createdAt
+    });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({ message: 'Server error while updating profile' });
+  }
+};
+
 // @desc    Forgot password
 // @route   POST /api/auth/forgot-password
 // @access  Public
@@ -2,46 +2,52 @@
 
 import Budget from '../models/Budget.js';
 import Transaction from '../models/Transaction.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import BudgetSnapshot from '../models/BudgetSnapshot.js';
+import { getCategoryLines } from '../utils/splitUtils.js';
+import { getBudgetWindow, getRangeWindow } from '../utils/budgetPeriods.js';
+import { closeBudgetPeriods } from '../utils/budgetPeriodCloser.js';
 
-// Get all budgets for the authenticated user
+// Budgets with their spending in a window of their period (the current one unless
+// `at`/`offset` say otherwise), that window's first and last day, and what's available in it
+// once rollover from earlier windows is added
+const withSpending = async (userId, budgets, options) => {
+  const spending = await Budget.getSpending(userId, budgets, options);
+  return budgets.map(budget => {
+    const { window, spent, transactionCount, carriedIn, available } = spending.get(budget._id.toString());
+    const percentage = available > 0 ? Math.round((spent / available) * 100) : (spent > 0 ? 100 : 0);
+    return {
+      ...budget.toObject(),
+      window,
+      spent,
+      carriedIn,
+      available,
+      remaining: available - spent,
+      percentage: Math.min(percentage, 100),
+      transactionCount
+    };
+  });
+};
+
+// Rollover fields from a create or update request. Carrying starts from the window rollover
+// is turned on in, so switching it on for an old budget doesn't pull in years of history.
+const rolloverData = ({ rollover, rolloverCap }, existingBudget) => {
+  const data = {};
+  if (rollover !== undefined) {
+    data.rollover = rollover;
+    if (rollover !== 'none' && (!existingBudget || existingBudget.rollover === 'none')) {
+      data.rolloverSince = new Date();
+    }
+  }
+  if (rolloverCap !== undefined) data.rolloverCap = rolloverCap === null ? null : parseFloat(rolloverCap);
+  return data;
+};
+
+// Get all budgets for the authenticated user (amounts are in the user's base currency)
 const getBudgets = async (req, res) => {
   try {
     const budgets = await Budget.find({ userId: req.user._id });
-    
-    // Calculate spent amounts for each budget by analyzing transactions
-    const budgetsWithSpending = await Promise.all(budgets.map(async budget => {
-      const allTransactions = await Transaction.findByUserId(req.user._id);
-      const categoryTransactions = allTransactions.filter(transaction => 
-        transaction.category === budget.category && transaction.type === 'expense'
-      );
-      
-      // Calculate total spent in this category for the current month
-      const currentDate = new Date();
-      const currentMonth = currentDate.getMonth();
-      const currentYear = currentDate.getFullYear();
-      
-      const monthlySpent = categoryTransactions
-        .filter(transaction => {
-          const transactionDate = new Date(transaction.date);
-          return transactionDate.getMonth() === currentMonth && 
-                 transactionDate.getFullYear() === currentYear;
-        })
-        .reduce((total, transaction) => total + transaction.amount, 0);
-      
-      const remaining = budget.amount - monthlySpent;
-      const percentage = budget.amount > 0 ? Math.round((monthlySpent / budget.amount) * 100) : 0;
-      
-      // Convert Mongoose document to plain object and add calculated fields
-      const budgetObj = budget.toObject();
-      return {
-        ...budgetObj,
-        spent: monthlySpent,
-        remaining: remaining,
-        percentage: Math.min(percentage, 100)
-      };
-    }));
-    
-    res.json(budgetsWithSpending);
+    res.json(await withSpending(req.user._id, budgets));
   } catch (error) {
     console.error('Error fetching budgets:', error);
     res.status(500).json({ message: 'Server error while fetching budgets' });
@@ -57,61 +63,90 @@ const getBudgetById = async (req, res) => {
       return res.status(404).json({ message: 'Budget not found' });
     }
     
-    res.json(budget);
+    const [withWindow] = await withSpending(req.user._id, [budget]);
+    res.json(withWindow);
   } catch (error) {
     console.error('Error fetching budget:', error);
     res.status(500).json({ message: 'Server error while fetching budget' });
   }
 };
 
-// Create new budget
-const createBudget = async (req, res) => {
+// Get a budget's spending in a past (or the current) window of its period: the one containing
+// `date`, or `offset` periods before the current one
+const getBudgetWindowSpending = async (req, res) => {
   try {
-    const { category, amount, period } = req.body;
+    const budget = await Budget.findOne({ _id: req.params.id, userId: req.user._id });
     
-    // Validation is handled by middleware
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
     
-    // Check if budget already exists for this category and user
-    const existingBudget = await Budget.find({ 
-      userId: req.user._id, 
-      category: category 
+    const { date, offset } = req.query;
+    const [withWindow] = await withSpending(req.user._id, [budget], {
+      at: date ? new Date(date) : new Date(),
+      offset: offset || 0
     });
+    res.json(withWindow);
+  } catch (error) {
+    console.error('Error fetching budget window:', error);
+    res.status(500).json({ message: 'Server error while fetching budget window' });
+  }
+};
+
+// Get how a budget did in its last `limit` closed periods, oldest first, with the current one.
+// Only reads: periods are recorded by the closer, so one that just ended shows up after its next run.
+const getBudgetHistory = async (req, res) => {
+  try {
+    const budget = await Budget.findOne({ _id: req.params.id, userId: req.user._id });
     
-    if (existingBudget.length > 0) {
-      return res.status(400).json({ 
-        message: 'Budget already exists for this category' 
-      });
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
     }
     
-    // Calculate end date based on period
-    const startDate = new Date();
-    const endDate = new Date(startDate);
-    
-    switch (period || 'monthly') {
-      case 'weekly':
-        endDate.setDate(startDate.getDate() + 7);
-        break;
-      case 'monthly':
-        endDate.setMonth(startDate.getMonth() + 1);
-        break;
-      case 'yearly':
-        endDate.setFullYear(startDate.getFullYear() + 1);
-        break;
-      default:
-        endDate.setMonth(startDate.getMonth() + 1);
-    }
+    const [history, [current]] = await Promise.all([
+      BudgetSnapshot.findHistory(req.user._id, budget._id, req.query.limit || 12),
+      withSpending(req.user._id, [budget])
+    ]);
+    res.json({ budgetId: budget._id, period: budget.period, history, current });
+  } catch (error) {
+    console.error('Error fetching budget history:', error);
+    res.status(500).json({ message: 'Server error while fetching budget history' });
+  }
+};
+
+// Create new budget
+const createBudget = async (req, res) => {
+  try {
+    const { category, amount, period, startDay, startMonth, startDate, endDate } = req.body;
+    
+    // Validation is handled by middleware
     
     const budgetData = {
       userId: req.user._id,
       category,
       amount: parseFloat(amount),
       period: period || 'monthly',
-      startDate,
-      endDate
+      ...rolloverData(req.body)
     };
+    if (startDay !== undefined && startDay !== null) budgetData.startDay = startDay;
+    if (startMonth !== undefined && startMonth !== null) budgetData.startMonth = startMonth;
+    
+    // startDate/endDate are a custom budget's range, or record the window the budget was created in
+    const window = budgetData.period === 'custom' ? getRangeWindow(startDate, endDate) : getBudgetWindow(budgetData);
+    budgetData.startDate = window.start;
+    budgetData.endDate = window.end;
+    
+    // A category can have a budget for each period, and date-range budgets that don't overlap
+    const conflict = await Budget.findConflict(req.user._id, budgetData);
+    if (conflict) {
+      return res.status(400).json({ 
+        message: conflict.describeConflict()
+      });
+    }
     
     const budget = await Budget.create(budgetData);
-    res.status(201).json(budget);
+    const [withWindow] = await withSpending(req.user._id, [budget]);
+    res.status(201).json(withWindow);
   } catch (error) {
     console.error('Error creating budget:', error);
     res.status(500).json({ message: 'Server error while creating budget' });
@@ -121,7 +156,7 @@ const createBudget = async (req, res) => {
 // Update budget
 const updateBudget = async (req, res) => {
   try {
-    const { category, amount, period } = req.body;
+    const { category, amount, period, startDay, startMonth, startDate, endDate } = req.body;
     
     // Validation is handled by middleware
     
@@ -136,17 +171,52 @@ const updateBudget = async (req, res) => {
     if (category) updateData.category = category;
     if (amount) updateData.amount = parseFloat(amount);
     if (period) updateData.period = period;
+    // null goes back to the period's usual start; a new period without a start day does too,
+    // since a weekday isn't a day of the month
+    if (startDay !== undefined) {
+      updateData.startDay = startDay;
+    } else if (period && period !== existingBudget.period) {
+      updateData.startDay = null;
+    }
+    if (startMonth !== undefined) updateData.startMonth = startMonth;
+    Object.assign(updateData, rolloverData(req.body, existingBudget));
     
-    const budget = await Budget.findByIdAndUpdate(req.params.id, updateData, { new: true });
+    const updated = { ...existingBudget.toObject(), ...updateData };
+    if (updated.period === 'custom') {
+      // A custom budget has one window, so there's nothing to roll over into
+      if (startDate && endDate) {
+        const window = getRangeWindow(startDate, endDate);
+        updated.startDate = updateData.startDate = window.start;
+        updated.endDate = updateData.endDate = window.end;
+      }
+      updateData.rollover = 'none';
+    } else if (existingBudget.period === 'custom') {
+      // Leaving a date range: record the window the budget now starts in instead
+      const window = getBudgetWindow(updated);
+      updateData.startDate = window.start;
+      updateData.endDate = window.end;
+    }
+    
+    const conflict = await Budget.findConflict(req.user._id, updated, [existingBudget._id]);
+    if (conflict) {
+      return res.status(400).json({ message: conflict.describeConflict() });
+    }
     
-    res.json(budget);
+    // Record the periods that ended under the old amount and period before they change, so the
+    // closer doesn't record them with the new ones
+    await closeBudgetPeriods(existingBudget);
+    
+    const budget = await Budget.findByIdAndUpdate(req.params.id, updateData, { new: true, runValidators: true });
+    
+    const [withWindow] = await withSpending(req.user._id, [budget]);
+    res.json(withWindow);
   } catch (error) {
     console.error('Error updating budget:', error);
     res.status(500).json({ message: 'Server error while updating budget' });
   }
 };
 
-// Delete budget
+// Delete budget (moves it to the Trash)
 const deleteBudget = async (req, res) => {
   try {
     const budget = await Budget.findOne({ _id: req.params.id, userId: req.user._id });
@@ -155,8 +225,8 @@ const deleteBudget = async (req, res) => {
       return res.status(404).json({ message: 'Budget not found' });
     }
     
-    await Budget.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Budget deleted successfully' });
+    await Budget.softDelete(req.user._id, { _id: budget._id });
+    res.json({ message: 'Budget moved to the Trash' });
   } catch (error) {
     console.error('Error deleting budget:', error);
     res.status(500).json({ message: 'Server error while deleting budget' });
@@ -168,12 +238,15 @@ const getBudgetOverview = async (req, res) => {
   try {
     const budgets = await Budget.find({ userId: req.user._id });
     const transactions = await Transaction.find({ userId: req.user._id, type: 'expense' });
+    const converter = await ExchangeRate.getConverter(req.user._id);
+    
+    const spending = await Budget.getSpending(req.user._id, budgets, { converter });
     
+    // Spending by category this calendar month, budgeted or not
     const currentDate = new Date();
     const currentMonth = currentDate.getMonth();
     const currentYear = currentDate.getFullYear();
     
-    // Calculate monthly spending by category
     const monthlySpending = {};
     transactions
       .filter(transaction => {
@@ -182,19 +255,26 @@ const getBudgetOverview = async (req, res) => {
                transactionDate.getFullYear() === currentYear;
       })
       .forEach(transaction => {
-        monthlySpending[transaction.category] = 
-          (monthlySpending[transaction.category] || 0) + transaction.amount;
+        getCategoryLines(transaction).forEach(line => {
+          monthlySpending[line.category] = 
+            (monthlySpending[line.category] || 0) + converter.convertTransaction(transaction, line.amount);
+        });
       });
     
-    // Calculate budget vs actual for each category
+    // Calculate budget vs actual for each budget, over the current window of its own period
     const budgetAnalysis = budgets.map(budget => {
-      const spent = monthlySpending[budget.category] || 0;
-      const remaining = budget.amount - spent;
-      const percentage = budget.amount > 0 ? (spent / budget.amount) * 100 : 0;
+      const { window, spent, carriedIn, available } = spending.get(budget._id.toString());
+      const remaining = available - spent;
+      const percentage = available > 0 ? (spent / available) * 100 : (spent > 0 ? 100 : 0);
       
       return {
+        budgetId: budget._id,
         category: budget.category,
+        period: budget.period,
+        window,
         budgeted: budget.amount,
+        carriedIn,
+        available,
         spent: spent,
         remaining: remaining,
         percentage: Math.round(percentage),
@@ -204,15 +284,19 @@ const getBudgetOverview = async (req, res) => {
     
     // Calculate totals
     const totalBudgeted = budgets.reduce((sum, budget) => sum + budget.amount, 0);
-    const totalSpent = Object.values(monthlySpending).reduce((sum, amount) => sum + amount, 0);
-    const totalRemaining = totalBudgeted - totalSpent;
+    const totalAvailable = budgetAnalysis.reduce((sum, analysis) => sum + analysis.available, 0);
+    const totalSpent = budgetAnalysis.reduce((sum, analysis) => sum + analysis.spent, 0);
+    const totalRemaining = totalAvailable - totalSpent;
     
     const overview = {
       totalBudgeted,
+      totalAvailable,
       totalSpent,
       totalRemaining,
       budgetAnalysis,
-      monthlySpending
+      monthlySpending,
+      baseCurrency: converter.baseCurrency,
+      unconvertedCurrencies: converter.getUnconvertedCurrencies()
     };
     
     res.json(overview);
@@ -225,6 +309,8 @@ const getBudgetOverview = async (req, res) => {
 export {
   getBudgets,
   getBudgetById,
+  getBudgetWindowSpending,
+  getBudgetHistory,
   createBudget,
   updateBudget,
   deleteBudget,
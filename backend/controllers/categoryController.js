@@ -0,0 +1,254 @@
+// backend/controllers/categoryController.js
+
+import Category, { RESERVED_CATEGORY_NAMES } from '../models/Category.js';
+
+// Names are compared as stored, so a clash only counts within the same type
+const findNameClash = (userId, type, name) => Category.findOne({ userId, type, name });
+
+// @desc    Get all categories for a user (seeding the defaults on first use)
+// @route   GET /api/categories
+// @access  Private
+export const getCategories = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    await Category.ensureDefaults(userId);
+
+    const categories = await Category.findByUserId(userId, { type: req.query.type });
+
+    res.json({
+      success: true,
+      count: categories.length,
+      data: categories
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching categories'
+    });
+  }
+};
+
+// @desc    Create a new category
+// @route   POST /api/categories
+// @access  Private
+export const createCategory = async (req, res) => {
+  try {
+    const { name, type, parentId, color, icon } = req.body;
+    const userId = req.user._id;
+
+    await Category.ensureDefaults(userId);
+
+    if (RESERVED_CATEGORY_NAMES.includes(name)) {
+      return res.status(400).json({
+        success: false,
+        message: `"${name}" is reserved and cannot be used as a category name`
+      });
+    }
+
+    if (await findNameClash(userId, type, name)) {
+      return res.status(400).json({
+        success: false,
+        message: `An ${type} category with this name already exists`
+      });
+    }
+
+    const category = new Category({ userId, name, type, parentId: parentId || null, color, icon });
+
+    try {
+      await category.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)[0].message
+        });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating category'
+    });
+  }
+};
+
+// @desc    Update a category; renaming re-points its transactions, budgets and goals
+// @route   PUT /api/categories/:id
+// @access  Private
+export const updateCategory = async (req, res) => {
+  try {
+    const category = await Category.findByIdAndUserId(req.params.id, req.user._id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const { name, parentId, color, icon } = req.body;
+
+    if (name !== undefined && name !== category.name) {
+      if (RESERVED_CATEGORY_NAMES.includes(name)) {
+        return res.status(400).json({
+          success: false,
+          message: `"${name}" is reserved and cannot be used as a category name`
+        });
+      }
+      if (await findNameClash(req.user._id, category.type, name)) {
+        return res.status(400).json({
+          success: false,
+          message: `An ${category.type} category with this name already exists; merge into it instead`
+        });
+      }
+    }
+
+    if (parentId !== undefined) category.parentId = parentId || null;
+    if (color !== undefined) category.color = color;
+    if (icon !== undefined) category.icon = icon;
+
+    try {
+      await category.validate();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)[0].message
+        });
+      }
+      throw error;
+    }
+
+    if (name !== undefined && name !== category.name) {
+      await category.rename(name);
+    } else {
+      await category.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: category
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating category'
+    });
+  }
+};
+
+// @desc    Merge a category into another, moving everything filed under it
+// @route   POST /api/categories/:id/merge
+// @access  Private
+export const mergeCategory = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const [source, target] = await Promise.all([
+      Category.findByIdAndUserId(req.params.id, userId),
+      Category.findByIdAndUserId(req.body.targetId, userId)
+    ]);
+
+    if (!source || !target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    if (source._id.equals(target._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category cannot be merged into itself'
+      });
+    }
+
+    if (source.type !== target.type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Categories can only be merged into a category of the same type'
+      });
+    }
+
+    const conflict = await source.findMergeConflict(target);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    const usage = await Category.getUsage(source);
+    await source.mergeInto(target);
+
+    res.json({
+      success: true,
+      message: `Merged "${source.name}" into "${target.name}"`,
+      data: target,
+      moved: usage
+    });
+  } catch (error) {
+    console.error('Merge category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while merging categories'
+    });
+  }
+};
+
+// @desc    Delete a category that nothing is filed under
+// @route   DELETE /api/categories/:id
+// @access  Private
+export const deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findByIdAndUserId(req.params.id, req.user._id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    if (await Category.exists({ parentId: category._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This category has subcategories; move or delete them first'
+      });
+    }
+
+    // Deleting would leave history pointing at a missing category, so it has to be merged instead
+    const usage = await Category.getUsage(category);
+    const inUse = Object.values(usage).reduce((sum, count) => sum + count, 0);
+    if (inUse > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This category is in use; merge it into another category instead',
+        usage
+      });
+    }
+
+    await category.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting category'
+    });
+  }
+};
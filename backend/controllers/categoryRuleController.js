@@ -0,0 +1,246 @@
+// backend/controllers/categoryRuleController.js
+
+import CategoryRule from '../models/CategoryRule.js';
+import Account from '../models/Account.js';
+import { auditLog, getClientIP } from '../middleware/auditMiddleware.js';
+
+// Fields a client can set on a rule
+const RULE_FIELDS = ['name', 'descriptionContains', 'minAmount', 'maxAmount', 'type', 'accountId', 'category', 'isActive'];
+
+// Empty strings clear a condition
+const pickRuleFields = (body) => RULE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field] === '' ? null : body[field];
+  return fields;
+}, {});
+
+// Send a model validation failure back as a 400
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: Object.values(error.errors)[0].message
+});
+
+// @desc    Get all categorization rules in priority order
+// @route   GET /api/category-rules
+// @access  Private
+export const getRules = async (req, res) => {
+  try {
+    const rules = await CategoryRule.findByUserId(req.user._id);
+
+    res.json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Get category rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching rules'
+    });
+  }
+};
+
+// @desc    Create a categorization rule (runs after the existing ones)
+// @route   POST /api/category-rules
+// @access  Private
+export const createRule = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const fields = pickRuleFields(req.body);
+
+    if (fields.accountId && !await Account.findByIdAndUserId(fields.accountId, userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const rule = new CategoryRule({
+      ...fields,
+      userId,
+      priority: await CategoryRule.getNextPriority(userId)
+    });
+
+    try {
+      await rule.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') return sendValidationError(res, error);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Create category rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating rule'
+    });
+  }
+};
+
+// @desc    Update a categorization rule
+// @route   PUT /api/category-rules/:id
+// @access  Private
+export const updateRule = async (req, res) => {
+  try {
+    const rule = await CategoryRule.findByIdAndUserId(req.params.id, req.user._id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    const fields = pickRuleFields(req.body);
+
+    if (fields.accountId && !await Account.findByIdAndUserId(fields.accountId, req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    rule.set(fields);
+
+    try {
+      await rule.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') return sendValidationError(res, error);
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: 'Rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Update category rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating rule'
+    });
+  }
+};
+
+// @desc    Set the order rules run in
+// @route   PUT /api/category-rules/reorder
+// @access  Private
+export const reorderRules = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { ids } = req.body;
+
+    const rules = await CategoryRule.findByUserId(userId);
+    const owned = new Set(rules.map(rule => rule._id.toString()));
+    if (ids.length !== rules.length || ids.some(id => !owned.has(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send every rule ID exactly once, in the new order'
+      });
+    }
+
+    await CategoryRule.bulkWrite(ids.map((id, index) => ({
+      updateOne: { filter: { _id: id, userId }, update: { $set: { priority: index } } }
+    })));
+
+    res.json({
+      success: true,
+      message: 'Rules reordered successfully',
+      data: await CategoryRule.findByUserId(userId)
+    });
+  } catch (error) {
+    console.error('Reorder category rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reordering rules'
+    });
+  }
+};
+
+// @desc    Preview or apply the active rules to past transactions (dryRun defaults to true)
+// @route   POST /api/category-rules/apply
+// @access  Private
+export const applyRules = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { dryRun = true, transactionIds } = req.body;
+
+    // The client can apply only the changes the user ticked in the preview
+    let changes = await CategoryRule.previewReapply(userId);
+    if (Array.isArray(transactionIds)) {
+      const selected = new Set(transactionIds);
+      changes = changes.filter(change => selected.has(change.transactionId.toString()));
+    }
+
+    if (dryRun || changes.length === 0) {
+      return res.json({
+        success: true,
+        data: {
+          dryRun: true,
+          count: changes.length,
+          changes
+        }
+      });
+    }
+
+    const updated = await CategoryRule.applyChanges(userId, changes);
+
+    await auditLog(userId, 'CATEGORY_RULE_APPLY', 'transaction', {
+      details: { updated },
+      ipAddress: getClientIP(req),
+      userAgent: req.headers['user-agent'],
+      sessionId: req.sessionID
+    });
+
+    res.json({
+      success: true,
+      message: `Re-categorized ${updated} transactions`,
+      data: {
+        dryRun: false,
+        count: updated,
+        changes
+      }
+    });
+  } catch (error) {
+    console.error('Apply category rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while applying rules'
+    });
+  }
+};
+
+// @desc    Delete a categorization rule
+// @route   DELETE /api/category-rules/:id
+// @access  Private
+export const deleteRule = async (req, res) => {
+  try {
+    const rule = await CategoryRule.findByIdAndUserId(req.params.id, req.user._id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    await rule.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete category rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting rule'
+    });
+  }
+};
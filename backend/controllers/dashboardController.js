@@ -2,86 +2,48 @@
 
 import Transaction from '../models/Transaction.js';
 import Budget from '../models/Budget.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import Payee from '../models/Payee.js';
+import { getCategoryLines } from '../utils/splitUtils.js';
 import User from '../models/User.js';
+import { normalizeTag } from '../utils/tags.js';
+import { parseList, parseEndDate } from '../utils/queryParams.js';
 
 // @desc    Get dashboard overview data
 // @route   GET /api/dashboard
 // @access  Private
 export const getDashboardOverview = async (req, res) => {
   try {
-    // Get transaction statistics
-    const transactionStats = await Transaction.getStatsByUserId(req.user._id);
+    // Get transaction statistics; every amount is converted into the user's base currency
+    const converter = await ExchangeRate.getConverter(req.user._id);
+    const transactionStats = await Transaction.getStatsByUserId(req.user._id, converter);
     
     // Get recent transactions (last 5) for display
     const recentTransactions = await Transaction.findByUserId(req.user._id);
-    const recentTransactionsLimited = recentTransactions.slice(0, 5);
+    // Transfer legs are movements between the user's own accounts, not activity
+    const recentTransactionsLimited = recentTransactions.filter(t => t.type !== 'transfer').slice(0, 5);
     
     // Get budget data with spending analysis
     const budgets = await Budget.find({ userId: req.user._id });
-    const budgetsWithSpending = await Promise.all(budgets.map(async budget => {
-      // Use all transactions for budget calculations, not just recent 5
-      const categoryTransactions = recentTransactions.filter(transaction => 
-        transaction.category === budget.category && transaction.type === 'expense'
-      );
-      
-      // Calculate spending for current budget period
-      const currentDate = new Date();
-      let periodStart = new Date(budget.startDate);
-      let periodEnd = new Date(budget.endDate);
-      
-      // If budget period has passed, calculate for current period
-      if (currentDate > periodEnd) {
-        periodStart = new Date();
-        switch (budget.period) {
-          case 'weekly':
-            periodStart.setDate(currentDate.getDate() - currentDate.getDay());
-            periodEnd = new Date(periodStart);
-            periodEnd.setDate(periodStart.getDate() + 7);
-            break;
-          case 'monthly':
-            periodStart.setDate(1);
-            periodEnd = new Date(periodStart);
-            periodEnd.setMonth(periodStart.getMonth() + 1);
-            break;
-          case 'yearly':
-            periodStart.setMonth(0, 1);
-            periodEnd = new Date(periodStart);
-            periodEnd.setFullYear(periodStart.getFullYear() + 1);
-            break;
-        }
-      }
-      
-      // For current month budgets, include all transactions from current month
-      const currentMonth = currentDate.getMonth();
-      const currentYear = currentDate.getFullYear();
-      
-      const periodSpent = categoryTransactions
-        .filter(transaction => {
-          const transactionDate = new Date(transaction.date);
-          const transactionMonth = transactionDate.getMonth();
-          const transactionYear = transactionDate.getFullYear();
-          
-          // For monthly budgets, include transactions from current month
-          if (budget.period === 'monthly') {
-            return transactionMonth === currentMonth && transactionYear === currentYear;
-          }
-          
-          // For other periods, use the original date range logic
-          return transactionDate >= periodStart && transactionDate <= periodEnd;
-        })
-        .reduce((total, transaction) => total + Math.abs(transaction.amount), 0);
-      
-      const remaining = budget.amount - periodSpent;
-      const percentage = budget.amount > 0 ? Math.round((periodSpent / budget.amount) * 100) : 0;
+    const spending = await Budget.getSpending(req.user._id, budgets, { converter });
+    const budgetsWithSpending = budgets.map(budget => {
+      // Spending in the current window of the budget's own period, against what's available
+      // in it after rollover
+      const { window, spent: periodSpent, carriedIn, available } = spending.get(budget._id.toString());
+      const remaining = available - periodSpent;
+      const percentage = available > 0 ? Math.round((periodSpent / available) * 100) : (periodSpent > 0 ? 100 : 0);
       
       return {
         ...budget.toObject(),
+        window,
+        carriedIn,
+        available,
         spent: periodSpent,
         remaining: Math.max(0, remaining),
         percentage: Math.min(percentage, 100),
         status: percentage > 100 ? 'over' : percentage > 80 ? 'warning' : 'good'
       };
-    }));
+    });
     
     // Calculate financial insights
     const insights = await generateFinancialInsights(req.user._id, transactionStats, budgetsWithSpending);
@@ -101,7 +63,9 @@ export const getDashboardOverview = async (req, res) => {
         monthlyIncome: transactionStats.monthlyIncome,
         monthlyExpenses: transactionStats.monthlyExpenses,
         savingsRate: Math.max(0, savingsRate),
-        transactionCount: transactionStats.transactionCount
+        transactionCount: transactionStats.transactionCount,
+        baseCurrency: transactionStats.baseCurrency,
+        unconvertedCurrencies: converter.getUnconvertedCurrencies()
       },
       recentTransactions: recentTransactionsLimited,
       budgets: budgetsWithSpending.slice(0, 3), // Top 3 budgets for dashboard
@@ -211,11 +175,13 @@ const generateFinancialInsights = async (userId, transactionStats, budgets) => {
 export const getSpendingTrends = async (req, res) => {
   try {
     const months = parseInt(req.query.months) || 6;
-    const monthlyData = await Transaction.getMonthlyData(req.user._id, months);
+    const converter = await ExchangeRate.getConverter(req.user._id);
+    const monthlyData = await Transaction.getMonthlyData(req.user._id, months, converter);
     
     // Calculate trends
     const trends = {
       monthlyData,
+      baseCurrency: converter.baseCurrency,
       averageIncome: monthlyData.reduce((sum, month) => sum + month.income, 0) / monthlyData.length,
       averageExpenses: monthlyData.reduce((sum, month) => sum + month.expense, 0) / monthlyData.length,
       trendDirection: calculateTrendDirection(monthlyData)
@@ -234,8 +200,9 @@ export const getSpendingTrends = async (req, res) => {
 export const getExpenseAnalytics = async (req, res) => {
   try {
     const months = parseInt(req.query.months) || 6;
-    const categoryData = await Transaction.getCategoryData(req.user._id);
-    const monthlyData = await Transaction.getMonthlyData(req.user._id, months);
+    const converter = await ExchangeRate.getConverter(req.user._id);
+    const categoryData = await Transaction.getCategoryData(req.user._id, converter);
+    const monthlyData = await Transaction.getMonthlyData(req.user._id, months, converter);
     
     // Calculate average spending by category over the specified months
     const allTransactions = await Transaction.findByUserId(req.user._id);
@@ -250,7 +217,9 @@ export const getExpenseAnalytics = async (req, res) => {
     // Calculate average spending by category
     const categoryTotals = {};
     recentExpenses.forEach(transaction => {
-      categoryTotals[transaction.category] = (categoryTotals[transaction.category] || 0) + transaction.amount;
+      getCategoryLines(transaction).forEach(line => {
+        categoryTotals[line.category] = (categoryTotals[line.category] || 0) + converter.convertTransaction(transaction, line.amount);
+      });
     });
     
     // Convert to average per month
@@ -274,7 +243,9 @@ export const getExpenseAnalytics = async (req, res) => {
       });
       
       monthTransactions.forEach(transaction => {
-        monthData.categories[transaction.category] = (monthData.categories[transaction.category] || 0) + transaction.amount;
+        getCategoryLines(transaction).forEach(line => {
+          monthData.categories[line.category] = (monthData.categories[line.category] || 0) + converter.convertTransaction(transaction, line.amount);
+        });
       });
     });
     
@@ -282,7 +253,8 @@ export const getExpenseAnalytics = async (req, res) => {
       categoryData,
       averageSpendingByCategory,
       monthlyData: monthlyExpenseData,
-      totalCategories: Object.keys(categoryTotals).length
+      totalCategories: Object.keys(categoryTotals).length,
+      baseCurrency: converter.baseCurrency
     });
   } catch (error) {
     console.error('Expense analytics error:', error);
@@ -296,6 +268,7 @@ export const getExpenseAnalytics = async (req, res) => {
 export const getIncomeAnalytics = async (req, res) => {
   try {
     const months = parseInt(req.query.months) || 6;
+    const converter = await ExchangeRate.getConverter(req.user._id);
     const allTransactions = await Transaction.findByUserId(req.user._id);
     const incomeTransactions = allTransactions.filter(t => t.type === 'income');
     
@@ -308,7 +281,7 @@ export const getIncomeAnalytics = async (req, res) => {
     // Calculate income by source (category)
     const sourceTotals = {};
     recentIncome.forEach(transaction => {
-      sourceTotals[transaction.category] = (sourceTotals[transaction.category] || 0) + transaction.amount;
+      sourceTotals[transaction.category] = (sourceTotals[transaction.category] || 0) + converter.convertTransaction(transaction);
     });
     
     // Convert to average per month
@@ -318,7 +291,7 @@ export const getIncomeAnalytics = async (req, res) => {
     }));
     
     // Get monthly data
-    const monthlyData = await Transaction.getMonthlyData(req.user._id, months);
+    const monthlyData = await Transaction.getMonthlyData(req.user._id, months, converter);
     
     // Format monthly income data with sources
     const monthlyIncomeData = monthlyData.map(month => ({
@@ -335,7 +308,7 @@ export const getIncomeAnalytics = async (req, res) => {
       });
       
       monthTransactions.forEach(transaction => {
-        monthData.sources[transaction.category] = (monthData.sources[transaction.category] || 0) + transaction.amount;
+        monthData.sources[transaction.category] = (monthData.sources[transaction.category] || 0) + converter.convertTransaction(transaction);
       });
     });
     
@@ -343,7 +316,8 @@ export const getIncomeAnalytics = async (req, res) => {
       sourceTotals,
       averageIncomeBySource,
       monthlyData: monthlyIncomeData,
-      totalSources: Object.keys(sourceTotals).length
+      totalSources: Object.keys(sourceTotals).length,
+      baseCurrency: converter.baseCurrency
     });
   } catch (error) {
     console.error('Income analytics error:', error);
@@ -351,6 +325,55 @@ export const getIncomeAnalytics = async (req, res) => {
   }
 };
 
+// @desc    Get income and spending per tag, with each tag's spending by category
+// @route   GET /api/dashboard/analytics/tags
+// @access  Private
+export const getTagAnalytics = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const tags = await Transaction.getTagBreakdown(req.user._id, {
+      tags: parseList(req.query.tag).map(normalizeTag).filter(Boolean),
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? parseEndDate(endDate) : undefined
+    });
+
+    res.json({
+      success: true,
+      count: tags.length,
+      data: tags
+    });
+  } catch (error) {
+    console.error('Tag analytics error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching tag analytics' });
+  }
+};
+
+// @desc    Get spending and income per payee, with each payee's spending by category
+// @route   GET /api/dashboard/analytics/payees
+// @access  Private
+export const getPayeeAnalytics = async (req, res) => {
+  try {
+    const { startDate, endDate, limit } = req.query;
+    const { payees, baseCurrency, unconvertedCurrencies } = await Payee.getSpendingBreakdown(req.user._id, {
+      payeeIds: req.query.payeeId || [],
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? parseEndDate(endDate) : undefined,
+      limit
+    });
+
+    res.json({
+      success: true,
+      count: payees.length,
+      data: payees,
+      baseCurrency,
+      unconvertedCurrencies
+    });
+  } catch (error) {
+    console.error('Payee analytics error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching payee analytics' });
+  }
+};
+
 // Helper function to calculate trend direction
 const calculateTrendDirection = (monthlyData) => {
   if (monthlyData.length < 2) return 'insufficient_data';
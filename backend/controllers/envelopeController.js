@@ -0,0 +1,166 @@
+// backend/controllers/envelopeController.js
+
+import BudgetAllocation from '../models/BudgetAllocation.js';
+import Category from '../models/Category.js';
+import { toMonthStart } from '../utils/budgetPeriods.js';
+
+// @desc    Get envelope budgeting for a month: to be assigned, and assigned, activity and
+//          available per category
+// @route   GET /api/budgets/envelopes
+// @access  Private
+export const getEnvelopes = async (req, res) => {
+  try {
+    const data = await BudgetAllocation.getEnvelopes(req.user._id, req.query.month || toMonthStart());
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get envelopes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching envelopes'
+    });
+  }
+};
+
+// @desc    Get a month's allocation events, newest first
+// @route   GET /api/budgets/envelopes/allocations
+// @access  Private
+export const getAllocations = async (req, res) => {
+  try {
+    const allocations = await BudgetAllocation.findByMonth(req.user._id, req.query.month || toMonthStart());
+
+    res.json({
+      success: true,
+      count: allocations.length,
+      data: allocations
+    });
+  } catch (error) {
+    console.error('Get allocations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching allocations'
+    });
+  }
+};
+
+// @desc    Assign money to an envelope, move it between envelopes, or send it back to be assigned
+// @route   POST /api/budgets/envelopes/allocations
+// @access  Private
+export const createAllocation = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { month, fromCategory, toCategory, amount } = req.body;
+
+    // Envelopes hold money for spending, so only expense categories have one
+    const names = [fromCategory, toCategory].filter(Boolean);
+    const found = await Category.countDocuments({ userId, type: 'expense', name: { $in: names } });
+    if (found !== new Set(names).size) {
+      return res.status(400).json({
+        success: false,
+        message: 'Envelopes must be expense categories'
+      });
+    }
+
+    let result;
+    try {
+      result = await BudgetAllocation.allocate(userId, { month, fromCategory, toCategory, amount });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)[0].message
+        });
+      }
+      throw error;
+    }
+
+    // More than the pool or envelope it comes from holds
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Allocation recorded',
+      data: result.allocation
+    });
+  } catch (error) {
+    console.error('Create allocation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording allocation'
+    });
+  }
+};
+
+// @desc    Assign each envelope what its monthly budget still needs this month, as far as
+//          the money left to assign goes
+// @route   POST /api/budgets/envelopes/assign-budgeted
+// @access  Private
+export const assignBudgeted = async (req, res) => {
+  try {
+    const { allocations, error } = await BudgetAllocation.assignBudgeted(req.user._id, req.body.month);
+
+    // Already assigned (e.g. a repeated request), or nothing left to assign
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Assigned money to ${allocations.length} envelopes`,
+      count: allocations.length,
+      data: allocations
+    });
+  } catch (error) {
+    console.error('Assign budgeted error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while assigning budgeted amounts'
+    });
+  }
+};
+
+// @desc    Delete an allocation event made by mistake
+// @route   DELETE /api/budgets/envelopes/allocations/:id
+// @access  Private
+export const deleteAllocation = async (req, res) => {
+  try {
+    const result = await BudgetAllocation.removeAllocation(req.user._id, req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Allocation not found'
+      });
+    }
+
+    // The money it moved has been spent or moved on since
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Allocation deleted'
+    });
+  } catch (error) {
+    console.error('Delete allocation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting allocation'
+    });
+  }
+};
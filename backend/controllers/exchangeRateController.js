@@ -0,0 +1,265 @@
+// backend/controllers/exchangeRateController.js
+
+import ExchangeRate from '../models/ExchangeRate.js';
+import User from '../models/User.js';
+import { auditLog, getClientIP } from '../middleware/auditMiddleware.js';
+import { parseCSV } from '../utils/csvParser.js';
+import { parseDate } from '../utils/importUtils.js';
+import { DEFAULT_CURRENCY } from '../utils/currency.js';
+
+// Upper bound on rows per rate file
+const MAX_RATE_ROWS = 5000;
+
+// Number of parsed rates returned in a preview
+const PREVIEW_ROWS = 50;
+
+// Header names accepted for each column of a rate file (compared case-insensitively)
+const RATE_COLUMNS = {
+  date: ['date'],
+  fromCurrency: ['from', 'fromcurrency', 'currency'],
+  toCurrency: ['to', 'tocurrency', 'base'],
+  rate: ['rate']
+};
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+const getBaseCurrency = async (userId) => {
+  const user = await User.findById(userId).select('baseCurrency');
+  return (user && user.baseCurrency) || DEFAULT_CURRENCY;
+};
+
+// Send a model validation failure back as a 400
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: Object.values(error.errors)[0].message
+});
+
+const duplicateRateMessage = 'A rate for this currency pair and date already exists';
+
+// Read a rate file's rows into rates, collecting a message for each row that can't be used
+const readRateRows = (rows, headers, baseCurrency) => {
+  const columnFor = (field) => headers.find(header => RATE_COLUMNS[field].includes(header.toLowerCase().replace(/[\s_]/g, '')));
+  const columns = Object.fromEntries(Object.keys(RATE_COLUMNS).map(field => [field, columnFor(field)]));
+  const missing = ['date', 'fromCurrency', 'rate'].filter(field => !columns[field]);
+  if (missing.length > 0) {
+    return { error: `Rate file is missing columns: ${missing.join(', ')} (expected date, from, to, rate)` };
+  }
+
+  const rates = [];
+  const errors = [];
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2; // After the header, counting from 1
+    const date = parseDate(row[columns.date]);
+    const fromCurrency = (row[columns.fromCurrency] || '').toUpperCase();
+    const toCurrency = (columns.toCurrency && row[columns.toCurrency] ? row[columns.toCurrency] : baseCurrency).toUpperCase();
+    const rate = parseFloat((row[columns.rate] || '').replace(/,/g, ''));
+
+    if (!date) {
+      errors.push({ row: rowNumber, message: `Unreadable date "${row[columns.date]}"` });
+    } else if (!CURRENCY_CODE.test(fromCurrency) || !CURRENCY_CODE.test(toCurrency)) {
+      errors.push({ row: rowNumber, message: 'Currencies must be 3-letter ISO codes' });
+    } else if (fromCurrency === toCurrency) {
+      errors.push({ row: rowNumber, message: 'A rate needs two different currencies' });
+    } else if (!(rate > 0)) {
+      errors.push({ row: rowNumber, message: `Rate must be a positive number, got "${row[columns.rate]}"` });
+    } else {
+      rates.push({ fromCurrency, toCurrency, rate, date });
+    }
+  });
+
+  return { rates, errors };
+};
+
+// @desc    Get the user's exchange rates, newest first
+// @route   GET /api/exchange-rates
+// @access  Private
+export const getExchangeRates = async (req, res) => {
+  try {
+    const [rates, baseCurrency] = await Promise.all([
+      ExchangeRate.findByUserId(req.user._id, { currency: req.query.currency }),
+      getBaseCurrency(req.user._id)
+    ]);
+
+    res.json({
+      success: true,
+      count: rates.length,
+      baseCurrency,
+      data: rates
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exchange rates'
+    });
+  }
+};
+
+// @desc    Add an exchange rate for a day
+// @route   POST /api/exchange-rates
+// @access  Private
+export const createExchangeRate = async (req, res) => {
+  try {
+    const { fromCurrency, toCurrency, rate, date } = req.body;
+    const exchangeRate = new ExchangeRate({
+      userId: req.user._id,
+      fromCurrency,
+      toCurrency: toCurrency || await getBaseCurrency(req.user._id),
+      rate: parseFloat(rate),
+      date
+    });
+
+    try {
+      await exchangeRate.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') return sendValidationError(res, error);
+      if (error.code === 11000) {
+        return res.status(409).json({ success: false, message: duplicateRateMessage });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Exchange rate added',
+      data: exchangeRate
+    });
+  } catch (error) {
+    console.error('Create exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding exchange rate'
+    });
+  }
+};
+
+// @desc    Update an exchange rate
+// @route   PUT /api/exchange-rates/:id
+// @access  Private
+export const updateExchangeRate = async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findByIdAndUserId(req.params.id, req.user._id);
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    const { fromCurrency, toCurrency, rate, date } = req.body;
+    if (fromCurrency !== undefined) exchangeRate.fromCurrency = fromCurrency;
+    if (toCurrency !== undefined) exchangeRate.toCurrency = toCurrency;
+    if (rate !== undefined) exchangeRate.rate = parseFloat(rate);
+    if (date !== undefined) exchangeRate.date = date;
+    exchangeRate.source = 'manual';
+
+    try {
+      await exchangeRate.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') return sendValidationError(res, error);
+      if (error.code === 11000) {
+        return res.status(409).json({ success: false, message: duplicateRateMessage });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: 'Exchange rate updated',
+      data: exchangeRate
+    });
+  } catch (error) {
+    console.error('Update exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating exchange rate'
+    });
+  }
+};
+
+// @desc    Delete an exchange rate
+// @route   DELETE /api/exchange-rates/:id
+// @access  Private
+export const deleteExchangeRate = async (req, res) => {
+  try {
+    const result = await ExchangeRate.deleteOne({ _id: req.params.id, userId: req.user._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted'
+    });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting exchange rate'
+    });
+  }
+};
+
+// @desc    Preview or import exchange rates from a CSV with date, from, to and rate columns
+//          (to defaults to the base currency); a day that already has a rate is overwritten
+// @route   POST /api/exchange-rates/import
+// @access  Private
+export const importExchangeRates = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { content, dryRun = false } = req.body;
+    const { headers, rows } = parseCSV(content);
+
+    if (rows.length === 0 || rows.length > MAX_RATE_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: rows.length === 0 ? 'No rows found in the rate file' : `Rate files are limited to ${MAX_RATE_ROWS} rows`
+      });
+    }
+
+    const { error, rates, errors } = readRateRows(rows, headers, await getBaseCurrency(userId));
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        data: { dryRun, validRows: rates.length, errors, rates: rates.slice(0, PREVIEW_ROWS) }
+      });
+    }
+
+    // All or nothing: a file with bad rows is sent back to be fixed
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${errors.length} row${errors.length === 1 ? '' : 's'} could not be read`,
+        data: { dryRun, validRows: rates.length, errors }
+      });
+    }
+
+    const { created, updated } = await ExchangeRate.importRates(userId, rates);
+
+    await auditLog(userId, 'EXCHANGE_RATE_IMPORT', 'exchange-rate', {
+      details: { rows: rates.length, created, updated },
+      ipAddress: getClientIP(req),
+      userAgent: req.headers['user-agent'],
+      sessionId: req.sessionID
+    });
+
+    res.json({
+      success: true,
+      message: `Imported ${rates.length} rate${rates.length === 1 ? '' : 's'}`,
+      data: { dryRun, validRows: rates.length, created, updated, errors }
+    });
+  } catch (error) {
+    console.error('Import exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing exchange rates'
+    });
+  }
+};
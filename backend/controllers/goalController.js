@@ -278,7 +278,7 @@ export const updateGoalProgress = async (req, res) => {
   }
 };
 
-// @desc    Delete a goal
+// @desc    Delete a goal (moves it to the Trash)
 // @route   DELETE /api/goals/:id
 // @access  Private
 export const deleteGoal = async (req, res) => {
@@ -292,11 +292,11 @@ export const deleteGoal = async (req, res) => {
       });
     }
     
-    await Goal.findByIdAndDelete(req.params.id);
+    await Goal.softDelete(req.user._id, { _id: goal._id });
     
     res.json({
       success: true,
-      message: 'Goal deleted successfully'
+      message: 'Goal moved to the Trash'
     });
   } catch (error) {
     console.error('Error deleting goal:', error);
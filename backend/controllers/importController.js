@@ -0,0 +1,464 @@
+// backend/controllers/importController.js
+
+import { validationResult } from 'express-validator';
+import Transaction from '../models/Transaction.js';
+import Account from '../models/Account.js';
+import ImportMapping from '../models/ImportMapping.js';
+import CategoryRule from '../models/CategoryRule.js';
+import Payee from '../models/Payee.js';
+import { transactionRules } from '../middleware/validationMiddleware.js';
+import { auditLog, getClientIP } from '../middleware/auditMiddleware.js';
+import { parseCSV } from '../utils/csvParser.js';
+import { parseOFX, isOFX } from '../utils/ofxParser.js';
+import { parseQIF, isQIF } from '../utils/qifParser.js';
+import { parseBankAlerts, isBankAlert, getBankAlertTemplates } from '../utils/bankAlertParser.js';
+import { mapCsvRows, mapStatementEntries, suggestMapping } from '../utils/importUtils.js';
+import { findMatchingRule } from '../utils/categoryRules.js';
+import { DUPLICATE_DATE_WINDOW_DAYS, isLikelyDuplicate } from '../utils/duplicateDetection.js';
+
+// Upper bound on rows per upload to keep a single request reasonable
+const MAX_IMPORT_ROWS = 5000;
+
+// Number of raw rows returned while the user is still mapping columns
+const SAMPLE_ROWS = 5;
+
+// Run the same rules as POST /api/transactions against one draft row
+const validateDraft = async (draft) => {
+  const context = { body: { ...draft } };
+  for (const rule of transactionRules) {
+    await rule.run(context);
+  }
+
+  const errors = validationResult(context).array().map(error => ({
+    field: error.path,
+    message: error.msg
+  }));
+
+  return { values: context.body, errors };
+};
+
+// The account's transactions dated within the duplicate window of any statement row
+const findNearbyTransactions = async (userId, accountId, rows) => {
+  const times = rows
+    .map(row => new Date(row.draft.date).getTime())
+    .filter(time => !Number.isNaN(time));
+  if (times.length === 0) return [];
+
+  const windowMs = DUPLICATE_DATE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  return Transaction.find({
+    userId,
+    accountId,
+    type: { $in: ['income', 'expense'] },
+    date: { $gte: new Date(Math.min(...times) - windowMs), $lte: new Date(Math.max(...times) + windowMs) }
+  });
+};
+
+// Use the mapping sent with the request, else a saved one by ID or bank name
+const resolveMapping = async (userId, { mapping, mappingId, bankName }) => {
+  let savedMapping = null;
+
+  if (mappingId) {
+    savedMapping = await ImportMapping.findByIdAndUserId(mappingId, userId);
+  } else if (bankName) {
+    savedMapping = await ImportMapping.findOne({ userId, bankName });
+  }
+
+  if (mapping && mapping.columns) {
+    return { mapping, savedMapping };
+  }
+
+  return {
+    mapping: savedMapping ? savedMapping.toMappingConfig() : null,
+    savedMapping
+  };
+};
+
+// Work out the statement format from its content when the client doesn't say
+const detectFormat = (content) => {
+  if (isOFX(content)) return 'ofx';
+  if (isQIF(content)) return 'qif';
+  if (isBankAlert(content)) return 'alerts';
+  return 'csv';
+};
+
+// Reject empty or oversized statements
+const checkRowCount = (count) => {
+  if (count === 0) {
+    return 'No rows found in the uploaded statement';
+  }
+  if (count > MAX_IMPORT_ROWS) {
+    return `Statements are limited to ${MAX_IMPORT_ROWS} rows per import`;
+  }
+  return null;
+};
+
+// Check that a mapping covers the required fields and points at real columns
+const checkMapping = (mapping, headers) => {
+  const columns = mapping.columns || {};
+  const missing = ['date', 'description'].filter(field => !columns[field]);
+
+  if (!columns.amount && !columns.debit && !columns.credit) {
+    missing.push('amount (or debit/credit)');
+  }
+  if (missing.length > 0) {
+    return `Mapping is missing required columns: ${missing.join(', ')}`;
+  }
+
+  const unknown = Object.values(columns).filter(header => header && !headers.includes(header));
+  if (unknown.length > 0) {
+    return `Mapped columns not found in statement: ${unknown.join(', ')}`;
+  }
+
+  return null;
+};
+
+// How each structured format is named in messages
+const FORMAT_NAMES = { ofx: 'OFX statement', qif: 'QIF statement', alerts: 'bank alerts' };
+
+// @desc    Preview or import transactions from a CSV, OFX/QFX or QIF bank statement, or from
+//          pasted bank SMS/email alerts
+// @route   POST /api/transactions/import
+// @access  Private
+export const importTransactions = async (req, res) => {
+  try {
+    const { content, bankName, saveMapping = false, dryRun = true } = req.body;
+    const userId = req.user._id;
+    const format = req.body.format || detectFormat(content);
+
+    // A statement belongs to one account; without one it lands in the default account
+    const account = await Account.findForTransaction(userId, req.body.accountId);
+    if (!account) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account not found or archived'
+      });
+    }
+
+    let mappedRows;
+    let headers = [];
+    let mapping = null;
+    let savedMapping = null;
+    let delimiter;
+
+    if (format === 'csv') {
+      ({ mapping, savedMapping } = await resolveMapping(userId, req.body));
+
+      const parsed = parseCSV(content, {
+        delimiter: mapping?.delimiter,
+        hasHeader: mapping ? mapping.hasHeader !== false : true
+      });
+      headers = parsed.headers;
+      delimiter = parsed.delimiter;
+
+      const countError = checkRowCount(parsed.rows.length);
+      if (countError) {
+        return res.status(400).json({
+          success: false,
+          message: countError
+        });
+      }
+
+      // Without a mapping, return the columns and a best guess so the user can map them
+      if (!mapping) {
+        return res.json({
+          success: true,
+          data: {
+            needsMapping: true,
+            format,
+            headers,
+            delimiter,
+            totalRows: parsed.rows.length,
+            sampleRows: parsed.rows.slice(0, SAMPLE_ROWS),
+            suggestedMapping: suggestMapping(headers)
+          }
+        });
+      }
+
+      const mappingError = checkMapping(mapping, headers);
+      if (mappingError) {
+        return res.status(400).json({
+          success: false,
+          message: mappingError
+        });
+      }
+
+      mappedRows = mapCsvRows(parsed.rows, mapping);
+    } else {
+      // OFX, QIF and alerts carry their own structure; only the date format, default
+      // category and (for alerts) the bank apply
+      const options = req.body.mapping || {};
+      let entries;
+      let statementCurrency;
+
+      try {
+        if (format === 'ofx') {
+          ({ entries, currency: statementCurrency } = parseOFX(content));
+        } else if (format === 'qif') {
+          ({ entries, currency: statementCurrency } = parseQIF(content, { dateFormat: options.dateFormat }));
+        } else {
+          ({ entries, currency: statementCurrency } = parseBankAlerts(content, { bank: options.bank }));
+        }
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: `Could not read ${FORMAT_NAMES[format]}: ${parseError.message}`
+        });
+      }
+
+      // Amounts are stored in the account's currency, so the statement has to match it
+      if (statementCurrency && statementCurrency.toUpperCase() !== account.currency) {
+        return res.status(400).json({
+          success: false,
+          message: `${format === 'alerts' ? 'These alerts are' : 'This statement is'} in ${statementCurrency.toUpperCase()} but the account is in ${account.currency}`
+        });
+      }
+
+      const countError = checkRowCount(entries.length);
+      if (countError) {
+        return res.status(400).json({
+          success: false,
+          message: countError
+        });
+      }
+
+      mapping = {
+        dateFormat: options.dateFormat || 'auto',
+        defaultCategory: options.defaultCategory || 'Other',
+        ...(format === 'alerts' && options.bank ? { bank: options.bank } : {})
+      };
+      mappedRows = mapStatementEntries(entries, mapping);
+    }
+
+    // Bank IDs we already hold for this account, in the Trash or not; re-imported entries are
+    // skipped. IDs are only unique within an account, so other accounts' don't count.
+    const fitIds = mappedRows.map(row => row.fitId).filter(Boolean);
+    const existing = fitIds.length > 0
+      ? await Transaction.find({ userId, accountId: account._id, fitId: { $in: fitIds } }).setOptions({ withDeleted: true }).select('fitId')
+      : [];
+    const knownFitIds = new Set(existing.map(transaction => transaction.fitId));
+
+    // The user's rules take precedence over the statement's (or the default) category
+    const rules = await CategoryRule.findByUserId(userId, { activeOnly: true });
+
+    // Transactions already in the account around the statement's dates, to flag likely copies
+    const existingNearby = await findNearbyTransactions(userId, account._id, mappedRows);
+
+    const previewRows = [];
+    const transactionsToCreate = [];
+
+    for (const row of mappedRows) {
+      const { values, errors } = await validateDraft(row.draft);
+
+      // Don't repeat a validator error for a field we already failed to parse, or for an unreadable alert
+      const parsedFields = new Set(row.errors.map(error => error.field));
+      const rowErrors = parsedFields.has('alert')
+        ? row.errors
+        : [...row.errors, ...errors.filter(error => !parsedFields.has(error.field))];
+      const duplicate = Boolean(row.fitId) && knownFitIds.has(row.fitId);
+
+      // Matched on the validated (escaped) values, as rules are stored the same way
+      const rule = rowErrors.length === 0 ? findMatchingRule(rules, { ...values, accountId: account._id }) : null;
+      if (rule) values.category = rule.category;
+
+      // Unlike a repeated bank ID, a look-alike is still imported; the user reviews it later
+      const lookAlike = rowErrors.length === 0 && !duplicate
+        ? existingNearby.find(existing => isLikelyDuplicate(existing, { ...values, accountId: account._id }))
+        : null;
+
+      previewRows.push({
+        rowNumber: row.rowNumber,
+        fitId: row.fitId,
+        transaction: rule ? { ...row.draft, category: rule.category } : row.draft,
+        alert: row.alert,
+        ruleId: rule ? rule._id : undefined,
+        errors: rowErrors,
+        duplicate,
+        possibleDuplicateOf: lookAlike ? lookAlike._id : undefined,
+        valid: rowErrors.length === 0
+      });
+
+      if (rowErrors.length === 0 && !duplicate) {
+        transactionsToCreate.push({
+          userId,
+          accountId: account._id,
+          currency: account.currency,
+          description: values.description,
+          amount: Math.abs(parseFloat(values.amount)),
+          category: values.category,
+          type: values.type,
+          date: values.date,
+          fitId: row.fitId
+        });
+
+        // Also catches the same FITID appearing twice in one file
+        if (row.fitId) knownFitIds.add(row.fitId);
+      }
+    }
+
+    const duplicateRows = previewRows.filter(row => row.duplicate).length;
+    const summary = {
+      totalRows: previewRows.length,
+      validRows: transactionsToCreate.length,
+      invalidRows: previewRows.filter(row => !row.valid && !row.duplicate).length,
+      duplicateRows,
+      possibleDuplicateRows: previewRows.filter(row => row.possibleDuplicateOf).length
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        data: {
+          dryRun: true,
+          format,
+          headers,
+          mapping: format === 'csv' ? { ...mapping, delimiter } : mapping,
+          summary,
+          rows: previewRows
+        }
+      });
+    }
+
+    if (transactionsToCreate.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: duplicateRows > 0
+          ? 'Every entry in this statement has already been imported'
+          : 'No valid rows to import'
+      });
+    }
+
+    // One payee lookup for the whole statement, rather than one per transaction as it's saved.
+    // An import is where new payees come from, so names not seen before get one.
+    const resolvePayee = await Payee.getResolver(userId, { create: true });
+    for (const transaction of transactionsToCreate) {
+      transaction.payeeId = await resolvePayee(transaction.description);
+    }
+
+    // insertMany casts through the schema, so the encryption setters still apply. An overlapping
+    // import of the same statement may have saved some entries first; the bank ID index turns
+    // those away and the rest still go in.
+    let created;
+    try {
+      created = await Transaction.insertMany(transactionsToCreate, { ordered: false });
+    } catch (error) {
+      // Mongoose copies the driver's write errors, which keep their code under `err`
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some(writeError => (writeError.err || writeError).code !== 11000)) throw error;
+      created = error.insertedDocs || [];
+    }
+    const alreadyImported = transactionsToCreate.length - created.length;
+    // Payees made for rows turned away would have no transactions
+    if (alreadyImported > 0) await Payee.deleteUnused(userId, resolvePayee.createdIds);
+
+    if (format === 'csv' && saveMapping && bankName) {
+      await ImportMapping.findOneAndUpdate(
+        { userId, bankName },
+        { ...mapping, delimiter, userId, bankName, lastUsedAt: new Date() },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    } else if (savedMapping) {
+      savedMapping.lastUsedAt = new Date();
+      await savedMapping.save();
+    }
+
+    await auditLog(userId, 'DATA_IMPORT', 'transaction', {
+      details: {
+        format,
+        bankName,
+        accountId: account._id,
+        totalRows: summary.totalRows,
+        imported: created.length,
+        skipped: summary.invalidRows,
+        duplicates: duplicateRows + alreadyImported
+      },
+      ipAddress: getClientIP(req),
+      userAgent: req.headers['user-agent'],
+      sessionId: req.sessionID
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${created.length} transactions`,
+      data: {
+        dryRun: false,
+        format,
+        summary: {
+          ...summary,
+          imported: created.length,
+          skipped: summary.invalidRows,
+          duplicates: duplicateRows + alreadyImported,
+          alreadyImported
+        },
+        rows: previewRows.filter(row => !row.valid || row.duplicate || row.possibleDuplicateOf)
+      }
+    });
+  } catch (error) {
+    console.error('Import transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing transactions'
+    });
+  }
+};
+
+// @desc    Get the banks whose SMS/email alerts can be imported
+// @route   GET /api/transactions/import/alert-banks
+// @access  Private
+export const getAlertBanks = (req, res) => {
+  const banks = getBankAlertTemplates();
+  res.json({
+    success: true,
+    count: banks.length,
+    data: banks
+  });
+};
+
+// @desc    Get saved import column mappings
+// @route   GET /api/transactions/import/mappings
+// @access  Private
+export const getImportMappings = async (req, res) => {
+  try {
+    const mappings = await ImportMapping.findByUserId(req.user._id);
+
+    res.json({
+      success: true,
+      count: mappings.length,
+      data: mappings
+    });
+  } catch (error) {
+    console.error('Get import mappings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching import mappings'
+    });
+  }
+};
+
+// @desc    Delete a saved import column mapping
+// @route   DELETE /api/transactions/import/mappings/:id
+// @access  Private
+export const deleteImportMapping = async (req, res) => {
+  try {
+    const mapping = await ImportMapping.findByIdAndUserId(req.params.id, req.user._id);
+
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import mapping not found'
+      });
+    }
+
+    await ImportMapping.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Import mapping deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete import mapping error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting import mapping'
+    });
+  }
+};
@@ -0,0 +1,240 @@
+// backend/controllers/payeeController.js
+
+import Payee from '../models/Payee.js';
+import { auditLog, getClientIP } from '../middleware/auditMiddleware.js';
+import { payeeKeyForName } from '../utils/payeeNormalization.js';
+
+// Send a model validation failure back as a 400
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: Object.values(error.errors)[0].message
+});
+
+// @desc    Get all payees by name, with how many transactions each has
+// @route   GET /api/payees
+// @access  Private
+export const getPayees = async (req, res) => {
+  try {
+    const [payees, counts] = await Promise.all([
+      Payee.findByUserId(req.user._id),
+      Payee.getTransactionCounts(req.user._id)
+    ]);
+
+    res.json({
+      success: true,
+      count: payees.length,
+      data: payees.map(payee => ({
+        ...payee.toJSON(),
+        transactionCount: counts.get(payee._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get payees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payees'
+    });
+  }
+};
+
+// @desc    Create a payee
+// @route   POST /api/payees
+// @access  Private
+export const createPayee = async (req, res) => {
+  try {
+    const { name, matchers } = req.body;
+
+    if (!payeeKeyForName(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payee name needs at least one letter or digit'
+      });
+    }
+
+    let payee;
+    try {
+      payee = await Payee.createForUser(req.user._id, { name, matchers });
+    } catch (error) {
+      if (error.name === 'ValidationError') return sendValidationError(res, error);
+      throw error;
+    }
+
+    if (!payee) {
+      return res.status(409).json({
+        success: false,
+        message: 'A payee with this name already exists'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payee created successfully',
+      data: payee
+    });
+  } catch (error) {
+    console.error('Create payee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating payee'
+    });
+  }
+};
+
+// @desc    Rename a payee or change its matchers. The old name still finds it, and the
+//          new one does too.
+// @route   PUT /api/payees/:id
+// @access  Private
+export const updatePayee = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const payee = await Payee.findByIdAndUserId(req.params.id, userId);
+
+    if (!payee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee not found'
+      });
+    }
+
+    const { name, matchers } = req.body;
+
+    if (name !== undefined && name !== payee.name) {
+      if (!payeeKeyForName(name)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payee name needs at least one letter or digit'
+        });
+      }
+      const owner = await Payee.findByName(userId, name);
+      if (owner && !owner._id.equals(payee._id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Another payee already has this name; merge into it instead'
+        });
+      }
+      if (!owner) payee.aliasKeys.push(Payee.hashName(name));
+      payee.name = name;
+    }
+    if (Array.isArray(matchers)) {
+      payee.matchers = matchers.map(text => ({ text }));
+    }
+
+    try {
+      await payee.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') return sendValidationError(res, error);
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: 'Payee updated successfully',
+      data: payee
+    });
+  } catch (error) {
+    console.error('Update payee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating payee'
+    });
+  }
+};
+
+// @desc    Merge a payee into another, moving its transactions and the descriptions that name it
+// @route   POST /api/payees/:id/merge
+// @access  Private
+export const mergePayee = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const [source, target] = await Promise.all([
+      Payee.findByIdAndUserId(req.params.id, userId),
+      Payee.findByIdAndUserId(req.body.targetId, userId)
+    ]);
+
+    if (!source || !target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee not found'
+      });
+    }
+
+    if (source._id.equals(target._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A payee cannot be merged into itself'
+      });
+    }
+
+    await source.mergeInto(target);
+
+    res.json({
+      success: true,
+      message: `Merged "${source.name}" into "${target.name}"`,
+      data: target
+    });
+  } catch (error) {
+    console.error('Merge payee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while merging payees'
+    });
+  }
+};
+
+// @desc    File transactions that have no payee yet under the one their description names
+// @route   POST /api/payees/assign
+// @access  Private
+export const assignPayees = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const updated = await Payee.assignMissing(userId);
+
+    await auditLog(userId, 'PAYEE_ASSIGN', 'transaction', {
+      details: { updated },
+      ipAddress: getClientIP(req),
+      userAgent: req.headers['user-agent'],
+      sessionId: req.sessionID
+    });
+
+    res.json({
+      success: true,
+      message: `Found payees for ${updated} transactions`,
+      data: { updated }
+    });
+  } catch (error) {
+    console.error('Assign payees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while finding payees'
+    });
+  }
+};
+
+// @desc    Delete a payee; its transactions are left without one
+// @route   DELETE /api/payees/:id
+// @access  Private
+export const deletePayee = async (req, res) => {
+  try {
+    const payee = await Payee.findByIdAndUserId(req.params.id, req.user._id);
+
+    if (!payee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee not found'
+      });
+    }
+
+    await payee.deleteWithTransactionLinks();
+
+    res.json({
+      success: true,
+      message: 'Payee deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete payee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting payee'
+    });
+  }
+};
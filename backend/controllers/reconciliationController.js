@@ -0,0 +1,292 @@
+// backend/controllers/reconciliationController.js
+
+import Account from '../models/Account.js';
+import Transaction from '../models/Transaction.js';
+import Reconciliation from '../models/Reconciliation.js';
+import { auditLog, getClientIP } from '../middleware/auditMiddleware.js';
+
+// The account's reconciliation state: the one in progress with where it stands, and the last one completed
+const buildReconciliationState = async (userId, accountId) => {
+  const [reconciliation, lastReconciliation] = await Promise.all([
+    Reconciliation.findInProgress(userId, accountId),
+    Reconciliation.findLastCompleted(userId, accountId)
+  ]);
+
+  return {
+    reconciliation,
+    lastReconciliation,
+    summary: reconciliation ? await reconciliation.getSummary() : null
+  };
+};
+
+// A new statement can't end before the last one that was reconciled
+const checkStatementDate = (statementDate, lastReconciliation) => {
+  if (lastReconciliation && new Date(statementDate) < lastReconciliation.statementDate) {
+    return `The last reconciliation was for a statement ending ${lastReconciliation.statementDate.toISOString().split('T')[0]}; pick a later date`;
+  }
+  return null;
+};
+
+// @desc    Get an account's reconciliation in progress and where it stands
+// @route   GET /api/accounts/:id/reconciliation
+// @access  Private
+export const getReconciliation = async (req, res) => {
+  try {
+    const account = await Account.findByIdAndUserId(req.params.id, req.user._id);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await buildReconciliationState(req.user._id, account._id)
+    });
+  } catch (error) {
+    console.error('Get reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reconciliation'
+    });
+  }
+};
+
+// @desc    Start reconciling an account against a statement
+// @route   POST /api/accounts/:id/reconciliation
+// @access  Private
+export const startReconciliation = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const account = await Account.findByIdAndUserId(req.params.id, userId);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    if (account.isArchived) {
+      return res.status(400).json({
+        success: false,
+        message: 'Archived accounts cannot be reconciled'
+      });
+    }
+
+    if (await Reconciliation.findInProgress(userId, account._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This account already has a reconciliation in progress'
+      });
+    }
+
+    const { statementDate, statementBalance } = req.body;
+    const dateError = checkStatementDate(statementDate, await Reconciliation.findLastCompleted(userId, account._id));
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError
+      });
+    }
+
+    await Reconciliation.create({
+      userId,
+      accountId: account._id,
+      statementDate,
+      statementBalance: parseFloat(statementBalance)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reconciliation started',
+      data: await buildReconciliationState(userId, account._id)
+    });
+  } catch (error) {
+    console.error('Start reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting reconciliation'
+    });
+  }
+};
+
+// @desc    Change the statement date or ending balance of the reconciliation in progress
+// @route   PUT /api/accounts/:id/reconciliation
+// @access  Private
+export const updateReconciliation = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const account = await Account.findByIdAndUserId(req.params.id, userId);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const reconciliation = await Reconciliation.findInProgress(userId, account._id);
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'No reconciliation in progress for this account'
+      });
+    }
+
+    const { statementDate, statementBalance } = req.body;
+    if (statementDate !== undefined) {
+      const dateError = checkStatementDate(statementDate, await Reconciliation.findLastCompleted(userId, reconciliation.accountId));
+      if (dateError) {
+        return res.status(400).json({
+          success: false,
+          message: dateError
+        });
+      }
+      reconciliation.statementDate = statementDate;
+    }
+    if (statementBalance !== undefined) reconciliation.statementBalance = parseFloat(statementBalance);
+
+    await reconciliation.save();
+
+    res.json({
+      success: true,
+      message: 'Statement details updated',
+      data: await buildReconciliationState(userId, reconciliation.accountId)
+    });
+  } catch (error) {
+    console.error('Update reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating reconciliation'
+    });
+  }
+};
+
+// @desc    Tick transactions off as cleared (or back to pending) while reconciling
+// @route   PATCH /api/accounts/:id/reconciliation/transactions
+// @access  Private
+export const markCleared = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const account = await Account.findByIdAndUserId(req.params.id, userId);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const reconciliation = await Reconciliation.findInProgress(userId, account._id);
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'No reconciliation in progress for this account'
+      });
+    }
+
+    // Only this account's unreconciled transactions can be ticked; updateMany sees the Trash, so skip it
+    const { ids, cleared } = req.body;
+    await Transaction.updateMany(
+      { _id: { $in: ids }, userId, accountId: reconciliation.accountId, status: { $ne: 'reconciled' }, deletedAt: null },
+      { $set: { status: cleared ? 'cleared' : 'pending' } }
+    );
+
+    res.json({
+      success: true,
+      data: await buildReconciliationState(userId, reconciliation.accountId)
+    });
+  } catch (error) {
+    console.error('Mark cleared error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating transactions'
+    });
+  }
+};
+
+// @desc    Finish reconciling: cleared transactions become reconciled and locked
+// @route   POST /api/accounts/:id/reconciliation/complete
+// @access  Private
+export const completeReconciliation = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const account = await Account.findByIdAndUserId(req.params.id, userId);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const reconciliation = await Reconciliation.findInProgress(userId, account._id);
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'No reconciliation in progress for this account'
+      });
+    }
+
+    const summary = await reconciliation.getSummary();
+    if (summary.difference !== 0) {
+      return res.status(400).json({
+        success: false,
+        message: `The cleared balance is ${summary.difference > 0 ? 'short of' : 'over'} the statement by ${Math.abs(summary.difference).toFixed(2)}`
+      });
+    }
+
+    const clearedIds = summary.transactions
+      .filter(transaction => transaction.status === 'cleared')
+      .map(transaction => transaction._id);
+    await reconciliation.complete(clearedIds);
+
+    await auditLog(userId, 'MONEY_ACCOUNT_RECONCILE', 'account', {
+      resourceId: reconciliation.accountId,
+      details: {
+        reconciliationId: reconciliation._id,
+        statementDate: reconciliation.statementDate,
+        reconciledCount: reconciliation.reconciledCount
+      },
+      ipAddress: getClientIP(req),
+      userAgent: req.headers['user-agent'],
+      sessionId: req.sessionID
+    });
+
+    res.json({
+      success: true,
+      message: `Reconciled ${reconciliation.reconciledCount} transaction${reconciliation.reconciledCount === 1 ? '' : 's'}`,
+      data: await buildReconciliationState(userId, reconciliation.accountId)
+    });
+  } catch (error) {
+    console.error('Complete reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while completing reconciliation'
+    });
+  }
+};
+
+// @desc    Abandon the reconciliation in progress (ticked transactions stay cleared)
+// @route   DELETE /api/accounts/:id/reconciliation
+// @access  Private
+export const cancelReconciliation = async (req, res) => {
+  try {
+    const result = await Reconciliation.deleteOne({ userId: req.user._id, accountId: req.params.id, status: 'in_progress' });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No reconciliation in progress for this account'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reconciliation cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling reconciliation'
+    });
+  }
+};
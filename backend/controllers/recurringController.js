@@ -0,0 +1,295 @@
+// backend/controllers/recurringController.js
+
+import RecurringTransaction from '../models/RecurringTransaction.js';
+import Transaction from '../models/Transaction.js';
+import Account from '../models/Account.js';
+import { getNextOccurrence, isOccurrence, listOccurrences, toUTCDay } from '../utils/recurrence.js';
+import { materializeRecurringTransaction } from '../utils/recurringScheduler.js';
+
+// Default and maximum look-ahead for the upcoming occurrences list
+const DEFAULT_UPCOMING_DAYS = 30;
+const MAX_UPCOMING_DAYS = 365;
+
+// First occurrence on or after today, or null if the schedule ends before then
+const firstOccurrenceFromToday = (recurring) => {
+  const today = toUTCDay(new Date());
+  const next = getNextOccurrence(recurring, new Date(today.getTime() - 1));
+  if (recurring.endDate && next > recurring.endDate) return null;
+  return next;
+};
+
+// @desc    Get all recurring transactions for a user
+// @route   GET /api/recurring
+// @access  Private
+export const getRecurringTransactions = async (req, res) => {
+  try {
+    const recurring = await RecurringTransaction.findByUserId(req.user._id);
+
+    res.json({
+      success: true,
+      count: recurring.length,
+      data: recurring
+    });
+  } catch (error) {
+    console.error('Get recurring transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching recurring transactions'
+    });
+  }
+};
+
+// @desc    Get upcoming occurrences across active schedules
+// @route   GET /api/recurring/upcoming
+// @access  Private
+export const getUpcomingOccurrences = async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || DEFAULT_UPCOMING_DAYS, MAX_UPCOMING_DAYS);
+    const from = toUTCDay(new Date());
+    const until = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+
+    const schedules = await RecurringTransaction.find({
+      userId: req.user._id,
+      status: 'active',
+      nextRunDate: { $lte: until }
+    });
+
+    const occurrences = schedules.flatMap(recurring => listOccurrences(
+      recurring,
+      recurring.nextRunDate > from ? recurring.nextRunDate : from,
+      until
+    ).map(date => ({
+      recurringId: recurring._id,
+      description: recurring.description,
+      amount: recurring.amount,
+      category: recurring.category,
+      type: recurring.type,
+      frequency: recurring.frequency,
+      interval: recurring.interval,
+      date
+    })));
+
+    occurrences.sort((a, b) => a.date - b.date);
+
+    res.json({
+      success: true,
+      count: occurrences.length,
+      data: occurrences
+    });
+  } catch (error) {
+    console.error('Get upcoming occurrences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching upcoming occurrences'
+    });
+  }
+};
+
+// @desc    Create a recurring transaction, optionally from an existing transaction
+// @route   POST /api/recurring
+// @access  Private
+export const createRecurringTransaction = async (req, res) => {
+  try {
+    const { description, amount, category, type, frequency, interval, startDate, endDate, transactionId, accountId } = req.body;
+    const userId = req.user._id;
+
+    let sourceTransaction = null;
+    if (transactionId) {
+      sourceTransaction = await Transaction.findByIdAndUserId(transactionId, userId);
+      if (!sourceTransaction) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transaction not found'
+        });
+      }
+      if (sourceTransaction.recurringId) {
+        return res.status(400).json({
+          success: false,
+          message: 'This transaction is already part of a recurring schedule'
+        });
+      }
+    }
+
+    // Occurrences go to the requested account, else wherever the source transaction sits
+    const account = await Account.findForTransaction(userId, accountId || sourceTransaction?.accountId);
+    if (!account) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account not found or archived'
+      });
+    }
+
+    const recurring = new RecurringTransaction({
+      userId,
+      accountId: account._id,
+      description: description.trim(),
+      amount: Math.abs(parseFloat(amount)),
+      category: category.trim(),
+      type,
+      frequency,
+      interval: frequency === 'every-n-days' ? parseInt(interval) : undefined,
+      startDate: startDate || sourceTransaction?.date || new Date(),
+      endDate: endDate || undefined
+    });
+
+    if (recurring.endDate && recurring.endDate < recurring.startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be on or after the start date'
+      });
+    }
+
+    // The source transaction already covers its own day, so scheduling starts after it
+    const sourceIsOccurrence = sourceTransaction && isOccurrence(recurring, sourceTransaction.date);
+    recurring.nextRunDate = sourceIsOccurrence
+      ? recurring.occurrenceAfter(sourceTransaction.date)
+      : recurring.occurrenceAfter(new Date(recurring.startDate.getTime() - 1));
+    if (sourceIsOccurrence) recurring.lastRunDate = toUTCDay(sourceTransaction.date);
+    if (!recurring.nextRunDate) recurring.status = 'ended';
+
+    await recurring.save();
+
+    if (sourceTransaction) {
+      await Transaction.updateOne(
+        { _id: sourceTransaction._id },
+        sourceIsOccurrence
+          ? { recurringId: recurring._id, occurrenceDate: toUTCDay(sourceTransaction.date) }
+          : { recurringId: recurring._id }
+      );
+    }
+
+    // Post anything already due (a start date in the past catches up straight away)
+    const { posted } = recurring.status === 'active'
+      ? await materializeRecurringTransaction(recurring)
+      : { posted: 0 };
+
+    const saved = await RecurringTransaction.findById(recurring._id);
+
+    res.status(201).json({
+      success: true,
+      message: posted > 0
+        ? `Recurring transaction created and ${posted} past occurrences posted`
+        : 'Recurring transaction created successfully',
+      data: saved
+    });
+  } catch (error) {
+    console.error('Create recurring transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating recurring transaction'
+    });
+  }
+};
+
+// @desc    Update a recurring transaction (details, cadence, end date, pause/resume)
+// @route   PUT /api/recurring/:id
+// @access  Private
+export const updateRecurringTransaction = async (req, res) => {
+  try {
+    const recurring = await RecurringTransaction.findByIdAndUserId(req.params.id, req.user._id);
+
+    if (!recurring) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring transaction not found'
+      });
+    }
+
+    const { description, amount, category, type, frequency, interval, endDate, status, accountId } = req.body;
+    const wasPaused = recurring.status === 'paused';
+
+    if (accountId !== undefined) {
+      const account = await Account.findForTransaction(req.user._id, accountId);
+      if (!account) {
+        return res.status(400).json({
+          success: false,
+          message: 'Account not found or archived'
+        });
+      }
+      recurring.accountId = account._id;
+    }
+
+    if (description !== undefined) recurring.description = description.trim();
+    if (amount !== undefined) recurring.amount = Math.abs(parseFloat(amount));
+    if (category !== undefined) recurring.category = category.trim();
+    if (type !== undefined) recurring.type = type;
+    if (frequency !== undefined) recurring.frequency = frequency;
+    if (interval !== undefined) recurring.interval = parseInt(interval);
+    if (endDate !== undefined) recurring.endDate = endDate || undefined;
+    if (status !== undefined) recurring.status = status;
+
+    if (recurring.endDate && recurring.endDate < recurring.startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be on or after the start date'
+      });
+    }
+
+    // Recompute the next run when the cadence or end date changes. Resuming a paused
+    // schedule skips the occurrences missed while paused instead of back-posting them.
+    if (frequency !== undefined || interval !== undefined || endDate !== undefined || (wasPaused && status === 'active')) {
+      if (wasPaused && recurring.status === 'active') {
+        recurring.nextRunDate = firstOccurrenceFromToday(recurring);
+      } else {
+        recurring.nextRunDate = recurring.lastRunDate
+          ? recurring.occurrenceAfter(recurring.lastRunDate)
+          : recurring.occurrenceAfter(new Date(recurring.startDate.getTime() - 1));
+      }
+
+      if (!recurring.nextRunDate) {
+        recurring.status = 'ended';
+      } else if (recurring.status === 'ended') {
+        recurring.status = 'active';
+      }
+    }
+
+    await recurring.save();
+
+    if (recurring.status === 'active') {
+      await materializeRecurringTransaction(recurring);
+    }
+
+    const saved = await RecurringTransaction.findById(recurring._id);
+
+    res.json({
+      success: true,
+      message: 'Recurring transaction updated successfully',
+      data: saved
+    });
+  } catch (error) {
+    console.error('Update recurring transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating recurring transaction'
+    });
+  }
+};
+
+// @desc    Delete a recurring transaction; transactions already posted are kept
+// @route   DELETE /api/recurring/:id
+// @access  Private
+export const deleteRecurringTransaction = async (req, res) => {
+  try {
+    const recurring = await RecurringTransaction.findByIdAndUserId(req.params.id, req.user._id);
+
+    if (!recurring) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring transaction not found'
+      });
+    }
+
+    await RecurringTransaction.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Recurring transaction deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete recurring transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting recurring transaction'
+    });
+  }
+};
@@ -4,6 +4,8 @@ import Report from '../models/Report.js';
 import Transaction from '../models/Transaction.js';
 import Budget from '../models/Budget.js';
 import Goal from '../models/Goal.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import { getCategoryAmount, getCategoryLines } from '../utils/splitUtils.js';
 
 // Helper function to calculate date ranges
 const getDateRange = (period, customStart = null, customEnd = null) => {
@@ -52,7 +54,7 @@ const generateInsights = (data, summary) => {
   if (summary.totalExpenses > summary.totalIncome) {
     insights.push({
       type: 'warning',
-      message: `You spent $${(summary.totalExpenses - summary.totalIncome).toFixed(2)} more than you earned this period.`,
+      message: `You spent ${data.baseCurrency} ${(summary.totalExpenses - summary.totalIncome).toFixed(2)} more than you earned this period.`,
       category: 'spending',
       priority: 'high'
     });
@@ -138,24 +140,31 @@ export const generateReport = async (req, res) => {
       savingsRate: 0
     };
     
-    // Get transactions for the period
+    // Get transactions for the period (transfers between accounts are neither income nor spending)
     const transactionFilter = {
       userId,
+      type: { $ne: 'transfer' },
       date: { $gte: startDate, $lt: endDate }
     };
     
     if (categories.length > 0) {
-      transactionFilter.category = { $in: categories };
+      transactionFilter.$or = [
+        { category: { $in: categories } },
+        { 'splits.category': { $in: categories } }
+      ];
     }
     
     const transactions = await Transaction.find(transactionFilter).sort({ date: -1 });
     
+    // Totals are in the user's base currency, each transaction at the rate of its date
+    const converter = await ExchangeRate.getConverter(userId);
+    
     // Calculate income and expenses
     const income = transactions.filter(t => t.type === 'income');
     const expenses = transactions.filter(t => t.type === 'expense');
     
-    summary.totalIncome = income.reduce((sum, t) => sum + t.amount, 0);
-    summary.totalExpenses = expenses.reduce((sum, t) => sum + t.amount, 0);
+    summary.totalIncome = income.reduce((sum, t) => sum + converter.convertTransaction(t), 0);
+    summary.totalExpenses = expenses.reduce((sum, t) => sum + converter.convertTransaction(t), 0);
     summary.netIncome = summary.totalIncome - summary.totalExpenses;
     summary.savingsRate = summary.totalIncome > 0 
       ? ((summary.netIncome / summary.totalIncome) * 100) 
@@ -164,13 +173,18 @@ export const generateReport = async (req, res) => {
     // Get category breakdown
     const categoryBreakdown = {};
     expenses.forEach(transaction => {
-      const category = transaction.category;
-      if (!categoryBreakdown[category]) {
-        categoryBreakdown[category] = 0;
-      }
-      categoryBreakdown[category] += transaction.amount;
+      getCategoryLines(transaction).forEach(({ category, amount }) => {
+        // A split matched by the category filter may also have lines outside it
+        if (categories.length > 0 && !categories.includes(category)) return;
+        if (!categoryBreakdown[category]) {
+          categoryBreakdown[category] = 0;
+        }
+        categoryBreakdown[category] += converter.convertTransaction(transaction, amount);
+      });
     });
     
+    reportData.baseCurrency = converter.baseCurrency;
+    reportData.unconvertedCurrencies = converter.getUnconvertedCurrencies();
     reportData.transactions = {
       total: transactions.length,
       income: income.length,
@@ -186,8 +200,7 @@ export const generateReport = async (req, res) => {
       let totalSpent = 0;
       
       const budgetAnalysis = await Promise.all(budgets.map(async (budget) => {
-        const budgetExpenses = expenses.filter(t => t.category === budget.category);
-        const spent = budgetExpenses.reduce((sum, t) => sum + t.amount, 0);
+        const spent = expenses.reduce((sum, t) => sum + converter.convertTransaction(t, getCategoryAmount(t, budget.category)), 0);
         totalBudgeted += budget.amount;
         totalSpent += spent;
         
@@ -430,21 +443,25 @@ export const getQuickSummary = async (req, res) => {
     // Get transactions for the period
     const transactions = await Transaction.find({
       userId,
+      type: { $ne: 'transfer' },
       date: { $gte: startDate, $lt: endDate }
     });
+    const converter = await ExchangeRate.getConverter(userId);
     
     const income = transactions.filter(t => t.type === 'income');
     const expenses = transactions.filter(t => t.type === 'expense');
     
-    const totalIncome = income.reduce((sum, t) => sum + t.amount, 0);
-    const totalExpenses = expenses.reduce((sum, t) => sum + t.amount, 0);
+    const totalIncome = income.reduce((sum, t) => sum + converter.convertTransaction(t), 0);
+    const totalExpenses = expenses.reduce((sum, t) => sum + converter.convertTransaction(t), 0);
     const netIncome = totalIncome - totalExpenses;
     const savingsRate = totalIncome > 0 ? ((netIncome / totalIncome) * 100) : 0;
     
     // Get top spending categories
     const categorySpending = {};
     expenses.forEach(t => {
-      categorySpending[t.category] = (categorySpending[t.category] || 0) + t.amount;
+      getCategoryLines(t).forEach(line => {
+        categorySpending[line.category] = (categorySpending[line.category] || 0) + converter.convertTransaction(t, line.amount);
+      });
     });
     
     const topCategories = Object.entries(categorySpending)
@@ -457,6 +474,8 @@ export const getQuickSummary = async (req, res) => {
       data: {
         period,
         dateRange: { startDate, endDate },
+        baseCurrency: converter.baseCurrency,
+        unconvertedCurrencies: converter.getUnconvertedCurrencies(),
         summary: {
           totalIncome,
           totalExpenses,
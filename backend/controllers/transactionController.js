@@ -1,12 +1,88 @@
-import Transaction from '../models/Transaction.js';
+import Transaction, { TRANSFER_CATEGORY, MAX_BULK_TRANSACTIONS } from '../models/Transaction.js';
+import Account from '../models/Account.js';
+import CategoryRule from '../models/CategoryRule.js';
+import Category from '../models/Category.js';
+import Attachment from '../models/Attachment.js';
+import TransactionVersion from '../models/TransactionVersion.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import Payee from '../models/Payee.js';
+import { SPLIT_CATEGORY, splitsMatchAmount } from '../utils/splitUtils.js';
+import { buildSearchTokens } from '../utils/searchTokens.js';
+import { auditLog, getClientIP } from '../middleware/auditMiddleware.js';
+import { MAX_TAGS, normalizeTag } from '../utils/tags.js';
+import { parseList, parseEndDate } from '../utils/queryParams.js';
+import { snapshotTransaction } from '../utils/transactionHistory.js';
+import { parseQuickAddText } from '../utils/quickAdd.js';
+import { runInTransaction } from '../utils/dbTransaction.js';
 
-// @desc    Get all transactions for a user
+// Page size when the client doesn't ask for one
+const DEFAULT_PAGE_SIZE = 10;
+
+// Turn list filters (query string or a bulk request's `filter`) into Transaction.findMatching options
+const buildFilterOptions = ({ type, accountId, payeeId, status, category, tag, startDate, endDate, minAmount, maxAmount, search }) => ({
+  type,
+  accountId,
+  payeeId,
+  status,
+  categories: parseList(category),
+  tags: parseList(tag).map(normalizeTag).filter(Boolean),
+  startDate: startDate ? new Date(startDate) : undefined,
+  endDate: endDate ? parseEndDate(endDate) : undefined,
+  minAmount: minAmount !== undefined && minAmount !== '' ? parseFloat(minAmount) : undefined,
+  maxAmount: maxAmount !== undefined && maxAmount !== '' ? parseFloat(maxAmount) : undefined,
+  search
+});
+
+// Why an edit to a reconciled transaction was refused; `fields` come from getLockedChanges
+const lockedMessage = (fields) => `This transaction is reconciled, so its ${fields.map(field => (field === 'accountId' ? 'account' : field)).join(', ')} can't change. Mark it as cleared to unlock it first.`;
+
+// Normalise split lines from the request body
+const buildSplits = (splits) => splits.map(split => ({
+  amount: Math.abs(parseFloat(split.amount)),
+  category: split.category.trim(),
+  note: split.note ? split.note.trim() : undefined
+}));
+
+// @desc    Search, filter, sort and paginate a user's transactions
 // @route   GET /api/transactions
 // @access  Private
 export const getTransactions = async (req, res) => {
   try {
-    const transactions = await Transaction.findByUserId(req.user._id);
-    res.json(transactions);
+    const { page, limit, sort, order } = req.query;
+
+    const converter = await ExchangeRate.getConverter(req.user._id);
+    const result = await Transaction.search(req.user._id, {
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || DEFAULT_PAGE_SIZE,
+      sort,
+      order,
+      converter,
+      ...buildFilterOptions(req.query)
+    });
+
+    // Attachments ride along so the table can show receipt thumbnails
+    const attachments = await Attachment.findForTransactions(req.user._id, result.transactions.map(transaction => transaction._id));
+
+    res.json({
+      success: true,
+      count: result.transactions.length,
+      data: result.transactions.map(transaction => ({
+        ...transaction.toJSON(),
+        attachments: attachments.get(transaction._id.toString()) || []
+      })),
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        pages: Math.ceil(result.total / result.limit)
+      },
+      totals: {
+        ...result.totals,
+        count: result.total,
+        baseCurrency: converter.baseCurrency,
+        unconvertedCurrencies: converter.getUnconvertedCurrencies()
+      }
+    });
   } catch (error) {
     console.error('Get transactions error:', error);
     res.status(500).json({ message: 'Server error while fetching transactions' });
@@ -31,27 +107,156 @@ export const getTransaction = async (req, res) => {
   }
 };
 
+// @desc    Get the user's tags with usage counts, optionally those starting with `q`
+// @route   GET /api/transactions/tags
+// @access  Private
+export const getTags = async (req, res) => {
+  try {
+    const tags = await Transaction.getTagCounts(req.user._id, { prefix: req.query.q });
+
+    res.json({
+      success: true,
+      count: tags.length,
+      data: tags
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching tags' });
+  }
+};
+
+// @desc    Read a one-line entry such as "lunch 3500 yesterday food" into a draft transaction
+//          for the user to confirm; nothing is saved
+// @route   POST /api/transactions/quick-add
+// @access  Private
+export const parseQuickAdd = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    await Category.ensureDefaults(userId);
+    const [categories, account] = await Promise.all([
+      Category.findByUserId(userId),
+      Account.getDefaultAccount(userId)
+    ]);
+
+    // The client sends its own date so "yesterday" means the user's yesterday
+    const parsed = parseQuickAddText(req.body.text, { categories, today: req.body.today || new Date() });
+    if (parsed.amount === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Include an amount, e.g. "lunch 3500 yesterday food"'
+      });
+    }
+
+    const type = parsed.type || 'expense';
+    let category = parsed.category ? parsed.category.name : null;
+    let categorySource = parsed.category ? 'text' : null;
+    if (!category) {
+      const match = await CategoryRule.categorize(userId, {
+        description: parsed.description,
+        amount: parsed.amount,
+        type,
+        accountId: account._id
+      });
+      if (match) {
+        category = match.category;
+        categorySource = 'rule';
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        description: parsed.description,
+        amount: parsed.amount,
+        type,
+        category,
+        categorySource,
+        date: parsed.date,
+        accountId: account._id,
+        currency: account.currency
+      }
+    });
+  } catch (error) {
+    console.error('Quick-add error:', error);
+    res.status(500).json({ success: false, message: 'Server error while reading the entry' });
+  }
+};
+
+// Just enough of a transaction to recognise it in a duplicate warning
+const toDuplicateSummary = (transaction) => ({
+  _id: transaction._id,
+  description: transaction.description,
+  amount: transaction.amount,
+  date: transaction.date,
+  accountId: transaction.accountId
+});
+
 // @desc    Create new transaction
 // @route   POST /api/transactions
 // @access  Private
 export const createTransaction = async (req, res) => {
   try {
-    const { description, amount, category, type, date } = req.body;
+    const { description, amount, category, type, date, splits, accountId, tags, status, payeeId } = req.body;
+    
+    const account = await Account.findForTransaction(req.user._id, accountId);
+    if (!account) {
+      return res.status(400).json({ message: 'Account not found or archived' });
+    }
+    
+    if (payeeId && !await Payee.findByIdAndUserId(payeeId, req.user._id)) {
+      return res.status(400).json({ message: 'Payee not found' });
+    }
     
     // Store amount as positive value, type field indicates income/expense
     const processedAmount = Math.abs(parseFloat(amount));
+    const hasSplits = Array.isArray(splits) && splits.length > 0;
+    
+    // Without a category, the user's rules pick one
+    let resolvedCategory = category ? category.trim() : '';
+    if (!hasSplits && !resolvedCategory) {
+      const match = await CategoryRule.categorize(req.user._id, {
+        description: description.trim(),
+        amount: processedAmount,
+        type,
+        accountId: account._id
+      });
+      if (!match) {
+        return res.status(400).json({ message: 'No categorization rule matches this transaction; choose a category' });
+      }
+      resolvedCategory = match.category;
+    }
     
     const transactionData = {
       userId: req.user._id,
+      accountId: account._id,
       description: description.trim(),
       amount: processedAmount,
-      category: category.trim(),
+      // Split lines carry the real categories; the parent is only labelled as a split
+      category: hasSplits ? SPLIT_CATEGORY : resolvedCategory,
       type,
-      date: date || new Date().toISOString().split('T')[0]
+      date: date || new Date().toISOString().split('T')[0],
+      status: status || 'pending'
     };
     
+    if (hasSplits) {
+      transactionData.splits = buildSplits(splits);
+    }
+    if (Array.isArray(tags) && tags.length > 0) {
+      transactionData.tags = tags;
+    }
+    // Without a payee, the one the description names is filled in when it's saved
+    if (payeeId !== undefined) {
+      transactionData.payeeId = payeeId;
+    }
+    
     const transaction = await Transaction.create(transactionData);
-    res.status(201).json(transaction);
+    
+    // Flag (but still save) entries that look like one already recorded, e.g. by an import
+    const possibleDuplicates = await Transaction.findLikelyDuplicates(req.user._id, transaction);
+    res.status(201).json({
+      ...transaction.toJSON(),
+      possibleDuplicates: possibleDuplicates.map(toDuplicateSummary)
+    });
   } catch (error) {
     console.error('Create transaction error:', error);
     res.status(500).json({ message: 'Server error while creating transaction' });
@@ -63,7 +268,7 @@ export const createTransaction = async (req, res) => {
 // @access  Private
 export const updateTransaction = async (req, res) => {
   try {
-    const { description, amount, category, type, date } = req.body;
+    const { description, amount, category, type, date, splits, accountId, tags, payeeId } = req.body;
     
     // Check if transaction exists and belongs to user
     const existingTransaction = await Transaction.findByIdAndUserId(req.params.id, req.user._id);
@@ -73,12 +278,80 @@ export const updateTransaction = async (req, res) => {
     
     // Validation is handled by middleware
     
+    // Both legs of a transfer have to change together
+    if (existingTransaction.type === 'transfer') {
+      return res.status(400).json({ message: 'Transfers are edited through /api/transactions/transfers/:transferId' });
+    }
+    
+    // Reconciled transactions keep what the bank agreed with; the rest can still be tidied up
+    const lockedFields = existingTransaction.getLockedChanges({ amount, type, date, accountId });
+    if (lockedFields.length > 0) {
+      return res.status(409).json({ message: lockedMessage(lockedFields) });
+    }
+    
+    // Moving to another account needs an open account the user owns, and takes on its currency
+    const movesAccount = accountId !== undefined && String(accountId) !== String(existingTransaction.accountId);
+    const targetAccount = movesAccount ? await Account.findForTransaction(req.user._id, accountId) : null;
+    if (movesAccount && !targetAccount) {
+      return res.status(400).json({ message: 'Account not found or archived' });
+    }
+    // Bank IDs are unique per account, so an imported entry can't join one that already has it
+    if (movesAccount && existingTransaction.fitId && await Transaction.exists({
+      userId: req.user._id,
+      accountId: targetAccount._id,
+      fitId: existingTransaction.fitId
+    }).setOptions({ withDeleted: true })) {
+      return res.status(409).json({ message: 'That account already has this bank transaction' });
+    }
+    
+    if (payeeId && !await Payee.findByIdAndUserId(payeeId, req.user._id)) {
+      return res.status(400).json({ message: 'Payee not found' });
+    }
+    
+    // Changing the amount of a split means sending lines that add up to it
+    const keepsSplits = !Array.isArray(splits) && existingTransaction.splits && existingTransaction.splits.length > 0;
+    if (amount !== undefined && keepsSplits && !splitsMatchAmount(existingTransaction.splits, amount)) {
+      return res.status(400).json({ message: 'Split amounts must add up to the transaction amount' });
+    }
+    
     // Prepare update data
     const updateData = {};
-    if (description !== undefined) updateData.description = description.trim();
-    if (category !== undefined) updateData.category = category.trim();
+    if (description !== undefined) {
+      updateData.description = description.trim();
+      updateData.descriptionTokens = buildSearchTokens(updateData.description);
+    }
+    if (category !== undefined && !keepsSplits) updateData.category = category.trim();
     if (type !== undefined) updateData.type = type;
     if (date !== undefined) updateData.date = date;
+    if (movesAccount) {
+      updateData.accountId = accountId;
+      updateData.currency = targetAccount.currency;
+    }
+    if (Array.isArray(tags)) updateData.tags = tags;
+    
+    // A new description files the transaction under an existing payee it names, unless one was
+    // picked; with no match the payee is unset, as for a new transaction
+    if (payeeId !== undefined) {
+      updateData.payeeId = payeeId;
+    } else if (updateData.description !== undefined && updateData.description !== existingTransaction.description) {
+      const resolvePayee = await Payee.getResolver(req.user._id);
+      const resolved = await resolvePayee(updateData.description);
+      if (resolved) {
+        updateData.payeeId = resolved;
+      } else {
+        updateData.$unset = { payeeId: 1 };
+      }
+    }
+    
+    // An empty list removes the split and the transaction goes back to its own category
+    if (Array.isArray(splits)) {
+      if (splits.length > 0) {
+        updateData.splits = buildSplits(splits);
+        updateData.category = SPLIT_CATEGORY;
+      } else {
+        updateData.$unset = { ...updateData.$unset, splits: 1 };
+      }
+    }
     
     // Handle amount processing
     if (amount !== undefined) {
@@ -86,11 +359,20 @@ export const updateTransaction = async (req, res) => {
       updateData.amount = transactionType === 'expense' ? -Math.abs(amount) : Math.abs(amount);
     }
     
-    const updatedTransaction = await Transaction.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    );
+    // The edit and its entry in the transaction's history commit together, so concurrent
+    // edits can't leave a change unrecorded
+    const updatedTransaction = await runInTransaction(async (session) => {
+      const before = await Transaction.findById(req.params.id).session(session);
+      const after = await Transaction.findByIdAndUpdate(req.params.id, updateData, { new: true, session });
+      await TransactionVersion.record(
+        req.user._id,
+        existingTransaction._id,
+        snapshotTransaction(before),
+        snapshotTransaction(after),
+        { session }
+      );
+      return after;
+    });
     
     res.json(updatedTransaction);
   } catch (error) {
@@ -99,7 +381,127 @@ export const updateTransaction = async (req, res) => {
   }
 };
 
-// @desc    Delete transaction
+// @desc    Get a transaction's change history, newest first
+// @route   GET /api/transactions/:id/history
+// @access  Private
+export const getTransactionHistory = async (req, res) => {
+  try {
+    const transaction = await Transaction.findByIdAndUserId(req.params.id, req.user._id);
+    if (!transaction) {
+      return res.status(404).json({ success: false, message: 'Transaction not found' });
+    }
+
+    const versions = await TransactionVersion.findForTransaction(req.user._id, transaction._id);
+
+    res.json({
+      success: true,
+      count: versions.length,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Get transaction history error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching transaction history' });
+  }
+};
+
+// @desc    Put a transaction back the way it was at an earlier version (0 is as created)
+// @route   POST /api/transactions/:id/history/:version/revert
+// @access  Private
+export const revertTransaction = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const version = parseInt(req.params.version, 10);
+
+    const transaction = await Transaction.findByIdAndUserId(req.params.id, userId);
+    if (!transaction) {
+      return res.status(404).json({ success: false, message: 'Transaction not found' });
+    }
+    if (transaction.type === 'transfer') {
+      return res.status(400).json({ success: false, message: 'Transfers have no version history' });
+    }
+
+    const before = snapshotTransaction(transaction);
+    const target = await TransactionVersion.stateAtVersion(userId, transaction._id, version, before);
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    const lockedFields = transaction.getLockedChanges(target);
+    if (lockedFields.length > 0) {
+      return res.status(409).json({ success: false, message: lockedMessage(lockedFields) });
+    }
+
+    // The old account has to still be open to move the transaction back into it
+    if (target.accountId !== before.accountId && !(await Account.findForTransaction(userId, target.accountId))) {
+      return res.status(400).json({ success: false, message: 'The account this version used is archived or gone' });
+    }
+
+    let recorded;
+    try {
+      recorded = await runInTransaction(async (session) => {
+        await transaction.applySnapshot(target).save({ session });
+        return TransactionVersion.record(userId, transaction._id, before, snapshotTransaction(transaction), {
+          source: 'revert',
+          revertedTo: version,
+          session
+        });
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: recorded ? `Reverted to version ${version}` : `Already at version ${version}`,
+      data: transaction
+    });
+  } catch (error) {
+    console.error('Revert transaction error:', error);
+    res.status(500).json({ success: false, message: 'Server error while reverting transaction' });
+  }
+};
+
+// @desc    Mark a transaction as pending or cleared; a reconciled one is unlocked
+// @route   PATCH /api/transactions/:id/status
+// @access  Private
+export const setTransactionStatus = async (req, res) => {
+  try {
+    const transaction = await Transaction.findByIdAndUserId(req.params.id, req.user._id);
+    if (!transaction) {
+      return res.status(404).json({ success: false, message: 'Transaction not found' });
+    }
+
+    const wasReconciled = transaction.status === 'reconciled';
+    transaction.status = req.body.status;
+    transaction.reconciliationId = undefined;
+    await transaction.save();
+
+    // Unlocking changes a balance the user already agreed with the bank, so it's kept on record
+    if (wasReconciled) {
+      await auditLog(req.user._id, 'TRANSACTION_UNLOCK', 'transaction', {
+        resourceId: transaction._id,
+        details: { status: transaction.status },
+        ipAddress: getClientIP(req),
+        userAgent: req.headers['user-agent'],
+        sessionId: req.sessionID
+      });
+    }
+
+    res.json({
+      success: true,
+      message: wasReconciled ? 'Transaction unlocked' : `Transaction marked as ${transaction.status}`,
+      data: transaction
+    });
+  } catch (error) {
+    console.error('Set transaction status error:', error);
+    res.status(500).json({ success: false, message: 'Server error while updating transaction status' });
+  }
+};
+
+// @desc    Delete transaction (moves it to the Trash)
 // @route   DELETE /api/transactions/:id
 // @access  Private
 export const deleteTransaction = async (req, res) => {
@@ -110,14 +512,426 @@ export const deleteTransaction = async (req, res) => {
       return res.status(404).json({ message: 'Transaction not found' });
     }
     
-    await Transaction.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Transaction deleted successfully' });
+    const legs = transaction.type === 'transfer'
+      ? await Transaction.find({ transferId: transaction.transferId, userId: req.user._id })
+      : [transaction];
+    if (legs.some(leg => leg.status === 'reconciled')) {
+      return res.status(409).json({ message: 'Reconciled transactions can\'t be deleted. Mark it as cleared to unlock it first.' });
+    }
+    
+    // Deleting either leg of a transfer deletes the whole transfer
+    if (transaction.type === 'transfer') {
+      await Transaction.deleteTransfer(transaction.transferId, req.user._id);
+      return res.json({ message: 'Transfer moved to the Trash' });
+    }
+    
+    // Kept in the Trash (attachments and all) until restored or purged
+    await Transaction.softDelete(req.user._id, { _id: transaction._id });
+    res.json({ message: 'Transaction moved to the Trash' });
   } catch (error) {
     console.error('Delete transaction error:', error);
     res.status(500).json({ message: 'Server error while deleting transaction' });
   }
 };
 
+// Summarise a transfer's two legs as one movement between accounts
+const toTransferSummary = ([out, incoming]) => ({
+  transferId: out.transferId,
+  fromAccountId: out.accountId,
+  toAccountId: incoming.accountId,
+  amount: Math.abs(out.amount),
+  toAmount: Math.abs(incoming.amount),
+  fromCurrency: out.currency,
+  toCurrency: incoming.currency,
+  description: out.description,
+  date: out.date,
+  legs: [out, incoming]
+});
+
+// Both ends of a transfer must be different open accounts the user owns; answers with
+// an error message, or the two accounts
+const checkTransferAccounts = async (userId, fromAccountId, toAccountId) => {
+  if (String(fromAccountId) === String(toAccountId)) {
+    return { error: 'A transfer needs two different accounts' };
+  }
+  const [from, to] = await Promise.all([
+    Account.findForTransaction(userId, fromAccountId),
+    Account.findForTransaction(userId, toAccountId)
+  ]);
+  return from && to ? { from, to } : { error: 'Account not found or archived' };
+};
+
+// Money moved between currencies arrives as a different amount, which has to be given
+const missingToAmountMessage = (fromCurrency, toCurrency) =>
+  `A transfer from ${fromCurrency} to ${toCurrency} needs the amount received (toAmount)`;
+
+// @desc    Get a transfer with both of its legs
+// @route   GET /api/transactions/transfers/:id
+// @access  Private
+export const getTransfer = async (req, res) => {
+  try {
+    const legs = await Transaction.findTransfer(req.params.id, req.user._id);
+    if (!legs) {
+      return res.status(404).json({ success: false, message: 'Transfer not found' });
+    }
+
+    res.json({ success: true, data: toTransferSummary(legs) });
+  } catch (error) {
+    console.error('Get transfer error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching transfer' });
+  }
+};
+
+// @desc    Move money between two accounts
+// @route   POST /api/transactions/transfers
+// @access  Private
+export const createTransfer = async (req, res) => {
+  try {
+    const { fromAccountId, toAccountId, amount, toAmount, description, date } = req.body;
+
+    const { error: accountError, from, to } = await checkTransferAccounts(req.user._id, fromAccountId, toAccountId);
+    if (accountError) {
+      return res.status(400).json({ success: false, message: accountError });
+    }
+
+    const crossCurrency = from.currency !== to.currency;
+    if (crossCurrency && toAmount === undefined) {
+      return res.status(400).json({ success: false, message: missingToAmountMessage(from.currency, to.currency) });
+    }
+
+    const legs = await Transaction.createTransfer(req.user._id, {
+      fromAccountId,
+      toAccountId,
+      amount: parseFloat(amount),
+      toAmount: crossCurrency ? parseFloat(toAmount) : undefined,
+      description: description ? description.trim() : TRANSFER_CATEGORY,
+      date: date || new Date().toISOString().split('T')[0]
+    });
+
+    res.status(201).json({ success: true, data: toTransferSummary(legs) });
+  } catch (error) {
+    console.error('Create transfer error:', error);
+    res.status(500).json({ success: false, message: 'Server error while creating transfer' });
+  }
+};
+
+// @desc    Update both legs of a transfer
+// @route   PUT /api/transactions/transfers/:id
+// @access  Private
+export const updateTransfer = async (req, res) => {
+  try {
+    const { fromAccountId, toAccountId, amount, toAmount, description, date } = req.body;
+
+    const existing = await Transaction.findTransfer(req.params.id, req.user._id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Transfer not found' });
+    }
+
+    const [out, incoming] = existing;
+    const lockedFields = [...new Set([
+      ...out.getLockedChanges({ amount, date, accountId: fromAccountId }),
+      ...incoming.getLockedChanges({ amount: toAmount !== undefined ? toAmount : amount, date, accountId: toAccountId })
+    ])];
+    if (lockedFields.length > 0) {
+      return res.status(409).json({ success: false, message: lockedMessage(lockedFields) });
+    }
+
+    const nextFrom = fromAccountId || out.accountId;
+    const nextTo = toAccountId || incoming.accountId;
+    let fromCurrency = out.currency;
+    let toCurrency = incoming.currency;
+    if (fromAccountId || toAccountId) {
+      const { error: accountError, from, to } = await checkTransferAccounts(req.user._id, nextFrom, nextTo);
+      if (accountError) {
+        return res.status(400).json({ success: false, message: accountError });
+      }
+      fromCurrency = from.currency;
+      toCurrency = to.currency;
+    }
+
+    // Between currencies the received amount can't be inferred from the amount sent
+    const crossCurrency = fromCurrency !== toCurrency;
+    const wasCrossCurrency = out.currency !== incoming.currency;
+    if (crossCurrency && toAmount === undefined && (amount !== undefined || !wasCrossCurrency)) {
+      return res.status(400).json({ success: false, message: missingToAmountMessage(fromCurrency, toCurrency) });
+    }
+
+    // Back in one currency, both legs carry the same amount again
+    let nextToAmount;
+    if (crossCurrency) {
+      nextToAmount = toAmount !== undefined ? parseFloat(toAmount) : undefined;
+    } else if (wasCrossCurrency && amount === undefined) {
+      nextToAmount = Math.abs(out.amount);
+    }
+
+    const legs = await Transaction.updateTransfer(req.params.id, req.user._id, {
+      fromAccountId,
+      toAccountId,
+      amount: amount !== undefined ? parseFloat(amount) : undefined,
+      toAmount: nextToAmount,
+      description: description !== undefined ? description.trim() : undefined,
+      date
+    });
+    if (!legs) {
+      return res.status(404).json({ success: false, message: 'Transfer not found' });
+    }
+
+    res.json({ success: true, data: toTransferSummary(legs) });
+  } catch (error) {
+    console.error('Update transfer error:', error);
+    res.status(500).json({ success: false, message: 'Server error while updating transfer' });
+  }
+};
+
+// @desc    Delete both legs of a transfer (they move to the Trash together)
+// @route   DELETE /api/transactions/transfers/:id
+// @access  Private
+export const deleteTransfer = async (req, res) => {
+  try {
+    const legs = await Transaction.findTransfer(req.params.id, req.user._id);
+    if (legs && legs.some(leg => leg.status === 'reconciled')) {
+      return res.status(409).json({
+        success: false,
+        message: 'A reconciled transfer can\'t be deleted. Mark its legs as cleared to unlock them first.'
+      });
+    }
+
+    const deleted = await Transaction.deleteTransfer(req.params.id, req.user._id);
+    if (deleted === 0) {
+      return res.status(404).json({ success: false, message: 'Transfer not found' });
+    }
+
+    res.json({ success: true, message: 'Transfer moved to the Trash' });
+  } catch (error) {
+    console.error('Delete transfer error:', error);
+    res.status(500).json({ success: false, message: 'Server error while deleting transfer' });
+  }
+};
+
+// @desc    Get groups of transactions that look like copies of each other
+// @route   GET /api/transactions/duplicates
+// @access  Private
+export const getDuplicateGroups = async (req, res) => {
+  try {
+    const groups = await Transaction.findDuplicateGroups(req.user._id);
+
+    res.json({
+      success: true,
+      count: groups.length,
+      data: groups.map(transactions => ({ transactions }))
+    });
+  } catch (error) {
+    console.error('Get duplicate groups error:', error);
+    res.status(500).json({ success: false, message: 'Server error while finding duplicates' });
+  }
+};
+
+// @desc    Keep one transaction of a duplicate group and move the rest to the Trash
+// @route   POST /api/transactions/duplicates/merge
+// @access  Private
+export const mergeDuplicates = async (req, res) => {
+  try {
+    const { keepId, removeIds } = req.body;
+
+    if (removeIds.includes(keepId) || new Set(removeIds).size !== removeIds.length) {
+      return res.status(400).json({ success: false, message: 'Each transaction can only be kept or removed once' });
+    }
+
+    const reconciledCopies = await Transaction.countDocuments({ _id: { $in: removeIds }, userId: req.user._id, status: 'reconciled' });
+    if (reconciledCopies > 0) {
+      return res.status(409).json({ success: false, message: 'A reconciled transaction can\'t be removed as a duplicate; keep that one instead' });
+    }
+
+    const result = await Transaction.mergeDuplicates(req.user._id, keepId, removeIds);
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Transaction not found' });
+    }
+
+    // Each removed copy is recorded as a deletion in its own right
+    await Promise.all(result.removed.map(transaction => auditLog(req.user._id, 'TRANSACTION_DELETE', 'transaction', {
+      resourceId: transaction._id,
+      details: { reason: 'duplicate', mergedInto: result.kept._id },
+      ipAddress: getClientIP(req),
+      userAgent: req.headers['user-agent'],
+      sessionId: req.sessionID
+    })));
+
+    res.json({
+      success: true,
+      message: `Removed ${result.removed.length} duplicate${result.removed.length === 1 ? '' : 's'}`,
+      data: result.kept
+    });
+  } catch (error) {
+    console.error('Merge duplicates error:', error);
+    res.status(500).json({ success: false, message: 'Server error while merging duplicates' });
+  }
+};
+
+// @desc    Mark transactions as not duplicates of each other
+// @route   POST /api/transactions/duplicates/dismiss
+// @access  Private
+export const dismissDuplicates = async (req, res) => {
+  try {
+    const dismissed = await Transaction.dismissDuplicates(req.user._id, [...new Set(req.body.ids)]);
+    if (!dismissed) {
+      return res.status(404).json({ success: false, message: 'Transaction not found' });
+    }
+
+    res.json({ success: true, message: 'Marked as not duplicates' });
+  } catch (error) {
+    console.error('Dismiss duplicates error:', error);
+    res.status(500).json({ success: false, message: 'Server error while dismissing duplicates' });
+  }
+};
+
+// Work out which transactions a bulk request targets: the listed IDs, every one of which
+// must belong to the user, or everything matching `filter`. Sends the error response
+// and returns null when the targets can't be used.
+const resolveBulkTargets = async (req, res) => {
+  const { ids, filter } = req.body;
+
+  if (ids) {
+    const uniqueIds = [...new Set(ids)];
+    const owned = await Transaction.find({ _id: { $in: uniqueIds }, userId: req.user._id }).select('_id type status');
+    if (owned.length !== uniqueIds.length) {
+      res.status(404).json({
+        success: false,
+        message: `${uniqueIds.length - owned.length} of the selected transactions were not found`
+      });
+      return null;
+    }
+    return owned;
+  }
+
+  const matching = await Transaction.findMatching(req.user._id, buildFilterOptions(filter));
+  if (matching.length > MAX_BULK_TRANSACTIONS) {
+    res.status(400).json({
+      success: false,
+      message: `The filter matches ${matching.length} transactions; narrow it to at most ${MAX_BULK_TRANSACTIONS}`
+    });
+    return null;
+  }
+  return matching;
+};
+
+// @desc    Change category, type, date or tags on many transactions at once
+// @route   PATCH /api/transactions/bulk
+// @access  Private
+export const bulkUpdateTransactions = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { category, type, date, addTags = [], removeTags = [] } = req.body.changes;
+
+    const targets = await resolveBulkTargets(req, res);
+    if (!targets) return;
+
+    // Transfers are edited a pair at a time, never in bulk, and a new type or date would
+    // move the balance of a reconciled transaction
+    const editable = targets.filter(transaction => transaction.type !== 'transfer');
+    const skippedTransfers = targets.length - editable.length;
+    const ids = editable
+      .filter(transaction => !((type || date) && transaction.status === 'reconciled'))
+      .map(transaction => transaction._id);
+    const skippedReconciled = editable.length - ids.length;
+
+    // Adding tags can't take any transaction past the limit
+    if (addTags.length > 0) {
+      const tagged = await Transaction.find({ _id: { $in: ids }, userId }).select('tags');
+      const overLimit = tagged.some(transaction => new Set([...(transaction.tags || []), ...addTags]).size > MAX_TAGS);
+      if (overLimit) {
+        return res.status(400).json({
+          success: false,
+          message: `Some of these transactions would end up with more than ${MAX_TAGS} tags`
+        });
+      }
+    }
+
+    const skippedSplits = category && ids.length > 0
+      ? await Transaction.countDocuments({ _id: { $in: ids }, userId, 'splits.0': { $exists: true } })
+      : 0;
+
+    const result = ids.length > 0
+      ? await Transaction.bulkUpdate(userId, ids, { category: category && category.trim(), type, date, addTags, removeTags })
+      : { updated: 0, categorized: 0 };
+
+    // One entry for the whole batch
+    await auditLog(userId, 'TRANSACTION_BULK_UPDATE', 'transaction', {
+      details: {
+        count: ids.length,
+        transactionIds: ids,
+        changes: req.body.changes,
+        selectedBy: req.body.ids ? 'ids' : 'filter'
+      },
+      ipAddress: getClientIP(req),
+      userAgent: req.headers['user-agent'],
+      sessionId: req.sessionID
+    });
+
+    res.json({
+      success: true,
+      message: `Updated ${result.updated} transaction${result.updated === 1 ? '' : 's'}`,
+      data: {
+        matched: targets.length,
+        updated: result.updated,
+        skipped: {
+          transfers: skippedTransfers,
+          splits: skippedSplits,
+          reconciled: skippedReconciled
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Bulk update transactions error:', error);
+    res.status(500).json({ success: false, message: 'Server error while updating transactions' });
+  }
+};
+
+// @desc    Move many transactions to the Trash at once (a transfer leg takes its other leg with it)
+// @route   DELETE /api/transactions/bulk
+// @access  Private
+export const bulkDeleteTransactions = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const targets = await resolveBulkTargets(req, res);
+    if (!targets) return;
+
+    const deletedIds = targets.length > 0
+      ? await Transaction.bulkDelete(userId, targets.map(transaction => transaction._id))
+      : [];
+    // Reconciled transactions (and transfers with a reconciled leg) are left in place
+    const deletedSet = new Set(deletedIds.map(id => id.toString()));
+    const skippedReconciled = targets.filter(transaction => !deletedSet.has(transaction._id.toString())).length;
+
+    // One entry for the whole batch
+    await auditLog(userId, 'TRANSACTION_BULK_DELETE', 'transaction', {
+      details: {
+        count: deletedIds.length,
+        transactionIds: deletedIds,
+        selectedBy: req.body.ids ? 'ids' : 'filter'
+      },
+      ipAddress: getClientIP(req),
+      userAgent: req.headers['user-agent'],
+      sessionId: req.sessionID
+    });
+
+    res.json({
+      success: true,
+      message: `Moved ${deletedIds.length} transaction${deletedIds.length === 1 ? '' : 's'} to the Trash`,
+      data: {
+        deleted: deletedIds.length,
+        ids: deletedIds,
+        skipped: {
+          reconciled: skippedReconciled
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Bulk delete transactions error:', error);
+    res.status(500).json({ success: false, message: 'Server error while deleting transactions' });
+  }
+};
+
 // @desc    Get transaction statistics
 // @route   GET /api/transactions/stats
 // @access  Private
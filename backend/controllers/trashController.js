@@ -0,0 +1,168 @@
+// backend/controllers/trashController.js
+
+import Transaction from '../models/Transaction.js';
+import Budget from '../models/Budget.js';
+import Goal from '../models/Goal.js';
+import { budgetsConflict } from '../utils/budgetPeriods.js';
+import { TRASH_MODELS, getTrashRetentionDays, getPurgeDate } from '../utils/trashPurger.js';
+import { auditLog, getClientIP } from '../middleware/auditMiddleware.js';
+
+// The documents a Trash request covers. A transfer leg always brings its other leg along.
+const buildSelection = async (resource, userId, ids) => (resource === 'transactions'
+  ? Transaction.withTransferLegs(userId, ids)
+  : { _id: { $in: ids } });
+
+// Reasons restoring would break a uniqueness rule (one budget per category and period, one
+// active goal per category and type), or null when it's safe
+const findRestoreConflict = {
+  transactions: async () => null,
+
+  budgets: async (userId, selection) => {
+    const trashed = await Budget.find({ ...selection, userId, deletedAt: { $ne: null } });
+    const clash = trashed.some((budget, index) => trashed.slice(index + 1).some(other => budgetsConflict(budget, other)));
+    if (clash) {
+      return 'Two of these budgets are for the same category and period; restore them one at a time';
+    }
+    for (const budget of trashed) {
+      const existing = await Budget.findConflict(userId, budget);
+      if (existing) return existing.describeConflict();
+    }
+    return null;
+  },
+
+  goals: async (userId, selection) => {
+    const trashed = await Goal.find({ ...selection, userId, deletedAt: { $ne: null }, status: 'active' }).select('category type');
+    if (trashed.length === 0) return null;
+    const existing = await Goal.findOne({
+      userId,
+      status: 'active',
+      $or: trashed.map(goal => ({ category: goal.category, type: goal.type }))
+    }).select('category type');
+    return existing
+      ? `You already have an active ${existing.type} goal for ${existing.category}. Complete or pause it first.`
+      : null;
+  }
+};
+
+// @desc    Get everything in the user's Trash
+// @route   GET /api/trash
+// @access  Private
+export const getTrash = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const [transactions, budgets, goals] = await Promise.all([
+      Transaction.findDeleted(userId),
+      Budget.findDeleted(userId),
+      Goal.findDeleted(userId)
+    ]);
+
+    const withPurgeDate = (doc) => ({ ...doc.toJSON(), purgeAt: getPurgeDate(doc.deletedAt) });
+
+    res.json({
+      success: true,
+      data: {
+        retentionDays: getTrashRetentionDays(),
+        // A transfer is listed once, by its outgoing leg
+        transactions: transactions
+          .filter(transaction => transaction.transferDirection !== 'in')
+          .map(withPurgeDate),
+        budgets: budgets.map(withPurgeDate),
+        goals: goals.map(withPurgeDate)
+      }
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching the Trash'
+    });
+  }
+};
+
+// @desc    Restore transactions, budgets or goals from the Trash
+// @route   POST /api/trash/:resource/restore
+// @access  Private
+export const restoreFromTrash = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { resource } = req.params;
+    const selection = await buildSelection(resource, userId, req.body.ids);
+
+    const conflict = await findRestoreConflict[resource](userId, selection);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    const restored = await TRASH_MODELS[resource].restoreDeleted(userId, selection);
+    if (restored === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nothing to restore; the items may already have been restored or purged'
+      });
+    }
+
+    await auditLog(userId, 'TRASH_RESTORE', resource.slice(0, -1), {
+      details: { count: restored, ids: req.body.ids },
+      ipAddress: getClientIP(req),
+      userAgent: req.headers['user-agent'],
+      sessionId: req.sessionID
+    });
+
+    res.json({
+      success: true,
+      message: `Restored ${restored} item${restored === 1 ? '' : 's'}`,
+      data: {
+        restored
+      }
+    });
+  } catch (error) {
+    console.error('Restore from trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring from the Trash'
+    });
+  }
+};
+
+// @desc    Permanently delete transactions, budgets or goals that are in the Trash
+// @route   DELETE /api/trash/:resource
+// @access  Private
+export const purgeFromTrash = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { resource } = req.params;
+    const selection = await buildSelection(resource, userId, req.body.ids);
+
+    const purged = await TRASH_MODELS[resource].purgeDeleted({ ...selection, userId });
+    if (purged === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nothing to delete; the items may already have been restored or purged'
+      });
+    }
+
+    await auditLog(userId, 'TRASH_PURGE', resource.slice(0, -1), {
+      details: { count: purged, ids: req.body.ids },
+      ipAddress: getClientIP(req),
+      userAgent: req.headers['user-agent'],
+      sessionId: req.sessionID
+    });
+
+    res.json({
+      success: true,
+      message: `Permanently deleted ${purged} item${purged === 1 ? '' : 's'}`,
+      data: {
+        purged
+      }
+    });
+  } catch (error) {
+    console.error('Purge from trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting from the Trash'
+    });
+  }
+};
@@ -21,6 +21,18 @@ const { default: budgetRoutes } = await import('./routes/budgetRoutes.js');
 const { default: dashboardRoutes } = await import('./routes/dashboardRoutes.js');
 const { default: goalRoutes } = await import('./routes/goalRoutes.js');
 const { default: reportRoutes } = await import('./routes/reportRoutes.js');
+const { default: recurringRoutes } = await import('./routes/recurringRoutes.js');
+const { default: accountRoutes } = await import('./routes/accountRoutes.js');
+const { default: categoryRoutes } = await import('./routes/categoryRoutes.js');
+const { default: categoryRuleRoutes } = await import('./routes/categoryRuleRoutes.js');
+const { default: payeeRoutes } = await import('./routes/payeeRoutes.js');
+const { default: trashRoutes } = await import('./routes/trashRoutes.js');
+const { default: exchangeRateRoutes } = await import('./routes/exchangeRateRoutes.js');
+const { startRecurringScheduler } = await import('./utils/recurringScheduler.js');
+const { startTrashPurger } = await import('./utils/trashPurger.js');
+const { startBudgetPeriodCloser } = await import('./utils/budgetPeriodCloser.js');
+const { default: Transaction } = await import('./models/Transaction.js');
+const { default: Account } = await import('./models/Account.js');
 // Add this import
 const { default: auditRoutes } = await import('./routes/auditRoutes.js');
 import { detectSuspiciousActivity } from './middleware/auditMiddleware.js';
@@ -28,8 +40,41 @@ import { detectSuspiciousActivity } from './middleware/auditMiddleware.js';
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Connect to database
-connectDB().catch(error => {
+// Connect to database, then start posting due recurring transactions (catches up after downtime),
+// purging items that have been in the Trash past the retention period and recording how each
+// budget did in the periods that have ended
+connectDB().then(() => {
+  startRecurringScheduler();
+  startTrashPurger();
+  startBudgetPeriodCloser();
+
+  // Bank IDs used to be unique per user; they're unique per account now
+  Transaction.dropLegacyFitIdIndex()
+    .then(dropped => {
+      if (dropped) console.log('Dropped the per-user bank ID index');
+    })
+    .catch(error => console.error('Bank ID index migration failed:', error));
+
+  // Index descriptions saved before transaction search existed
+  Transaction.backfillSearchTokens()
+    .then(count => {
+      if (count > 0) console.log(`Indexed ${count} transaction descriptions for search`);
+    })
+    .catch(error => console.error('Search token backfill failed:', error));
+
+  // File transactions saved before accounts existed under each user's "Main" account
+  Account.migrateUnassignedTransactions()
+    .then(count => {
+      if (count > 0) console.log(`Moved ${count} transactions into default accounts`);
+    })
+    .catch(error => console.error('Account migration failed:', error))
+    // Then label those transactions with their account's currency
+    .then(() => Transaction.backfillCurrencies())
+    .then(count => {
+      if (count > 0) console.log(`Set the currency on ${count} transactions`);
+    })
+    .catch(error => console.error('Currency backfill failed:', error));
+}).catch(error => {
   console.error('Failed to connect to database:', error.message);
   console.log('Exiting application due to database connection failure');
   process.exit(1);
@@ -111,6 +156,13 @@ app.use('/api/budgets', csrfProtection, budgetRoutes);
 app.use('/api/dashboard', dashboardRoutes); // Read-only, no CSRF needed
 app.use('/api/goals', csrfProtection, goalRoutes);
 app.use('/api/reports', csrfProtection, reportRoutes);
+app.use('/api/recurring', csrfProtection, recurringRoutes);
+app.use('/api/accounts', csrfProtection, accountRoutes);
+app.use('/api/categories', csrfProtection, categoryRoutes);
+app.use('/api/category-rules', csrfProtection, categoryRuleRoutes);
+app.use('/api/payees', csrfProtection, payeeRoutes);
+app.use('/api/trash', csrfProtection, trashRoutes);
+app.use('/api/exchange-rates', csrfProtection, exchangeRateRoutes);
 
 // Add suspicious activity detection middleware
 app.use(detectSuspiciousActivity);
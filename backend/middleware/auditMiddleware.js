@@ -1,7 +1,7 @@
 import AuditLog from '../models/AuditLog.js';
 
 // Helper function to get client IP address
-const getClientIP = (req) => {
+export const getClientIP = (req) => {
   return req.headers['x-forwarded-for'] ||
          req.headers['x-real-ip'] ||
          req.connection.remoteAddress ||
@@ -18,8 +18,9 @@ const getSeverity = (action) => {
     'SUSPICIOUS_ACTIVITY', 'RATE_LIMIT_EXCEEDED'
   ];
   const mediumSeverityActions = [
-    'PASSWORD_CHANGE', 'PASSWORD_RESET_REQUEST', 'TRANSACTION_DELETE',
-    'BUDGET_DELETE', 'GOAL_DELETE', 'SETTINGS_CHANGE'
+    'PASSWORD_CHANGE', 'PASSWORD_RESET_REQUEST', 'TRANSACTION_DELETE', 'TRANSACTION_BULK_DELETE', 'TRANSACTION_UNLOCK', 'TRASH_PURGE',
+    'BUDGET_DELETE', 'GOAL_DELETE', 'MONEY_ACCOUNT_DELETE', 'CATEGORY_MERGE',
+    'CATEGORY_DELETE', 'SETTINGS_CHANGE'
   ];
   
   if (highSeverityActions.includes(action)) return 'HIGH';
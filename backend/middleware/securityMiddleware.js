@@ -174,4 +174,63 @@ export const additionalSecurity = (req, res, next) => {
   );
   
   next();
-};
\ No newline at end of file
+};
+
+// Upload limits for transaction attachments (receipts and documents)
+export const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+export const MAX_THUMBNAIL_BYTES = 100 * 1024;
+
+// Leading bytes each allowed file type starts with, so a declared type can't smuggle in something else
+const FILE_SIGNATURES = {
+  'image/jpeg': (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  'image/png': (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/webp': (buffer) => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP',
+  'application/pdf': (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-'
+};
+
+// Decode a base64 payload, rejecting anything that isn't strictly base64
+const decodeBase64 = (value) => {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(value)) return null;
+  return Buffer.from(value, 'base64');
+};
+
+// Enforce attachment size and type limits on a base64 upload ({ mimeType, content, thumbnail? })
+// and hand the decoded buffers on as req.upload
+export const attachmentUploadLimits = (req, res, next) => {
+  const { mimeType, content, thumbnail } = req.body;
+
+  if (!FILE_SIGNATURES[mimeType]) {
+    return res.status(415).json({
+      success: false,
+      message: 'Only JPEG, PNG, WebP and PDF files can be attached'
+    });
+  }
+
+  const file = decodeBase64(content);
+  if (!file || file.length === 0) {
+    return res.status(400).json({ success: false, message: 'File content must be base64 encoded' });
+  }
+  if (file.length > MAX_ATTACHMENT_BYTES) {
+    return res.status(413).json({
+      success: false,
+      message: `Files can be at most ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`
+    });
+  }
+  if (!FILE_SIGNATURES[mimeType](file)) {
+    return res.status(415).json({ success: false, message: 'File content does not match its type' });
+  }
+
+  let thumbnailFile = null;
+  if (thumbnail) {
+    thumbnailFile = decodeBase64(thumbnail);
+    if (!thumbnailFile || !FILE_SIGNATURES['image/jpeg'](thumbnailFile) || thumbnailFile.length > MAX_THUMBNAIL_BYTES) {
+      return res.status(400).json({
+        success: false,
+        message: `Thumbnails must be JPEG images of at most ${MAX_THUMBNAIL_BYTES / 1024} KB`
+      });
+    }
+  }
+
+  req.upload = { content: file, thumbnail: thumbnailFile };
+  next();
+};
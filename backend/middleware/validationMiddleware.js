@@ -1,4 +1,15 @@
 import { body, param, query, validationResult } from 'express-validator';
+import { DATE_FORMATS } from '../utils/importUtils.js';
+import { RECURRING_FREQUENCIES } from '../utils/recurrence.js';
+import { BUDGET_PERIODS, ROLLOVER_MODES } from '../utils/budgetPeriods.js';
+import { ACCOUNT_TYPES } from '../models/Account.js';
+import { CATEGORY_TYPES } from '../models/Category.js';
+import { MAX_PAYEE_MATCHERS } from '../models/Payee.js';
+import { ATTACHMENT_MIME_TYPES } from '../models/Attachment.js';
+import { MAX_BULK_TRANSACTIONS, TRANSACTION_STATUSES } from '../models/Transaction.js';
+import { CATEGORY_ICONS } from '../utils/categoryDefaults.js';
+import { MIN_SPLIT_LINES, MAX_SPLIT_LINES, splitsMatchAmount } from '../utils/splitUtils.js';
+import { MAX_TAGS, MAX_TAG_LENGTH, normalizeTag, normalizeTags } from '../utils/tags.js';
 
 // Middleware to handle validation errors
 export const handleValidationErrors = (req, res, next) => {
@@ -68,6 +79,17 @@ export const validateChangePassword = [
   handleValidationErrors
 ];
 
+// Profile preference rules
+export const validateProfileUpdate = [
+  body('baseCurrency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Base currency must be a valid 3-letter ISO code'),
+  handleValidationErrors
+];
+
 export const validateForgotPassword = [
   body('email')
     .trim()
@@ -98,8 +120,8 @@ export const validateResetPassword = [
   handleValidationErrors
  ];
 
-// Transaction validation rules
-export const validateTransaction = [
+// Transaction field rules (shared by single create/update and statement imports)
+export const transactionRules = [
   body('description')
     .trim()
     .isLength({ min: 1, max: 200 })
@@ -108,7 +130,9 @@ export const validateTransaction = [
   body('amount')
     .isFloat({ min: 0.01, max: 999999999 })
     .withMessage('Amount must be a positive number between 0.01 and 999,999,999'),
+  // Left out, the category comes from the user's categorization rules
   body('category')
+    .optional({ values: 'falsy' })
     .trim()
     .isLength({ min: 1, max: 50 })
     .withMessage('Category must be between 1 and 50 characters')
@@ -120,6 +144,882 @@ export const validateTransaction = [
     .optional()
     .isISO8601()
     .withMessage('Date must be in valid ISO format'),
+  body('accountId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid account ID format'),
+  // Left out, the payee comes from the description; null leaves the transaction without one
+  body('payeeId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid payee ID format'),
+  body('splits')
+    .optional()
+    .isArray({ max: MAX_SPLIT_LINES })
+    .withMessage(`Splits must be a list of at most ${MAX_SPLIT_LINES} lines`)
+    .bail()
+    .custom((splits, { req }) => {
+      if (splits.length === 0) return true;
+      if (splits.length < MIN_SPLIT_LINES) {
+        throw new Error(`A split needs at least ${MIN_SPLIT_LINES} lines`);
+      }
+      if (!splitsMatchAmount(splits, req.body.amount)) {
+        throw new Error('Split amounts must add up to the transaction amount');
+      }
+      return true;
+    }),
+  body('splits.*.amount')
+    .isFloat({ min: 0.01, max: 999999999 })
+    .withMessage('Split amount must be a positive number between 0.01 and 999,999,999'),
+  body('splits.*.category')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Split category must be between 1 and 50 characters')
+    .escape(),
+  body('splits.*.note')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Split note must not exceed 100 characters')
+    .escape()
+];
+
+// Tags on a transaction; normalised before they're checked
+const tagRules = [
+  body('tags')
+    .optional()
+    .isArray({ max: MAX_TAGS })
+    .withMessage(`Tags must be a list of at most ${MAX_TAGS} tags`)
+    .bail()
+    .customSanitizer(normalizeTags),
+  body('tags.*')
+    .isString()
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Tags must be between 1 and ${MAX_TAG_LENGTH} characters`)
+];
+
+// Transaction validation rules; a new transaction can start out cleared
+export const validateTransaction = [
+  ...transactionRules,
+  ...tagRules,
+  body('status')
+    .optional()
+    .isIn(['pending', 'cleared'])
+    .withMessage('Status must be either pending or cleared'),
+  handleValidationErrors
+];
+
+// Status change rules; a reconciled transaction set back to cleared or pending is unlocked
+export const validateTransactionStatus = [
+  body('status')
+    .isIn(['pending', 'cleared'])
+    .withMessage('Status must be either pending or cleared'),
+  handleValidationErrors
+];
+
+// Tag breakdown query rules
+export const validateTagBreakdownQuery = [
+  query('tag')
+    .optional()
+    .customSanitizer(value => (Array.isArray(value) ? value : [value]))
+    .custom(values => values.length <= 20 && values.every(value => typeof value === 'string' && value.length <= 500))
+    .withMessage('Invalid tag filter'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be in valid ISO format'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be in valid ISO format'),
+  handleValidationErrors
+];
+
+// Tag autocomplete query rules
+export const validateTagQuery = [
+  query('q')
+    .optional()
+    .isString()
+    .isLength({ max: MAX_TAG_LENGTH })
+    .withMessage(`Search text cannot exceed ${MAX_TAG_LENGTH} characters`)
+    .customSanitizer(normalizeTag),
+  handleValidationErrors
+];
+
+// Quick-add rules; the text is only parsed here, and is escaped when the draft is saved
+export const validateQuickAdd = [
+  body('text')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Entry must be between 1 and 200 characters'),
+  body('today')
+    .optional()
+    .isISO8601()
+    .withMessage('Today must be a date in ISO format'),
+  handleValidationErrors
+];
+
+// Duplicate merge validation rules
+export const validateDuplicateMerge = [
+  body('keepId')
+    .isMongoId()
+    .withMessage('Invalid transaction ID format'),
+  body('removeIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Remove IDs must be a list of 1-50 transaction IDs'),
+  body('removeIds.*')
+    .isMongoId()
+    .withMessage('Invalid transaction ID format'),
+  handleValidationErrors
+];
+
+// Duplicate dismissal validation rules
+export const validateDuplicateDismiss = [
+  body('ids')
+    .isArray({ min: 2, max: 50 })
+    .withMessage('IDs must be a list of 2-50 transaction IDs'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid transaction ID format'),
+  handleValidationErrors
+];
+
+// Bulk selection rules: either a list of IDs or the same filters the transaction list takes
+const bulkSelectionRules = [
+  body()
+    .custom(payload => (payload.ids === undefined) !== (payload.filter === undefined))
+    .withMessage('Provide either ids or filter, not both'),
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: MAX_BULK_TRANSACTIONS })
+    .withMessage(`IDs must be a list of 1-${MAX_BULK_TRANSACTIONS} transaction IDs`),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid transaction ID format'),
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('Filter must be an object'),
+  body('filter.type')
+    .optional()
+    .isIn(['income', 'expense', 'transfer'])
+    .withMessage('Type must be income, expense or transfer'),
+  body('filter.accountId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid account ID format'),
+  body('filter.payeeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid payee ID format'),
+  body('filter.status')
+    .optional()
+    .isIn(TRANSACTION_STATUSES)
+    .withMessage(`Status must be one of: ${TRANSACTION_STATUSES.join(', ')}`),
+  body(['filter.category', 'filter.tag'])
+    .optional()
+    .customSanitizer(value => (Array.isArray(value) ? value : [value]))
+    .custom(values => values.length <= 50 && values.every(value => typeof value === 'string' && value.length <= 500))
+    .withMessage('Invalid category or tag filter'),
+  body(['filter.startDate', 'filter.endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Filter dates must be in valid ISO format'),
+  body(['filter.minAmount', 'filter.maxAmount'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Filter amounts must be non-negative numbers'),
+  body('filter.search')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Search must not exceed 100 characters')
+];
+
+// Bulk edit validation rules
+export const validateBulkUpdate = [
+  ...bulkSelectionRules,
+  body('changes')
+    .isObject()
+    .withMessage('Changes are required')
+    .bail()
+    .custom(changes => ['category', 'type', 'date', 'addTags', 'removeTags'].some(field => changes[field] !== undefined))
+    .withMessage('Provide at least one of category, type, date, addTags or removeTags'),
+  body('changes.category')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category must be between 1 and 50 characters')
+    .escape(),
+  body('changes.type')
+    .optional()
+    .isIn(['income', 'expense'])
+    .withMessage('Type must be either income or expense'),
+  body('changes.date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be in valid ISO format'),
+  body(['changes.addTags', 'changes.removeTags'])
+    .optional()
+    .isArray({ min: 1, max: MAX_TAGS })
+    .withMessage(`Tag changes must be a list of 1-${MAX_TAGS} tags`)
+    .bail()
+    .customSanitizer(normalizeTags),
+  body(['changes.addTags.*', 'changes.removeTags.*'])
+    .isString()
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Tags must be between 1 and ${MAX_TAG_LENGTH} characters`),
+  handleValidationErrors
+];
+
+// Bulk delete validation rules
+export const validateBulkDelete = [
+  ...bulkSelectionRules,
+  handleValidationErrors
+];
+
+// Trash restore and purge validation rules
+export const validateTrashRequest = [
+  param('resource')
+    .isIn(['transactions', 'budgets', 'goals'])
+    .withMessage('Resource must be transactions, budgets or goals'),
+  body('ids')
+    .isArray({ min: 1, max: MAX_BULK_TRANSACTIONS })
+    .withMessage(`IDs must be a list of 1-${MAX_BULK_TRANSACTIONS} IDs`),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  handleValidationErrors
+];
+
+// Attachment upload validation rules (size and content checks are in attachmentUploadLimits)
+export const validateAttachment = [
+  body('filename')
+    .trim()
+    .notEmpty()
+    .withMessage('File name is required')
+    .isLength({ max: 255 })
+    .withMessage('File name cannot exceed 255 characters')
+    .not()
+    .matches(/[\/\\\x00-\x1f]/)
+    .withMessage('File name cannot contain slashes or control characters'),
+  body('mimeType')
+    .isIn(ATTACHMENT_MIME_TYPES)
+    .withMessage('Only JPEG, PNG, WebP and PDF files can be attached'),
+  body('content')
+    .isString()
+    .notEmpty()
+    .withMessage('File content is required'),
+  body('thumbnail')
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage('Thumbnail must be base64 encoded'),
+  handleValidationErrors
+];
+
+// Version number route parameter for transaction history (alongside validateObjectId)
+export const validateVersionParam = [
+  param('version')
+    .isInt({ min: 0 })
+    .withMessage('Version must be a whole number of 0 or more'),
+  handleValidationErrors
+];
+
+// Attachment ID route parameter (alongside validateObjectId for the transaction)
+export const validateAttachmentId = [
+  param('attachmentId')
+    .isMongoId()
+    .withMessage('Invalid attachment ID format'),
+  handleValidationErrors
+];
+
+// Transaction search/filter query rules (used alongside validatePagination)
+export const validateTransactionQuery = [
+  query('sort')
+    .optional()
+    .isIn(['date', 'amount', 'category', 'createdAt'])
+    .withMessage('Sort must be one of: date, amount, category, createdAt'),
+  query('type')
+    .optional()
+    .isIn(['income', 'expense', 'transfer'])
+    .withMessage('Type must be income, expense or transfer'),
+  query('accountId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid account ID format'),
+  query('payeeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid payee ID format'),
+  query('status')
+    .optional()
+    .isIn(TRANSACTION_STATUSES)
+    .withMessage(`Status must be one of: ${TRANSACTION_STATUSES.join(', ')}`),
+  query('category')
+    .optional()
+    .customSanitizer(value => (Array.isArray(value) ? value : [value]))
+    .custom(values => values.length <= 50 && values.every(value => typeof value === 'string' && value.length <= 500))
+    .withMessage('Invalid category filter'),
+  query('tag')
+    .optional()
+    .customSanitizer(value => (Array.isArray(value) ? value : [value]))
+    .custom(values => values.length <= 20 && values.every(value => typeof value === 'string' && value.length <= 500))
+    .withMessage('Invalid tag filter'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be in valid ISO format'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be in valid ISO format'),
+  query('minAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum amount must be a non-negative number'),
+  query('maxAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Maximum amount must be a non-negative number'),
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Search must not exceed 100 characters'),
+  handleValidationErrors
+];
+
+// Transfer field rules; `optional` makes every field optional for updates
+const transferRules = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('fromAccountId')
+      .isMongoId()
+      .withMessage('Invalid source account ID format'),
+    field('toAccountId')
+      .isMongoId()
+      .withMessage('Invalid destination account ID format'),
+    field('amount')
+      .isFloat({ min: 0.01, max: 999999999 })
+      .withMessage('Amount must be a positive number between 0.01 and 999,999,999'),
+    body('toAmount')
+      .optional()
+      .isFloat({ min: 0.01, max: 999999999 })
+      .withMessage('Amount received must be a positive number between 0.01 and 999,999,999'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Description must be between 1 and 200 characters')
+      .escape(),
+    body('date')
+      .optional()
+      .isISO8601()
+      .withMessage('Date must be in valid ISO format')
+  ];
+};
+
+// Transfer validation rules for creation
+export const validateTransfer = [
+  ...transferRules(),
+  handleValidationErrors
+];
+
+// Transfer validation rules for updates (all fields optional)
+export const validateTransferUpdate = [
+  ...transferRules(true),
+  handleValidationErrors
+];
+
+// Statement import validation rules
+export const validateImport = [
+  body('content')
+    .isString()
+    .isLength({ min: 1, max: 5000000 })
+    .withMessage('Statement content is required and must not exceed 5MB'),
+  body('format')
+    .optional()
+    .isIn(['csv', 'ofx', 'qif', 'alerts'])
+    .withMessage('Format must be csv, ofx, qif or alerts'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean(true),
+  body('mappingId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid mapping ID format'),
+  body('accountId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid account ID format'),
+  body('bankName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Bank name must be between 1 and 100 characters')
+    .escape(),
+  body('mapping.columns')
+    .optional()
+    .isObject()
+    .withMessage('Mapping columns must be an object'),
+  body('mapping.dateFormat')
+    .optional()
+    .isIn(DATE_FORMATS)
+    .withMessage(`Date format must be one of: ${DATE_FORMATS.join(', ')}`),
+  body('mapping.delimiter')
+    .optional()
+    .isIn([',', ';', '\t', '|'])
+    .withMessage('Delimiter must be a comma, semicolon, tab or pipe'),
+  body('mapping.hasHeader')
+    .optional()
+    .isBoolean()
+    .withMessage('hasHeader must be a boolean')
+    .toBoolean(true),
+  body('mapping.defaultCategory')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Default category must be between 1 and 50 characters')
+    .escape(),
+  // Bank alert template id; the parser rejects ids it doesn't know
+  body('mapping.bank')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Bank must be between 1 and 30 characters'),
+  handleValidationErrors
+];
+
+// Recurring transaction validation rules for creation
+export const validateRecurringTransaction = [
+  ...transactionRules,
+  body('frequency')
+    .isIn(RECURRING_FREQUENCIES)
+    .withMessage(`Frequency must be one of: ${RECURRING_FREQUENCIES.join(', ')}`),
+  body('interval')
+    .if(body('frequency').equals('every-n-days'))
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Interval must be a whole number of days between 1 and 365'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be in valid ISO format'),
+  body('endDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('End date must be in valid ISO format'),
+  body('transactionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid transaction ID format'),
+  handleValidationErrors
+];
+
+// Recurring transaction validation rules for updates (all fields optional)
+export const validateRecurringUpdate = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Description must be between 1 and 200 characters')
+    .escape(),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01, max: 999999999 })
+    .withMessage('Amount must be a positive number between 0.01 and 999,999,999'),
+  body('category')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category must be between 1 and 50 characters')
+    .escape(),
+  body('type')
+    .optional()
+    .isIn(['income', 'expense'])
+    .withMessage('Type must be either income or expense'),
+  body('frequency')
+    .optional()
+    .isIn(RECURRING_FREQUENCIES)
+    .withMessage(`Frequency must be one of: ${RECURRING_FREQUENCIES.join(', ')}`),
+  body('interval')
+    .if(body('frequency').equals('every-n-days'))
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Interval must be a whole number of days between 1 and 365'),
+  body('endDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('End date must be in valid ISO format'),
+  body('status')
+    .optional()
+    .isIn(['active', 'paused'])
+    .withMessage('Status must be active or paused'),
+  body('accountId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid account ID format'),
+  handleValidationErrors
+];
+
+// Account field rules; `optional` makes every field optional for updates
+const accountRules = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Account name must be between 1 and 50 characters')
+      .escape(),
+    field('type')
+      .isIn(ACCOUNT_TYPES)
+      .withMessage(`Account type must be one of: ${ACCOUNT_TYPES.join(', ')}`),
+    body('institution')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Institution must not exceed 100 characters')
+      .escape(),
+    body('currency')
+      .optional()
+      .trim()
+      .isISO4217()
+      .withMessage('Currency must be a valid 3-letter ISO code'),
+    body('openingBalance')
+      .optional()
+      .isFloat({ min: -999999999, max: 999999999 })
+      .withMessage('Opening balance must be a number between -999,999,999 and 999,999,999'),
+    body('isArchived')
+      .optional()
+      .isBoolean()
+      .withMessage('isArchived must be a boolean')
+      .toBoolean(true)
+  ];
+};
+
+// Account validation rules for creation
+export const validateAccount = [
+  ...accountRules(),
+  handleValidationErrors
+];
+
+// Account validation rules for updates (all fields optional)
+export const validateAccountUpdate = [
+  ...accountRules(true),
+  handleValidationErrors
+];
+
+// Exchange rate rules; `optional` makes every field optional for updates. `toCurrency`
+// defaults to the user's base currency.
+const exchangeRateRules = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('fromCurrency')
+      .trim()
+      .toUpperCase()
+      .isISO4217()
+      .withMessage('From currency must be a valid 3-letter ISO code'),
+    body('toCurrency')
+      .optional()
+      .trim()
+      .toUpperCase()
+      .isISO4217()
+      .withMessage('To currency must be a valid 3-letter ISO code'),
+    field('rate')
+      .isFloat({ gt: 0, max: 1000000000 })
+      .withMessage('Rate must be a positive number'),
+    field('date')
+      .isISO8601()
+      .withMessage('Date must be in valid ISO format')
+  ];
+};
+
+// Exchange rate validation rules for creation
+export const validateExchangeRate = [
+  ...exchangeRateRules(),
+  handleValidationErrors
+];
+
+// Exchange rate validation rules for updates (all fields optional)
+export const validateExchangeRateUpdate = [
+  ...exchangeRateRules(true),
+  handleValidationErrors
+];
+
+// Exchange rate list filter
+export const validateExchangeRateQuery = [
+  query('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Currency must be a valid 3-letter ISO code'),
+  handleValidationErrors
+];
+
+// Exchange rate CSV import validation rules
+export const validateExchangeRateImport = [
+  body('content')
+    .isString()
+    .isLength({ min: 1, max: 1000000 })
+    .withMessage('Rate file content is required and must not exceed 1MB'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean(true),
+  handleValidationErrors
+];
+
+// Reconciliation statement rules; `optional` makes both fields optional for updates
+const reconciliationRules = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('statementDate')
+      .isISO8601()
+      .withMessage('Statement date must be in valid ISO format'),
+    field('statementBalance')
+      .isFloat({ min: -999999999, max: 999999999 })
+      .withMessage('Statement balance must be a number between -999,999,999 and 999,999,999')
+  ];
+};
+
+// Reconciliation validation rules for starting one
+export const validateReconciliation = [
+  ...reconciliationRules(),
+  handleValidationErrors
+];
+
+// Reconciliation validation rules for changing the statement details
+export const validateReconciliationUpdate = [
+  ...reconciliationRules(true),
+  handleValidationErrors
+];
+
+// Ticking transactions off (or back on) during a reconciliation
+export const validateClearedMarks = [
+  body('ids')
+    .isArray({ min: 1, max: MAX_BULK_TRANSACTIONS })
+    .withMessage(`IDs must be a list of 1-${MAX_BULK_TRANSACTIONS} transaction IDs`),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid transaction ID format'),
+  body('cleared')
+    .isBoolean()
+    .withMessage('cleared must be a boolean')
+    .toBoolean(true),
+  handleValidationErrors
+];
+
+// Category validation rules; a category's type is fixed once created
+const categoryRules = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Category name must be between 1 and 50 characters')
+      .escape(),
+    ...(optional ? [] : [
+      body('type')
+        .isIn(CATEGORY_TYPES)
+        .withMessage(`Category type must be one of: ${CATEGORY_TYPES.join(', ')}`)
+    ]),
+    body('parentId')
+      .optional({ values: 'falsy' })
+      .isMongoId()
+      .withMessage('Invalid parent category ID'),
+    body('color')
+      .optional()
+      .matches(/^#[0-9A-Fa-f]{6}$/)
+      .withMessage('Color must be a hex code like #3B82F6'),
+    body('icon')
+      .optional()
+      .isIn(CATEGORY_ICONS)
+      .withMessage(`Icon must be one of: ${CATEGORY_ICONS.join(', ')}`)
+  ];
+};
+
+// Category validation rules for creation
+export const validateCategory = [
+  ...categoryRules(),
+  handleValidationErrors
+];
+
+// Category validation rules for updates (all fields optional)
+export const validateCategoryUpdate = [
+  ...categoryRules(true),
+  handleValidationErrors
+];
+
+// Category list query validation rules
+export const validateCategoryQuery = [
+  query('type')
+    .optional()
+    .isIn(CATEGORY_TYPES)
+    .withMessage(`Type must be one of: ${CATEGORY_TYPES.join(', ')}`),
+  handleValidationErrors
+];
+
+// Category merge validation rules
+export const validateCategoryMerge = [
+  body('targetId')
+    .isMongoId()
+    .withMessage('Invalid target category ID'),
+  handleValidationErrors
+];
+
+// Categorization rule validation rules; send an empty string to clear a condition
+const categoryRuleRules = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Rule name must not exceed 100 characters')
+      .escape(),
+    body('descriptionContains')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Description text must not exceed 100 characters')
+      .escape(),
+    body('minAmount')
+      .optional({ values: 'falsy' })
+      .isFloat({ min: 0, max: 999999999 })
+      .withMessage('Minimum amount must be a number between 0 and 999,999,999')
+      .toFloat(),
+    body('maxAmount')
+      .optional({ values: 'falsy' })
+      .isFloat({ min: 0, max: 999999999 })
+      .withMessage('Maximum amount must be a number between 0 and 999,999,999')
+      .toFloat(),
+    body('type')
+      .optional({ values: 'falsy' })
+      .isIn(['income', 'expense'])
+      .withMessage('Type must be either income or expense'),
+    body('accountId')
+      .optional({ values: 'falsy' })
+      .isMongoId()
+      .withMessage('Invalid account ID format'),
+    field('category')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Category must be between 1 and 50 characters')
+      .escape(),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+      .toBoolean(true)
+  ];
+};
+
+// Categorization rule validation rules for creation
+export const validateCategoryRule = [
+  ...categoryRuleRules(),
+  handleValidationErrors
+];
+
+// Categorization rule validation rules for updates (all fields optional)
+export const validateCategoryRuleUpdate = [
+  ...categoryRuleRules(true),
+  handleValidationErrors
+];
+
+// Categorization rule reorder validation rules
+export const validateCategoryRuleOrder = [
+  body('ids')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('IDs must be a list of rule IDs'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid rule ID format'),
+  handleValidationErrors
+];
+
+// Categorization rule re-run validation rules
+export const validateCategoryRuleApply = [
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean(true),
+  body('transactionIds')
+    .optional()
+    .isArray({ max: 5000 })
+    .withMessage('Transaction IDs must be a list'),
+  body('transactionIds.*')
+    .isMongoId()
+    .withMessage('Invalid transaction ID format'),
+  handleValidationErrors
+];
+
+// Payee validation rules; matchers are description text that always means the payee
+const payeeRules = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Payee name must be between 1 and 100 characters')
+      .escape(),
+    body('matchers')
+      .optional()
+      .isArray({ max: MAX_PAYEE_MATCHERS })
+      .withMessage(`Matchers must be a list of at most ${MAX_PAYEE_MATCHERS} entries`),
+    body('matchers.*')
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Matcher text must be between 2 and 100 characters')
+      .escape()
+  ];
+};
+
+// Payee validation rules for creation
+export const validatePayee = [
+  ...payeeRules(),
+  handleValidationErrors
+];
+
+// Payee validation rules for updates (all fields optional)
+export const validatePayeeUpdate = [
+  ...payeeRules(true),
+  handleValidationErrors
+];
+
+// Payee merge validation rules
+export const validatePayeeMerge = [
+  body('targetId')
+    .isMongoId()
+    .withMessage('Invalid target payee ID'),
+  handleValidationErrors
+];
+
+// Payee spending query rules
+export const validatePayeeAnalyticsQuery = [
+  query('payeeId')
+    .optional()
+    .customSanitizer(value => (Array.isArray(value) ? value : [value]))
+    .custom(values => values.length <= 50 && values.every(value => typeof value === 'string' && /^[0-9a-f]{24}$/i.test(value)))
+    .withMessage('Invalid payee filter'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be in valid ISO format'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be in valid ISO format'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
   handleValidationErrors
 ];
 
@@ -134,8 +1034,34 @@ export const validateBudget = [
     .isFloat({ min: 0.01, max: 999999999 })
     .withMessage('Amount must be a positive number between 0.01 and 999,999,999'),
   body('period')
-    .isIn(['weekly', 'monthly', 'yearly'])
-    .withMessage('Period must be weekly, monthly, or yearly'),
+    .isIn(BUDGET_PERIODS)
+    .withMessage('Period must be weekly, monthly, yearly, or custom')
+    .custom((value, { req }) => value !== 'custom' || (Boolean(req.body.startDate) && Boolean(req.body.endDate)))
+    .withMessage('A custom budget needs a start and end date'),
+  body('startDay')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 31 })
+    .withMessage('Start day must be a whole number')
+    .toInt()
+    .custom((value, { req }) => (req.body.period === 'weekly' ? value <= 6 : value >= 1))
+    .withMessage('Start day must be 0-6 (Sunday-Saturday) for weekly budgets and 1-31 for monthly and yearly ones'),
+  body('startMonth')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Start month must be between 1 and 12')
+    .toInt(),
+  body('rollover')
+    .optional()
+    .isIn(ROLLOVER_MODES)
+    .withMessage(`Rollover must be one of: ${ROLLOVER_MODES.join(', ')}`)
+    .custom((value, { req }) => value !== 'capped' || (req.body.rolloverCap !== undefined && req.body.rolloverCap !== null && req.body.rolloverCap !== ''))
+    .withMessage('A capped rollover needs a cap')
+    .custom((value, { req }) => value === 'none' || req.body.period !== 'custom')
+    .withMessage('A custom budget has a single period, so nothing rolls over'),
+  body('rolloverCap')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0.01, max: 999999999 })
+    .withMessage('Rollover cap must be a positive number between 0.01 and 999,999,999'),
   body('startDate')
     .optional()
     .isISO8601()
@@ -143,7 +1069,69 @@ export const validateBudget = [
   body('endDate')
     .optional()
     .isISO8601()
-    .withMessage('End date must be in valid ISO format'),
+    .withMessage('End date must be in valid ISO format')
+    .custom((value, { req }) => !req.body.startDate || new Date(value) >= new Date(req.body.startDate))
+    .withMessage('End date must be on or after the start date'),
+  handleValidationErrors
+];
+
+// Budget window query: a day inside the window, or how many periods back from the current one
+export const validateBudgetWindowQuery = [
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be in valid ISO format'),
+  query('offset')
+    .optional()
+    .isInt({ min: -520, max: 0 })
+    .withMessage('Offset must be between -520 and 0')
+    .toInt(),
+  handleValidationErrors
+];
+
+export const validateBudgetHistoryQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Limit must be between 1 and 60')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Envelope budgeting: months are written "YYYY-MM"
+const envelopeMonth = (field) => field
+  .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+  .withMessage('Month must be in YYYY-MM format');
+
+export const validateEnvelopeQuery = [
+  envelopeMonth(query('month').optional()),
+  handleValidationErrors
+];
+
+export const validateEnvelopeMonth = [
+  envelopeMonth(body('month')),
+  handleValidationErrors
+];
+
+// An empty side is the "to be assigned" pool
+export const validateAllocation = [
+  envelopeMonth(body('month')),
+  body('fromCategory')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category must be between 1 and 50 characters')
+    .escape(),
+  body('toCategory')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category must be between 1 and 50 characters')
+    .escape(),
+  body('amount')
+    .isFloat({ min: 0.01, max: 999999999 })
+    .withMessage('Amount must be a positive number between 0.01 and 999,999,999')
+    .toFloat(),
   handleValidationErrors
 ];
 
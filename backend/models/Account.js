@@ -0,0 +1,196 @@
+// backend/models/Account.js
+
+import mongoose from 'mongoose';
+import { encryptAmount, decryptAmount } from '../config/encryption.js';
+import { DEFAULT_CURRENCY } from '../utils/currency.js';
+
+// Kinds of account a user can hold money in (or owe money on)
+export const ACCOUNT_TYPES = ['checking', 'savings', 'cash', 'credit_card', 'wallet'];
+
+// Name of the account existing and unassigned transactions are filed under
+export const DEFAULT_ACCOUNT_NAME = 'Main';
+
+const accountSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true,
+    maxlength: [50, 'Account name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Account type is required'],
+    enum: ACCOUNT_TYPES
+  },
+  institution: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Institution cannot exceed 100 characters']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    default: DEFAULT_CURRENCY
+  },
+  openingBalance: {
+    type: mongoose.Schema.Types.Mixed, // Negative for money owed, e.g. a credit card
+    default: 0,
+    set: encryptAmount,
+    get: decryptAmount
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+// Account names are unique per user, and each user has at most one default account
+accountSchema.index({ userId: 1, name: 1 }, { unique: true });
+accountSchema.index(
+  { userId: 1, isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+// Signed effect of a transaction on its account's balance
+export const balanceDelta = (transaction) => {
+  const amount = Math.abs(decryptAmount(transaction.amount));
+  if (transaction.type === 'transfer') {
+    return transaction.transferDirection === 'in' ? amount : -amount;
+  }
+  return transaction.type === 'income' ? amount : -amount;
+};
+
+// Static methods
+accountSchema.statics.findByUserId = async function(userId, { includeArchived = true } = {}) {
+  const filter = { userId };
+  if (!includeArchived) filter.isArchived = false;
+  return this.find(filter).sort({ isDefault: -1, name: 1 });
+};
+
+accountSchema.statics.findByIdAndUserId = async function(id, userId) {
+  return this.findOne({ _id: id, userId });
+};
+
+// Static method to get (or create on first use) the user's default account
+accountSchema.statics.getDefaultAccount = async function(userId) {
+  const existing = await this.findOne({ userId, isDefault: true });
+  if (existing) return existing;
+
+  try {
+    return await this.create({ userId, name: DEFAULT_ACCOUNT_NAME, type: 'checking', isDefault: true });
+  } catch (error) {
+    // Created concurrently by another request
+    if (error.code !== 11000) throw error;
+    return this.findOne({ userId, isDefault: true });
+  }
+};
+
+// Static method to resolve the account a new or moved transaction goes to: the requested
+// account if the user owns it and it is open, the default account if none was requested
+accountSchema.statics.findForTransaction = async function(userId, accountId) {
+  if (!accountId) return this.getDefaultAccount(userId);
+  return this.findOne({ _id: accountId, userId, isArchived: false });
+};
+
+// Static method to get each account's current balance (opening balance plus its transactions)
+accountSchema.statics.getBalances = async function(userId, { includeArchived = true } = {}) {
+  const Transaction = mongoose.model('Transaction');
+  const accounts = await this.findByUserId(userId, { includeArchived });
+  const transactions = await Transaction.find({ userId, accountId: { $in: accounts.map(account => account._id) } })
+    .select('accountId amount type transferDirection')
+    .lean();
+
+  const movements = new Map();
+  transactions.forEach(transaction => {
+    const key = transaction.accountId.toString();
+    const current = movements.get(key) || { balance: 0, transactionCount: 0 };
+    current.balance += balanceDelta(transaction);
+    current.transactionCount += 1;
+    movements.set(key, current);
+  });
+
+  return accounts.map(account => {
+    const movement = movements.get(account._id.toString()) || { balance: 0, transactionCount: 0 };
+    return {
+      ...account.toJSON(),
+      balance: account.openingBalance + movement.balance,
+      transactionCount: movement.transactionCount
+    };
+  });
+};
+
+// Static method to get the net worth across a user's open accounts; with a converter
+// (see utils/currency.js), balances in other currencies count at today's rate
+accountSchema.statics.getTotalBalance = async function(userId, converter = null) {
+  const balances = await this.getBalances(userId, { includeArchived: false });
+  return balances.reduce((sum, account) => sum + (converter
+    ? converter.convert(account.balance, account.currency)
+    : account.balance), 0);
+};
+
+// Instance method to page through the account's transactions, newest first, each with
+// the balance after it was applied. Balances run in date order over the whole account,
+// so every row is read, but only the page's transactions are fetched in full.
+accountSchema.methods.getLedger = async function({ page = 1, limit = 25 } = {}) {
+  const Transaction = mongoose.model('Transaction');
+  const rows = await Transaction.find({ userId: this.userId, accountId: this._id })
+    .select('amount type transferDirection date createdAt')
+    .sort({ date: 1, createdAt: 1 })
+    .lean();
+
+  let balance = this.openingBalance;
+  const runningBalances = rows.map(row => {
+    balance += balanceDelta(row);
+    return { id: row._id.toString(), runningBalance: balance };
+  }).reverse();
+
+  const pageRows = runningBalances.slice((page - 1) * limit, page * limit);
+  const pageTransactions = await Transaction.find({ _id: { $in: pageRows.map(row => row.id) } });
+  const byId = new Map(pageTransactions.map(transaction => [transaction._id.toString(), transaction]));
+
+  return {
+    transactions: pageRows
+      .filter(row => byId.has(row.id))
+      .map(row => ({ ...byId.get(row.id).toJSON(), runningBalance: row.runningBalance })),
+    balance,
+    total: rows.length,
+    page,
+    limit
+  };
+};
+
+// Static method to file transactions saved before accounts existed under each user's default account
+accountSchema.statics.migrateUnassignedTransactions = async function() {
+  const Transaction = mongoose.model('Transaction');
+  const userIds = await Transaction.distinct('userId', { accountId: { $exists: false } });
+  let migrated = 0;
+
+  for (const userId of userIds) {
+    const account = await this.getDefaultAccount(userId);
+    const result = await Transaction.updateMany(
+      { userId, accountId: { $exists: false } },
+      { $set: { accountId: account._id } }
+    );
+    migrated += result.modifiedCount;
+  }
+
+  return migrated;
+};
+
+const Account = mongoose.model('Account', accountSchema);
+export default Account;
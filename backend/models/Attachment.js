@@ -0,0 +1,150 @@
+// backend/models/Attachment.js
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { encrypt, decrypt, encryptBuffer, decryptBuffer } from '../config/encryption.js';
+import { getAttachmentStorage } from '../utils/attachmentStorage.js';
+
+// File types a receipt or document can be uploaded as
+export const ATTACHMENT_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+export const MAX_ATTACHMENTS_PER_TRANSACTION = 10;
+
+// A receipt or document kept with a transaction. The file itself lives encrypted
+// in attachment storage; this record holds its metadata and storage keys.
+const attachmentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: [true, 'Transaction ID is required']
+  },
+  filename: {
+    type: String, // Receipt names often carry merchant names, so kept private
+    required: [true, 'File name is required'],
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters'],
+    set: encrypt,
+    get: decrypt
+  },
+  mimeType: {
+    type: String,
+    required: [true, 'File type is required'],
+    enum: {
+      values: ATTACHMENT_MIME_TYPES,
+      message: 'Unsupported file type'
+    }
+  },
+  size: {
+    type: Number, // Bytes before encryption
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  thumbnailKey: {
+    type: String,
+    default: null,
+    select: false
+  },
+  hasThumbnail: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+attachmentSchema.index({ userId: 1, transactionId: 1 });
+
+const newStorageKey = (userId) => `${userId}/${crypto.randomUUID()}`;
+
+// Remove stored blobs, logging rather than failing: the records are already gone,
+// and an orphaned encrypted blob is harmless
+const removeBlobs = async (attachments) => {
+  const storage = getAttachmentStorage();
+  const keys = attachments.flatMap(attachment => [attachment.storageKey, attachment.thumbnailKey].filter(Boolean));
+  await Promise.all(keys.map(key => storage.remove(key).catch(error => {
+    console.error('Attachment blob removal failed:', error);
+  })));
+};
+
+// Static methods
+attachmentSchema.statics.findByTransaction = async function(userId, transactionId) {
+  return this.find({ userId, transactionId }).sort({ createdAt: 1 });
+};
+
+attachmentSchema.statics.findByIdAndTransaction = async function(id, userId, transactionId) {
+  return this.findOne({ _id: id, userId, transactionId }).select('+storageKey +thumbnailKey');
+};
+
+// Static method to map each of the given transactions to its attachments, for list views
+attachmentSchema.statics.findForTransactions = async function(userId, transactionIds) {
+  const attachments = await this.find({ userId, transactionId: { $in: transactionIds } }).sort({ createdAt: 1 });
+  return attachments.reduce((byTransaction, attachment) => {
+    const key = attachment.transactionId.toString();
+    byTransaction.set(key, [...(byTransaction.get(key) || []), attachment]);
+    return byTransaction;
+  }, new Map());
+};
+
+// Static method to encrypt and store a file (and its optional thumbnail), then record it
+attachmentSchema.statics.store = async function(userId, transactionId, { filename, mimeType, content, thumbnail }) {
+  const storage = getAttachmentStorage();
+  const attachment = new this({
+    userId,
+    transactionId,
+    filename,
+    mimeType,
+    size: content.length,
+    storageKey: newStorageKey(userId),
+    thumbnailKey: thumbnail ? newStorageKey(userId) : null,
+    hasThumbnail: Boolean(thumbnail)
+  });
+  await attachment.validate();
+
+  try {
+    await storage.save(attachment.storageKey, encryptBuffer(content));
+    if (thumbnail) await storage.save(attachment.thumbnailKey, encryptBuffer(thumbnail));
+    await attachment.save();
+  } catch (error) {
+    await removeBlobs([attachment]);
+    throw error;
+  }
+
+  return attachment;
+};
+
+// Static method to delete every attachment of the given transactions, blobs included
+attachmentSchema.statics.deleteForTransactions = async function(userId, transactionIds) {
+  const attachments = await this.find({ userId, transactionId: { $in: transactionIds } })
+    .select('+storageKey +thumbnailKey');
+  if (attachments.length === 0) return 0;
+
+  await this.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+  await removeBlobs(attachments);
+  return attachments.length;
+};
+
+// Instance method to read the decrypted file, or its thumbnail
+attachmentSchema.methods.readContent = async function({ thumbnail = false } = {}) {
+  const key = thumbnail ? this.thumbnailKey : this.storageKey;
+  return decryptBuffer(await getAttachmentStorage().read(key));
+};
+
+// Instance method to delete the record and its stored blobs
+attachmentSchema.methods.deleteWithBlobs = async function() {
+  await this.deleteOne();
+  await removeBlobs([this]);
+};
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+export default Attachment;
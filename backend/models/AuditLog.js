@@ -26,12 +26,19 @@ const auditLogSchema = new mongoose.Schema({
       'TRANSACTION_UPDATE',
       'TRANSACTION_DELETE',
       'TRANSACTION_VIEW',
+      'TRANSACTION_BULK_UPDATE',
+      'TRANSACTION_BULK_DELETE',
+      'TRANSACTION_UNLOCK',
+      'ATTACHMENT_UPLOAD',
+      'ATTACHMENT_DELETE',
       
       // Budget events
       'BUDGET_CREATE',
       'BUDGET_UPDATE',
       'BUDGET_DELETE',
       'BUDGET_VIEW',
+      'BUDGET_ALLOCATE',
+      'BUDGET_ALLOCATION_DELETE',
       
       // Goal events
       'GOAL_CREATE',
@@ -40,6 +47,39 @@ const auditLogSchema = new mongoose.Schema({
       'GOAL_COMPLETE',
       'GOAL_VIEW',
       
+      // Trash events
+      'TRASH_RESTORE',
+      'TRASH_PURGE',
+      
+      // Money account events
+      'MONEY_ACCOUNT_CREATE',
+      'MONEY_ACCOUNT_UPDATE',
+      'MONEY_ACCOUNT_DELETE',
+      'MONEY_ACCOUNT_RECONCILE',
+      
+      // Exchange rate events
+      'EXCHANGE_RATE_CREATE',
+      'EXCHANGE_RATE_UPDATE',
+      'EXCHANGE_RATE_DELETE',
+      'EXCHANGE_RATE_IMPORT',
+      
+      // Category events
+      'CATEGORY_CREATE',
+      'CATEGORY_UPDATE',
+      'CATEGORY_MERGE',
+      'CATEGORY_DELETE',
+      'CATEGORY_RULE_CREATE',
+      'CATEGORY_RULE_UPDATE',
+      'CATEGORY_RULE_DELETE',
+      'CATEGORY_RULE_APPLY',
+      
+      // Payee events
+      'PAYEE_CREATE',
+      'PAYEE_UPDATE',
+      'PAYEE_MERGE',
+      'PAYEE_DELETE',
+      'PAYEE_ASSIGN',
+      
       // Profile events
       'PROFILE_UPDATE',
       'PROFILE_VIEW',
@@ -49,6 +89,7 @@ const auditLogSchema = new mongoose.Schema({
       'RATE_LIMIT_EXCEEDED',
       'UNAUTHORIZED_ACCESS',
       'DATA_EXPORT',
+      'DATA_IMPORT',
       'SETTINGS_CHANGE'
     ]
   },
@@ -1,5 +1,14 @@
 import mongoose from 'mongoose';
 import { encryptAmount, decryptAmount } from '../config/encryption.js';
+import { softDeletePlugin } from '../utils/softDelete.js';
+import { BUDGET_PERIODS, ROLLOVER_MODES, getBudgetWindow, formatBudgetWindow, getCarryOver } from '../utils/budgetPeriods.js';
+import { getCategoryAmount } from '../utils/splitUtils.js';
+import Transaction from './Transaction.js';
+import ExchangeRate from './ExchangeRate.js';
+import BudgetSnapshot from './BudgetSnapshot.js';
+
+// Most past windows a rollover is worked out over (ten years of weekly budgets)
+const MAX_ROLLOVER_WINDOWS = 520;
 
 const budgetSchema = new mongoose.Schema({
   userId: {
@@ -21,16 +30,26 @@ const budgetSchema = new mongoose.Schema({
   period: {
     type: String,
     required: [true, 'Budget period is required'],
-    enum: ['monthly', 'weekly', 'yearly'],
+    enum: BUDGET_PERIODS,
     default: 'monthly'
   },
+  startDay: {
+    type: Number, // Weekday (0-6, Sunday first) or day of the month (1-31) each window starts on
+    min: [0, 'Start day must be between 0 and 31'],
+    max: [31, 'Start day must be between 0 and 31']
+  },
+  startMonth: {
+    type: Number, // Month (1-12) yearly windows start in
+    min: [1, 'Start month must be between 1 and 12'],
+    max: [12, 'Start month must be between 1 and 12']
+  },
   startDate: {
-    type: Date,
+    type: Date, // A custom budget's first day; for the others, the window the budget was created in
     required: [true, 'Start date is required'],
     default: Date.now
   },
   endDate: {
-    type: Date,
+    type: Date, // Day after the window, like every window end
     required: [true, 'End date is required']
   },
   spent: {
@@ -42,6 +61,19 @@ const budgetSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  rollover: {
+    type: String,
+    enum: ROLLOVER_MODES,
+    default: 'none'
+  },
+  rolloverCap: {
+    type: mongoose.Schema.Types.Mixed, // Most a capped rollover carries; encrypted like the amount
+    set: encryptAmount,
+    get: decryptAmount
+  },
+  rolloverSince: {
+    type: Date // Carrying starts from the window containing this day (when rollover was turned on)
   }
 }, {
   timestamps: true,
@@ -49,6 +81,13 @@ const budgetSchema = new mongoose.Schema({
   toObject: { getters: true }
 });
 
+// Deleted budgets wait in the Trash until they're restored or purged; their history goes with them
+budgetSchema.plugin(softDeletePlugin, {
+  onPurge: async (budgets) => {
+    await BudgetSnapshot.deleteForBudgets(budgets.map(budget => budget._id));
+  }
+});
+
 // Ensure getters are applied when converting to JSON
 budgetSchema.set('toJSON', { 
   getters: true,
@@ -60,6 +99,9 @@ budgetSchema.set('toJSON', {
     if (ret.spent && typeof ret.spent === 'string') {
       ret.spent = decryptAmount(ret.spent);
     }
+    if (ret.rolloverCap && typeof ret.rolloverCap === 'string') {
+      ret.rolloverCap = decryptAmount(ret.rolloverCap);
+    }
     return ret;
   }
 });
@@ -69,6 +111,89 @@ budgetSchema.statics.findByUserId = async function(userId) {
   return this.find({ userId }).sort({ createdAt: -1 });
 };
 
+// Static method to find an existing budget the given one would duplicate (see budgetsConflict
+// in utils/budgetPeriods.js), leaving out the budgets in `excludeIds`
+budgetSchema.statics.findConflict = async function(userId, { category, period, startDate, endDate }, excludeIds = []) {
+  const filter = { userId, category, period, _id: { $nin: excludeIds } };
+  if (period === 'custom') {
+    filter.startDate = { $lt: endDate };
+    filter.endDate = { $gt: startDate };
+  }
+  return this.findOne(filter);
+};
+
+// Instance method to explain why a budget blocks another one, for error messages
+budgetSchema.methods.describeConflict = function() {
+  if (this.period !== 'custom') {
+    return `You already have a ${this.period} budget for ${this.category}`;
+  }
+  const { startDate, endDate } = formatBudgetWindow(this.getWindow());
+  const day = (date) => date.toISOString().slice(0, 10);
+  return `Your ${this.category} budget for ${day(startDate)} to ${day(endDate)} overlaps these dates`;
+};
+
+// Instance method to get the window of the budget's period containing `at` (or `offset`
+// periods from it); see utils/budgetPeriods.js
+budgetSchema.methods.getWindow = function(at = new Date(), offset = 0) {
+  return getBudgetWindow(this, at, offset);
+};
+
+// Static method to total each budget's spending in a window of its own period: the one
+// containing `at`, or `offset` periods from it. Split lines count under their own category
+// and amounts are in the base currency. Budgets with a rollover also get what earlier windows
+// carried into this one, walked forward from the window rollover was turned on in. Returns a
+// Map from budget ID to { window: { startDate, endDate }, spent, transactionCount, carriedIn, available }.
+budgetSchema.statics.getSpending = async function(userId, budgets, { at = new Date(), offset = 0, converter } = {}) {
+  const spending = new Map();
+  if (budgets.length === 0) return spending;
+
+  const windows = budgets.map(budget => budget.getWindow(at, offset));
+  const rolloverStarts = budgets.map((budget, index) => {
+    if (budget.rollover === 'none' || !budget.rolloverSince) return null;
+    const first = budget.getWindow(budget.rolloverSince);
+    return first.start < windows[index].start ? first : null;
+  });
+  const earliest = [...windows, ...rolloverStarts.filter(Boolean)].map(window => window.start);
+
+  const transactions = await Transaction.find({
+    userId,
+    type: 'expense',
+    date: {
+      $gte: new Date(Math.min(...earliest)),
+      $lt: new Date(Math.max(...windows.map(window => window.end)))
+    }
+  });
+  const rates = converter || await ExchangeRate.getConverter(userId);
+
+  budgets.forEach((budget, index) => {
+    // This budget's share of each transaction, in the base currency
+    const lines = transactions
+      .map(transaction => ({ transaction, amount: getCategoryAmount(transaction, budget.category) }))
+      .filter(line => line.amount !== 0)
+      .map(({ transaction, amount }) => ({ date: transaction.date, amount: rates.convertTransaction(transaction, amount) }));
+    const inWindow = ({ start, end }) => lines.filter(line => line.date >= start && line.date < end);
+
+    let carriedIn = 0;
+    let window = rolloverStarts[index];
+    for (let count = 0; window && window.start < windows[index].start && count < MAX_ROLLOVER_WINDOWS; count++) {
+      const spent = inWindow(window).reduce((sum, line) => sum + line.amount, 0);
+      carriedIn = getCarryOver(budget, budget.amount + carriedIn - spent);
+      window = budget.getWindow(window.start, 1);
+    }
+
+    const current = inWindow(windows[index]);
+    spending.set(budget._id.toString(), {
+      window: formatBudgetWindow(windows[index]),
+      spent: current.reduce((sum, line) => sum + line.amount, 0),
+      transactionCount: current.length,
+      carriedIn,
+      available: budget.amount + carriedIn
+    });
+  });
+
+  return spending;
+};
+
 // Removed findByIdAndUserId static method to prevent ObjectId casting errors
 // Use native mongoose methods directly in controllers
 
@@ -0,0 +1,265 @@
+// backend/models/BudgetAllocation.js
+
+import mongoose from 'mongoose';
+import Transaction from './Transaction.js';
+import Budget from './Budget.js';
+import ExchangeRate from './ExchangeRate.js';
+import User from './User.js';
+import { encryptAmount, decryptAmount } from '../config/encryption.js';
+import { getCategoryLines } from '../utils/splitUtils.js';
+import { toMonthStart, addMonths, formatMonth } from '../utils/budgetPeriods.js';
+import { runInTransaction } from '../utils/dbTransaction.js';
+
+// One movement of money in envelope (zero-based) budgeting, in the base currency: from the
+// "to be assigned" pool into a category's envelope (no fromCategory), from an envelope back to
+// the pool (no toCategory), or between two envelopes. Envelope balances are never stored;
+// they're worked out from these events and the month's transactions.
+const budgetAllocationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  month: {
+    type: Date, // First day of the month, UTC
+    required: [true, 'Month is required'],
+    set: toMonthStart
+  },
+  fromCategory: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  toCategory: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  amount: {
+    type: mongoose.Schema.Types.Mixed, // Allow both Number and String (encrypted)
+    required: [true, 'Amount is required'],
+    set: encryptAmount,
+    get: decryptAmount
+  }
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+budgetAllocationSchema.index({ userId: 1, month: 1 });
+
+budgetAllocationSchema.set('toJSON', {
+  getters: true,
+  transform: function(doc, ret) {
+    if (ret.amount && typeof ret.amount === 'string') {
+      ret.amount = decryptAmount(ret.amount);
+    }
+    ret.month = formatMonth(doc.month);
+    return ret;
+  }
+});
+
+budgetAllocationSchema.pre('validate', function(next) {
+  if (!this.fromCategory && !this.toCategory) {
+    this.invalidate('toCategory', 'An allocation needs a category to move money from or to');
+  } else if (this.fromCategory === this.toCategory) {
+    this.invalidate('toCategory', 'Money has to move between two different envelopes');
+  }
+  next();
+});
+
+// Static method to list a month's allocation events, newest first
+budgetAllocationSchema.statics.findByMonth = async function(userId, month) {
+  return this.find({ userId, month: toMonthStart(month) }).sort({ createdAt: -1 });
+};
+
+// Static method to work out envelope budgeting for a month. Income from the month the user
+// started (their first allocation) lands in the pool; `toBeAssigned` is what's left of it once
+// allocations take their share. Per category: `assigned` is what the month's allocations put in
+// (net of moves out), `activity` the month's spending (negative), and `available` what's in the
+// envelope now, carried over from earlier months in full, so overspending leaves it negative.
+// `budgeted` is the category's monthly budget, as a target to assign towards. `excludeId` leaves
+// one allocation out, to see the envelopes as they'd be without it.
+budgetAllocationSchema.statics.getEnvelopes = async function(userId, month, { session, excludeId } = {}) {
+  const target = toMonthStart(month);
+  const end = addMonths(target, 1);
+  const first = await this.findOne({ userId }).sort({ month: 1 }).select('month').session(session || null);
+  const start = first && first.month < target ? first.month : target;
+
+  const [allocations, transactions, budgets, converter] = await Promise.all([
+    this.find({ userId, month: { $gte: start, $lt: end }, ...(excludeId && { _id: { $ne: excludeId } }) })
+      .session(session || null),
+    Transaction.find({ userId, type: { $in: ['income', 'expense'] }, date: { $gte: start, $lt: end } })
+      .select('amount currency type category splits date'),
+    Budget.find({ userId, period: 'monthly' }),
+    ExchangeRate.getConverter(userId)
+  ]);
+
+  const envelopes = new Map();
+  const envelope = (category) => {
+    if (!envelopes.has(category)) {
+      envelopes.set(category, { category, budgeted: null, assigned: 0, activity: 0, available: 0 });
+    }
+    return envelopes.get(category);
+  };
+
+  let income = 0;
+  let monthIncome = 0;
+  let allocated = 0;
+
+  allocations.forEach(allocation => {
+    const inMonth = allocation.month.getTime() === target.getTime();
+    const amount = allocation.amount;
+    if (allocation.fromCategory) {
+      const from = envelope(allocation.fromCategory);
+      from.available -= amount;
+      if (inMonth) from.assigned -= amount;
+    } else {
+      allocated += amount;
+    }
+    if (allocation.toCategory) {
+      const to = envelope(allocation.toCategory);
+      to.available += amount;
+      if (inMonth) to.assigned += amount;
+    } else {
+      allocated -= amount;
+    }
+  });
+
+  transactions.forEach(transaction => {
+    const inMonth = transaction.date >= target;
+    if (transaction.type === 'income') {
+      const amount = converter.convertTransaction(transaction);
+      income += amount;
+      if (inMonth) monthIncome += amount;
+      return;
+    }
+    // Split lines come out of their own envelopes
+    getCategoryLines(transaction).forEach(line => {
+      const spent = converter.convertTransaction(transaction, line.amount);
+      const lineEnvelope = envelope(line.category);
+      lineEnvelope.available -= spent;
+      if (inMonth) lineEnvelope.activity -= spent;
+    });
+  });
+
+  budgets.forEach(budget => {
+    const budgetEnvelope = envelope(budget.category);
+    budgetEnvelope.budgeted = (budgetEnvelope.budgeted || 0) + budget.amount;
+  });
+
+  const rows = [...envelopes.values()].sort((a, b) => a.category.localeCompare(b.category));
+  const sum = (field) => rows.reduce((total, row) => total + row[field], 0);
+
+  return {
+    month: formatMonth(target),
+    startMonth: formatMonth(start),
+    income: monthIncome,
+    toBeAssigned: income - allocated,
+    totals: { assigned: sum('assigned'), activity: sum('activity'), available: sum('available') },
+    envelopes: rows,
+    baseCurrency: converter.baseCurrency,
+    unconvertedCurrencies: converter.getUnconvertedCurrencies()
+  };
+};
+
+const toCents = (amount) => Math.round(amount * 100);
+
+// Run `work(session)` in a transaction that first claims the user's envelopes: concurrent
+// allocations write the same user document, so one of them retries and sees the other's money
+// already moved
+const withEnvelopeLock = (userId, work) => runInTransaction(async (session) => {
+  await User.updateOne({ _id: userId }, { $inc: { envelopeRevision: 1 } }, { session, timestamps: false });
+  return work(session);
+});
+
+// Why the money can't be moved, or null: money can only leave the pool or an envelope if it's there
+const findShortfall = (data, { fromCategory, amount }) => {
+  if (!fromCategory) {
+    return toCents(amount) > toCents(data.toBeAssigned)
+      ? `Only ${data.toBeAssigned.toFixed(2)} is left to assign`
+      : null;
+  }
+  const envelope = data.envelopes.find(row => row.category === fromCategory);
+  const available = envelope ? envelope.available : 0;
+  return toCents(amount) > toCents(available)
+    ? `Only ${Math.max(0, available).toFixed(2)} is available in ${fromCategory}`
+    : null;
+};
+
+// Static method to move money, if the pool or envelope it comes from holds enough. Returns
+// { allocation } or { error } with the reason it can't be moved.
+budgetAllocationSchema.statics.allocate = async function(userId, { month, fromCategory, toCategory, amount }) {
+  return withEnvelopeLock(userId, async (session) => {
+    const data = await this.getEnvelopes(userId, month, { session });
+    const error = findShortfall(data, { fromCategory, amount });
+    if (error) return { error };
+
+    const [allocation] = await this.create([{
+      userId,
+      month,
+      fromCategory: fromCategory || null,
+      toCategory: toCategory || null,
+      amount
+    }], { session });
+    return { allocation };
+  });
+};
+
+// Static method to undo a move, if the side the money went to still holds it. Returns null when
+// there's no such allocation, { error } when undoing it would leave the pool or the envelope below
+// zero, else { allocation }, the one removed.
+budgetAllocationSchema.statics.removeAllocation = async function(userId, id) {
+  return withEnvelopeLock(userId, async (session) => {
+    const allocation = await this.findOne({ _id: id, userId }).session(session);
+    if (!allocation) return null;
+
+    const data = await this.getEnvelopes(userId, allocation.month, { session, excludeId: allocation._id });
+    if (!allocation.toCategory) {
+      if (toCents(data.toBeAssigned) < 0) {
+        return { error: `Undoing this move would leave ${data.toBeAssigned.toFixed(2)} to assign; the money has been assigned since` };
+      }
+    } else {
+      const envelope = data.envelopes.find(row => row.category === allocation.toCategory);
+      const available = envelope ? envelope.available : 0;
+      if (toCents(available) < 0) {
+        return { error: `Undoing this move would leave ${available.toFixed(2)} in ${allocation.toCategory}; the money has been spent or moved since` };
+      }
+    }
+
+    await this.deleteOne({ _id: allocation._id }, { session });
+    return { allocation };
+  });
+};
+
+// Static method to assign each envelope what its monthly budget still needs this month, as far
+// as the money left to assign goes (envelopes in name order). Returns { allocations }, or
+// { error } when nothing needs assigning or nothing is left to assign, so a repeated request
+// doesn't assign the gap twice.
+budgetAllocationSchema.statics.assignBudgeted = async function(userId, month) {
+  return withEnvelopeLock(userId, async (session) => {
+    const { envelopes, toBeAssigned } = await this.getEnvelopes(userId, month, { session });
+    const gaps = envelopes.filter(row => row.budgeted !== null && toCents(row.budgeted) > toCents(row.assigned));
+    if (gaps.length === 0) {
+      return { error: 'Every envelope already has its budgeted amount this month' };
+    }
+
+    let left = toCents(toBeAssigned);
+    const allocations = [];
+    gaps.forEach(row => {
+      const cents = Math.min(toCents(row.budgeted) - toCents(row.assigned), left);
+      if (cents <= 0) return;
+      left -= cents;
+      allocations.push({ userId, month, toCategory: row.category, amount: cents / 100 });
+    });
+    if (allocations.length === 0) {
+      return { error: 'There is no money left to assign' };
+    }
+
+    return { allocations: await this.insertMany(allocations, { session }) };
+  });
+};
+
+const BudgetAllocation = mongoose.model('BudgetAllocation', budgetAllocationSchema);
+export default BudgetAllocation;
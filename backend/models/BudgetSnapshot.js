@@ -0,0 +1,96 @@
+// backend/models/BudgetSnapshot.js
+
+import mongoose from 'mongoose';
+import { encryptAmount, decryptAmount } from '../config/encryption.js';
+import { BUDGET_PERIODS } from '../utils/budgetPeriods.js';
+
+// Amounts are stored encrypted, like the budget's own
+const encryptedAmount = {
+  type: mongoose.Schema.Types.Mixed, // Allow both Number and String (encrypted)
+  default: 0,
+  set: encryptAmount,
+  get: decryptAmount
+};
+
+const AMOUNT_FIELDS = ['budgeted', 'carriedIn', 'available', 'spent', 'remaining'];
+
+// How a budget did in one closed window of its period, recorded when the window ends so later
+// edits to the budget (or late transactions) don't rewrite its history
+const budgetSnapshotSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  budgetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Budget',
+    required: [true, 'Budget ID is required']
+  },
+  period: {
+    type: String,
+    enum: BUDGET_PERIODS,
+    required: [true, 'Budget period is required']
+  },
+  startDate: {
+    type: Date, // First day of the window
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date, // Last day of the window, inclusive
+    required: [true, 'End date is required']
+  },
+  budgeted: encryptedAmount,
+  carriedIn: encryptedAmount,
+  available: encryptedAmount,
+  spent: encryptedAmount,
+  remaining: encryptedAmount,
+  percentage: {
+    type: Number, // Spent as a share of available, not capped at 100
+    default: 0
+  },
+  transactionCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['good', 'warning', 'over'],
+    default: 'good'
+  }
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+// One snapshot per budget window, so closing a window twice is harmless
+budgetSnapshotSchema.index({ budgetId: 1, startDate: 1 }, { unique: true });
+budgetSnapshotSchema.index({ userId: 1, budgetId: 1, startDate: -1 });
+
+budgetSnapshotSchema.set('toJSON', {
+  getters: true,
+  transform: function(doc, ret) {
+    AMOUNT_FIELDS.forEach(field => {
+      if (ret[field] && typeof ret[field] === 'string') {
+        ret[field] = decryptAmount(ret[field]);
+      }
+    });
+    return ret;
+  }
+});
+
+// Static method to get a budget's last `limit` closed windows, oldest first
+budgetSnapshotSchema.statics.findHistory = async function(userId, budgetId, limit = 12) {
+  const snapshots = await this.find({ userId, budgetId }).sort({ startDate: -1 }).limit(limit);
+  return snapshots.reverse();
+};
+
+// Static method to remove the history of budgets being purged
+budgetSnapshotSchema.statics.deleteForBudgets = async function(budgetIds) {
+  const result = await this.deleteMany({ budgetId: { $in: budgetIds } });
+  return result.deletedCount;
+};
+
+const BudgetSnapshot = mongoose.model('BudgetSnapshot', budgetSnapshotSchema);
+export default BudgetSnapshot;
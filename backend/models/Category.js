@@ -0,0 +1,223 @@
+// backend/models/Category.js
+
+import mongoose from 'mongoose';
+import Transaction, { TRANSFER_CATEGORY } from './Transaction.js';
+import RecurringTransaction from './RecurringTransaction.js';
+import Budget from './Budget.js';
+import BudgetAllocation from './BudgetAllocation.js';
+import Goal from './Goal.js';
+import CategoryRule from './CategoryRule.js';
+import { runInTransaction } from '../utils/dbTransaction.js';
+import { SPLIT_CATEGORY } from '../utils/splitUtils.js';
+import { DEFAULT_CATEGORIES, CATEGORY_ICONS, DEFAULT_CATEGORY_COLOR } from '../utils/categoryDefaults.js';
+
+export const CATEGORY_TYPES = ['income', 'expense'];
+
+// Names the app assigns itself, which can't be managed as categories
+export const RESERVED_CATEGORY_NAMES = [SPLIT_CATEGORY, TRANSFER_CATEGORY];
+
+const categorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Category type is required'],
+    enum: CATEGORY_TYPES
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9A-Fa-f]{6}$/, 'Color must be a hex code like #3B82F6'],
+    default: DEFAULT_CATEGORY_COLOR
+  },
+  icon: {
+    type: String,
+    enum: CATEGORY_ICONS,
+    default: 'tag'
+  }
+}, {
+  timestamps: true
+});
+
+// Names are unique per user and type, since transactions refer to categories by name
+categorySchema.index({ userId: 1, type: 1, name: 1 }, { unique: true });
+categorySchema.index({ userId: 1, parentId: 1 });
+
+// Categories nest one level deep: a parent must be a top-level category of the same type
+categorySchema.pre('validate', async function() {
+  if (!this.parentId) return;
+
+  if (this.parentId.equals(this._id)) {
+    this.invalidate('parentId', 'A category cannot be its own parent');
+    return;
+  }
+
+  const parent = await this.constructor.findOne({ _id: this.parentId, userId: this.userId });
+  if (!parent) {
+    this.invalidate('parentId', 'Parent category not found');
+  } else if (parent.parentId) {
+    this.invalidate('parentId', 'Subcategories cannot have their own subcategories');
+  } else if (parent.type !== this.type) {
+    this.invalidate('parentId', 'A subcategory must have the same type as its parent');
+  } else if (!this.isNew && await this.constructor.exists({ parentId: this._id })) {
+    this.invalidate('parentId', 'A category with subcategories cannot become a subcategory');
+  }
+});
+
+// Static methods
+categorySchema.statics.findByUserId = async function(userId, { type } = {}) {
+  const filter = { userId };
+  if (type) filter.type = type;
+  return this.find(filter).sort({ type: 1, name: 1 });
+};
+
+categorySchema.statics.findByIdAndUserId = async function(id, userId) {
+  return this.findOne({ _id: id, userId });
+};
+
+// Static method to seed a user's categories on first use: the defaults, plus any
+// names already on their transactions so existing history stays categorised
+categorySchema.statics.ensureDefaults = async function(userId) {
+  if (await this.exists({ userId })) return;
+
+  const seeds = new Map();
+  const addSeed = (type, name, extra = {}) => {
+    if (!name || RESERVED_CATEGORY_NAMES.includes(name)) return;
+    const key = `${type}:${name}`;
+    if (!seeds.has(key)) seeds.set(key, { userId, type, name, ...extra });
+  };
+
+  CATEGORY_TYPES.forEach(type => {
+    DEFAULT_CATEGORIES[type].forEach(({ name, color, icon }) => addSeed(type, name, { color, icon }));
+  });
+
+  const transactions = await Transaction.find({ userId, type: { $in: CATEGORY_TYPES } })
+    .select('type category splits.category')
+    .lean();
+  transactions.forEach(transaction => {
+    addSeed(transaction.type, transaction.category);
+    (transaction.splits || []).forEach(split => addSeed(transaction.type, split.category));
+  });
+
+  try {
+    await this.insertMany([...seeds.values()], { ordered: false });
+  } catch (error) {
+    // Seeded concurrently by another request
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Point everything filed under the `from` category at `to` instead
+const repointReferences = async (userId, type, from, to, session) => {
+  await Transaction.updateMany({ userId, type, category: from }, { $set: { category: to } }, { session });
+  await Transaction.updateMany(
+    { userId, type, 'splits.category': from },
+    { $set: { 'splits.$[line].category': to } },
+    { arrayFilters: [{ 'line.category': from }], session }
+  );
+  await RecurringTransaction.updateMany({ userId, type, category: from }, { $set: { category: to } }, { session });
+  // Budgets only track spending; goals aren't typed, so any goal with the name follows it
+  if (type === 'expense') {
+    await Budget.updateMany({ userId, category: from }, { $set: { category: to } }, { session });
+    await BudgetAllocation.updateMany({ userId, fromCategory: from }, { $set: { fromCategory: to } }, { session });
+    await BudgetAllocation.updateMany({ userId, toCategory: from }, { $set: { toCategory: to } }, { session });
+  }
+  await Goal.updateMany({ userId, category: from }, { $set: { category: to } }, { session });
+  // Rules for either type file transactions of this type too
+  await CategoryRule.updateMany({ userId, category: from, type: { $in: [type, null] } }, { $set: { category: to } }, { session });
+};
+
+// Instance method to rename the category along with everything filed under it
+categorySchema.methods.rename = async function(name) {
+  const oldName = this.name;
+  if (name === oldName) return this;
+
+  return runInTransaction(async (session) => {
+    this.name = name;
+    await this.save({ session });
+    await repointReferences(this.userId, this.type, oldName, name, session);
+    return this;
+  });
+};
+
+// Instance method to explain why merging into `target` would break a uniqueness rule (one budget
+// per category and period, one active goal per category and type), or null when it's safe
+categorySchema.methods.findMergeConflict = async function(target) {
+  const { userId } = this;
+  if (this.type === 'expense') {
+    const budgets = await Budget.find({ userId, category: this.name });
+    for (const budget of budgets) {
+      const existing = await Budget.findConflict(userId, { ...budget.toObject(), category: target.name }, [budget._id]);
+      if (existing) return `${existing.describeConflict()}; delete one of the two budgets first`;
+    }
+  }
+
+  const goals = await Goal.find({ userId, category: this.name, status: 'active' }).select('type');
+  if (goals.length > 0) {
+    const existing = await Goal.findOne({
+      userId,
+      category: target.name,
+      status: 'active',
+      type: { $in: goals.map(goal => goal.type) }
+    }).select('category type');
+    if (existing) {
+      return `You already have an active ${existing.type} goal for ${existing.category}. Complete or pause one of the two goals first.`;
+    }
+  }
+  return null;
+};
+
+// Instance method to fold this category into `target`: its transactions, budgets and goals
+// move over, its subcategories are re-parented, and the category itself is deleted
+categorySchema.methods.mergeInto = async function(target) {
+  return runInTransaction(async (session) => {
+    // A subcategory merged into takes its parent's place at the top level
+    if (target.parentId && target.parentId.equals(this._id)) {
+      target.parentId = null;
+      await target.save({ session });
+    }
+
+    // Keep the hierarchy one level deep when merging into a subcategory
+    await this.constructor.updateMany(
+      { userId: this.userId, parentId: this._id, _id: { $ne: target._id } },
+      { $set: { parentId: target.parentId || target._id } },
+      { session }
+    );
+
+    await repointReferences(this.userId, this.type, this.name, target.name, session);
+    await this.deleteOne({ session });
+    return target;
+  });
+};
+
+// Static method to count what is still filed under a category, counting what's in the Trash,
+// since restoring it would bring the category name back
+categorySchema.statics.getUsage = async function(category) {
+  const { userId, type, name } = category;
+  const [transactions, recurring, budgets, goals, allocations, rules] = await Promise.all([
+    Transaction.countDocuments({ userId, type, $or: [{ category: name }, { 'splits.category': name }] })
+      .setOptions({ withDeleted: true }),
+    RecurringTransaction.countDocuments({ userId, type, category: name }),
+    type === 'expense' ? Budget.countDocuments({ userId, category: name }).setOptions({ withDeleted: true }) : 0,
+    Goal.countDocuments({ userId, category: name }).setOptions({ withDeleted: true }),
+    type === 'expense' ? BudgetAllocation.countDocuments({ userId, $or: [{ fromCategory: name }, { toCategory: name }] }) : 0,
+    CategoryRule.countDocuments({ userId, category: name, type: { $in: [type, null] } })
+  ]);
+  return { transactions, recurring, budgets, goals, allocations, rules };
+};
+
+const Category = mongoose.model('Category', categorySchema);
+export default Category;
@@ -0,0 +1,181 @@
+// backend/models/CategoryRule.js
+
+import mongoose from 'mongoose';
+import Transaction from './Transaction.js';
+import TransactionVersion from './TransactionVersion.js';
+import { encrypt, decrypt } from '../config/encryption.js';
+import { runInTransaction } from '../utils/dbTransaction.js';
+import { findMatchingRule } from '../utils/categoryRules.js';
+import { snapshotTransaction } from '../utils/transactionHistory.js';
+
+// A user-defined rule that files matching transactions under a category
+const categoryRuleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  descriptionContains: {
+    type: String, // Often a merchant name, so kept as private as the descriptions it matches
+    trim: true,
+    maxlength: [100, 'Description text cannot exceed 100 characters'],
+    set: encrypt,
+    get: decrypt
+  },
+  minAmount: {
+    type: Number,
+    min: [0, 'Minimum amount cannot be negative'],
+    default: null
+  },
+  maxAmount: {
+    type: Number,
+    min: [0, 'Maximum amount cannot be negative'],
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['income', 'expense', null],
+    default: null
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    trim: true,
+    maxlength: [50, 'Category cannot exceed 50 characters']
+  },
+  priority: {
+    type: Number, // Lower runs first; the first matching rule wins
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+categoryRuleSchema.index({ userId: 1, priority: 1 });
+
+// A rule has to narrow things down somehow, and its amount range has to make sense
+categoryRuleSchema.pre('validate', function(next) {
+  const hasCondition = Boolean(this.descriptionContains) ||
+    this.minAmount !== null || this.maxAmount !== null || Boolean(this.type) || Boolean(this.accountId);
+  if (!hasCondition) {
+    this.invalidate('descriptionContains', 'A rule needs at least one condition');
+  }
+  if (this.minAmount !== null && this.maxAmount !== null && this.minAmount > this.maxAmount) {
+    this.invalidate('maxAmount', 'Maximum amount must be at least the minimum amount');
+  }
+  next();
+});
+
+// Static methods
+categoryRuleSchema.statics.findByUserId = async function(userId, { activeOnly = false } = {}) {
+  const filter = { userId };
+  if (activeOnly) filter.isActive = true;
+  return this.find(filter).sort({ priority: 1, createdAt: 1 });
+};
+
+categoryRuleSchema.statics.findByIdAndUserId = async function(id, userId) {
+  return this.findOne({ _id: id, userId });
+};
+
+// Static method to get the priority that puts a new rule after the existing ones
+categoryRuleSchema.statics.getNextPriority = async function(userId) {
+  const last = await this.findOne({ userId }).sort({ priority: -1 }).select('priority');
+  return last ? last.priority + 1 : 0;
+};
+
+// Static method to pick the category a user's rules give a transaction, or null if none match
+categoryRuleSchema.statics.categorize = async function(userId, transaction) {
+  const rules = await this.findByUserId(userId, { activeOnly: true });
+  const rule = findMatchingRule(rules, transaction);
+  return rule ? { category: rule.category, rule } : null;
+};
+
+// Static method to work out what re-running the active rules would change on past
+// transactions. Split transactions and transfers keep their own categories.
+categoryRuleSchema.statics.previewReapply = async function(userId) {
+  const rules = await this.findByUserId(userId, { activeOnly: true });
+  if (rules.length === 0) return [];
+
+  // Descriptions are encrypted, so matching happens here rather than in the query
+  const transactions = await Transaction.find({
+    userId,
+    type: { $in: ['income', 'expense'] },
+    'splits.0': { $exists: false }
+  })
+    .select('description amount type accountId category date')
+    .sort({ date: -1 });
+
+  return transactions.reduce((changes, transaction) => {
+    const rule = findMatchingRule(rules, transaction);
+    if (rule && rule.category !== transaction.category) {
+      changes.push({
+        transactionId: transaction._id,
+        description: transaction.description,
+        amount: transaction.amount,
+        type: transaction.type,
+        date: transaction.date,
+        from: transaction.category,
+        to: rule.category,
+        ruleId: rule._id,
+        ruleName: rule.name || rule.descriptionContains || rule.category
+      });
+    }
+    return changes;
+  }, []);
+};
+
+// Static method to apply changes from previewReapply, all or nothing. Each re-categorized
+// transaction gets a history version, so a bad run can be reverted.
+categoryRuleSchema.statics.applyChanges = async function(userId, changes) {
+  const byCategory = new Map();
+  changes.forEach(change => {
+    const ids = byCategory.get(change.to) || [];
+    ids.push(change.transactionId);
+    byCategory.set(change.to, ids);
+  });
+
+  // updateMany sees the Trash, so skip it
+  const target = { userId, _id: { $in: changes.map(change => change.transactionId) }, deletedAt: null };
+
+  return runInTransaction(async (session) => {
+    const before = await Transaction.find(target).session(session);
+
+    let modified = 0;
+    for (const [category, ids] of byCategory) {
+      const result = await Transaction.updateMany(
+        { ...target, _id: { $in: ids } },
+        { $set: { category } },
+        { session }
+      );
+      modified += result.modifiedCount;
+    }
+
+    const after = new Map((await Transaction.find(target).session(session)).map(transaction => [transaction._id.toString(), transaction]));
+    await TransactionVersion.recordMany(userId, before.map(transaction => ({
+      transactionId: transaction._id,
+      before: snapshotTransaction(transaction),
+      after: snapshotTransaction(after.get(transaction._id.toString()))
+    })), { source: 'rules', session });
+
+    return modified;
+  });
+};
+
+const CategoryRule = mongoose.model('CategoryRule', categoryRuleSchema);
+export default CategoryRule;
@@ -0,0 +1,95 @@
+// backend/models/ExchangeRate.js
+
+import mongoose from 'mongoose';
+import { DEFAULT_CURRENCY, toRateDate, createConverter } from '../utils/currency.js';
+
+export const EXCHANGE_RATE_SOURCES = ['manual', 'import'];
+
+const currencyField = (label) => ({
+  type: String,
+  required: [true, `${label} currency is required`],
+  uppercase: true,
+  trim: true,
+  match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+});
+
+// What one unit of `fromCurrency` was worth in `toCurrency` on a given day. Rates are kept
+// per day so past transactions convert at the rate of their own date.
+const exchangeRateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  fromCurrency: currencyField('From'),
+  toCurrency: currencyField('To'),
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than zero']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required'],
+    set: toRateDate
+  },
+  source: {
+    type: String,
+    enum: EXCHANGE_RATE_SOURCES,
+    default: 'manual'
+  }
+}, {
+  timestamps: true
+});
+
+// One rate per currency pair per day
+exchangeRateSchema.index({ userId: 1, fromCurrency: 1, toCurrency: 1, date: -1 }, { unique: true });
+
+exchangeRateSchema.pre('validate', function(next) {
+  if (this.fromCurrency && this.fromCurrency === this.toCurrency) {
+    this.invalidate('toCurrency', 'A rate needs two different currencies');
+  }
+  next();
+});
+
+// Static method to list a user's rates, newest first, optionally only those involving `currency`
+exchangeRateSchema.statics.findByUserId = async function(userId, { currency } = {}) {
+  const filter = { userId };
+  if (currency) filter.$or = [{ fromCurrency: currency }, { toCurrency: currency }];
+  return this.find(filter).sort({ date: -1, fromCurrency: 1, toCurrency: 1 });
+};
+
+exchangeRateSchema.statics.findByIdAndUserId = async function(id, userId) {
+  return this.findOne({ _id: id, userId });
+};
+
+// Static method to get a converter into the user's base currency (see utils/currency.js)
+exchangeRateSchema.statics.getConverter = async function(userId, baseCurrency) {
+  if (!baseCurrency) {
+    const user = await mongoose.model('User').findById(userId).select('baseCurrency');
+    baseCurrency = (user && user.baseCurrency) || DEFAULT_CURRENCY;
+  }
+
+  const rates = await this.find({ userId, $or: [{ toCurrency: baseCurrency }, { fromCurrency: baseCurrency }] })
+    .select('fromCurrency toCurrency rate date')
+    .lean();
+  return createConverter(rates, baseCurrency);
+};
+
+// Static method to save imported rates; a rate for a pair and day that already has one replaces it
+exchangeRateSchema.statics.importRates = async function(userId, rows) {
+  if (rows.length === 0) return { created: 0, updated: 0 };
+
+  const result = await this.bulkWrite(rows.map(({ fromCurrency, toCurrency, rate, date }) => ({
+    updateOne: {
+      filter: { userId, fromCurrency, toCurrency, date: toRateDate(date) },
+      update: { $set: { rate, source: 'import' } },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return { created: result.upsertedCount, updated: result.modifiedCount };
+};
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+export default ExchangeRate;
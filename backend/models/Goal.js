@@ -2,6 +2,7 @@
 
 import mongoose from 'mongoose';
 import { encryptAmount, decryptAmount } from '../config/encryption.js';
+import { softDeletePlugin } from '../utils/softDelete.js';
 
 const goalSchema = new mongoose.Schema({
   userId: {
@@ -74,6 +75,9 @@ const goalSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Deleted goals wait in the Trash until they're restored or purged
+goalSchema.plugin(softDeletePlugin);
+
 // Virtual for progress percentage
 goalSchema.virtual('progressPercentage').get(function() {
   const target = parseFloat(this.targetAmount) || 0;
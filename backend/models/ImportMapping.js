@@ -0,0 +1,82 @@
+// backend/models/ImportMapping.js
+
+import mongoose from 'mongoose';
+import { DATE_FORMATS, MAPPABLE_FIELDS } from '../utils/importUtils.js';
+
+const importMappingSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  bankName: {
+    type: String,
+    required: [true, 'Bank name is required'],
+    trim: true,
+    maxlength: [100, 'Bank name cannot exceed 100 characters']
+  },
+  columns: {
+    date: { type: String, trim: true },
+    description: { type: String, trim: true },
+    amount: { type: String, trim: true },
+    debit: { type: String, trim: true },
+    credit: { type: String, trim: true },
+    category: { type: String, trim: true },
+    type: { type: String, trim: true }
+  },
+  dateFormat: {
+    type: String,
+    enum: DATE_FORMATS,
+    default: 'auto'
+  },
+  delimiter: {
+    type: String,
+    maxlength: 1
+  },
+  hasHeader: {
+    type: Boolean,
+    default: true
+  },
+  defaultCategory: {
+    type: String,
+    trim: true,
+    default: 'Other'
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One saved mapping per bank for each user
+importMappingSchema.index({ userId: 1, bankName: 1 }, { unique: true });
+
+// Static methods
+importMappingSchema.statics.findByUserId = async function(userId) {
+  return this.find({ userId }).sort({ lastUsedAt: -1 });
+};
+
+importMappingSchema.statics.findByIdAndUserId = async function(id, userId) {
+  return this.findOne({ _id: id, userId });
+};
+
+// Instance methods
+importMappingSchema.methods.toMappingConfig = function() {
+  const columns = {};
+  MAPPABLE_FIELDS.forEach(field => {
+    if (this.columns && this.columns[field]) columns[field] = this.columns[field];
+  });
+
+  return {
+    columns,
+    dateFormat: this.dateFormat,
+    delimiter: this.delimiter,
+    hasHeader: this.hasHeader,
+    defaultCategory: this.defaultCategory
+  };
+};
+
+const ImportMapping = mongoose.model('ImportMapping', importMappingSchema);
+export default ImportMapping;
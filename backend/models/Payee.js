@@ -0,0 +1,315 @@
+// backend/models/Payee.js
+
+import mongoose from 'mongoose';
+import Transaction from './Transaction.js';
+import ExchangeRate from './ExchangeRate.js';
+import { encrypt, decrypt, blindIndex } from '../config/encryption.js';
+import { runInTransaction } from '../utils/dbTransaction.js';
+import { getCategoryLines } from '../utils/splitUtils.js';
+import { normalizePayee, payeeKeyForName } from '../utils/payeeNormalization.js';
+
+// Most "descriptions containing" overrides one payee can have
+export const MAX_PAYEE_MATCHERS = 20;
+
+// Description text that always files a transaction under this payee, whatever it normalizes to
+const matcherSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Matcher text is required'],
+    trim: true,
+    maxlength: [100, 'Matcher text cannot exceed 100 characters'],
+    set: encrypt,
+    get: decrypt
+  }
+}, {
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+// A merchant or person money goes to or comes from. Raw descriptions are normalized to a
+// payee (see utils/payeeNormalization.js); user overrides are the payee's matchers, the keys
+// of payees merged into it, and picking a payee on a transaction directly.
+const payeeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String, // Merchant names say as much as the descriptions they come from
+    required: [true, 'Payee name is required'],
+    trim: true,
+    maxlength: [100, 'Payee name cannot exceed 100 characters'],
+    set: encrypt,
+    get: decrypt
+  },
+  key: {
+    type: String, // Keyed hash of the normalized name, for finding the payee without decrypting
+    required: true
+  },
+  aliasKeys: {
+    type: [String], // Keys of payees merged into this one, so their descriptions land here
+    default: []
+  },
+  matchers: {
+    type: [matcherSchema],
+    default: [],
+    validate: {
+      validator: matchers => matchers.length <= MAX_PAYEE_MATCHERS,
+      message: `A payee can have at most ${MAX_PAYEE_MATCHERS} matchers`
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+payeeSchema.index({ userId: 1, key: 1 }, { unique: true });
+payeeSchema.index({ userId: 1, aliasKeys: 1 });
+
+// Hashes are internal, never part of the API
+payeeSchema.set('toJSON', {
+  getters: true,
+  transform: function(doc, ret) {
+    delete ret.key;
+    delete ret.aliasKeys;
+    return ret;
+  }
+});
+
+// The hashed key a normalized name is stored under
+const hashKey = (key) => blindIndex(key);
+
+// Static method to get the hashed key for a payee name as the user typed it
+payeeSchema.statics.hashName = function(name) {
+  return hashKey(payeeKeyForName(name));
+};
+
+// Static method to list a user's payees by name (names are encrypted, so sorted here)
+payeeSchema.statics.findByUserId = async function(userId) {
+  const payees = await this.find({ userId });
+  return payees.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+payeeSchema.statics.findByIdAndUserId = async function(id, userId) {
+  return this.findOne({ _id: id, userId });
+};
+
+// Static method to find the payee a name belongs to, directly or through a merge
+payeeSchema.statics.findByName = async function(userId, name) {
+  if (!payeeKeyForName(name)) return null;
+  const hashed = this.hashName(name);
+  return this.findOne({ userId, $or: [{ key: hashed }, { aliasKeys: hashed }] });
+};
+
+// Static method to add a payee by hand; returns null if the name already belongs to one
+payeeSchema.statics.createForUser = async function(userId, { name, matchers = [] }) {
+  if (await this.findByName(userId, name)) return null;
+  return this.create({
+    userId,
+    name,
+    key: this.hashName(name),
+    matchers: matchers.map(text => ({ text }))
+  });
+};
+
+// Static method to get a resolver from raw descriptions to payee IDs for one user. Matchers
+// win (longest first), then the normalized name. With `create`, a name seen for the first time
+// gets a new payee; without it, only existing payees are matched, so typing a one-off
+// description doesn't add a payee. Resolves to null for descriptions that name nobody. Load one
+// per batch of transactions rather than one per transaction. The resolver's `createdIds` lists
+// the payees it created.
+payeeSchema.statics.getResolver = async function(userId, { create = false } = {}) {
+  const payees = await this.find({ userId });
+  const byKey = new Map();
+  payees.forEach(payee => {
+    byKey.set(payee.key, payee._id);
+    payee.aliasKeys.forEach(alias => byKey.set(alias, payee._id));
+  });
+  const matchers = payees
+    .flatMap(payee => payee.matchers.map(matcher => ({ text: matcher.text.toLowerCase(), payeeId: payee._id })))
+    .filter(matcher => matcher.text)
+    .sort((a, b) => b.text.length - a.text.length);
+
+  const createdIds = [];
+  const resolve = async (description) => {
+    const lower = (description || '').toLowerCase();
+    const matched = matchers.find(matcher => lower.includes(matcher.text));
+    if (matched) return matched.payeeId;
+
+    const normalized = normalizePayee(description);
+    if (!normalized) return null;
+
+    const key = hashKey(normalized.key);
+    if (!byKey.has(key)) {
+      if (!create) return null;
+      try {
+        const payee = await this.create({ userId, name: normalized.name, key });
+        byKey.set(key, payee._id);
+        createdIds.push(payee._id);
+      } catch (error) {
+        // Created concurrently by another request
+        if (error.code !== 11000) throw error;
+        const existing = await this.findOne({ userId, key }).select('_id');
+        byKey.set(key, existing._id);
+      }
+    }
+    return byKey.get(key);
+  };
+  resolve.createdIds = createdIds;
+  return resolve;
+};
+
+// Static method to delete those of `ids` that no transaction (Trash included) is filed under,
+// such as payees created for rows that weren't saved after all; returns the number deleted
+payeeSchema.statics.deleteUnused = async function(userId, ids) {
+  if (ids.length === 0) return 0;
+  const used = await Transaction.distinct('payeeId', { userId, payeeId: { $in: ids } }).setOptions({ withDeleted: true });
+  const usedSet = new Set(used.map(id => id.toString()));
+  const unused = ids.filter(id => !usedSet.has(id.toString()));
+  if (unused.length === 0) return 0;
+  const result = await this.deleteMany({ _id: { $in: unused }, userId });
+  return result.deletedCount;
+};
+
+// Static method to file transactions that have no payee worked out yet (saved before payees
+// existed, or entered by hand for a new name) under the payee their description names,
+// creating payees as needed; returns the number given a payee
+payeeSchema.statics.assignMissing = async function(userId) {
+  const resolve = await this.getResolver(userId, { create: true });
+  const transactions = await Transaction.find({
+    userId,
+    type: { $in: ['income', 'expense'] },
+    payeeId: { $exists: false }
+  })
+    .select('description')
+    .setOptions({ withDeleted: true });
+
+  const updates = [];
+  for (const transaction of transactions) {
+    const payeeId = await resolve(transaction.description);
+    // null marks it as looked at, so it isn't resolved again every time
+    updates.push({
+      updateOne: { filter: { _id: transaction._id, userId }, update: { $set: { payeeId } } }
+    });
+  }
+  if (updates.length > 0) await Transaction.bulkWrite(updates);
+  return updates.filter(update => update.updateOne.update.$set.payeeId).length;
+};
+
+// Instance method to fold this payee into `target`: its transactions move there, and
+// descriptions that normalized to it (or met its matchers) land there from now on
+payeeSchema.methods.mergeInto = async function(target) {
+  return runInTransaction(async (session) => {
+    await Transaction.updateMany(
+      { userId: this.userId, payeeId: this._id },
+      { $set: { payeeId: target._id } },
+      { session }
+    );
+
+    target.aliasKeys = [...new Set([...target.aliasKeys, this.key, ...this.aliasKeys])];
+
+    const texts = new Set(target.matchers.map(matcher => matcher.text.toLowerCase()));
+    this.matchers.forEach(matcher => {
+      if (!texts.has(matcher.text.toLowerCase()) && target.matchers.length < MAX_PAYEE_MATCHERS) {
+        texts.add(matcher.text.toLowerCase());
+        target.matchers.push({ text: matcher.text });
+      }
+    });
+
+    // The keys are unique, so this one goes before the target takes them on
+    await this.deleteOne({ session });
+    await target.save({ session });
+    return target;
+  });
+};
+
+// Static method to count each payee's transactions (Trash excluded), keyed by payee ID
+payeeSchema.statics.getTransactionCounts = async function(userId) {
+  const rows = await Transaction.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)), payeeId: { $type: 'objectId' } } },
+    { $group: { _id: '$payeeId', count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.count]));
+};
+
+// Instance method to delete the payee; its transactions are left without one
+payeeSchema.methods.deleteWithTransactionLinks = async function() {
+  return runInTransaction(async (session) => {
+    await Transaction.updateMany(
+      { userId: this.userId, payeeId: this._id },
+      { $set: { payeeId: null } },
+      { session }
+    );
+    await this.deleteOne({ session });
+  });
+};
+
+// Static method to total spending and income per payee in the user's base currency, with
+// each payee's spending broken down by category (split lines count under their own
+// categories). Transfers have no payee.
+payeeSchema.statics.getSpendingBreakdown = async function(userId, { payeeIds = [], startDate, endDate, limit } = {}) {
+  const converter = await ExchangeRate.getConverter(userId);
+  const filter = {
+    userId,
+    type: { $in: ['income', 'expense'] },
+    payeeId: payeeIds.length > 0 ? { $in: payeeIds } : { $type: 'objectId' }
+  };
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = startDate;
+    if (endDate) filter.date.$lt = endDate;
+  }
+
+  const transactions = await Transaction.find(filter).select('amount currency type category splits payeeId date');
+  const payees = await this.find({ userId, _id: { $in: [...new Set(transactions.map(t => t.payeeId.toString()))] } });
+  const names = new Map(payees.map(payee => [payee._id.toString(), payee.name]));
+  const byPayee = new Map();
+
+  transactions.forEach(transaction => {
+    const payeeId = transaction.payeeId.toString();
+    const entry = byPayee.get(payeeId) || {
+      payeeId, name: names.get(payeeId) || '', count: 0, expenseCount: 0, income: 0, expenses: 0, categories: {}, firstDate: null, lastDate: null
+    };
+    entry.count += 1;
+    if (!entry.firstDate || transaction.date < entry.firstDate) entry.firstDate = transaction.date;
+    if (!entry.lastDate || transaction.date > entry.lastDate) entry.lastDate = transaction.date;
+
+    if (transaction.type === 'income') {
+      entry.income += Math.abs(converter.convertTransaction(transaction));
+    } else {
+      entry.expenseCount += 1;
+      getCategoryLines(transaction).forEach(line => {
+        const amount = Math.abs(converter.convertTransaction(transaction, line.amount));
+        entry.expenses += amount;
+        entry.categories[line.category] = (entry.categories[line.category] || 0) + amount;
+      });
+    }
+    byPayee.set(payeeId, entry);
+  });
+
+  const rows = [...byPayee.values()]
+    .map(entry => ({
+      ...entry,
+      net: entry.income - entry.expenses,
+      averageExpense: entry.expenseCount > 0 ? entry.expenses / entry.expenseCount : 0,
+      categories: Object.entries(entry.categories)
+        .map(([category, amount]) => ({
+          category,
+          amount,
+          percentage: entry.expenses > 0 ? Math.round((amount / entry.expenses) * 100) : 0
+        }))
+        .sort((a, b) => b.amount - a.amount)
+    }))
+    .sort((a, b) => b.expenses - a.expenses || b.income - a.income);
+
+  return {
+    payees: limit ? rows.slice(0, limit) : rows,
+    baseCurrency: converter.baseCurrency,
+    unconvertedCurrencies: converter.getUnconvertedCurrencies()
+  };
+};
+
+const Payee = mongoose.model('Payee', payeeSchema);
+export default Payee;
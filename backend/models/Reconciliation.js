@@ -0,0 +1,125 @@
+// backend/models/Reconciliation.js
+
+import mongoose from 'mongoose';
+import { encryptAmount, decryptAmount } from '../config/encryption.js';
+import { balanceDelta } from './Account.js';
+import { runInTransaction } from '../utils/dbTransaction.js';
+
+export const RECONCILIATION_STATUSES = ['in_progress', 'completed'];
+
+// Statements and balances have to agree to the cent
+const roundToCents = (value) => Math.round(value * 100) / 100;
+
+// Checking an account against one bank statement: the user ticks off the transactions the
+// statement shows until the cleared balance matches its ending balance, then locks them in
+const reconciliationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Account ID is required']
+  },
+  statementDate: {
+    type: Date,
+    required: [true, 'Statement date is required']
+  },
+  statementBalance: {
+    type: mongoose.Schema.Types.Mixed, // Ending balance on the statement; negative for money owed
+    required: [true, 'Statement balance is required'],
+    set: encryptAmount,
+    get: decryptAmount
+  },
+  status: {
+    type: String,
+    enum: RECONCILIATION_STATUSES,
+    default: 'in_progress'
+  },
+  reconciledCount: {
+    type: Number, // Transactions locked in when it was completed
+    default: 0
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+// An account has at most one reconciliation in progress
+reconciliationSchema.index(
+  { accountId: 1 },
+  { unique: true, partialFilterExpression: { status: 'in_progress' } }
+);
+reconciliationSchema.index({ userId: 1, accountId: 1, statementDate: -1 });
+
+// Static method to get the account's reconciliation in progress, if any
+reconciliationSchema.statics.findInProgress = async function(userId, accountId) {
+  return this.findOne({ userId, accountId, status: 'in_progress' });
+};
+
+// Static method to get the account's most recent completed reconciliation, if any
+reconciliationSchema.statics.findLastCompleted = async function(userId, accountId) {
+  return this.findOne({ userId, accountId, status: 'completed' }).sort({ statementDate: -1, completedAt: -1 });
+};
+
+// Instance method to work out where the reconciliation stands. The cleared balance is the
+// opening balance plus everything already reconciled plus what's been ticked off on or
+// before the statement date; `transactions` are the account's unreconciled ones up to then.
+reconciliationSchema.methods.getSummary = async function() {
+  const Account = mongoose.model('Account');
+  const Transaction = mongoose.model('Transaction');
+  const statementEnd = new Date(this.statementDate.getTime() + 24 * 60 * 60 * 1000);
+
+  const [account, reconciled, open] = await Promise.all([
+    Account.findOne({ _id: this.accountId, userId: this.userId }),
+    Transaction.find({ userId: this.userId, accountId: this.accountId, status: 'reconciled' })
+      .select('amount type transferDirection')
+      .lean(),
+    Transaction.find({ userId: this.userId, accountId: this.accountId, status: { $ne: 'reconciled' }, date: { $lt: statementEnd } })
+      .sort({ date: 1, createdAt: 1 })
+  ]);
+
+  // The account was deleted under the reconciliation
+  if (!account) return null;
+
+  const reconciledBalance = roundToCents(reconciled.reduce((sum, transaction) => sum + balanceDelta(transaction), account.openingBalance));
+  const cleared = open.filter(transaction => transaction.status === 'cleared');
+  const clearedBalance = roundToCents(cleared.reduce((sum, transaction) => sum + balanceDelta(transaction), reconciledBalance));
+
+  return {
+    reconciledBalance,
+    clearedBalance,
+    difference: roundToCents(this.statementBalance - clearedBalance),
+    clearedCount: cleared.length,
+    transactions: open
+  };
+};
+
+// Instance method to finish the reconciliation: the given cleared transactions become
+// reconciled (and locked) and the reconciliation is closed, all or nothing
+reconciliationSchema.methods.complete = async function(transactionIds) {
+  const Transaction = mongoose.model('Transaction');
+
+  return runInTransaction(async (session) => {
+    const result = await Transaction.updateMany(
+      { _id: { $in: transactionIds }, userId: this.userId, accountId: this.accountId, status: 'cleared', deletedAt: null },
+      { $set: { status: 'reconciled', reconciliationId: this._id } },
+      { session }
+    );
+
+    this.status = 'completed';
+    this.completedAt = new Date();
+    this.reconciledCount = result.modifiedCount;
+    await this.save({ session });
+    return this;
+  });
+};
+
+const Reconciliation = mongoose.model('Reconciliation', reconciliationSchema);
+export default Reconciliation;
@@ -0,0 +1,104 @@
+// backend/models/RecurringTransaction.js
+
+import mongoose from 'mongoose';
+import { encrypt, decrypt, encryptAmount, decryptAmount } from '../config/encryption.js';
+import { RECURRING_FREQUENCIES, getNextOccurrence, toUTCDay } from '../utils/recurrence.js';
+
+const recurringTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId, // Account occurrences are posted to; the default account if unset
+    ref: 'Account'
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    set: encrypt,
+    get: decrypt
+  },
+  amount: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Amount is required'],
+    set: encryptAmount,
+    get: decryptAmount
+  },
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Type is required'],
+    enum: ['income', 'expense']
+  },
+  frequency: {
+    type: String,
+    required: [true, 'Frequency is required'],
+    enum: RECURRING_FREQUENCIES
+  },
+  interval: {
+    type: Number, // Days between occurrences for every-n-days
+    min: [1, 'Interval must be at least 1 day'],
+    max: [365, 'Interval cannot exceed 365 days'],
+    required: function() { return this.frequency === 'every-n-days'; }
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required'],
+    set: toUTCDay
+  },
+  endDate: {
+    type: Date,
+    set: (value) => (value ? toUTCDay(value) : value)
+  },
+  nextRunDate: {
+    type: Date // Next occurrence to post; empty once the schedule has ended
+  },
+  lastRunDate: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'ended'],
+    default: 'active'
+  },
+  occurrencesPosted: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+// The scheduler scans active schedules by their next due date
+recurringTransactionSchema.index({ status: 1, nextRunDate: 1 });
+recurringTransactionSchema.index({ userId: 1, nextRunDate: 1 });
+
+// Static methods
+recurringTransactionSchema.statics.findByUserId = async function(userId) {
+  return this.find({ userId }).sort({ nextRunDate: 1 });
+};
+
+recurringTransactionSchema.statics.findByIdAndUserId = async function(id, userId) {
+  return this.findOne({ _id: id, userId });
+};
+
+// Instance methods
+// Next occurrence after the given day, or null once past the end date
+recurringTransactionSchema.methods.occurrenceAfter = function(date) {
+  const next = getNextOccurrence(this, date);
+  if (this.endDate && next > this.endDate) return null;
+  return next;
+};
+
+const RecurringTransaction = mongoose.model('RecurringTransaction', recurringTransactionSchema);
+export default RecurringTransaction;
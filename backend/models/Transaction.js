@@ -1,5 +1,52 @@
 import mongoose from 'mongoose';
 import { encrypt, decrypt, encryptAmount, decryptAmount } from '../config/encryption.js';
+import { buildSearchTokens, buildQueryTokens } from '../utils/searchTokens.js';
+import { MIN_SPLIT_LINES, MAX_SPLIT_LINES, splitsMatchAmount, getCategoryLines } from '../utils/splitUtils.js';
+import { DUPLICATE_DATE_WINDOW_DAYS, isLikelyDuplicate, groupDuplicates } from '../utils/duplicateDetection.js';
+import { MAX_TAGS, MAX_TAG_LENGTH, normalizeTags } from '../utils/tags.js';
+import Account from './Account.js';
+import ExchangeRate from './ExchangeRate.js';
+import Attachment from './Attachment.js';
+import TransactionVersion from './TransactionVersion.js';
+import { runInTransaction } from '../utils/dbTransaction.js';
+import { softDeletePlugin } from '../utils/softDelete.js';
+import { snapshotTransaction } from '../utils/transactionHistory.js';
+
+// Category stored on both legs of a transfer between accounts
+export const TRANSFER_CATEGORY = 'Transfer';
+
+// Where a transaction stands against the bank statement. 'reconciled' is only ever set by
+// completing a reconciliation (see models/Reconciliation.js).
+export const TRANSACTION_STATUSES = ['pending', 'cleared', 'reconciled'];
+
+// Fields a reconciled transaction keeps until it's unlocked, since changing them would
+// move a balance the user has already agreed with the bank
+export const RECONCILED_LOCKED_FIELDS = ['amount', 'type', 'date', 'accountId'];
+
+// One line of a split transaction, with its own category and note
+const splitSchema = new mongoose.Schema({
+  amount: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Split amount is required'],
+    set: encryptAmount,
+    get: decryptAmount
+  },
+  category: {
+    type: String,
+    required: [true, 'Split category is required'],
+    trim: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Split note cannot exceed 100 characters'],
+    set: encrypt,
+    get: decrypt
+  }
+}, {
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
 
 const transactionSchema = new mongoose.Schema({
   userId: {
@@ -29,12 +76,76 @@ const transactionSchema = new mongoose.Schema({
   type: {
     type: String,
     required: [true, 'Type is required'],
-    enum: ['income', 'expense']
+    enum: ['income', 'expense', 'transfer'] // Transfers move money between accounts and are neither income nor expense
   },
   date: {
     type: Date,
     required: [true, 'Date is required'],
     default: Date.now
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  currency: {
+    type: String, // Always its account's currency, filled in when it's saved
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  transferId: {
+    type: mongoose.Schema.Types.ObjectId // Shared by the two legs of a transfer
+  },
+  transferDirection: {
+    type: String,
+    enum: ['out', 'in'] // 'out' debits the source account, 'in' credits the destination
+  },
+  payeeId: {
+    type: mongoose.Schema.Types.ObjectId, // Who the money went to or came from; null when the description names nobody, unset when it matched no payee yet
+    ref: 'Payee'
+  },
+  fitId: {
+    type: String, // Bank transaction ID from OFX/QIF imports, used to skip re-imports
+    trim: true
+  },
+  recurringId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringTransaction'
+  },
+  occurrenceDate: {
+    type: Date // Scheduled day this transaction was posted for by its recurring schedule
+  },
+  status: {
+    type: String,
+    enum: TRANSACTION_STATUSES,
+    default: 'pending'
+  },
+  reconciliationId: {
+    type: mongoose.Schema.Types.ObjectId, // The reconciliation that locked it in
+    ref: 'Reconciliation'
+  },
+  splits: {
+    type: [splitSchema],
+    default: undefined
+  },
+  tags: {
+    type: [String], // Free-form labels that cut across categories, e.g. "vacation-2026"
+    default: undefined,
+    set: normalizeTags,
+    validate: [
+      { validator: tags => !tags || tags.length <= MAX_TAGS, message: `A transaction can have at most ${MAX_TAGS} tags` },
+      { validator: tags => !tags || tags.every(tag => tag.length <= MAX_TAG_LENGTH), message: `Tags cannot exceed ${MAX_TAG_LENGTH} characters` }
+    ]
+  },
+  descriptionTokens: {
+    type: [String], // Keyed hashes of description words for search (see utils/searchTokens.js)
+    default: undefined,
+    select: false
+  },
+  dismissedDuplicateIds: {
+    type: [mongoose.Schema.Types.ObjectId], // Transactions the user said this one isn't a copy of
+    default: undefined,
+    select: false
   }
 }, {
   timestamps: true,
@@ -42,6 +153,105 @@ const transactionSchema = new mongoose.Schema({
   toObject: { getters: true }
 });
 
+// Deleted transactions wait in the Trash; their attachments and history go when they're purged
+transactionSchema.plugin(softDeletePlugin, {
+  onPurge: async (transactions) => {
+    const idsByUser = new Map();
+    transactions.forEach(transaction => {
+      const key = transaction.userId.toString();
+      idsByUser.set(key, [...(idsByUser.get(key) || []), transaction._id]);
+    });
+    for (const [userId, ids] of idsByUser) {
+      await Attachment.deleteForTransactions(userId, ids);
+      await TransactionVersion.deleteForTransactions(userId, ids);
+    }
+  }
+});
+
+// A bank transaction can only be imported once per account (including ones in the Trash).
+// OFX FITIDs are only unique within an account, and QIF IDs come from the entry's contents.
+transactionSchema.index(
+  { userId: 1, accountId: 1, fitId: 1 },
+  { unique: true, partialFilterExpression: { fitId: { $type: 'string' } } }
+);
+
+transactionSchema.index({ userId: 1, tags: 1 });
+transactionSchema.index({ userId: 1, payeeId: 1 });
+
+// Keep the search tokens in step with the (encrypted) description
+transactionSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('description')) {
+    this.descriptionTokens = buildSearchTokens(this.description);
+  }
+  next();
+});
+
+// Transactions saved without an account go to the user's default account, and every
+// transaction takes its account's currency (callers that already know it can pass it in)
+transactionSchema.pre('validate', async function() {
+  let account = null;
+  if (!this.accountId && this.userId) {
+    account = await Account.getDefaultAccount(this.userId);
+    this.accountId = account._id;
+  }
+  if (this.accountId && (!this.currency || (!this.isNew && this.isModified('accountId')))) {
+    account = account || await Account.findById(this.accountId).select('currency');
+    if (account) this.currency = account.currency;
+  }
+});
+
+// New transactions, and ones whose description changes, are filed under an existing payee the
+// description names unless a payee was given. No payee is created here: without a match the
+// payee is left unset, so POST /payees/assign can still create one for it. Payee imports this
+// model, so it's looked up by name.
+transactionSchema.pre('validate', async function() {
+  if (this.type === 'transfer' || !this.userId) return;
+  const decided = this.isNew ? this.payeeId !== undefined : (!this.isModified('description') || this.isModified('payeeId'));
+  if (decided) return;
+
+  const resolve = await mongoose.model('Payee').getResolver(this.userId);
+  this.payeeId = (await resolve(this.description)) || undefined;
+});
+
+// A transfer leg needs its pair link and direction, and can't be split
+transactionSchema.pre('validate', function(next) {
+  if (this.type === 'transfer') {
+    if (!this.transferId) this.invalidate('transferId', 'A transfer needs a transfer ID');
+    if (!this.transferDirection) this.invalidate('transferDirection', 'A transfer needs a direction');
+    if (this.splits && this.splits.length > 0) this.invalidate('splits', 'A transfer cannot be split');
+  }
+  next();
+});
+
+// Split lines must add up to the parent amount
+transactionSchema.pre('validate', function(next) {
+  if (this.splits && this.splits.length > 0) {
+    if (this.splits.length < MIN_SPLIT_LINES || this.splits.length > MAX_SPLIT_LINES) {
+      this.invalidate('splits', `A split needs between ${MIN_SPLIT_LINES} and ${MAX_SPLIT_LINES} lines`);
+    } else if (!splitsMatchAmount(this.splits, this.amount)) {
+      this.invalidate('splits', 'Split amounts must add up to the transaction amount');
+    }
+  }
+  next();
+});
+
+// A recurring occurrence is only ever posted once
+transactionSchema.index(
+  { recurringId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringId: { $type: 'objectId' } } }
+);
+
+// Each transfer has exactly one outgoing and one incoming leg
+transactionSchema.index(
+  { transferId: 1, transferDirection: 1 },
+  { unique: true, partialFilterExpression: { transferId: { $type: 'objectId' } } }
+);
+
+// Description search within a user's transactions
+transactionSchema.index({ userId: 1, descriptionTokens: 1 });
+transactionSchema.index({ userId: 1, date: -1 });
+transactionSchema.index({ userId: 1, accountId: 1, date: -1 });
+
 // Ensure getters are applied when converting to JSON
 transactionSchema.set('toJSON', { 
   getters: true,
@@ -50,6 +260,8 @@ transactionSchema.set('toJSON', {
     if (ret.amount && typeof ret.amount === 'string') {
       ret.amount = decryptAmount(ret.amount);
     }
+    // Search tokens are an internal index, never part of the API
+    delete ret.descriptionTokens;
     return ret;
   }
 });
@@ -64,19 +276,424 @@ transactionSchema.statics.findByIdAndUserId = async function(id, userId) {
   return this.findOne({ _id: id, userId });
 };
 
-// Static method to get transaction statistics for a user
-transactionSchema.statics.getStatsByUserId = async function(userId) {
+// Static method to get both legs of a transfer, outgoing leg first
+transactionSchema.statics.findTransfer = async function(transferId, userId) {
+  const legs = await this.find({ transferId, userId, type: 'transfer' });
+  const out = legs.find(leg => leg.transferDirection === 'out');
+  const incoming = legs.find(leg => leg.transferDirection === 'in');
+  return out && incoming ? [out, incoming] : null;
+};
+
+// Static method to record a transfer as a linked pair of legs. Both legs are written in
+// one database transaction, so a transfer never exists with only one side. Between accounts
+// in different currencies, `toAmount` is what arrived in the destination account's currency.
+transactionSchema.statics.createTransfer = async function(userId, { fromAccountId, toAccountId, amount, toAmount, description, date }) {
+  const transferId = new mongoose.Types.ObjectId();
+  const leg = {
+    userId,
+    description,
+    amount: Math.abs(amount),
+    category: TRANSFER_CATEGORY,
+    type: 'transfer',
+    date,
+    transferId
+  };
+
+  return runInTransaction(session => this.create([
+    { ...leg, accountId: fromAccountId, transferDirection: 'out' },
+    { ...leg, accountId: toAccountId, transferDirection: 'in', amount: Math.abs(toAmount !== undefined ? toAmount : amount) }
+  ], { session, ordered: true }));
+};
+
+// Static method to change a transfer's amount, date, description or accounts on both legs
+// together; `toAmount` sets the incoming leg's amount when it differs (another currency).
+// Returns the updated legs, or null if the transfer doesn't exist.
+transactionSchema.statics.updateTransfer = async function(transferId, userId, changes) {
+  return runInTransaction(async (session) => {
+    const legs = await this.find({ transferId, userId, type: 'transfer' }).session(session);
+    const out = legs.find(leg => leg.transferDirection === 'out');
+    const incoming = legs.find(leg => leg.transferDirection === 'in');
+    if (!out || !incoming) return null;
+
+    for (const leg of [out, incoming]) {
+      if (changes.amount !== undefined) leg.amount = Math.abs(changes.amount);
+      if (changes.description !== undefined) leg.description = changes.description;
+      if (changes.date !== undefined) leg.date = changes.date;
+    }
+    if (changes.toAmount !== undefined) incoming.amount = Math.abs(changes.toAmount);
+    if (changes.fromAccountId !== undefined) out.accountId = changes.fromAccountId;
+    if (changes.toAccountId !== undefined) incoming.accountId = changes.toAccountId;
+
+    await out.save({ session });
+    await incoming.save({ session });
+    return [out, incoming];
+  });
+};
+
+// Static method to move both legs of a transfer to the Trash together; returns the number moved
+transactionSchema.statics.deleteTransfer = async function(transferId, userId) {
+  return runInTransaction(async (session) => {
+    const deleted = await this.softDelete(userId, { transferId, type: 'transfer' }, { session });
+    return deleted.length;
+  });
+};
+
+// Static method to find existing transactions that look like copies of `transaction`
+// (a saved document or a draft with a decrypted description, amount, type, account and date)
+transactionSchema.statics.findLikelyDuplicates = async function(userId, transaction) {
+  const date = new Date(transaction.date);
+  const windowMs = DUPLICATE_DATE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const filter = {
+    userId,
+    accountId: transaction.accountId,
+    type: transaction.type,
+    date: { $gte: new Date(date.getTime() - windowMs), $lte: new Date(date.getTime() + windowMs) }
+  };
+  if (transaction._id) filter._id = { $ne: transaction._id };
+
+  // Amounts and descriptions are encrypted, so the final comparison happens here
+  const candidates = await this.find(filter).select('+dismissedDuplicateIds');
+  return candidates.filter(candidate => isLikelyDuplicate(candidate, transaction) &&
+    !(candidate.dismissedDuplicateIds || []).some(id => transaction._id && id.equals(transaction._id)));
+};
+
+// Static method to find groups of transactions that look like copies of each other
+transactionSchema.statics.findDuplicateGroups = async function(userId) {
+  const transactions = await this.find({ userId, type: { $in: ['income', 'expense'] } })
+    .select('+dismissedDuplicateIds')
+    .sort({ date: -1 });
+  return groupDuplicates(transactions);
+};
+
+// Static method to keep one transaction and move its copies to the Trash, all or nothing, so a
+// wrong merge can be restored. The kept one inherits a copy's bank ID (from a copy in its own
+// account, as bank IDs are per account) or recurring occurrence if it has none, so neither is
+// posted again, and takes over the copies' attachments. Their history goes when they're purged.
+// Returns the kept transaction and the deleted ones, or null if any don't belong to the user.
+transactionSchema.statics.mergeDuplicates = async function(userId, keepId, removeIds) {
+  return runInTransaction(async (session) => {
+    const kept = await this.findOne({ _id: keepId, userId, type: { $ne: 'transfer' } }).session(session);
+    const removed = await this.find({ _id: { $in: removeIds }, userId, type: { $ne: 'transfer' } }).session(session);
+    if (!kept || removed.length !== removeIds.length) return null;
+
+    // Both are unique even in the Trash, so the copy gives its own up as the kept one takes it
+    const handOver = async (copy, fields) => {
+      await this.updateOne({ _id: copy._id, userId }, { $unset: Object.fromEntries(fields.map(field => [field, 1])) }, { session });
+      fields.forEach(field => { kept[field] = copy[field]; });
+    };
+    const withFitId = removed.find(transaction => transaction.fitId && String(transaction.accountId) === String(kept.accountId));
+    if (!kept.fitId && withFitId) await handOver(withFitId, ['fitId']);
+    const withOccurrence = removed.find(transaction => transaction.recurringId);
+    if (!kept.recurringId && withOccurrence) await handOver(withOccurrence, ['recurringId', 'occurrenceDate']);
+
+    await this.softDelete(userId, { _id: { $in: removeIds } }, { session });
+    // Receipts kept with the copies move to the record that stays
+    await Attachment.updateMany({ userId, transactionId: { $in: removeIds } }, { $set: { transactionId: kept._id } }, { session });
+    if (kept.isModified()) await kept.save({ session });
+
+    return { kept, removed };
+  });
+};
+
+// Static method to mark transactions as not copies of each other, so they stop being grouped
+transactionSchema.statics.dismissDuplicates = async function(userId, ids) {
+  const owned = await this.find({ _id: { $in: ids }, userId }).select('_id');
+  if (owned.length !== ids.length) return false;
+
+  await this.bulkWrite(owned.map(transaction => ({
+    updateOne: {
+      filter: { _id: transaction._id, userId },
+      update: { $addToSet: { dismissedDuplicateIds: { $each: owned.map(other => other._id).filter(id => !id.equals(transaction._id)) } } }
+    }
+  })));
+  return true;
+};
+
+// Most transactions one bulk edit or delete can touch
+export const MAX_BULK_TRANSACTIONS = 1000;
+
+// Static method to apply the same changes to many transactions, all or nothing.
+// `changes` can set category, type and date, and add or remove tags. Transfers are
+// left alone, and split transactions keep their line categories. Each changed
+// transaction gets a history version. Returns how many transactions each change reached.
+transactionSchema.statics.bulkUpdate = async function(userId, ids, { category, type, date, addTags = [], removeTags = [] }) {
+  // The IDs were picked before the transaction began, so ones trashed or reconciled since are
+  // skipped here; updateMany sees the Trash, and a new type or date would move a reconciled balance
+  const target = { _id: { $in: ids }, userId, type: { $ne: 'transfer' }, deletedAt: null };
+  if (type || date) target.status = { $ne: 'reconciled' };
+
+  return runInTransaction(async (session) => {
+    const result = { updated: 0, categorized: 0 };
+    const before = await this.find(target).session(session);
+
+    const set = {};
+    if (type) set.type = type;
+    if (date) set.date = date;
+    if (Object.keys(set).length > 0) {
+      result.updated = (await this.updateMany(target, { $set: set }, { session })).matchedCount;
+    }
+    if (category) {
+      result.categorized = (await this.updateMany(
+        { ...target, 'splits.0': { $exists: false } },
+        { $set: { category } },
+        { session }
+      )).matchedCount;
+    }
+    // Adding and removing touch the same array, so they can't share one update
+    if (addTags.length > 0) {
+      result.updated = Math.max(result.updated, (await this.updateMany(target, { $addToSet: { tags: { $each: addTags } } }, { session })).matchedCount);
+    }
+    if (removeTags.length > 0) {
+      result.updated = Math.max(result.updated, (await this.updateMany(target, { $pullAll: { tags: removeTags } }, { session })).matchedCount);
+    }
+    result.updated = Math.max(result.updated, result.categorized);
+
+    const after = new Map((await this.find(target).session(session)).map(transaction => [transaction._id.toString(), transaction]));
+    await TransactionVersion.recordMany(userId, before.map(transaction => ({
+      transactionId: transaction._id,
+      before: snapshotTransaction(transaction),
+      after: snapshotTransaction(after.get(transaction._id.toString()))
+    })), { source: 'bulk-edit', session });
+
+    return result;
+  });
+};
+
+// Instance method to set the tracked fields back to a history snapshot (see utils/transactionHistory.js).
+// The currency always follows the account, so it isn't set back directly.
+transactionSchema.methods.applySnapshot = function(snapshot) {
+  this.set({
+    description: snapshot.description,
+    amount: snapshot.amount,
+    category: snapshot.category,
+    type: snapshot.type,
+    date: new Date(snapshot.date),
+    accountId: snapshot.accountId,
+    payeeId: snapshot.payeeId ?? null,
+    splits: snapshot.splits.length > 0 ? snapshot.splits : undefined,
+    tags: snapshot.tags.length > 0 ? snapshot.tags : undefined
+  });
+  return this;
+};
+
+// Instance method to list the locked fields `changes` would alter, if the transaction is
+// reconciled. Amounts compare by size and dates by day, the way the forms send them.
+transactionSchema.methods.getLockedChanges = function(changes) {
+  if (this.status !== 'reconciled') return [];
+
+  return RECONCILED_LOCKED_FIELDS.filter(field => {
+    if (changes[field] === undefined) return false;
+    if (field === 'amount') {
+      return Math.round(Math.abs(parseFloat(changes.amount)) * 100) !== Math.round(Math.abs(this.amount) * 100);
+    }
+    if (field === 'date') {
+      return new Date(changes.date).toISOString().split('T')[0] !== this.date.toISOString().split('T')[0];
+    }
+    return String(changes[field]) !== String(this[field]);
+  });
+};
+
+// Static method to move many transactions to the Trash at once, all or nothing. A
+// transfer leg takes its other leg with it. Reconciled transactions, and transfers with
+// a reconciled leg, stay where they are. Returns the IDs actually moved.
+transactionSchema.statics.bulkDelete = async function(userId, ids) {
+  return runInTransaction(async (session) => {
+    const filter = await this.withTransferLegs(userId, ids, { session });
+    const locked = await this.find({ ...filter, userId, status: 'reconciled' }).select('transferId').session(session);
+    const lockedTransferIds = locked.map(transaction => transaction.transferId).filter(Boolean);
+
+    return this.softDelete(userId, {
+      $and: [filter, { status: { $ne: 'reconciled' } }, { transferId: { $nin: lockedTransferIds } }]
+    }, { session });
+  });
+};
+
+// Static method to build a filter for the given transactions plus the other leg of any
+// transfer among them. Looks in the Trash too, so restores and purges keep pairs together.
+transactionSchema.statics.withTransferLegs = async function(userId, ids, { session } = {}) {
+  const targets = await this.find({ _id: { $in: ids }, userId })
+    .setOptions({ withDeleted: true })
+    .select('transferId')
+    .session(session || null);
+  const transferIds = targets.map(transaction => transaction.transferId).filter(Boolean);
+
+  return transferIds.length > 0
+    ? { $or: [{ _id: { $in: ids } }, { transferId: { $in: transferIds } }] }
+    : { _id: { $in: ids } };
+};
+
+// Fields the search endpoint can sort by
+export const TRANSACTION_SORT_FIELDS = ['date', 'amount', 'category', 'createdAt'];
+
+// Static method to find the transactions matching the search filters, as lean rows
+// (_id, decrypted absolute amount, type, category, date, createdAt, transferId, status, currency).
+// Amounts are encrypted, so the amount range is applied to the decrypted amounts
+// of rows that pass the indexed filters.
+transactionSchema.statics.findMatching = async function(userId, options = {}) {
+  const {
+    type,
+    accountId,
+    categories = [],
+    startDate,
+    endDate,
+    minAmount,
+    maxAmount,
+    search,
+    tags = [],
+    status,
+    payeeId
+  } = options;
+
+  const filter = { userId };
+  if (type) filter.type = type;
+  if (accountId) filter.accountId = accountId;
+  if (payeeId) filter.payeeId = payeeId;
+  // Transactions saved before statuses existed count as pending
+  if (status) filter.status = status === 'pending' ? { $nin: ['cleared', 'reconciled'] } : status;
+  if (categories.length > 0) {
+    filter.$or = [
+      { category: { $in: categories } },
+      { 'splits.category': { $in: categories } }
+    ];
+  }
+  if (tags.length > 0) filter.tags = { $all: tags };
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = startDate;
+    if (endDate) filter.date.$lt = endDate;
+  }
+  if (search) {
+    const tokens = buildQueryTokens(search);
+    if (tokens.length > 0) filter.descriptionTokens = { $all: tokens };
+  }
+
+  const candidates = await this.find(filter)
+    .select('amount type category date createdAt transferId status currency')
+    .lean();
+
+  return candidates
+    .map(row => ({ ...row, amount: Math.abs(decryptAmount(row.amount)) }))
+    .filter(row => (minAmount === undefined || row.amount >= minAmount) &&
+      (maxAmount === undefined || row.amount <= maxAmount));
+};
+
+// Static method to search, filter, sort and paginate a user's transactions.
+// Sorting by amount and the totals use the decrypted amounts from findMatching;
+// with a converter the totals are in the base currency.
+transactionSchema.statics.search = async function(userId, options = {}) {
+  const {
+    page = 1,
+    limit = 10,
+    sort = 'date',
+    order = 'desc',
+    converter = null
+  } = options;
+
+  const rows = await this.findMatching(userId, options);
+
+  const toBase = (row) => converter ? converter.convertTransaction(row) : row.amount;
+  const income = rows.filter(row => row.type === 'income').reduce((sum, row) => sum + toBase(row), 0);
+  const expenses = rows.filter(row => row.type === 'expense').reduce((sum, row) => sum + toBase(row), 0);
+
+  const direction = order === 'asc' || order === '1' ? 1 : -1;
+  const field = TRANSACTION_SORT_FIELDS.includes(sort) ? sort : 'date';
+  rows.sort((a, b) => {
+    const left = field === 'category' ? a.category.toLowerCase() : a[field];
+    const right = field === 'category' ? b.category.toLowerCase() : b[field];
+    if (left < right) return -direction;
+    if (left > right) return direction;
+    // Newest first as a stable tie-break
+    return b.createdAt - a.createdAt;
+  });
+
+  const pageIds = rows.slice((page - 1) * limit, page * limit).map(row => row._id.toString());
+  const pageTransactions = await this.find({ _id: { $in: pageIds } });
+  const byId = new Map(pageTransactions.map(transaction => [transaction._id.toString(), transaction]));
+
+  return {
+    transactions: pageIds.map(id => byId.get(id)).filter(Boolean),
+    total: rows.length,
+    page,
+    limit,
+    totals: {
+      income,
+      expenses,
+      net: income - expenses
+    }
+  };
+};
+
+// Static method to drop the bank ID index that was unique per user rather than per account,
+// which would still reject the same ID in a second account; returns whether it was there
+transactionSchema.statics.dropLegacyFitIdIndex = async function() {
+  const indexes = await this.collection.indexes();
+  if (!indexes.some(index => index.name === 'userId_1_fitId_1')) return false;
+  await this.collection.dropIndex('userId_1_fitId_1');
+  return true;
+};
+
+// Static method to index descriptions of transactions saved before search tokens existed
+transactionSchema.statics.backfillSearchTokens = async function(batchSize = 500) {
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await this.bulkWrite(batch);
+    updated += batch.length;
+    batch = [];
+  };
+
+  const cursor = this.find({ descriptionTokens: { $exists: false } }).select('description').cursor();
+  for await (const transaction of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: transaction._id },
+        update: { $set: { descriptionTokens: buildSearchTokens(transaction.description) } }
+      }
+    });
+    if (batch.length >= batchSize) await flush();
+  }
+  await flush();
+
+  return updated;
+};
+
+// Static method to give transactions saved before they carried a currency their account's
+// currency (Trash included, so restored ones convert too); returns the number updated
+transactionSchema.statics.backfillCurrencies = async function() {
+  const accountIds = await this.distinct('accountId', { currency: { $exists: false } }).setOptions({ withDeleted: true });
+  const accounts = await Account.find({ _id: { $in: accountIds } }).select('currency');
+  let updated = 0;
+
+  for (const account of accounts) {
+    const result = await this.updateMany(
+      { accountId: account._id, currency: { $exists: false } },
+      { $set: { currency: account.currency } }
+    );
+    updated += result.modifiedCount;
+  }
+
+  return updated;
+};
+
+// Static method to get transaction statistics for a user, in their base currency. Takes the
+// caller's converter (see ExchangeRate.getConverter) or loads one.
+transactionSchema.statics.getStatsByUserId = async function(userId, converter = null) {
+  converter = converter || await ExchangeRate.getConverter(userId);
   const userTransactions = await this.findByUserId(userId);
+  const baseAmount = t => Math.abs(converter.convertTransaction(t, typeof t.amount === 'number' ? t.amount : decryptAmount(t.amount)));
   
   const totalIncome = userTransactions
     .filter(t => t.type === 'income')
-    .reduce((sum, t) => sum + (typeof t.amount === 'number' ? t.amount : decryptAmount(t.amount)), 0);
+    .reduce((sum, t) => sum + baseAmount(t), 0);
   
   const totalExpenses = userTransactions
     .filter(t => t.type === 'expense')
-    .reduce((sum, t) => sum + Math.abs(typeof t.amount === 'number' ? t.amount : decryptAmount(t.amount)), 0);
+    .reduce((sum, t) => sum + baseAmount(t), 0);
   
-  const totalBalance = totalIncome - totalExpenses;
+  // Net worth is what the user's accounts hold, opening balances included
+  const totalBalance = await Account.getTotalBalance(userId, converter);
   
   // Calculate current month statistics
   const currentDate = new Date();
@@ -91,11 +708,11 @@ transactionSchema.statics.getStatsByUserId = async function(userId) {
   
   const monthlyIncome = monthlyTransactions
     .filter(t => t.type === 'income')
-    .reduce((sum, t) => sum + (typeof t.amount === 'number' ? t.amount : decryptAmount(t.amount)), 0);
+    .reduce((sum, t) => sum + baseAmount(t), 0);
   
   const monthlyExpenses = monthlyTransactions
     .filter(t => t.type === 'expense')
-    .reduce((sum, t) => sum + Math.abs(typeof t.amount === 'number' ? t.amount : decryptAmount(t.amount)), 0);
+    .reduce((sum, t) => sum + baseAmount(t), 0);
   
   return {
     totalIncome,
@@ -103,13 +720,19 @@ transactionSchema.statics.getStatsByUserId = async function(userId) {
     totalBalance,
     monthlyIncome,
     monthlyExpenses,
-    transactionCount: userTransactions.length
+    // Transfers only move money between accounts, so they aren't counted as activity
+    transactionCount: userTransactions.filter(t => t.type !== 'transfer').length,
+    baseCurrency: converter.baseCurrency,
+    // Currencies with no exchange rate yet, counted as if they were the base currency
+    unconvertedCurrencies: converter.getUnconvertedCurrencies()
   };
 };
 
-// Static method to get monthly income vs expense data
-transactionSchema.statics.getMonthlyData = async function(userId, months = 6) {
+// Static method to get monthly income vs expense data in the user's base currency
+transactionSchema.statics.getMonthlyData = async function(userId, months = 6, converter = null) {
+  converter = converter || await ExchangeRate.getConverter(userId);
   const userTransactions = await this.findByUserId(userId);
+  const baseAmount = t => Math.abs(converter.convertTransaction(t, typeof t.amount === 'number' ? t.amount : decryptAmount(t.amount)));
   const monthlyData = [];
   
   for (let i = months - 1; i >= 0; i--) {
@@ -125,11 +748,11 @@ transactionSchema.statics.getMonthlyData = async function(userId, months = 6) {
     
     const income = monthTransactions
       .filter(t => t.type === 'income')
-      .reduce((sum, t) => sum + (typeof t.amount === 'number' ? t.amount : decryptAmount(t.amount)), 0);
+      .reduce((sum, t) => sum + baseAmount(t), 0);
     
     const expense = monthTransactions
       .filter(t => t.type === 'expense')
-      .reduce((sum, t) => sum + Math.abs(typeof t.amount === 'number' ? t.amount : decryptAmount(t.amount)), 0);
+      .reduce((sum, t) => sum + baseAmount(t), 0);
     
     monthlyData.push({
       month: date.toLocaleDateString('en-US', { month: 'short' }),
@@ -142,18 +765,22 @@ transactionSchema.statics.getMonthlyData = async function(userId, months = 6) {
   return monthlyData;
 };
 
-// Static method to get category breakdown
-transactionSchema.statics.getCategoryData = async function(userId) {
+// Static method to get category breakdown in the user's base currency
+transactionSchema.statics.getCategoryData = async function(userId, converter = null) {
+  converter = converter || await ExchangeRate.getConverter(userId);
   const userTransactions = await this.findByUserId(userId);
   const expenseTransactions = userTransactions.filter(t => t.type === 'expense');
   
   const categoryTotals = {};
   let totalExpenses = 0;
   
+  // Split transactions count towards each of their lines' categories
   expenseTransactions.forEach(t => {
-    const amount = Math.abs(typeof t.amount === 'number' ? t.amount : decryptAmount(t.amount));
-    categoryTotals[t.category] = (categoryTotals[t.category] || 0) + amount;
-    totalExpenses += amount;
+    getCategoryLines(t).forEach(line => {
+      const amount = Math.abs(converter.convertTransaction(t, typeof line.amount === 'number' ? line.amount : decryptAmount(line.amount)));
+      categoryTotals[line.category] = (categoryTotals[line.category] || 0) + amount;
+      totalExpenses += amount;
+    });
   });
   
   const categoryData = Object.entries(categoryTotals).map(([category, amount]) => ({
@@ -165,5 +792,83 @@ transactionSchema.statics.getCategoryData = async function(userId) {
   return categoryData.sort((a, b) => b.amount - a.amount);
 };
 
+// Static method to list a user's tags with how many transactions carry each, most used
+// first; `prefix` narrows it down for autocomplete
+transactionSchema.statics.getTagCounts = async function(userId, { prefix, limit = 20 } = {}) {
+  const pipeline = [
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)), tags: { $exists: true, $ne: [] } } },
+    { $unwind: '$tags' }
+  ];
+  if (prefix) {
+    const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    pipeline.push({ $match: { tags: { $regex: `^${escaped}` } } });
+  }
+  pipeline.push(
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  );
+
+  const rows = await this.aggregate(pipeline);
+  return rows.map(row => ({ tag: row._id, count: row.count }));
+};
+
+// Static method to total income and spending per tag in the user's base currency, with
+// each tag's spending broken down by category (split lines count under their own
+// categories). A transaction with several tags counts towards each of them. Transfers
+// carry no tags that count.
+transactionSchema.statics.getTagBreakdown = async function(userId, { tags = [], startDate, endDate } = {}) {
+  const converter = await ExchangeRate.getConverter(userId);
+  const filter = {
+    userId,
+    type: { $in: ['income', 'expense'] },
+    tags: tags.length > 0 ? { $in: tags } : { $exists: true, $ne: [] }
+  };
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = startDate;
+    if (endDate) filter.date.$lt = endDate;
+  }
+
+  const transactions = await this.find(filter).select('amount currency type category splits tags date');
+  const byTag = new Map();
+
+  transactions.forEach(transaction => {
+    transaction.tags
+      .filter(tag => tags.length === 0 || tags.includes(tag))
+      .forEach(tag => {
+        const entry = byTag.get(tag) || { tag, count: 0, income: 0, expenses: 0, categories: {}, firstDate: null, lastDate: null };
+        entry.count += 1;
+        if (!entry.firstDate || transaction.date < entry.firstDate) entry.firstDate = transaction.date;
+        if (!entry.lastDate || transaction.date > entry.lastDate) entry.lastDate = transaction.date;
+
+        if (transaction.type === 'income') {
+          entry.income += Math.abs(converter.convertTransaction(transaction));
+        } else {
+          getCategoryLines(transaction).forEach(line => {
+            const amount = Math.abs(converter.convertTransaction(transaction, line.amount));
+            entry.expenses += amount;
+            entry.categories[line.category] = (entry.categories[line.category] || 0) + amount;
+          });
+        }
+        byTag.set(tag, entry);
+      });
+  });
+
+  return [...byTag.values()]
+    .map(entry => ({
+      ...entry,
+      net: entry.income - entry.expenses,
+      categories: Object.entries(entry.categories)
+        .map(([category, amount]) => ({
+          category,
+          amount,
+          percentage: entry.expenses > 0 ? Math.round((amount / entry.expenses) * 100) : 0
+        }))
+        .sort((a, b) => b.amount - a.amount)
+    }))
+    .sort((a, b) => b.expenses - a.expenses || b.income - a.income);
+};
+
 const Transaction = mongoose.model('Transaction', transactionSchema);
 export default Transaction;
\ No newline at end of file
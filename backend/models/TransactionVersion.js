@@ -0,0 +1,135 @@
+// backend/models/TransactionVersion.js
+
+import mongoose from 'mongoose';
+import { encrypt, decrypt } from '../config/encryption.js';
+import { diffSnapshots } from '../utils/transactionHistory.js';
+
+// How a version came about
+export const VERSION_SOURCES = ['edit', 'bulk-edit', 'rules', 'revert'];
+
+// One change to a transaction: the fields it touched, before and after. The diff
+// holds descriptions and amounts, so it is stored encrypted as a whole.
+const transactionVersionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: [true, 'Transaction ID is required']
+  },
+  version: {
+    type: Number, // 1 for the first change; version 0 is the transaction as created
+    required: true,
+    min: 1
+  },
+  source: {
+    type: String,
+    enum: VERSION_SOURCES,
+    default: 'edit'
+  },
+  revertedTo: {
+    type: Number, // For reverts, the version the transaction went back to
+    default: null
+  },
+  changes: {
+    type: String, // JSON list of { field, before, after }
+    required: true,
+    set: encrypt,
+    get: decrypt
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+transactionVersionSchema.index({ transactionId: 1, version: 1 }, { unique: true });
+transactionVersionSchema.index({ userId: 1, transactionId: 1 });
+
+const toEntry = (version) => ({
+  _id: version._id,
+  version: version.version,
+  source: version.source,
+  revertedTo: version.revertedTo,
+  changes: JSON.parse(version.changes),
+  createdAt: version.createdAt
+});
+
+// How many times a version number taken by a concurrent edit is worked out again
+const MAX_VERSION_RETRIES = 3;
+
+// Static method to record the differences between before and after snapshots of several
+// transactions (see utils/transactionHistory.js), each as that transaction's next version.
+// `snapshots` is a list of { transactionId, before, after }; unchanged ones are skipped.
+// Callers should pass the session of the write being recorded, so both commit together;
+// without one, a version number taken by a concurrent edit is retried.
+transactionVersionSchema.statics.recordMany = async function(userId, snapshots, { source = 'edit', revertedTo = null, session } = {}) {
+  const changed = snapshots
+    .map(({ transactionId, before, after }) => ({ transactionId, changes: diffSnapshots(before, after) }))
+    .filter(entry => entry.changes.length > 0);
+  if (changed.length === 0) return [];
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await this.insertVersions(userId, changed, { source, revertedTo, session });
+    } catch (error) {
+      // Inside a transaction the whole transaction is retried instead
+      if (error.code !== 11000 || session || attempt >= MAX_VERSION_RETRIES) throw error;
+    }
+  }
+};
+
+// Static method to insert changes as each transaction's next version
+transactionVersionSchema.statics.insertVersions = async function(userId, changed, { source, revertedTo, session }) {
+  const latest = await this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)), transactionId: { $in: changed.map(entry => entry.transactionId) } } },
+    { $group: { _id: '$transactionId', version: { $max: '$version' } } }
+  ]).session(session || null);
+  const latestById = new Map(latest.map(entry => [entry._id.toString(), entry.version]));
+
+  return this.insertMany(changed.map(entry => ({
+    userId,
+    transactionId: entry.transactionId,
+    version: (latestById.get(entry.transactionId.toString()) || 0) + 1,
+    source,
+    revertedTo,
+    changes: JSON.stringify(entry.changes)
+  })), { session });
+};
+
+// Static method to record one transaction's change as its next version; null when nothing changed
+transactionVersionSchema.statics.record = async function(userId, transactionId, before, after, options = {}) {
+  const [version] = await this.recordMany(userId, [{ transactionId, before, after }], options);
+  return version || null;
+};
+
+// Static method to get a transaction's history, newest first, with decrypted changes
+transactionVersionSchema.statics.findForTransaction = async function(userId, transactionId) {
+  const versions = await this.find({ userId, transactionId }).sort({ version: -1 });
+  return versions.map(toEntry);
+};
+
+// Static method to work out the tracked fields as they stood at `version`, by undoing
+// every later change to the `current` snapshot; null for a version that doesn't exist
+transactionVersionSchema.statics.stateAtVersion = async function(userId, transactionId, version, current) {
+  if (version > 0 && !(await this.exists({ userId, transactionId, version }))) return null;
+
+  const later = await this.find({ userId, transactionId, version: { $gt: version } }).sort({ version: -1 });
+
+  return later.map(toEntry).reduce((state, entry) => {
+    entry.changes.forEach(change => { state[change.field] = change.before; });
+    return state;
+  }, { ...current });
+};
+
+// Static method to delete the history of the given transactions
+transactionVersionSchema.statics.deleteForTransactions = async function(userId, transactionIds, { session } = {}) {
+  const result = await this.deleteMany({ userId, transactionId: { $in: transactionIds } }, { session });
+  return result.deletedCount;
+};
+
+const TransactionVersion = mongoose.model('TransactionVersion', transactionVersionSchema);
+export default TransactionVersion;
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import { encrypt, decrypt } from '../config/encryption.js';
+import { DEFAULT_CURRENCY } from '../utils/currency.js';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -40,6 +41,13 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  baseCurrency: {
+    type: String, // Totals, budgets and reports are shown in this currency
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    default: DEFAULT_CURRENCY
+  },
   refreshTokens: [{
     token: {
       type: String,
@@ -71,6 +79,11 @@ const userSchema = new mongoose.Schema({
   resetPasswordExpire: {
     type: Date,
     default: null
+  },
+  envelopeRevision: {
+    type: Number, // Bumped by every envelope allocation, so concurrent ones conflict and retry
+    default: 0,
+    select: false
   }
 }, {
   timestamps: true,
@@ -0,0 +1,85 @@
+// backend/routes/accountRoutes.js
+
+import express from 'express';
+import {
+  getAccounts,
+  getAccountLedger,
+  createAccount,
+  updateAccount,
+  deleteAccount
+} from '../controllers/accountController.js';
+import {
+  getReconciliation,
+  startReconciliation,
+  updateReconciliation,
+  markCleared,
+  completeReconciliation,
+  cancelReconciliation
+} from '../controllers/reconciliationController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { validateAccount, validateAccountUpdate, validateReconciliation, validateReconciliationUpdate, validateClearedMarks, validateObjectId, validatePagination, sanitizeInput, preventNoSQLInjection } from '../middleware/validationMiddleware.js';
+import { apiRateLimit, modificationRateLimit } from '../middleware/rateLimitMiddleware.js';
+import { auditMiddleware } from '../middleware/auditMiddleware.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all account routes
+router.use(protect);
+router.use(preventNoSQLInjection);
+
+// @route   GET /api/accounts
+// @desc    Get all accounts with their balances
+// @access  Private
+router.get('/', apiRateLimit, getAccounts);
+
+// @route   GET /api/accounts/:id/transactions
+// @desc    Get an account's transactions with running balances
+// @access  Private
+router.get('/:id/transactions', apiRateLimit, validateObjectId, validatePagination, getAccountLedger);
+
+// @route   POST /api/accounts
+// @desc    Create an account
+// @access  Private
+router.post('/', modificationRateLimit, validateAccount, sanitizeInput, auditMiddleware('MONEY_ACCOUNT_CREATE', 'account'), createAccount);
+
+// @route   PUT /api/accounts/:id
+// @desc    Update or archive an account
+// @access  Private
+router.put('/:id', modificationRateLimit, validateObjectId, validateAccountUpdate, sanitizeInput, auditMiddleware('MONEY_ACCOUNT_UPDATE', 'account'), updateAccount);
+
+// @route   DELETE /api/accounts/:id
+// @desc    Delete an account with no transactions
+// @access  Private
+router.delete('/:id', modificationRateLimit, validateObjectId, auditMiddleware('MONEY_ACCOUNT_DELETE', 'account'), deleteAccount);
+
+// @route   GET /api/accounts/:id/reconciliation
+// @desc    Get the account's reconciliation in progress and where it stands
+// @access  Private
+router.get('/:id/reconciliation', apiRateLimit, validateObjectId, getReconciliation);
+
+// @route   POST /api/accounts/:id/reconciliation
+// @desc    Start reconciling the account against a statement
+// @access  Private
+router.post('/:id/reconciliation', modificationRateLimit, validateObjectId, validateReconciliation, sanitizeInput, startReconciliation);
+
+// @route   PUT /api/accounts/:id/reconciliation
+// @desc    Change the statement date or ending balance being reconciled against
+// @access  Private
+router.put('/:id/reconciliation', modificationRateLimit, validateObjectId, validateReconciliationUpdate, sanitizeInput, updateReconciliation);
+
+// @route   PATCH /api/accounts/:id/reconciliation/transactions
+// @desc    Tick transactions off as cleared, or back to pending
+// @access  Private
+router.patch('/:id/reconciliation/transactions', modificationRateLimit, validateObjectId, validateClearedMarks, markCleared);
+
+// @route   POST /api/accounts/:id/reconciliation/complete
+// @desc    Finish reconciling and lock the cleared transactions
+// @access  Private
+router.post('/:id/reconciliation/complete', modificationRateLimit, validateObjectId, completeReconciliation);
+
+// @route   DELETE /api/accounts/:id/reconciliation
+// @desc    Cancel the reconciliation in progress
+// @access  Private
+router.delete('/:id/reconciliation', modificationRateLimit, validateObjectId, cancelReconciliation);
+
+export default router;
@@ -1,10 +1,10 @@
 import express from 'express';
-import { register, login, getUserProfile, forgotPassword, resetPassword, changePassword, googleCallback, microsoftCallback, refreshToken, logout, logoutAll } from '../controllers/authController.js';
+import { register, login, getUserProfile, updateUserProfile, forgotPassword, resetPassword, changePassword, googleCallback, microsoftCallback, refreshToken, logout, logoutAll } from '../controllers/authController.js';
 import { protect } from '../middleware/authMiddleware.js';
-import { validateRegister, validateLogin, validateForgotPassword, validateResetPassword, validateChangePassword, sanitizeInput, preventNoSQLInjection } from '../middleware/validationMiddleware.js';
+import { validateRegister, validateLogin, validateForgotPassword, validateResetPassword, validateChangePassword, validateProfileUpdate, sanitizeInput, preventNoSQLInjection } from '../middleware/validationMiddleware.js';
 import { getCsrfToken, csrfProtection } from '../middleware/csrfMiddleware.js';
 import { authRateLimit, passwordResetRateLimit } from '../middleware/rateLimitMiddleware.js';
-import { auditAuth } from '../middleware/auditMiddleware.js';
+import { auditAuth, auditMiddleware } from '../middleware/auditMiddleware.js';
 import passport from '../config/passport.js';
 
 const router = express.Router();
@@ -36,6 +36,7 @@ router.get('/csrf-token', getCsrfToken);
 
 // Protected routes
 router.get('/profile', protect, preventNoSQLInjection, getUserProfile);
+router.put('/profile', protect, csrfProtection, preventNoSQLInjection, sanitizeInput, validateProfileUpdate, auditMiddleware('PROFILE_UPDATE', 'user'), updateUserProfile);
 router.post('/change-password', protect, csrfProtection, preventNoSQLInjection, sanitizeInput, validateChangePassword, auditAuth('PASSWORD_CHANGE'), changePassword);
 router.post('/logout', protect, csrfProtection, preventNoSQLInjection, auditAuth('LOGOUT'), logout);
 router.post('/logout-all', protect, csrfProtection, preventNoSQLInjection, logoutAll);
@@ -4,14 +4,24 @@ import express from 'express';
 import {
   getBudgets,
   getBudgetById,
+  getBudgetWindowSpending,
+  getBudgetHistory,
   createBudget,
   updateBudget,
   deleteBudget,
   getBudgetOverview
 } from '../controllers/budgetController.js';
+import {
+  getEnvelopes,
+  getAllocations,
+  createAllocation,
+  assignBudgeted,
+  deleteAllocation
+} from '../controllers/envelopeController.js';
 import { protect as authMiddleware } from '../middleware/authMiddleware.js';
-import { validateBudget, validateObjectId, validatePagination, sanitizeInput, preventNoSQLInjection } from '../middleware/validationMiddleware.js';
+import { validateBudget, validateBudgetWindowQuery, validateBudgetHistoryQuery, validateEnvelopeQuery, validateEnvelopeMonth, validateAllocation, validateObjectId, validatePagination, sanitizeInput, preventNoSQLInjection } from '../middleware/validationMiddleware.js';
 import { apiRateLimit, modificationRateLimit } from '../middleware/rateLimitMiddleware.js';
+import { auditMiddleware } from '../middleware/auditMiddleware.js';
 
 const router = express.Router();
 
@@ -25,6 +35,27 @@ router.get('/', apiRateLimit, getBudgets);
 // GET /api/budgets/overview - Get budget overview/statistics
 router.get('/overview', apiRateLimit, getBudgetOverview);
 
+// GET /api/budgets/envelopes - Envelope budgeting for a month
+router.get('/envelopes', apiRateLimit, validateEnvelopeQuery, getEnvelopes);
+
+// GET /api/budgets/envelopes/allocations - A month's allocation events
+router.get('/envelopes/allocations', apiRateLimit, validateEnvelopeQuery, getAllocations);
+
+// POST /api/budgets/envelopes/allocations - Assign or move money between envelopes
+router.post('/envelopes/allocations', modificationRateLimit, sanitizeInput, validateAllocation, auditMiddleware('BUDGET_ALLOCATE', 'budget'), createAllocation);
+
+// POST /api/budgets/envelopes/assign-budgeted - Assign each envelope what its monthly budget still needs
+router.post('/envelopes/assign-budgeted', modificationRateLimit, sanitizeInput, validateEnvelopeMonth, auditMiddleware('BUDGET_ALLOCATE', 'budget'), assignBudgeted);
+
+// DELETE /api/budgets/envelopes/allocations/:id - Delete an allocation event
+router.delete('/envelopes/allocations/:id', modificationRateLimit, validateObjectId, auditMiddleware('BUDGET_ALLOCATION_DELETE', 'budget'), deleteAllocation);
+
+// GET /api/budgets/:id/window - Get a budget's spending in a past window of its period
+router.get('/:id/window', apiRateLimit, validateObjectId, validateBudgetWindowQuery, getBudgetWindowSpending);
+
+// GET /api/budgets/:id/history - Get how a budget did in its recent closed periods
+router.get('/:id/history', apiRateLimit, validateObjectId, validateBudgetHistoryQuery, getBudgetHistory);
+
 // GET /api/budgets/:id - Get single budget by ID
 router.get('/:id', apiRateLimit, validateObjectId, getBudgetById);
 
@@ -0,0 +1,47 @@
+// backend/routes/categoryRoutes.js
+
+import express from 'express';
+import {
+  getCategories,
+  createCategory,
+  updateCategory,
+  mergeCategory,
+  deleteCategory
+} from '../controllers/categoryController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { validateCategory, validateCategoryUpdate, validateCategoryMerge, validateCategoryQuery, validateObjectId, sanitizeInput, preventNoSQLInjection } from '../middleware/validationMiddleware.js';
+import { apiRateLimit, modificationRateLimit } from '../middleware/rateLimitMiddleware.js';
+import { auditMiddleware } from '../middleware/auditMiddleware.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all category routes
+router.use(protect);
+router.use(preventNoSQLInjection);
+
+// @route   GET /api/categories
+// @desc    Get all categories (seeded with the defaults on first use)
+// @access  Private
+router.get('/', apiRateLimit, validateCategoryQuery, getCategories);
+
+// @route   POST /api/categories
+// @desc    Create a category
+// @access  Private
+router.post('/', modificationRateLimit, validateCategory, sanitizeInput, auditMiddleware('CATEGORY_CREATE', 'category'), createCategory);
+
+// @route   POST /api/categories/:id/merge
+// @desc    Merge a category into another
+// @access  Private
+router.post('/:id/merge', modificationRateLimit, validateObjectId, validateCategoryMerge, auditMiddleware('CATEGORY_MERGE', 'category'), mergeCategory);
+
+// @route   PUT /api/categories/:id
+// @desc    Update, rename or re-parent a category
+// @access  Private
+router.put('/:id', modificationRateLimit, validateObjectId, validateCategoryUpdate, sanitizeInput, auditMiddleware('CATEGORY_UPDATE', 'category'), updateCategory);
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete an unused category
+// @access  Private
+router.delete('/:id', modificationRateLimit, validateObjectId, auditMiddleware('CATEGORY_DELETE', 'category'), deleteCategory);
+
+export default router;
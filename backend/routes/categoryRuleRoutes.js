@@ -0,0 +1,53 @@
+// backend/routes/categoryRuleRoutes.js
+
+import express from 'express';
+import {
+  getRules,
+  createRule,
+  updateRule,
+  reorderRules,
+  applyRules,
+  deleteRule
+} from '../controllers/categoryRuleController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { validateCategoryRule, validateCategoryRuleUpdate, validateCategoryRuleOrder, validateCategoryRuleApply, validateObjectId, sanitizeInput, preventNoSQLInjection } from '../middleware/validationMiddleware.js';
+import { apiRateLimit, modificationRateLimit } from '../middleware/rateLimitMiddleware.js';
+import { auditMiddleware } from '../middleware/auditMiddleware.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all rule routes
+router.use(protect);
+router.use(preventNoSQLInjection);
+
+// @route   GET /api/category-rules
+// @desc    Get categorization rules in priority order
+// @access  Private
+router.get('/', apiRateLimit, getRules);
+
+// @route   POST /api/category-rules
+// @desc    Create a categorization rule
+// @access  Private
+router.post('/', modificationRateLimit, validateCategoryRule, sanitizeInput, auditMiddleware('CATEGORY_RULE_CREATE', 'category-rule'), createRule);
+
+// @route   POST /api/category-rules/apply
+// @desc    Preview or apply the rules to past transactions
+// @access  Private
+router.post('/apply', modificationRateLimit, validateCategoryRuleApply, applyRules);
+
+// @route   PUT /api/category-rules/reorder
+// @desc    Set the order rules run in
+// @access  Private
+router.put('/reorder', modificationRateLimit, validateCategoryRuleOrder, auditMiddleware('CATEGORY_RULE_UPDATE', 'category-rule'), reorderRules);
+
+// @route   PUT /api/category-rules/:id
+// @desc    Update a categorization rule
+// @access  Private
+router.put('/:id', modificationRateLimit, validateObjectId, validateCategoryRuleUpdate, sanitizeInput, auditMiddleware('CATEGORY_RULE_UPDATE', 'category-rule'), updateRule);
+
+// @route   DELETE /api/category-rules/:id
+// @desc    Delete a categorization rule
+// @access  Private
+router.delete('/:id', modificationRateLimit, validateObjectId, auditMiddleware('CATEGORY_RULE_DELETE', 'category-rule'), deleteRule);
+
+export default router;
@@ -5,12 +5,14 @@ import {
   getFinancialInsights,
   getSpendingTrends,
   getExpenseAnalytics,
-  getIncomeAnalytics
+  getIncomeAnalytics,
+  getTagAnalytics,
+  getPayeeAnalytics
 } from '../controllers/dashboardController.js';
 import { protect } from '../middleware/authMiddleware.js';
 import { csrfProtection } from '../middleware/csrfMiddleware.js';
 import { apiRateLimit } from '../middleware/rateLimitMiddleware.js';
-import { preventNoSQLInjection } from '../middleware/validationMiddleware.js';
+import { preventNoSQLInjection, validateTagBreakdownQuery, validatePayeeAnalyticsQuery } from '../middleware/validationMiddleware.js';
 
 const router = express.Router();
 
@@ -42,4 +44,14 @@ router.get('/analytics/expenses', apiRateLimit, preventNoSQLInjection, getExpens
 // @access  Private
 router.get('/analytics/income', apiRateLimit, preventNoSQLInjection, getIncomeAnalytics);
 
+// @route   GET /api/dashboard/analytics/tags
+// @desc    Get income and spending per tag, broken down by category
+// @access  Private
+router.get('/analytics/tags', apiRateLimit, preventNoSQLInjection, validateTagBreakdownQuery, getTagAnalytics);
+
+// @route   GET /api/dashboard/analytics/payees
+// @desc    Get income and spending per payee, broken down by category
+// @access  Private
+router.get('/analytics/payees', apiRateLimit, preventNoSQLInjection, validatePayeeAnalyticsQuery, getPayeeAnalytics);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,47 @@
+// backend/routes/exchangeRateRoutes.js
+
+import express from 'express';
+import {
+  getExchangeRates,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate,
+  importExchangeRates
+} from '../controllers/exchangeRateController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { validateExchangeRate, validateExchangeRateUpdate, validateExchangeRateQuery, validateExchangeRateImport, validateObjectId, preventNoSQLInjection } from '../middleware/validationMiddleware.js';
+import { apiRateLimit, modificationRateLimit } from '../middleware/rateLimitMiddleware.js';
+import { auditMiddleware } from '../middleware/auditMiddleware.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all exchange rate routes
+router.use(protect);
+router.use(preventNoSQLInjection);
+
+// @route   GET /api/exchange-rates
+// @desc    Get exchange rates, newest first
+// @access  Private
+router.get('/', apiRateLimit, validateExchangeRateQuery, getExchangeRates);
+
+// @route   POST /api/exchange-rates
+// @desc    Add an exchange rate
+// @access  Private
+router.post('/', modificationRateLimit, validateExchangeRate, auditMiddleware('EXCHANGE_RATE_CREATE', 'exchange-rate'), createExchangeRate);
+
+// @route   POST /api/exchange-rates/import
+// @desc    Preview or import exchange rates from a CSV
+// @access  Private
+router.post('/import', modificationRateLimit, validateExchangeRateImport, importExchangeRates);
+
+// @route   PUT /api/exchange-rates/:id
+// @desc    Update an exchange rate
+// @access  Private
+router.put('/:id', modificationRateLimit, validateObjectId, validateExchangeRateUpdate, auditMiddleware('EXCHANGE_RATE_UPDATE', 'exchange-rate'), updateExchangeRate);
+
+// @route   DELETE /api/exchange-rates/:id
+// @desc    Delete an exchange rate
+// @access  Private
+router.delete('/:id', modificationRateLimit, validateObjectId, auditMiddleware('EXCHANGE_RATE_DELETE', 'exchange-rate'), deleteExchangeRate);
+
+export default router;
@@ -0,0 +1,53 @@
+// backend/routes/payeeRoutes.js
+
+import express from 'express';
+import {
+  getPayees,
+  createPayee,
+  updatePayee,
+  mergePayee,
+  assignPayees,
+  deletePayee
+} from '../controllers/payeeController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { validatePayee, validatePayeeUpdate, validatePayeeMerge, validateObjectId, sanitizeInput, preventNoSQLInjection } from '../middleware/validationMiddleware.js';
+import { apiRateLimit, modificationRateLimit } from '../middleware/rateLimitMiddleware.js';
+import { auditMiddleware } from '../middleware/auditMiddleware.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all payee routes
+router.use(protect);
+router.use(preventNoSQLInjection);
+
+// @route   GET /api/payees
+// @desc    Get payees by name, with their transaction counts
+// @access  Private
+router.get('/', apiRateLimit, getPayees);
+
+// @route   POST /api/payees
+// @desc    Create a payee
+// @access  Private
+router.post('/', modificationRateLimit, validatePayee, sanitizeInput, auditMiddleware('PAYEE_CREATE', 'payee'), createPayee);
+
+// @route   POST /api/payees/assign
+// @desc    Find payees for transactions that have none yet
+// @access  Private
+router.post('/assign', modificationRateLimit, assignPayees);
+
+// @route   POST /api/payees/:id/merge
+// @desc    Merge a payee into another
+// @access  Private
+router.post('/:id/merge', modificationRateLimit, validateObjectId, validatePayeeMerge, auditMiddleware('PAYEE_MERGE', 'payee'), mergePayee);
+
+// @route   PUT /api/payees/:id
+// @desc    Rename a payee or change its matchers
+// @access  Private
+router.put('/:id', modificationRateLimit, validateObjectId, validatePayeeUpdate, sanitizeInput, auditMiddleware('PAYEE_UPDATE', 'payee'), updatePayee);
+
+// @route   DELETE /api/payees/:id
+// @desc    Delete a payee
+// @access  Private
+router.delete('/:id', modificationRateLimit, validateObjectId, auditMiddleware('PAYEE_DELETE', 'payee'), deletePayee);
+
+export default router;
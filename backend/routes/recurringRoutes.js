@@ -0,0 +1,47 @@
+// backend/routes/recurringRoutes.js
+
+import express from 'express';
+import {
+  getRecurringTransactions,
+  getUpcomingOccurrences,
+  createRecurringTransaction,
+  updateRecurringTransaction,
+  deleteRecurringTransaction
+} from '../controllers/recurringController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { validateRecurringTransaction, validateRecurringUpdate, validateObjectId, sanitizeInput, preventNoSQLInjection } from '../middleware/validationMiddleware.js';
+import { apiRateLimit, modificationRateLimit } from '../middleware/rateLimitMiddleware.js';
+import { auditMiddleware } from '../middleware/auditMiddleware.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all recurring transaction routes
+router.use(protect);
+router.use(preventNoSQLInjection);
+
+// @route   GET /api/recurring/upcoming
+// @desc    Get upcoming occurrences of active schedules
+// @access  Private
+router.get('/upcoming', apiRateLimit, getUpcomingOccurrences);
+
+// @route   GET /api/recurring
+// @desc    Get all recurring transactions for a user
+// @access  Private
+router.get('/', apiRateLimit, getRecurringTransactions);
+
+// @route   POST /api/recurring
+// @desc    Create a recurring transaction
+// @access  Private
+router.post('/', modificationRateLimit, validateRecurringTransaction, sanitizeInput, auditMiddleware('TRANSACTION_CREATE', 'recurring_transaction'), createRecurringTransaction);
+
+// @route   PUT /api/recurring/:id
+// @desc    Update or pause/resume a recurring transaction
+// @access  Private
+router.put('/:id', modificationRateLimit, validateObjectId, validateRecurringUpdate, sanitizeInput, auditMiddleware('TRANSACTION_UPDATE', 'recurring_transaction'), updateRecurringTransaction);
+
+// @route   DELETE /api/recurring/:id
+// @desc    Delete a recurring transaction
+// @access  Private
+router.delete('/:id', modificationRateLimit, validateObjectId, auditMiddleware('TRANSACTION_DELETE', 'recurring_transaction'), deleteRecurringTransaction);
+
+export default router;
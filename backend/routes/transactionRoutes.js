@@ -7,13 +7,41 @@ import {
   deleteTransaction,
   getTransactionStats,
   getMonthlyData,
-  getCategoryData
+  getCategoryData,
+  getTags,
+  parseQuickAdd,
+  getTransfer,
+  createTransfer,
+  updateTransfer,
+  deleteTransfer,
+  getDuplicateGroups,
+  mergeDuplicates,
+  dismissDuplicates,
+  bulkUpdateTransactions,
+  bulkDeleteTransactions,
+  getTransactionHistory,
+  revertTransaction,
+  setTransactionStatus
 } from '../controllers/transactionController.js';
+import {
+  importTransactions,
+  getImportMappings,
+  deleteImportMapping,
+  getAlertBanks
+} from '../controllers/importController.js';
+import {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  getAttachmentThumbnail,
+  deleteAttachment
+} from '../controllers/attachmentController.js';
 import { protect } from '../middleware/authMiddleware.js';
-import { validateTransaction, validateObjectId, validatePagination, sanitizeInput, preventNoSQLInjection } from '../middleware/validationMiddleware.js';
+import { validateTransaction, validateTransactionQuery, validateTransfer, validateTransferUpdate, validateImport, validateDuplicateMerge, validateDuplicateDismiss, validateBulkUpdate, validateBulkDelete, validateAttachment, validateAttachmentId, validateVersionParam, validateTransactionStatus, validateTagQuery, validateQuickAdd, validateObjectId, validatePagination, sanitizeInput, preventNoSQLInjection } from '../middleware/validationMiddleware.js';
 import { csrfProtection } from '../middleware/csrfMiddleware.js';
 import { apiRateLimit, modificationRateLimit } from '../middleware/rateLimitMiddleware.js';
 import { auditMiddleware } from '../middleware/auditMiddleware.js';
+import { attachmentUploadLimits } from '../middleware/securityMiddleware.js';
 
 const router = express.Router();
 
@@ -37,10 +65,87 @@ router.get('/monthly', apiRateLimit, getMonthlyData);
 // @access  Private
 router.get('/categories', apiRateLimit, getCategoryData);
 
+// @route   GET /api/transactions/tags
+// @desc    Get the user's tags with usage counts (for autocomplete)
+// @access  Private
+router.get('/tags', apiRateLimit, validateTagQuery, getTags);
+
+// @route   POST /api/transactions/quick-add
+// @desc    Read a one-line entry into a draft transaction to confirm
+// @access  Private
+router.post('/quick-add', apiRateLimit, validateQuickAdd, parseQuickAdd);
+
+// @route   GET /api/transactions/import/mappings
+// @desc    Get saved statement column mappings
+// @access  Private
+router.get('/import/mappings', apiRateLimit, getImportMappings);
+
+// @route   GET /api/transactions/import/alert-banks
+// @desc    Get the banks whose SMS/email alerts can be imported
+// @access  Private
+router.get('/import/alert-banks', apiRateLimit, getAlertBanks);
+
+// @route   DELETE /api/transactions/import/mappings/:id
+// @desc    Delete a saved statement column mapping
+// @access  Private
+router.delete('/import/mappings/:id', modificationRateLimit, validateObjectId, deleteImportMapping);
+
+// @route   POST /api/transactions/import
+// @desc    Preview (dryRun) or import transactions from a bank statement
+// @access  Private
+// Note: sanitizeInput is skipped here because it collapses the newlines the
+// statement depends on; each row is escaped by the transaction rules instead.
+router.post('/import', modificationRateLimit, validateImport, importTransactions);
+
+// @route   GET /api/transactions/duplicates
+// @desc    Get groups of likely duplicate transactions
+// @access  Private
+router.get('/duplicates', apiRateLimit, getDuplicateGroups);
+
+// @route   POST /api/transactions/duplicates/merge
+// @desc    Keep one transaction of a duplicate group and delete the rest
+// @access  Private
+router.post('/duplicates/merge', modificationRateLimit, validateDuplicateMerge, mergeDuplicates);
+
+// @route   POST /api/transactions/duplicates/dismiss
+// @desc    Mark transactions as not duplicates of each other
+// @access  Private
+router.post('/duplicates/dismiss', modificationRateLimit, validateDuplicateDismiss, dismissDuplicates);
+
+// @route   PATCH /api/transactions/bulk
+// @desc    Change category, type, date or tags on many transactions at once
+// @access  Private
+router.patch('/bulk', modificationRateLimit, validateBulkUpdate, sanitizeInput, bulkUpdateTransactions);
+
+// @route   DELETE /api/transactions/bulk
+// @desc    Delete many transactions at once
+// @access  Private
+router.delete('/bulk', modificationRateLimit, validateBulkDelete, bulkDeleteTransactions);
+
+// @route   POST /api/transactions/transfers
+// @desc    Move money between two accounts (creates a linked pair of legs)
+// @access  Private
+router.post('/transfers', modificationRateLimit, validateTransfer, sanitizeInput, auditMiddleware('TRANSACTION_CREATE', 'transfer'), createTransfer);
+
+// @route   GET /api/transactions/transfers/:id
+// @desc    Get a transfer by its transfer ID
+// @access  Private
+router.get('/transfers/:id', apiRateLimit, validateObjectId, getTransfer);
+
+// @route   PUT /api/transactions/transfers/:id
+// @desc    Update both legs of a transfer
+// @access  Private
+router.put('/transfers/:id', modificationRateLimit, validateObjectId, validateTransferUpdate, sanitizeInput, auditMiddleware('TRANSACTION_UPDATE', 'transfer'), updateTransfer);
+
+// @route   DELETE /api/transactions/transfers/:id
+// @desc    Delete both legs of a transfer
+// @access  Private
+router.delete('/transfers/:id', modificationRateLimit, validateObjectId, auditMiddleware('TRANSACTION_DELETE', 'transfer'), deleteTransfer);
+
 // @route   GET /api/transactions
-// @desc    Get all transactions for user
+// @desc    Search, filter, sort and paginate transactions for user
 // @access  Private
-router.get('/', apiRateLimit, validatePagination, sanitizeInput, auditMiddleware('TRANSACTION_VIEW', 'transaction'), getTransactions);
+router.get('/', apiRateLimit, validatePagination, validateTransactionQuery, sanitizeInput, auditMiddleware('TRANSACTION_VIEW', 'transaction'), getTransactions);
 
 // @route   POST /api/transactions
 // @desc    Create new transaction
@@ -62,4 +167,46 @@ router.put('/:id', modificationRateLimit, validateObjectId, validateTransaction,
 // @access  Private
 router.delete('/:id', modificationRateLimit, validateObjectId, sanitizeInput, auditMiddleware('TRANSACTION_DELETE', 'transaction'), deleteTransaction);
 
+// @route   PATCH /api/transactions/:id/status
+// @desc    Mark a transaction as pending or cleared (unlocks a reconciled one)
+// @access  Private
+router.patch('/:id/status', modificationRateLimit, validateObjectId, validateTransactionStatus, auditMiddleware('TRANSACTION_UPDATE', 'transaction'), setTransactionStatus);
+
+// @route   GET /api/transactions/:id/history
+// @desc    Get a transaction's change history
+// @access  Private
+router.get('/:id/history', apiRateLimit, validateObjectId, getTransactionHistory);
+
+// @route   POST /api/transactions/:id/history/:version/revert
+// @desc    Put a transaction back the way it was at an earlier version
+// @access  Private
+router.post('/:id/history/:version/revert', modificationRateLimit, validateObjectId, validateVersionParam, auditMiddleware('TRANSACTION_UPDATE', 'transaction'), revertTransaction);
+
+// @route   GET /api/transactions/:id/attachments
+// @desc    Get a transaction's receipts and documents
+// @access  Private
+router.get('/:id/attachments', apiRateLimit, validateObjectId, getAttachments);
+
+// @route   POST /api/transactions/:id/attachments
+// @desc    Attach a receipt or document to a transaction
+// @access  Private
+// Note: sanitizeInput is skipped here because it would corrupt the base64 content;
+// attachmentUploadLimits checks the decoded file instead.
+router.post('/:id/attachments', modificationRateLimit, validateObjectId, validateAttachment, attachmentUploadLimits, auditMiddleware('ATTACHMENT_UPLOAD', 'transaction'), uploadAttachment);
+
+// @route   GET /api/transactions/:id/attachments/:attachmentId
+// @desc    Download an attachment
+// @access  Private
+router.get('/:id/attachments/:attachmentId', apiRateLimit, validateObjectId, validateAttachmentId, downloadAttachment);
+
+// @route   GET /api/transactions/:id/attachments/:attachmentId/thumbnail
+// @desc    Get an attachment's thumbnail image
+// @access  Private
+router.get('/:id/attachments/:attachmentId/thumbnail', apiRateLimit, validateObjectId, validateAttachmentId, getAttachmentThumbnail);
+
+// @route   DELETE /api/transactions/:id/attachments/:attachmentId
+// @desc    Delete an attachment
+// @access  Private
+router.delete('/:id/attachments/:attachmentId', modificationRateLimit, validateObjectId, validateAttachmentId, auditMiddleware('ATTACHMENT_DELETE', 'transaction'), deleteAttachment);
+
 export default router;
\ No newline at end of file
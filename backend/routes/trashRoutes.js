@@ -0,0 +1,34 @@
+// backend/routes/trashRoutes.js
+
+import express from 'express';
+import {
+  getTrash,
+  restoreFromTrash,
+  purgeFromTrash
+} from '../controllers/trashController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { validateTrashRequest, preventNoSQLInjection } from '../middleware/validationMiddleware.js';
+import { apiRateLimit, modificationRateLimit } from '../middleware/rateLimitMiddleware.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all trash routes
+router.use(protect);
+router.use(preventNoSQLInjection);
+
+// @route   GET /api/trash
+// @desc    Get deleted transactions, budgets and goals
+// @access  Private
+router.get('/', apiRateLimit, getTrash);
+
+// @route   POST /api/trash/:resource/restore
+// @desc    Restore items from the Trash
+// @access  Private
+router.post('/:resource/restore', modificationRateLimit, validateTrashRequest, restoreFromTrash);
+
+// @route   DELETE /api/trash/:resource
+// @desc    Permanently delete items in the Trash
+// @access  Private
+router.delete('/:resource', modificationRateLimit, validateTrashRequest, purgeFromTrash);
+
+export default router;
@@ -0,0 +1,50 @@
+// backend/utils/attachmentStorage.js
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Where attachments go when ATTACHMENT_DIR isn't set
+const DEFAULT_ATTACHMENT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'uploads');
+
+// Storage adapters hold opaque, already-encrypted blobs by key and implement
+// save(key, buffer), read(key) and remove(key). Keys are generated by the server.
+export const createLocalStorage = (rootDir) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer, { mode: 0o600 });
+    },
+
+    async read(key) {
+      return fs.readFile(resolveKey(key));
+    },
+
+    // Removing a blob that's already gone is not an error
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+let storage = null;
+
+// The adapter attachments are stored with (local disk unless another one is set)
+export const getAttachmentStorage = () => {
+  if (!storage) storage = createLocalStorage(process.env.ATTACHMENT_DIR || DEFAULT_ATTACHMENT_DIR);
+  return storage;
+};
+
+// Swap in another adapter, e.g. one backed by object storage
+export const setAttachmentStorage = (adapter) => {
+  storage = adapter;
+};
@@ -0,0 +1,218 @@
+// backend/utils/bankAlertParser.js
+
+import crypto from 'crypto';
+import { parseDate, parseAmount } from './importUtils.js';
+import { BANK_ALERT_TEMPLATES } from './bankAlertTemplates.js';
+
+// Label names each field goes by when a template doesn't list its own
+const DEFAULT_LABELS = {
+  type: ['Txn', 'Type'],
+  account: ['Acct', 'Acc', 'Ac', 'Account'],
+  amount: ['Amt', 'Amount'],
+  narration: ['Desc', 'Des', 'Narration', 'Remarks', 'Details'],
+  balance: ['Avail Bal', 'Avail. Bal', 'Available Balance', 'Bal', 'Balance'],
+  date: ['Date', 'DT', 'Time']
+};
+
+// Used when no template recognises an alert but it still has an amount
+const GENERIC_TEMPLATE = { id: 'other', name: 'Other bank', markers: null, layout: /\b(Amt|Amount)\s*:/i };
+
+const templates = [...BANK_ALERT_TEMPLATES];
+
+// Add a bank's alert layout (see bankAlertTemplates.js); a template with a known id replaces it
+export const registerBankAlertTemplate = (template) => {
+  const index = templates.findIndex(existing => existing.id === template.id);
+  if (index === -1) templates.push(template);
+  else templates[index] = template;
+};
+
+export const getBankAlertTemplates = () => templates.map(({ id, name }) => ({ id, name }));
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A regex finding any of the labels as "Label:", and a lookup from label to field
+const buildLabelMatcher = (labels) => {
+  const aliases = Object.entries(labels)
+    .flatMap(([field, names]) => names.map(name => ({ field, name: name.toLowerCase() })))
+    .sort((a, b) => b.name.length - a.name.length); // "Avail Bal" before "Bal"
+  return {
+    pattern: new RegExp(`(^|[^A-Za-z])(${aliases.map(alias => escapeRegex(alias.name)).join('|')})\\s*:`, 'gi'),
+    fieldFor: (label) => aliases.find(alias => alias.name === label.toLowerCase()).field
+  };
+};
+
+// Every label any template uses, for telling where one alert ends and the next begins
+const buildAllLabelsMatcher = () => buildLabelMatcher(Object.fromEntries(Object.keys(DEFAULT_LABELS).map(field => [
+  field,
+  [...new Set([...DEFAULT_LABELS[field], ...templates.flatMap(template => (template.labels || {})[field] || [])])]
+])));
+
+// The labelled fields on one line: [{ field, value, prefix }], where prefix is any text before the first label
+const readLine = (line, matcher) => {
+  const matches = [...line.matchAll(matcher.pattern)];
+  return matches.map((match, index) => {
+    const labelStart = match.index + match[1].length;
+    const next = matches[index + 1];
+    const valueEnd = next ? next.index + next[1].length : line.length;
+    return {
+      field: matcher.fieldFor(match[2]),
+      value: line.slice(match.index + match[0].length, valueEnd).trim().replace(/[,;|]+$/, '').trim(),
+      prefix: index === 0 ? line.slice(0, labelStart).trim() : ''
+    };
+  });
+};
+
+// "Credit Alert!" or a bare "Debit" heading the next alert
+const isAlertHeading = (line) => /^(debit|credit)(\s+(alert|transaction))?\s*[!.:]*$/i.test(line);
+
+// Lines an alert opens with: a heading, "Debit: 301XXXX123" or "Txn: Credit"
+const isAlertStart = (line, fields) => isAlertHeading(line) || /^(debit|credit)\s*:/i.test(line) || fields.includes('type');
+
+// Split pasted text into single alerts: at blank lines, and where a field seen already turns up again
+export const splitBankAlerts = (text) => {
+  const matcher = buildAllLabelsMatcher();
+  const alerts = [];
+  let lines = [];
+  let seen = new Set();
+
+  const flush = () => {
+    if (lines.length > 0) alerts.push(lines.join('\n'));
+    lines = [];
+    seen = new Set();
+  };
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line || /^[-=_*]{3,}$/.test(line)) {
+      flush();
+      return;
+    }
+
+    const fields = readLine(line, matcher).map(entry => entry.field);
+    if ((isAlertStart(line, fields) && seen.has('amount')) || fields.some(field => seen.has(field))) {
+      flush();
+    }
+    fields.forEach(field => seen.add(field));
+    lines.push(line);
+  });
+  flush();
+
+  return alerts;
+};
+
+// The template for an alert: one that names the bank, else one whose layout fits
+const findTemplate = (text) => templates.find(template => template.markers && template.markers.test(text)) ||
+  templates.find(template => template.layout && template.layout.test(text)) ||
+  (GENERIC_TEMPLATE.layout.test(text) ? GENERIC_TEMPLATE : null);
+
+// "CR"/"Credit" or "DR"/"Debit" in some text
+const readDirection = (text) => {
+  if (/\b(CR|Credit)\b/i.test(text)) return 'income';
+  if (/\b(DR|Debit)\b/i.test(text)) return 'expense';
+  return null;
+};
+
+// The first money figure in a value ("NGN5,000.00 DR", "₦ 25,000"), with its currency if stated
+const readMoney = (value) => {
+  const match = (value || '').match(/(?:([A-Z]{3})|(₦))?\s*(-?\d[\d,]*(?:\.\d+)?)(\s*(?:CR|DR)\b)?/i);
+  if (!match) return null;
+  const amount = parseAmount(`${match[3]}${match[4] || ''}`);
+  if (Number.isNaN(amount)) return null;
+  return { amount, currency: match[1] ? match[1].toUpperCase() : (match[2] ? 'NGN' : null) };
+};
+
+// The date part of a value such as "15/01/2024:10:23:45 AM" or "15-JAN-2024 10:23"
+const DATE_TEXT = /(\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.\s](?:\d{1,2}|[A-Za-z]{3,9})[-/.\s]\d{2,4})/;
+
+// Labelled lines look like "Total: ..."; anything else unlabelled may be the narration
+const looksLabelled = (line) => /^[A-Za-z .]{1,20}:/.test(line);
+
+// A stable ID for an alert, so pasting the same alert again is recognised as already imported
+const buildAlertId = (text) => `SMS-${crypto
+  .createHash('sha256')
+  .update(text.replace(/\s+/g, ' ').trim().toLowerCase())
+  .digest('hex')
+  .slice(0, 32)}`;
+
+// Read one alert into a statement entry like those from parseOFX and parseQIF, plus the
+// bank, balance after the transaction and masked account number in `alert`
+export const parseBankAlert = (text, template = findTemplate(text)) => {
+  const fitId = buildAlertId(text);
+  if (!template) {
+    return { fitId, rawDate: '', rawAmount: '', amount: null, date: null, error: 'Not recognised as a bank alert' };
+  }
+
+  const prepared = template.prepare ? template.prepare(text) : text;
+  const matcher = buildLabelMatcher({ ...DEFAULT_LABELS, ...(template.labels || {}) });
+  const fields = {};
+  const unlabelled = [];
+  let amountPrefix = '';
+
+  prepared.split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+    const entries = readLine(line, matcher);
+    if (entries.length === 0) {
+      if (!looksLabelled(line) && !isAlertHeading(line)) unlabelled.push(line);
+      return;
+    }
+    entries.forEach(entry => {
+      fields[entry.field] = [...(fields[entry.field] || []), entry.value];
+      if (entry.field === 'amount' && entry.prefix) amountPrefix = entry.prefix;
+    });
+  });
+
+  const first = (field) => (fields[field] || [])[0] || '';
+  const money = readMoney(first('amount'));
+  const balance = readMoney(first('balance'));
+
+  // Say-so first, then the amount's own CR/DR, then anywhere but the narration and balance
+  const rest = prepared
+    .replace(first('narration'), '')
+    .replace(first('balance'), '');
+  const type = readDirection(first('type')) || readDirection(first('amount')) ||
+    readDirection(amountPrefix) || readDirection(rest);
+
+  const rawDate = (fields.date || []).map(value => (value.match(DATE_TEXT) || [])[0]).find(Boolean) || '';
+  const narration = first('narration') || unlabelled[0] || '';
+
+  const entry = {
+    fitId,
+    rawDate,
+    rawAmount: first('amount'),
+    date: rawDate ? parseDate(rawDate, template.dateFormat || 'auto') : null,
+    amount: money && type ? Math.abs(money.amount) * (type === 'expense' ? -1 : 1) : null,
+    name: narration || `${template.name} ${type === 'income' ? 'credit' : 'debit'} alert`,
+    currency: money ? money.currency : null,
+    alert: {
+      bank: template.name,
+      balance: balance ? balance.amount : null,
+      accountNumber: first('account') || null
+    }
+  };
+
+  if (!money) entry.error = 'No amount found in the alert';
+  else if (!type) entry.error = "Couldn't tell whether the alert is a debit or a credit";
+  return entry;
+};
+
+// Quick check used to auto-detect pasted alerts: "Amt:" style fields from a bank we know
+export const isBankAlert = (text) => /\b(Amt|Amount)\s*:/i.test(text) && templates.some(template =>
+  (template.markers && template.markers.test(text)) || (template.layout && template.layout.test(text)));
+
+// Parse pasted alerts (one or many) into statement entries. `bank` forces a template by id;
+// otherwise each alert's bank is worked out on its own. The currency is given when every
+// alert that states one agrees; alerts in different currencies are refused.
+export const parseBankAlerts = (text, { bank } = {}) => {
+  const forced = bank ? templates.find(template => template.id === bank) : null;
+  if (bank && !forced) {
+    throw new Error(`unknown bank "${bank}"`);
+  }
+
+  const entries = splitBankAlerts(text).map(alert => parseBankAlert(alert, forced || findTemplate(alert)));
+
+  const currencies = [...new Set(entries.map(entry => entry.currency).filter(Boolean))];
+  if (currencies.length > 1) {
+    throw new Error(`the alerts are in more than one currency (${currencies.join(', ')}); import each account's alerts separately`);
+  }
+
+  return { entries, currency: currencies[0] || null };
+};
@@ -0,0 +1,84 @@
+// backend/utils/bankAlertTemplates.js
+
+// Layouts of the debit/credit SMS and email alerts sent by Nigerian banks.
+//
+// A template says how to recognise a bank's alerts and where their fields are:
+// - id, name: how the bank is picked in an import and shown on each draft
+// - markers: text that names the bank (its name or USSD code); checked first
+// - layout: what its alerts look like when they don't name the bank
+// - labels (optional): label names per field, in place of the shared ones in bankAlertParser.js
+//   (type, account, amount, narration, balance, date)
+// - dateFormat (optional): one of the statement DATE_FORMATS, default 'auto' (day first)
+// - prepare (optional): rewrite an alert's text before its fields are read
+//
+// Add a bank by appending a template here or with registerBankAlertTemplate.
+export const BANK_ALERT_TEMPLATES = [
+  {
+    // Acct: 0123****89
+    // Amt: NGN5,000.00 DR
+    // Desc: POS/WEB PURCHASE SHOPRITE
+    // Avail Bal: NGN120,345.67
+    // Date: 2024-01-15 10:23 AM
+    id: 'gtbank',
+    name: 'GTBank',
+    markers: /\b(GTBank|GTCO|Guaranty Trust)\b|\*737#/i,
+    layout: /^Amt\s*:.*\b(CR|DR)\s*$/im
+  },
+  {
+    // Debit
+    // Amt:NGN5,000.00
+    // Acc:012**789
+    // Desc:TRF TO JOHN DOE
+    // Date:15/01/2024
+    // Avail Bal:NGN120,345.67
+    // Total:NGN120,345.67
+    //
+    // Credit
+    // Amt:NGN25,000.00
+    // Acc:012**789
+    // Desc:TRF FROM ADA
+    // Date:15/01/2024
+    // Avail Bal:NGN145,345.67
+    id: 'access',
+    name: 'Access Bank',
+    markers: /\bAccess\s*Bank\b|\*901#/i,
+    // A bare Debit/Credit line then the amount; the Total line isn't on every alert
+    layout: /^(Debit|Credit)[ \t]*\r?\n[ \t]*Amt\s*:|^Total\s*:/im
+  },
+  {
+    // Acct:22**567
+    // DT:15/01/2024:10:23:45 AM
+    // NIP/TRF FROM JANE
+    // CR Amt:50,000.00
+    // Bal:170,345.67
+    id: 'zenith',
+    name: 'Zenith Bank',
+    markers: /\bZenith\b|\*966#/i,
+    layout: /\b(CR|DR)\s+Amt\s*:|^DT\s*:/im
+  },
+  {
+    // Debit: 301XXXX123
+    // Amt: NGN5,000.00
+    // Date: 15-JAN-2024 10:23
+    // Desc: POS TRAN-SHOPRITE
+    // Bal: NGN120,345.67 CR
+    id: 'firstbank',
+    name: 'First Bank',
+    markers: /\bFirst\s*Bank\b|\bFBN\b|\*894#/i,
+    layout: /^(Debit|Credit)\s*:\s*\d/im,
+    // The first line is both the direction and the account
+    prepare: (text) => text.replace(/^(Debit|Credit)\s*:\s*/im, 'Txn: $1\nAcct: ')
+  },
+  {
+    // Txn: Credit
+    // Acc:20XXXXXX12
+    // Amt:NGN 25,000.00
+    // Des:TRANSFER FROM ADA
+    // Date:15-Jan-2024 10:23
+    // Bal:NGN 145,345.67
+    id: 'uba',
+    name: 'UBA',
+    markers: /\bUBA\b|United Bank for Africa|\*919#/i,
+    layout: /^Txn\s*:/im
+  }
+];
@@ -0,0 +1,145 @@
+// backend/utils/budgetPeriodCloser.js
+
+import Budget from '../models/Budget.js';
+import BudgetSnapshot from '../models/BudgetSnapshot.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import { formatBudgetWindow } from './budgetPeriods.js';
+
+// How often the closer looks for windows that have ended
+const CLOSER_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Most windows recorded for one budget per run; older ones are left out of its history
+const MAX_CLOSED_WINDOWS = 24;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let isRunning = false;
+
+// The windows of a budget that have ended by `asOf` and have no snapshot yet, oldest first:
+// from the one after its latest snapshot, or the one it was created in
+const getUnclosedWindows = async (budget, asOf) => {
+  const latest = await BudgetSnapshot.findOne({ budgetId: budget._id }).sort({ startDate: -1 }).select('startDate endDate');
+
+  // A custom budget's range is its only window
+  if (budget.period === 'custom') {
+    const window = budget.getWindow();
+    const closed = latest && latest.startDate.getTime() === window.start.getTime();
+    return !closed && window.end <= asOf ? [window] : [];
+  }
+
+  let window;
+  if (latest) {
+    // A changed period can put the next window's start before the last one closed
+    const after = new Date(latest.endDate.getTime() + DAY_MS);
+    window = budget.getWindow(after);
+    if (window.start < after) window = budget.getWindow(after, 1);
+  } else {
+    window = budget.getWindow(budget.createdAt);
+  }
+
+  const windows = [];
+  while (window.end <= asOf) {
+    windows.push(window);
+    window = budget.getWindow(window.start, 1);
+  }
+  return windows.slice(-MAX_CLOSED_WINDOWS);
+};
+
+// Record a snapshot for each of a budget's windows that ended by `asOf`; returns the number
+// recorded. The unique (budgetId, startDate) index makes this safe to run twice.
+// Windows are recorded with the budget's amount as it is now, which is the amount they ended
+// under: budget updates call this before changing it. Budgets edited before snapshots existed
+// get their older windows recorded with the edited amount.
+export const closeBudgetPeriods = async (budget, { asOf = new Date(), converter } = {}) => {
+  const windows = await getUnclosedWindows(budget, asOf);
+  if (windows.length === 0) return 0;
+
+  const rates = converter || await ExchangeRate.getConverter(budget.userId);
+  const snapshots = [];
+  for (const window of windows) {
+    const spending = await Budget.getSpending(budget.userId, [budget], { at: window.start, converter: rates });
+    const { spent, transactionCount, carriedIn, available } = spending.get(budget._id.toString());
+    const percentage = available > 0 ? Math.round((spent / available) * 100) : (spent > 0 ? 100 : 0);
+    snapshots.push({
+      userId: budget.userId,
+      budgetId: budget._id,
+      period: budget.period,
+      ...formatBudgetWindow(window),
+      budgeted: budget.amount,
+      carriedIn,
+      available,
+      spent,
+      remaining: available - spent,
+      percentage,
+      transactionCount,
+      status: percentage > 100 ? 'over' : percentage > 80 ? 'warning' : 'good'
+    });
+  }
+
+  try {
+    const created = await BudgetSnapshot.insertMany(snapshots, { ordered: false });
+    return created.length;
+  } catch (error) {
+    // Some were already recorded by an overlapping run
+    if (error.code !== 11000) throw error;
+    return error.insertedDocs ? error.insertedDocs.length : 0;
+  }
+};
+
+// Close every budget's ended windows across all users
+export const closeDueBudgetPeriods = async (asOf = new Date()) => {
+  if (isRunning) return { budgets: 0, snapshots: 0 };
+  isRunning = true;
+
+  let budgets = 0;
+  let snapshots = 0;
+
+  try {
+    const all = await Budget.find({});
+    const converters = new Map();
+
+    for (const budget of all) {
+      try {
+        const userId = budget.userId.toString();
+        if (!converters.has(userId)) converters.set(userId, await ExchangeRate.getConverter(budget.userId));
+        const recorded = await closeBudgetPeriods(budget, { asOf, converter: converters.get(userId) });
+        if (recorded > 0) budgets += 1;
+        snapshots += recorded;
+      } catch (error) {
+        console.error(`Closing periods of budget ${budget._id} failed:`, error);
+      }
+    }
+  } finally {
+    isRunning = false;
+  }
+
+  return { budgets, snapshots };
+};
+
+// Run once now (catch-up after a restart), then on a fixed interval
+export const startBudgetPeriodCloser = () => {
+  if (timer) return;
+
+  const run = async () => {
+    try {
+      const { budgets, snapshots } = await closeDueBudgetPeriods();
+      if (snapshots > 0) {
+        console.log(`Budget period closer recorded ${snapshots} snapshots for ${budgets} budgets`);
+      }
+    } catch (error) {
+      console.error('Budget period closer error:', error);
+    }
+  };
+
+  run();
+  timer = setInterval(run, CLOSER_INTERVAL_MS);
+  timer.unref();
+};
+
+export const stopBudgetPeriodCloser = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
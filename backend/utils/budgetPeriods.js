@@ -0,0 +1,112 @@
+// backend/utils/budgetPeriods.js
+
+import { toUTCDay, clampedDay } from './recurrence.js';
+
+// Cadences a budget can run on. A custom budget has a single window, its own date range,
+// such as a December holiday budget.
+export const BUDGET_PERIODS = ['weekly', 'monthly', 'yearly', 'custom'];
+
+// Where a window starts when the budget doesn't say: Sunday for weekly budgets (0-6 is
+// Sunday-Saturday), the 1st for monthly and yearly ones, January for yearly ones
+const DEFAULT_START_DAY = { weekly: 0, monthly: 1, yearly: 1 };
+const DEFAULT_START_MONTH = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const getStartDay = (budget) => budget.startDay ?? DEFAULT_START_DAY[budget.period];
+
+// Windows run from `start` up to but not including `end`, in whole UTC days like transaction
+// dates. A start day past the end of a month falls back to its last day, so a budget starting
+// on the 31st runs Feb 28 - Mar 30.
+const monthWindow = (year, month, day) => ({
+  start: clampedDay(year, month, day),
+  end: clampedDay(year, month + 1, day)
+});
+
+const yearWindow = (year, month, day) => ({
+  start: clampedDay(year, month, day),
+  end: clampedDay(year + 1, month, day)
+});
+
+// The window of the budget's period that contains `at`, or the one `offset` periods
+// before (negative) or after it
+export const getBudgetWindow = (budget, at = new Date(), offset = 0) => {
+  const day = toUTCDay(at);
+  const startDay = getStartDay(budget);
+
+  switch (budget.period) {
+    case 'weekly': {
+      const start = addDays(day, -((day.getUTCDay() - startDay + 7) % 7) + offset * 7);
+      return { start, end: addDays(start, 7) };
+    }
+    case 'monthly': {
+      const year = day.getUTCFullYear();
+      const month = day.getUTCMonth() - (clampedDay(year, day.getUTCMonth(), startDay) > day ? 1 : 0);
+      return monthWindow(year, month + offset, startDay);
+    }
+    case 'yearly': {
+      const startMonth = (budget.startMonth ?? DEFAULT_START_MONTH) - 1;
+      const year = day.getUTCFullYear() - (clampedDay(day.getUTCFullYear(), startMonth, startDay) > day ? 1 : 0);
+      return yearWindow(year + offset, startMonth, startDay);
+    }
+    case 'custom':
+      // startDate/endDate already hold the range as a window; there's nothing before or after it
+      return { start: budget.startDate, end: budget.endDate };
+    default:
+      throw new Error(`Unsupported budget period: ${budget.period}`);
+  }
+};
+
+// The window of a custom budget running from `startDate` to `endDate`, both inclusive
+export const getRangeWindow = (startDate, endDate) => ({
+  start: toUTCDay(startDate),
+  end: addDays(toUTCDay(endDate), 1)
+});
+
+// Whether two budgets would duplicate each other. A category has at most one budget per
+// recurring period, and its custom budgets mustn't overlap; a weekly and a monthly budget, or
+// a weekly and a custom one, can share a category.
+export const budgetsConflict = (a, b) => a.category === b.category && a.period === b.period &&
+  (a.period !== 'custom' || (a.startDate < b.endDate && b.startDate < a.endDate));
+
+// A window as the API shows it: first and last day, both inclusive
+export const formatBudgetWindow = (window) => ({
+  startDate: window.start,
+  endDate: addDays(window.end, -1)
+});
+
+// What a budget does with what's left at the end of a window: nothing, carry a surplus into the
+// next one, carry a deficit too (overspending shrinks the next window), or carry a surplus up
+// to the budget's rollover cap
+export const ROLLOVER_MODES = ['none', 'surplus', 'surplus-and-deficit', 'capped'];
+
+// The part of a window's closing balance (available minus spent) carried into the next one
+export const getCarryOver = (budget, balance) => {
+  switch (budget.rollover) {
+    case 'surplus':
+      return Math.max(0, balance);
+    case 'surplus-and-deficit':
+      return balance;
+    case 'capped':
+      return Math.min(budget.rolloverCap || 0, Math.max(0, balance));
+    default:
+      return 0;
+  }
+};
+
+// Envelope budgeting runs in calendar months, kept as the UTC midnight of their first day and
+// written "YYYY-MM" in the API
+export const toMonthStart = (value = new Date()) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}$/.test(value)) {
+    const [year, month] = value.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, 1));
+  }
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+};
+
+export const addMonths = (month, count) => new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + count, 1));
+
+export const formatMonth = (month) => month.toISOString().slice(0, 7);
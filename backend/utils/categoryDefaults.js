@@ -0,0 +1,41 @@
+// backend/utils/categoryDefaults.js
+
+// Categories every user starts with, matching the lists the app shipped with.
+// Names are stored the way the API's validators escape them, so "&" is kept as "&amp;".
+export const DEFAULT_CATEGORIES = {
+  expense: [
+    { name: 'Food', color: '#F97316', icon: 'shopping-cart' },
+    { name: 'Transportation', color: '#3B82F6', icon: 'truck' },
+    { name: 'Shopping', color: '#EC4899', icon: 'shopping-bag' },
+    { name: 'Entertainment', color: '#8B5CF6', icon: 'film' },
+    { name: 'Bills &amp; Utilities', color: '#EF4444', icon: 'bolt' },
+    { name: 'Healthcare', color: '#14B8A6', icon: 'heart' },
+    { name: 'Education', color: '#6366F1', icon: 'academic-cap' },
+    { name: 'Travel', color: '#06B6D4', icon: 'globe' },
+    { name: 'Home &amp; Garden', color: '#84CC16', icon: 'home' },
+    { name: 'Personal Care', color: '#F472B6', icon: 'sparkles' },
+    { name: 'Insurance', color: '#64748B', icon: 'shield' },
+    { name: 'Taxes', color: '#B91C1C', icon: 'receipt' },
+    { name: 'Other', color: '#9CA3AF', icon: 'tag' }
+  ],
+  income: [
+    { name: 'Salary', color: '#10B981', icon: 'briefcase' },
+    { name: 'Freelance', color: '#3B82F6', icon: 'computer' },
+    { name: 'Business', color: '#F59E0B', icon: 'building' },
+    { name: 'Investment', color: '#8B5CF6', icon: 'chart' },
+    { name: 'Rental', color: '#14B8A6', icon: 'home' },
+    { name: 'Gift', color: '#EC4899', icon: 'gift' },
+    { name: 'Bonus', color: '#F97316', icon: 'star' },
+    { name: 'Other', color: '#9CA3AF', icon: 'tag' }
+  ]
+};
+
+// Icons the app knows how to draw; anything else falls back to "tag"
+export const CATEGORY_ICONS = [
+  'tag', 'shopping-cart', 'truck', 'shopping-bag', 'film', 'bolt', 'heart', 'academic-cap',
+  'globe', 'home', 'sparkles', 'shield', 'receipt', 'briefcase', 'computer', 'building',
+  'chart', 'gift', 'star', 'wallet'
+];
+
+// Colour given to categories created without one (or found in use before categories existed)
+export const DEFAULT_CATEGORY_COLOR = '#6B7280';
@@ -0,0 +1,24 @@
+// backend/utils/categoryRules.js
+
+// Whether a transaction meets every condition a rule sets; conditions left empty match anything.
+// `transaction` needs a decrypted description and amount, plus its type and accountId.
+export const ruleMatches = (rule, transaction) => {
+  if (rule.descriptionContains) {
+    const description = (transaction.description || '').toLowerCase();
+    if (!description.includes(rule.descriptionContains.toLowerCase())) return false;
+  }
+
+  const amount = Math.abs(parseFloat(transaction.amount));
+  if (rule.minAmount !== null && rule.minAmount !== undefined && amount < rule.minAmount) return false;
+  if (rule.maxAmount !== null && rule.maxAmount !== undefined && amount > rule.maxAmount) return false;
+
+  if (rule.type && rule.type !== transaction.type) return false;
+
+  if (rule.accountId && String(rule.accountId) !== String(transaction.accountId)) return false;
+
+  return true;
+};
+
+// The first rule, in priority order, that matches the transaction
+export const findMatchingRule = (rules, transaction) =>
+  rules.find(rule => ruleMatches(rule, transaction)) || null;
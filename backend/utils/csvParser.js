@@ -0,0 +1,109 @@
+// backend/utils/csvParser.js
+
+// Delimiters we try when the caller doesn't specify one
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+// Pick the delimiter that splits the first line into the most columns
+export const detectDelimiter = (text) => {
+  const firstLine = (text.split(/\r?\n/).find(line => line.trim() !== '') || '');
+  let best = ',';
+  let bestCount = 0;
+
+  CANDIDATE_DELIMITERS.forEach(delimiter => {
+    // Ignore delimiters that appear inside quoted values
+    const unquoted = firstLine.replace(/"[^"]*"/g, '');
+    const count = unquoted.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return best;
+};
+
+// Split CSV text into rows of cells (RFC 4180: quoted fields, escaped quotes, CRLF)
+export const parseCSVRows = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM that spreadsheet exports often prepend
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  // Flush the last row if the file doesn't end with a newline
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Parse CSV text into headers and row objects keyed by header name
+export const parseCSV = (text, options = {}) => {
+  const { hasHeader = true } = options;
+  const delimiter = options.delimiter || detectDelimiter(text);
+  const rawRows = parseCSVRows(text, delimiter);
+
+  if (rawRows.length === 0) {
+    return { headers: [], rows: [], delimiter };
+  }
+
+  const columnCount = Math.max(...rawRows.map(r => r.length));
+  let headers;
+  let dataRows;
+
+  if (hasHeader) {
+    headers = rawRows[0].map((header, index) => header.trim() || `Column ${index + 1}`);
+    dataRows = rawRows.slice(1);
+  } else {
+    headers = Array.from({ length: columnCount }, (_, index) => `Column ${index + 1}`);
+    dataRows = rawRows;
+  }
+
+  const rows = dataRows.map(cells => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = (cells[index] || '').trim();
+    });
+    return record;
+  });
+
+  return { headers, rows, delimiter };
+};
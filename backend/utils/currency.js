@@ -0,0 +1,66 @@
+// backend/utils/currency.js
+
+// Currency used when a user or account hasn't picked one
+export const DEFAULT_CURRENCY = 'NGN';
+
+// Rates apply to a whole day, so they're keyed by the UTC midnight of their date
+export const toRateDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? date : new Date(`${date.toISOString().split('T')[0]}T00:00:00.000Z`);
+};
+
+// Index of the last entry dated on or before `time` in a date-sorted list, or -1 if none is
+const findLatestIndex = (entries, time) => {
+  let low = 0;
+  let high = entries.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (entries[middle].time <= time) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found;
+};
+
+// Build a converter from a user's exchange rates into their base currency. Rates quoted the
+// other way round (base to foreign) are inverted. An amount converts at the latest rate on or
+// before its date, or the earliest rate known if it predates the table. Amounts in a currency
+// with no rate at all are left as they are, and the currency is reported as unconverted.
+export const createConverter = (rates, baseCurrency = DEFAULT_CURRENCY) => {
+  const series = new Map();
+  const add = (currency, date, rate) => {
+    if (!series.has(currency)) series.set(currency, []);
+    series.get(currency).push({ time: new Date(date).getTime(), rate });
+  };
+
+  rates.forEach(({ fromCurrency, toCurrency, rate, date }) => {
+    if (toCurrency === baseCurrency) add(fromCurrency, date, rate);
+    else if (fromCurrency === baseCurrency) add(toCurrency, date, 1 / rate);
+  });
+  series.forEach(entries => entries.sort((a, b) => a.time - b.time));
+
+  const unconverted = new Set();
+
+  const convert = (amount, currency, date = new Date()) => {
+    if (!currency || currency === baseCurrency) return amount;
+    const entries = series.get(currency);
+    if (!entries) {
+      unconverted.add(currency);
+      return amount;
+    }
+    const index = findLatestIndex(entries, new Date(date).getTime());
+    return amount * entries[Math.max(index, 0)].rate;
+  };
+
+  return {
+    baseCurrency,
+    convert,
+    // A transaction's amount, or one of its split lines, in the base currency
+    convertTransaction: (transaction, amount = transaction.amount) => convert(amount, transaction.currency, transaction.date),
+    getUnconvertedCurrencies: () => [...unconverted].sort()
+  };
+};
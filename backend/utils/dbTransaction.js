@@ -0,0 +1,19 @@
+// backend/utils/dbTransaction.js
+
+import mongoose from 'mongoose';
+
+// Run `work(session)` inside a MongoDB multi-document transaction: every write that
+// passes the session commits together or not at all. Transient errors are retried
+// by the driver, so `work` must be safe to run more than once.
+export const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
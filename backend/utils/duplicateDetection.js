@@ -0,0 +1,110 @@
+// backend/utils/duplicateDetection.js
+
+// How many days apart two copies of the same transaction can be dated
+// (a bank posting date often trails the day it was entered by hand)
+export const DUPLICATE_DATE_WINDOW_DAYS = 3;
+
+// How alike two descriptions must be (0-1, see descriptionSimilarity)
+export const DESCRIPTION_SIMILARITY_THRESHOLD = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lower-case letters and digits only, ignoring the HTML entities left by input escaping
+const normalizeDescription = (text) => (text || '')
+  .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, ' ')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const bigrams = (text) => {
+  const compact = text.replace(/ /g, '');
+  const pairs = [];
+  for (let i = 0; i < compact.length - 1; i++) pairs.push(compact.slice(i, i + 2));
+  return pairs;
+};
+
+// Dice coefficient over letter pairs, so "POS SHOPRITE LEKKI" and "Shoprite" still score well.
+// One description containing the other counts as a full match.
+export const descriptionSimilarity = (a, b) => {
+  const left = normalizeDescription(a);
+  const right = normalizeDescription(b);
+  if (!left || !right) return 0;
+  if (left === right || left.includes(right) || right.includes(left)) return 1;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  if (leftPairs.length === 0 || rightPairs.length === 0) return 0;
+
+  const counts = new Map();
+  leftPairs.forEach(pair => counts.set(pair, (counts.get(pair) || 0) + 1));
+  let shared = 0;
+  rightPairs.forEach(pair => {
+    const count = counts.get(pair) || 0;
+    if (count > 0) {
+      shared += 1;
+      counts.set(pair, count - 1);
+    }
+  });
+
+  return (2 * shared) / (leftPairs.length + rightPairs.length);
+};
+
+const toCents = (amount) => Math.round(Math.abs(parseFloat(amount)) * 100);
+
+// Same account, type and amount, dated within the window, with similar descriptions.
+// Both transactions need decrypted descriptions and amounts.
+export const isLikelyDuplicate = (a, b) => {
+  if (String(a.accountId) !== String(b.accountId)) return false;
+  if (a.type !== b.type) return false;
+  if (toCents(a.amount) !== toCents(b.amount)) return false;
+  if (Math.abs(new Date(a.date) - new Date(b.date)) > DUPLICATE_DATE_WINDOW_DAYS * DAY_MS) return false;
+  return descriptionSimilarity(a.description, b.description) >= DESCRIPTION_SIMILARITY_THRESHOLD;
+};
+
+// Whether the user has already said these two aren't duplicates
+const isDismissed = (a, b) =>
+  (a.dismissedDuplicateIds || []).some(id => String(id) === String(b._id)) ||
+  (b.dismissedDuplicateIds || []).some(id => String(id) === String(a._id));
+
+// Group transactions that are likely copies of each other. Pairs are linked
+// transitively, so a group can hold more than two; groups come newest first.
+export const groupDuplicates = (transactions) => {
+  const buckets = new Map();
+  transactions.forEach(transaction => {
+    const key = `${transaction.accountId}:${transaction.type}:${toCents(transaction.amount)}`;
+    const bucket = buckets.get(key) || [];
+    bucket.push(transaction);
+    buckets.set(key, bucket);
+  });
+
+  const parent = new Map(transactions.map(transaction => [String(transaction._id), String(transaction._id)]));
+  const find = (id) => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+
+  buckets.forEach(bucket => {
+    bucket.sort((a, b) => new Date(a.date) - new Date(b.date));
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        if (new Date(bucket[j].date) - new Date(bucket[i].date) > DUPLICATE_DATE_WINDOW_DAYS * DAY_MS) break;
+        if (isLikelyDuplicate(bucket[i], bucket[j]) && !isDismissed(bucket[i], bucket[j])) {
+          parent.set(find(String(bucket[j]._id)), find(String(bucket[i]._id)));
+        }
+      }
+    }
+  });
+
+  const groups = new Map();
+  transactions.forEach(transaction => {
+    const root = find(String(transaction._id));
+    const group = groups.get(root) || [];
+    group.push(transaction);
+    groups.set(root, group);
+  });
+
+  return [...groups.values()]
+    .filter(group => group.length > 1)
+    .map(group => group.sort((a, b) => new Date(a.date) - new Date(b.date)))
+    .sort((a, b) => new Date(b[b.length - 1].date) - new Date(a[a.length - 1].date));
+};
@@ -0,0 +1,240 @@
+// backend/utils/importUtils.js
+
+// Supported date layouts for statement imports
+export const DATE_FORMATS = ['auto', 'YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MMM-YYYY'];
+
+// Fields a statement column can be mapped to
+export const MAPPABLE_FIELDS = ['date', 'description', 'amount', 'debit', 'credit', 'category', 'type'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Build a YYYY-MM-DD string, returning null for impossible dates (e.g. 31/02)
+const buildDate = (year, month, day) => {
+  let fullYear = parseInt(year, 10);
+  const monthNumber = parseInt(month, 10);
+  const dayNumber = parseInt(day, 10);
+
+  if (Number.isNaN(fullYear) || Number.isNaN(monthNumber) || Number.isNaN(dayNumber)) {
+    return null;
+  }
+
+  // Two-digit years are assumed to be in this century
+  if (fullYear < 100) fullYear += 2000;
+
+  const date = new Date(Date.UTC(fullYear, monthNumber - 1, dayNumber));
+  if (date.getUTCFullYear() !== fullYear || date.getUTCMonth() !== monthNumber - 1 || date.getUTCDate() !== dayNumber) {
+    return null;
+  }
+
+  return `${fullYear}-${pad(monthNumber)}-${pad(dayNumber)}`;
+};
+
+// Parse a statement date into YYYY-MM-DD, or null if it can't be read
+export const parseDate = (value, format = 'auto') => {
+  if (!value || typeof value !== 'string') return null;
+
+  // Drop any time component ("05/01/2024 10:22:13")
+  const text = value.trim().split(/[\sT]/)[0];
+
+  const iso = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  const numeric = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})$/);
+  const named = text.match(/^(\d{1,2})[-/.\s]?([A-Za-z]{3})[A-Za-z]*[-/.\s]?(\d{2,4})$/);
+
+  switch (format) {
+    case 'YYYY-MM-DD':
+      return iso ? buildDate(iso[1], iso[2], iso[3]) : null;
+    case 'DD/MM/YYYY':
+      return numeric ? buildDate(numeric[3], numeric[2], numeric[1]) : null;
+    case 'MM/DD/YYYY':
+      return numeric ? buildDate(numeric[3], numeric[1], numeric[2]) : null;
+    case 'DD-MMM-YYYY': {
+      if (!named) return null;
+      const month = MONTHS.indexOf(named[2].toLowerCase());
+      return month === -1 ? null : buildDate(named[3], month + 1, named[1]);
+    }
+    default:
+      // Auto-detect, preferring day-first for ambiguous numeric dates
+      if (iso) return buildDate(iso[1], iso[2], iso[3]);
+      if (named) return parseDate(text, 'DD-MMM-YYYY');
+      if (numeric) {
+        return buildDate(numeric[3], numeric[2], numeric[1]) ||
+               buildDate(numeric[3], numeric[1], numeric[2]);
+      }
+      return null;
+  }
+};
+
+// Parse a statement amount ("₦1,200.50", "(45.00)", "300.00 DR") into a signed number
+export const parseAmount = (value) => {
+  if (typeof value === 'number') return value;
+  if (!value || typeof value !== 'string') return NaN;
+
+  let text = value.trim();
+  let sign = 1;
+
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/\bDR\.?$/i.test(text)) {
+    sign = -1;
+  }
+  if (/-\s*$/.test(text)) {
+    sign = -1;
+  }
+
+  // Keep digits, the decimal point and a leading minus only
+  const cleaned = text.replace(/(CR|DR)\.?$/i, '').replace(/[^\d.-]/g, '');
+  if (cleaned.startsWith('-')) {
+    sign = -1;
+  }
+
+  const number = parseFloat(cleaned.replace(/-/g, ''));
+  return Number.isNaN(number) ? NaN : sign * number;
+};
+
+// Interpret a debit/credit indicator column ("DR", "Credit", "withdrawal")
+export const parseTypeIndicator = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  const text = value.trim().toLowerCase();
+  if (/^(dr|debit|withdrawal|expense|d)$/.test(text)) return 'expense';
+  if (/^(cr|credit|deposit|income|c)$/.test(text)) return 'income';
+  return null;
+};
+
+// Guess a column mapping from header names
+export const suggestMapping = (headers) => {
+  const patterns = {
+    date: /date/i,
+    description: /desc|narration|details|memo|particulars|remarks|payee/i,
+    debit: /debit|withdrawal|money out|paid out/i,
+    credit: /credit|deposit|money in|paid in/i,
+    amount: /amount|sum/i,
+    category: /category/i,
+    type: /^(type|dr\/cr|cr\/dr|direction)$/i
+  };
+
+  const columns = {};
+  const used = new Set();
+
+  Object.entries(patterns).forEach(([field, pattern]) => {
+    const match = headers.find(header => !used.has(header) && pattern.test(header));
+    if (match) {
+      columns[field] = match;
+      used.add(match);
+    }
+  });
+
+  // A single amount column is ignored when separate debit/credit columns exist
+  if (columns.debit && columns.credit) {
+    delete columns.amount;
+  }
+
+  return {
+    columns,
+    dateFormat: 'auto',
+    hasHeader: true,
+    defaultCategory: 'Other'
+  };
+};
+
+// Turn parsed CSV records into transaction drafts using a column mapping
+export const mapCsvRows = (rows, mapping) => {
+  const columns = mapping.columns || {};
+  const dateFormat = mapping.dateFormat || 'auto';
+  const defaultCategory = mapping.defaultCategory || 'Other';
+  const firstDataRow = mapping.hasHeader === false ? 1 : 2;
+
+  return rows.map((record, index) => {
+    const errors = [];
+    const cell = (field) => (columns[field] ? (record[columns[field]] || '').trim() : '');
+
+    const date = parseDate(cell('date'), dateFormat);
+    if (!date) {
+      errors.push({ field: 'date', message: `Could not read date "${cell('date')}"` });
+    }
+
+    let amount = NaN;
+    let type = parseTypeIndicator(cell('type'));
+
+    if (columns.debit || columns.credit) {
+      const debit = Math.abs(parseAmount(cell('debit')) || 0);
+      const credit = Math.abs(parseAmount(cell('credit')) || 0);
+      if (debit > 0) {
+        amount = debit;
+        type = 'expense';
+      } else if (credit > 0) {
+        amount = credit;
+        type = 'income';
+      }
+    } else {
+      const signed = parseAmount(cell('amount'));
+      if (!Number.isNaN(signed)) {
+        amount = Math.abs(signed);
+        type = type || (signed < 0 ? 'expense' : 'income');
+      }
+    }
+
+    if (Number.isNaN(amount)) {
+      errors.push({ field: 'amount', message: 'Row has no readable amount' });
+    }
+
+    return {
+      rowNumber: index + firstDataRow,
+      draft: {
+        description: cell('description'),
+        amount: Number.isNaN(amount) ? cell('amount') || cell('debit') || cell('credit') : amount,
+        category: cell('category') || defaultCategory,
+        type: type || 'expense',
+        date: date || cell('date')
+      },
+      errors
+    };
+  });
+};
+
+// Turn parsed OFX/QIF entries or bank alerts into the same row shape as mapCsvRows.
+// A bank alert's details (bank, balance after it, account number) ride along as `alert`.
+export const mapStatementEntries = (entries, options = {}) => {
+  const defaultCategory = options.defaultCategory || 'Other';
+
+  return entries.map((entry, index) => {
+    const errors = [];
+
+    // An alert that couldn't be read says why once, rather than field by field
+    if (entry.error) {
+      errors.push({ field: 'alert', message: entry.error });
+    } else {
+      if (!entry.date) {
+        errors.push({ field: 'date', message: `Could not read date "${entry.rawDate}"` });
+      }
+      if (entry.amount === null) {
+        errors.push({ field: 'amount', message: 'Entry has no readable amount' });
+      }
+    }
+    if (!entry.fitId) {
+      errors.push({ field: 'fitId', message: 'Entry has no bank transaction ID (FITID)' });
+    }
+
+    // QIF transfer categories look like [Savings] and aren't real categories
+    const category = entry.category && !entry.category.startsWith('[')
+      ? entry.category.slice(0, 50)
+      : defaultCategory;
+
+    return {
+      rowNumber: index + 1,
+      fitId: entry.fitId,
+      alert: entry.alert,
+      draft: {
+        description: (entry.name || entry.payee || entry.memo || '').slice(0, 200),
+        amount: entry.amount === null ? entry.rawAmount : Math.abs(entry.amount),
+        category,
+        type: entry.amount !== null && entry.amount < 0 ? 'expense' : 'income',
+        date: entry.date || entry.rawDate
+      },
+      errors
+    };
+  });
+};
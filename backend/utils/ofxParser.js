@@ -0,0 +1,67 @@
+// backend/utils/ofxParser.js
+
+// Decode the handful of entities OFX files use
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&');
+
+// Read a leaf element. Works for both OFX 1.x SGML (<TAG>value with no closing
+// tag) and OFX 2.x XML (<TAG>value</TAG>) because the value ends at the next tag.
+const readTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : '';
+};
+
+// OFX dates look like YYYYMMDD[HHMMSS[.XXX]][[-5:EST]]; only the day matters here
+const parseOFXDate = (value) => {
+  const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return null;
+  }
+  return `${year}-${month}-${day}`;
+};
+
+// Quick check used to auto-detect the format of an upload
+export const isOFX = (text) => /OFXHEADER|<OFX>/i.test(text.slice(0, 2000));
+
+// Parse an OFX/QFX statement (bank or credit card) into plain entries
+export const parseOFX = (text) => {
+  const start = text.search(/<OFX>/i);
+  if (start === -1) {
+    throw new Error('File does not contain an <OFX> block');
+  }
+
+  const body = text.slice(start);
+  const currency = readTag(body, 'CURDEF');
+  const accountId = readTag(body, 'ACCTID');
+
+  // STMTTRN is an aggregate, so it has a closing tag in both SGML and XML
+  const blocks = body.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+  const entries = blocks.map(block => {
+    const rawAmount = readTag(block, 'TRNAMT').replace(/,/g, '.');
+    const amount = parseFloat(rawAmount);
+
+    return {
+      fitId: readTag(block, 'FITID'),
+      transactionType: readTag(block, 'TRNTYPE'),
+      date: parseOFXDate(readTag(block, 'DTPOSTED')) || parseOFXDate(readTag(block, 'DTUSER')),
+      rawDate: readTag(block, 'DTPOSTED'),
+      amount: Number.isNaN(amount) ? null : amount,
+      rawAmount,
+      name: readTag(block, 'NAME'),
+      memo: readTag(block, 'MEMO'),
+      checkNumber: readTag(block, 'CHECKNUM')
+    };
+  });
+
+  return { entries, currency, accountId };
+};
@@ -0,0 +1,58 @@
+// backend/utils/payeeNormalization.js
+
+// Most words of a description kept in a payee's name, so "SHOPRITE LEKKI LAGOS NG 0042"
+// stays recognisable without every store reference making a new payee
+const MAX_PAYEE_WORDS = 3;
+
+// Card, channel and transfer words banks put around the merchant's name
+const CHANNEL_WORDS = new Set([
+  'pos', 'web', 'www', 'purchase', 'purch', 'payment', 'pmt', 'pymt', 'trf', 'trsf', 'transfer',
+  'nip', 'nibss', 'ussd', 'atm', 'card', 'visa', 'mastercard', 'verve', 'debit', 'credit', 'dr', 'cr',
+  'ach', 'dd', 'sto', 'online', 'mobile', 'tran', 'txn', 'ref', 'wdl', 'withdrawal', 'to', 'from', 'frm', 'at', 'via', 'by'
+]);
+
+// Payment processors that put the merchant's name after a "*" ("PAYPAL *NETFLIX")
+const PROCESSOR_WORDS = new Set(['paypal', 'pp', 'sq', 'tst', 'paystack', 'flw', 'flutterwave', 'sp', 'stripe']);
+
+// Company and domain endings that don't tell merchants apart ("UBER BV", "NETFLIX.COM")
+const SUFFIX_WORDS = new Set([
+  'bv', 'ltd', 'limited', 'inc', 'llc', 'plc', 'nig', 'ng', 'nigeria', 'co', 'corp', 'gmbh', 'sa', 'com', 'net', 'org', 'intl'
+]);
+
+// Lower-case words, ignoring the HTML entities left by input escaping
+const splitWords = (text) => (text || '')
+  .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, ' ')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+// Words that could name a merchant: no references, card numbers or dates, no masked digits
+const merchantWords = (text) => splitWords(text).filter(word =>
+  word.length > 1 && !/\d/.test(word) && !/^x{2,}$/.test(word) &&
+  !CHANNEL_WORDS.has(word) && !PROCESSOR_WORDS.has(word) && !SUFFIX_WORDS.has(word));
+
+const titleCase = (words) => words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+// Turn a raw description into the payee it names: "POS UBER *TRIP 1234" and "UBER BV" both
+// give { key: 'uber', name: 'Uber' }. Returns null when nothing in it could name a payee.
+export const normalizePayee = (description) => {
+  const text = description || '';
+  const [before, ...rest] = text.split('*');
+  const after = rest.join(' ');
+
+  // "UBER *TRIP 1234" keeps what comes before the "*", "PAYPAL *NETFLIX" what comes after
+  let words = merchantWords(before);
+  if (words.length === 0 && after) words = merchantWords(after);
+  if (words.length === 0) return null;
+
+  words = words.slice(0, MAX_PAYEE_WORDS);
+  return { key: words.join(' '), name: titleCase(words) };
+};
+
+// The key a payee name is stored under, so a payee typed in by hand is found again
+// when a description normalizes to the same words
+export const payeeKeyForName = (name) => {
+  const merchant = merchantWords(name);
+  const words = (merchant.length > 0 ? merchant : splitWords(name)).slice(0, MAX_PAYEE_WORDS);
+  return words.length > 0 ? words.join(' ') : null;
+};
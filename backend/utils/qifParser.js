@@ -0,0 +1,97 @@
+// backend/utils/qifParser.js
+
+import crypto from 'crypto';
+import { parseDate, parseAmount } from './importUtils.js';
+
+// Quick check used to auto-detect the format of an upload
+export const isQIF = (text) => /^\s*!(Type|Account|Option)/i.test(text);
+
+// Section types that contain bank register entries
+const TRANSACTION_SECTIONS = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+// Quicken writes dates like 1/5'24 or 01/05/2024; normalise the apostrophe year
+const normaliseQIFDate = (value) => value.replace(/'\s*/, '/').replace(/\s+/g, '');
+
+// QIF has no bank transaction ID, so derive a stable one from the entry itself.
+// The occurrence counter keeps two identical entries in one file distinct while
+// still producing the same IDs when the same file is imported again.
+const buildEntryId = (entry, occurrence) => crypto
+  .createHash('sha256')
+  .update([entry.rawDate, entry.rawAmount, entry.payee, entry.memo, entry.checkNumber, occurrence].join('|'))
+  .digest('hex')
+  .slice(0, 32);
+
+// Parse a QIF bank/cash/credit card export into plain entries
+export const parseQIF = (text, options = {}) => {
+  const { dateFormat = 'auto' } = options;
+  const entries = [];
+  const seen = {};
+  let accountType = '';
+  let skipRecords = false;
+  let current = {};
+
+  const flush = () => {
+    if (Object.keys(current).length === 0) return;
+    if (skipRecords) {
+      current = {};
+      return;
+    }
+
+    const entry = {
+      rawDate: current.D || '',
+      rawAmount: current.T || current.U || '',
+      payee: current.P || '',
+      memo: current.M || '',
+      category: current.L || '',
+      checkNumber: current.N || ''
+    };
+    const key = [entry.rawDate, entry.rawAmount, entry.payee, entry.memo, entry.checkNumber].join('|');
+    seen[key] = (seen[key] || 0) + 1;
+
+    const amount = parseAmount(entry.rawAmount);
+    entries.push({
+      ...entry,
+      fitId: `QIF-${buildEntryId(entry, seen[key])}`,
+      date: parseDate(normaliseQIFDate(entry.rawDate), dateFormat),
+      amount: Number.isNaN(amount) ? null : amount
+    });
+    current = {};
+  };
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('!')) {
+      const typeMatch = line.match(/^!Type:(.+)$/i);
+      if (typeMatch) {
+        accountType = typeMatch[1].trim();
+        // Only register-style sections hold transactions (not Cat, Class, Memorized, Invst)
+        skipRecords = !TRANSACTION_SECTIONS.includes(accountType.toLowerCase());
+      } else if (/^!Account/i.test(line)) {
+        skipRecords = true;
+      }
+      return;
+    }
+
+    if (line === '^') {
+      flush();
+      return;
+    }
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    // Split lines (S/E/$) are ignored; the entry total still comes from T
+    if (['S', 'E', '$'].includes(code)) return;
+
+    if (!(code in current)) {
+      current[code] = value;
+    }
+  });
+
+  // Some exporters omit the final record terminator
+  flush();
+
+  return { entries, accountType };
+};
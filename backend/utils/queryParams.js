@@ -0,0 +1,22 @@
+// backend/utils/queryParams.js
+
+// Accept repeated (?category=a&category=b) or comma-separated (?category=a,b) values
+export const parseList = (value) => {
+  if (!value) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// Date-only end dates include the whole day
+export const parseEndDate = (value) => {
+  const date = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  } else {
+    date.setMilliseconds(date.getMilliseconds() + 1);
+  }
+  return date;
+};
@@ -0,0 +1,213 @@
+// backend/utils/quickAdd.js
+
+import { parseDate } from './importUtils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Words that say which way the money went; they aren't kept in the description
+const TYPE_WORDS = {
+  income: ['income', 'received', 'earned', 'got'],
+  expense: ['expense', 'spent', 'paid', 'bought']
+};
+
+// Words that only tie a date to the rest of the entry ("on friday", "on the 3rd")
+const DATE_FILLERS = ['on', 'the'];
+
+// "3500", "3,500", "₦3,500", "N3500", "3.5k", "+50000" (a sign says income or expense)
+const AMOUNT_PATTERN = /^([+-])?(₦|\$|£|€|ngn|n)?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(k|m)?$/i;
+const ORDINAL_PATTERN = /^(\d{1,2})(st|nd|rd|th)$/;
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Full or abbreviated ("fri", "thurs") weekday name, or -1
+const weekdayIndex = (word) => (word && word.length >= 3 ? WEEKDAYS.findIndex(day => day.startsWith(word)) : -1);
+
+// Full or three-letter month name ("march", "mar", "sept"), or -1
+const monthIndex = (word) => (word && word.length >= 3 ? MONTH_NAMES.findIndex(month => month.startsWith(word)) : -1);
+
+const ordinalDay = (word) => {
+  const match = (word || '').match(ORDINAL_PATTERN);
+  const day = match ? parseInt(match[1], 10) : 0;
+  return day >= 1 && day <= 31 ? day : null;
+};
+
+const buildUTCDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCDate() === day ? date : null;
+};
+
+// The most recent date on or before today with the given day of the month (and month, if given)
+const latestDayOfMonth = (today, day, month = null) => {
+  if (month !== null) {
+    const thisYear = buildUTCDate(today.getUTCFullYear(), month, day);
+    return thisYear && thisYear <= today ? thisYear : buildUTCDate(today.getUTCFullYear() - 1, month, day);
+  }
+  for (let monthsBack = 0; monthsBack < 12; monthsBack++) {
+    const date = buildUTCDate(today.getUTCFullYear(), today.getUTCMonth() - monthsBack, day);
+    if (date && date <= today) return date;
+  }
+  return null;
+};
+
+// The most recent given weekday: on or before today, or strictly before it for "last friday"
+const latestWeekday = (today, weekday, strictlyBefore) => {
+  const daysBack = (today.getUTCDay() - weekday + 7) % 7;
+  return addDays(today, -(daysBack === 0 && strictlyBefore ? 7 : daysBack));
+};
+
+// Read a date expression starting at words[i], returning the date and the number of words it used
+const readDate = (words, i, today) => {
+  const word = words[i];
+  const next = words[i + 1];
+
+  if (word === 'today') return { date: today, length: 1 };
+  if (word === 'yesterday') return { date: addDays(today, -1), length: 1 };
+  if (/^\d+$/.test(word) && ['day', 'days'].includes(next) && words[i + 2] === 'ago') {
+    return { date: addDays(today, -parseInt(word, 10)), length: 3 };
+  }
+  if (word === 'last' && weekdayIndex(next) !== -1) {
+    return { date: latestWeekday(today, weekdayIndex(next), true), length: 2 };
+  }
+  if (weekdayIndex(word) !== -1) {
+    return { date: latestWeekday(today, weekdayIndex(word), false), length: 1 };
+  }
+
+  // "3rd", "3rd march", "3rd of march", "march 3rd"
+  const day = ordinalDay(word);
+  if (day) {
+    const ofMonth = next === 'of' ? words[i + 2] : next;
+    const month = monthIndex(ofMonth);
+    if (month !== -1) {
+      return { date: latestDayOfMonth(today, day, month), length: next === 'of' ? 3 : 2 };
+    }
+    return { date: latestDayOfMonth(today, day), length: 1 };
+  }
+  if (monthIndex(word) !== -1 && ordinalDay(next)) {
+    return { date: latestDayOfMonth(today, ordinalDay(next), monthIndex(word)), length: 2 };
+  }
+
+  // Written-out dates such as 2026-10-03 or 03/10/2026
+  if (/\d[-/]\d/.test(word)) {
+    const parsed = parseDate(word);
+    if (parsed) return { date: new Date(`${parsed}T00:00:00.000Z`), length: 1 };
+  }
+
+  return null;
+};
+
+const readAmount = (word) => {
+  const match = word.match(AMOUNT_PATTERN);
+  if (!match) return null;
+  const multiplier = { k: 1000, m: 1000000 }[(match[5] || '').toLowerCase()] || 1;
+  const amount = Math.round(parseFloat(`${match[3].replace(/,/g, '')}${match[4] || ''}`) * multiplier * 100) / 100;
+  if (!(amount > 0)) return null;
+  return {
+    amount,
+    type: { '+': 'income', '-': 'expense' }[match[1]] || null,
+    // A currency sign or sign makes it clear this number is the amount
+    marked: Boolean(match[1] || match[2] || match[5])
+  };
+};
+
+// Lower-case words of a category name as stored, so "Bills &amp; Utilities" gives ["bills", "utilities"]
+const categoryWords = (name) => name.toLowerCase()
+  .replace(/&[#\w]+;/g, ' ')
+  .split(/[^a-z0-9]+/)
+  .filter(word => word && word !== 'and');
+
+// The category the remaining words name: a whole category name beats a single word of one
+// ("bills" finds "Bills & Utilities"), and ties go to the first category in the list
+const findCategory = (entries, categories) => {
+  let best = null;
+  categories.forEach(category => {
+    const nameWords = categoryWords(category.name);
+    if (nameWords.length === 0) return;
+
+    for (let start = 0; start + nameWords.length <= entries.length; start++) {
+      if (nameWords.every((word, offset) => entries[start + offset].word === word)) {
+        const score = nameWords.length * 10;
+        if (!best || score > best.score) {
+          best = { category, score, indexes: entries.slice(start, start + nameWords.length).map(entry => entry.index) };
+        }
+      }
+    }
+
+    const single = entries.find(entry => entry.word.length >= 4 && nameWords.includes(entry.word));
+    if (single && !best) {
+      best = { category, score: 1, indexes: [single.index] };
+    }
+  });
+  return best;
+};
+
+// Read a one-line entry such as "lunch 3500 yesterday food" into the parts of a transaction.
+// `categories` are the user's ({ name, type }); `today` is the day relative dates count back from.
+// Returns a null amount when the entry has none, and a null type or category when nothing said
+// which; whatever isn't read as something else is left as the description.
+export const parseQuickAddText = (text, { categories = [], today = new Date() } = {}) => {
+  const start = new Date(`${toDateString(new Date(today))}T00:00:00.000Z`);
+  const originals = text.trim().split(/\s+/).filter(Boolean);
+  const words = originals.map(word => word.toLowerCase().replace(/[.,!?;:]+$/, ''));
+  const used = new Set();
+
+  let date = null;
+  let type = null;
+  const amounts = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const dateMatch = date ? null : readDate(words, i, start);
+    if (dateMatch && dateMatch.date) {
+      date = dateMatch.date;
+      for (let offset = 0; offset < dateMatch.length; offset++) used.add(i + offset);
+      for (let before = i - 1; before >= 0 && DATE_FILLERS.includes(words[before]) && !used.has(before); before--) {
+        used.add(before);
+      }
+      i += dateMatch.length - 1;
+      continue;
+    }
+
+    const amount = readAmount(words[i]);
+    if (amount) {
+      amounts.push({ ...amount, index: i });
+      continue;
+    }
+
+    const typeWord = Object.keys(TYPE_WORDS).find(key => TYPE_WORDS[key].includes(words[i]));
+    if (typeWord && !type) {
+      type = typeWord;
+      used.add(i);
+    }
+  }
+
+  // A marked number wins, otherwise the largest; the others ("2 plates") stay in the description
+  const amount = amounts.find(candidate => candidate.marked) ||
+    amounts.reduce((largest, candidate) => (!largest || candidate.amount > largest.amount ? candidate : largest), null);
+  if (amount) {
+    used.add(amount.index);
+    type = type || amount.type;
+  }
+
+  const remaining = words
+    .map((word, index) => ({ word, index }))
+    .filter(entry => !used.has(entry.index) && entry.word);
+  const candidates = type ? categories.filter(category => category.type === type) : categories;
+  const categoryMatch = findCategory(remaining, candidates);
+
+  // The category's words come out of the description, unless they're all there is
+  if (categoryMatch && remaining.length > categoryMatch.indexes.length) {
+    categoryMatch.indexes.forEach(index => used.add(index));
+  }
+
+  return {
+    description: originals.filter((word, index) => !used.has(index)).join(' '),
+    amount: amount ? amount.amount : null,
+    type: type || (categoryMatch ? categoryMatch.category.type : null),
+    date: toDateString(date || start),
+    category: categoryMatch ? categoryMatch.category : null
+  };
+};
@@ -0,0 +1,88 @@
+// backend/utils/recurrence.js
+
+// Supported cadences for recurring transactions
+export const RECURRING_FREQUENCIES = ['weekly', 'monthly', 'yearly', 'every-n-days', 'last-business-day'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Occurrences are whole days, stored at UTC midnight like transaction dates
+export const toUTCDay = (value) => {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Day in the given month, clamped so the 31st falls back to the month's last day
+export const clampedDay = (year, month, day) => new Date(Date.UTC(year, month, Math.min(day, daysInMonth(year, month))));
+
+// Last Monday-Friday of the month (no holiday calendar)
+const lastBusinessDay = (year, month) => {
+  let date = new Date(Date.UTC(year, month, daysInMonth(year, month)));
+  while (date.getUTCDay() === 0 || date.getUTCDay() === 6) {
+    date = addDays(date, -1);
+  }
+  return date;
+};
+
+// First occurrence of the schedule strictly after the given day
+export const getNextOccurrence = (schedule, after) => {
+  const start = toUTCDay(schedule.startDate);
+  // Nothing occurs before the start date, so count from the day before it at the earliest
+  const day = new Date(Math.max(toUTCDay(after).getTime(), addDays(start, -1).getTime()));
+
+  switch (schedule.frequency) {
+    case 'weekly':
+    case 'every-n-days': {
+      const step = schedule.frequency === 'weekly' ? 7 : schedule.interval;
+      const elapsed = Math.round((day - start) / DAY_MS);
+      return addDays(start, (Math.floor(elapsed / step) + 1) * step);
+    }
+    case 'monthly': {
+      const anchor = start.getUTCDate();
+      const candidate = clampedDay(day.getUTCFullYear(), day.getUTCMonth(), anchor);
+      return candidate > day
+        ? candidate
+        : clampedDay(day.getUTCFullYear(), day.getUTCMonth() + 1, anchor);
+    }
+    case 'yearly': {
+      const candidate = clampedDay(day.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+      return candidate > day
+        ? candidate
+        : clampedDay(day.getUTCFullYear() + 1, start.getUTCMonth(), start.getUTCDate());
+    }
+    case 'last-business-day': {
+      const candidate = lastBusinessDay(day.getUTCFullYear(), day.getUTCMonth());
+      if (candidate > day) return candidate;
+      const nextMonth = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 1));
+      return lastBusinessDay(nextMonth.getUTCFullYear(), nextMonth.getUTCMonth());
+    }
+    default:
+      throw new Error(`Unsupported recurring frequency: ${schedule.frequency}`);
+  }
+};
+
+// First occurrence on or after the start date
+export const getFirstOccurrence = (schedule) => getNextOccurrence(schedule, addDays(toUTCDay(schedule.startDate), -1));
+
+// Whether a day falls on the schedule
+export const isOccurrence = (schedule, value) => {
+  const day = toUTCDay(value);
+  return getNextOccurrence(schedule, addDays(day, -1)).getTime() === day.getTime();
+};
+
+// Occurrences from `from` (inclusive) up to `until` (inclusive), honouring the end date
+export const listOccurrences = (schedule, from, until, limit = 100) => {
+  const occurrences = [];
+  const end = schedule.endDate && toUTCDay(schedule.endDate) < until ? toUTCDay(schedule.endDate) : until;
+  let occurrence = getNextOccurrence(schedule, addDays(toUTCDay(from), -1));
+
+  while (occurrence <= end && occurrences.length < limit) {
+    occurrences.push(occurrence);
+    occurrence = getNextOccurrence(schedule, occurrence);
+  }
+
+  return occurrences;
+};
@@ -0,0 +1,130 @@
+// backend/utils/recurringScheduler.js
+
+import RecurringTransaction from '../models/RecurringTransaction.js';
+import Transaction from '../models/Transaction.js';
+import { auditLog } from '../middleware/auditMiddleware.js';
+
+// How often the scheduler looks for due occurrences
+const SCHEDULER_INTERVAL_MS = 60 * 60 * 1000;
+
+// Cap on occurrences posted for one schedule per run, so a bad start date can't flood the ledger
+const MAX_CATCH_UP_OCCURRENCES = 400;
+
+let timer = null;
+let isRunning = false;
+
+// Post every due occurrence of one schedule up to `asOf` and move its next run date on.
+// The unique (recurringId, occurrenceDate) index makes each post idempotent, so a
+// crash between posting and advancing, or two overlapping runs, never double-posts.
+export const materializeRecurringTransaction = async (recurring, asOf = new Date()) => {
+  const previousRunDate = recurring.nextRunDate;
+  let occurrence = previousRunDate;
+  let lastPosted = null;
+  let posted = 0;
+  let processed = 0;
+
+  while (occurrence && occurrence <= asOf && processed < MAX_CATCH_UP_OCCURRENCES) {
+    try {
+      await Transaction.create({
+        userId: recurring.userId,
+        accountId: recurring.accountId,
+        description: recurring.description,
+        amount: Math.abs(recurring.amount),
+        category: recurring.category,
+        type: recurring.type,
+        date: occurrence,
+        recurringId: recurring._id,
+        occurrenceDate: occurrence
+      });
+      posted += 1;
+    } catch (error) {
+      // Already posted by an earlier run
+      if (error.code !== 11000) throw error;
+    }
+
+    lastPosted = occurrence;
+    occurrence = recurring.occurrenceAfter(occurrence);
+    processed += 1;
+  }
+
+  if (processed === 0) {
+    return { posted: 0, nextRunDate: previousRunDate };
+  }
+
+  // Only advance from the date we started at, in case another run got there first
+  await RecurringTransaction.updateOne(
+    { _id: recurring._id, nextRunDate: previousRunDate },
+    {
+      nextRunDate: occurrence,
+      lastRunDate: lastPosted,
+      status: occurrence ? recurring.status : 'ended',
+      $inc: { occurrencesPosted: posted }
+    }
+  );
+
+  if (posted > 0) {
+    await auditLog(recurring.userId, 'TRANSACTION_CREATE', 'transaction', {
+      details: { recurringId: recurring._id, occurrences: posted, source: 'recurring-scheduler' },
+      userAgent: 'recurring-scheduler'
+    });
+  }
+
+  return { posted, nextRunDate: occurrence };
+};
+
+// Post everything that is due across all users; also serves as catch-up after downtime
+export const processDueRecurringTransactions = async (asOf = new Date()) => {
+  if (isRunning) return { schedules: 0, posted: 0 };
+  isRunning = true;
+
+  let schedules = 0;
+  let posted = 0;
+
+  try {
+    const due = await RecurringTransaction.find({
+      status: 'active',
+      nextRunDate: { $lte: asOf }
+    });
+
+    for (const recurring of due) {
+      try {
+        const result = await materializeRecurringTransaction(recurring, asOf);
+        schedules += 1;
+        posted += result.posted;
+      } catch (error) {
+        console.error(`Recurring transaction ${recurring._id} failed:`, error);
+      }
+    }
+  } finally {
+    isRunning = false;
+  }
+
+  return { schedules, posted };
+};
+
+// Run once now (catch-up after a restart), then on a fixed interval
+export const startRecurringScheduler = () => {
+  if (timer) return;
+
+  const run = async () => {
+    try {
+      const { schedules, posted } = await processDueRecurringTransactions();
+      if (posted > 0) {
+        console.log(`Recurring scheduler posted ${posted} transactions from ${schedules} schedules`);
+      }
+    } catch (error) {
+      console.error('Recurring scheduler error:', error);
+    }
+  };
+
+  run();
+  timer = setInterval(run, SCHEDULER_INTERVAL_MS);
+  timer.unref();
+};
+
+export const stopRecurringScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -0,0 +1,36 @@
+// backend/utils/searchTokens.js
+
+import { blindIndex } from '../config/encryption.js';
+
+// Shortest word prefix that is indexed or searched for
+const MIN_TOKEN_LENGTH = 2;
+
+// Longest prefix indexed per word, which bounds the index size for long words
+const MAX_TOKEN_LENGTH = 20;
+
+// Lower-case words, ignoring the HTML entities left by input escaping
+const splitWords = (text) => (text || '')
+  .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, ' ')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(word => word.length >= MIN_TOKEN_LENGTH);
+
+// Hashed tokens stored with a transaction: every prefix of every word, so a
+// search for "shop" matches "Shoprite" without the server seeing either in clear
+export const buildSearchTokens = (text) => {
+  const tokens = new Set();
+
+  splitWords(text).forEach(word => {
+    const limit = Math.min(word.length, MAX_TOKEN_LENGTH);
+    for (let length = MIN_TOKEN_LENGTH; length <= limit; length++) {
+      tokens.add(blindIndex(word.slice(0, length)));
+    }
+  });
+
+  return [...tokens];
+};
+
+// Hashed tokens for a search query; a transaction matches when it has all of them
+export const buildQueryTokens = (query) => [...new Set(
+  splitWords(query).map(word => blindIndex(word.slice(0, MAX_TOKEN_LENGTH)))
+)];
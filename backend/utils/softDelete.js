@@ -0,0 +1,70 @@
+// backend/utils/softDelete.js
+
+// Reads that skip soft-deleted documents. Bulk updates and hard deletes are left alone
+// so renames and merges still reach documents in the Trash and purges can remove them.
+const FILTERED_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne'];
+
+// A query sees deleted documents when it asks about deletedAt itself or sets { withDeleted: true }
+const includesDeleted = (query) => query.getOptions().withDeleted || 'deletedAt' in query.getFilter();
+
+// Mongoose plugin that turns deletes into a deletedAt timestamp. Deleted documents drop
+// out of every query and aggregate until they're restored or purged. `onPurge` is given
+// the documents ({ _id, userId }) about to be removed for good, to clean up after them.
+export const softDeletePlugin = (schema, { onPurge } = {}) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    }
+  });
+  schema.index({ userId: 1, deletedAt: 1 });
+
+  schema.pre(FILTERED_QUERIES, function() {
+    if (!includesDeleted(this)) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const [first] = this.pipeline();
+    if (first && first.$match && 'deletedAt' in first.$match) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  // Move the user's matching documents to the Trash; returns the IDs moved
+  schema.statics.softDelete = async function(userId, filter, { session } = {}) {
+    const targets = await this.find({ ...filter, userId, deletedAt: null }).select('_id').session(session || null);
+    const ids = targets.map(doc => doc._id);
+    if (ids.length > 0) {
+      await this.updateMany({ _id: { $in: ids }, userId }, { $set: { deletedAt: new Date() } }, { session });
+    }
+    return ids;
+  };
+
+  // The user's documents in the Trash, most recently deleted first
+  schema.statics.findDeleted = function(userId) {
+    return this.find({ userId, deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
+  };
+
+  // Bring documents back out of the Trash; returns the number restored
+  schema.statics.restoreDeleted = async function(userId, filter, { session } = {}) {
+    const result = await this.updateMany(
+      { ...filter, userId, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null } },
+      { session }
+    );
+    return result.modifiedCount;
+  };
+
+  // Permanently remove documents from the Trash, optionally only those deleted before
+  // `deletedBefore`; returns the number removed
+  schema.statics.purgeDeleted = async function(filter = {}, { deletedBefore } = {}) {
+    const deletedAt = deletedBefore ? { $ne: null, $lte: deletedBefore } : { $ne: null };
+    const targets = await this.find({ ...filter, deletedAt }).select('_id userId');
+    if (targets.length === 0) return 0;
+
+    if (onPurge) await onPurge(targets);
+    const result = await this.deleteMany({ _id: { $in: targets.map(doc => doc._id) } });
+    return result.deletedCount;
+  };
+};
@@ -0,0 +1,32 @@
+// backend/utils/splitUtils.js
+
+// Category stored on the parent of a split transaction; analytics use the lines instead
+export const SPLIT_CATEGORY = 'Split';
+
+// Limits on how many lines one transaction can be split into
+export const MIN_SPLIT_LINES = 2;
+export const MAX_SPLIT_LINES = 20;
+
+// Compare in cents so floating point sums like 0.1 + 0.2 still match
+export const splitsMatchAmount = (splits, amount) => {
+  const total = splits.reduce((sum, split) => sum + Math.abs(parseFloat(split.amount) || 0), 0);
+  return Math.round(total * 100) === Math.round(Math.abs(parseFloat(amount)) * 100);
+};
+
+// The category lines a transaction contributes to budgets and breakdowns:
+// its split lines when it has them, otherwise the transaction itself
+export const getCategoryLines = (transaction) => {
+  if (transaction.splits && transaction.splits.length > 0) {
+    return transaction.splits.map(split => ({
+      category: split.category,
+      amount: split.amount
+    }));
+  }
+
+  return [{ category: transaction.category, amount: transaction.amount }];
+};
+
+// Total a transaction contributes to one category (0 when it doesn't touch it)
+export const getCategoryAmount = (transaction, category) => getCategoryLines(transaction)
+  .filter(line => line.category === category)
+  .reduce((sum, line) => sum + line.amount, 0);
@@ -0,0 +1,21 @@
+// backend/utils/tags.js
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+// Tags are stored as lower-case words joined by hyphens, so "Vacation 2026" and
+// "#vacation-2026" are the same tag
+export const normalizeTag = (tag) => String(tag)
+  .trim()
+  .toLowerCase()
+  .replace(/^#+/, '')
+  .replace(/[\s_]+/g, '-')
+  .replace(/[^\p{L}\p{N}-]/gu, '')
+  .replace(/-{2,}/g, '-')
+  .replace(/^-|-$/g, '');
+
+// Normalise a list of tags, dropping empty ones and repeats
+export const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) return tags;
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+};
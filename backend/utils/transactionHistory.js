@@ -0,0 +1,27 @@
+// backend/utils/transactionHistory.js
+
+// Transaction fields whose changes are kept in its version history
+export const TRACKED_FIELDS = ['description', 'amount', 'currency', 'category', 'type', 'date', 'accountId', 'payeeId', 'splits', 'tags'];
+
+// Plain, decrypted copy of the tracked fields of a transaction document
+export const snapshotTransaction = (transaction) => ({
+  description: transaction.description,
+  amount: Number(transaction.amount),
+  currency: transaction.currency || null,
+  category: transaction.category,
+  type: transaction.type,
+  date: transaction.date ? new Date(transaction.date).toISOString() : null,
+  accountId: transaction.accountId ? String(transaction.accountId) : null,
+  payeeId: transaction.payeeId ? String(transaction.payeeId) : null,
+  splits: (transaction.splits || []).map(split => ({
+    amount: Number(split.amount),
+    category: split.category,
+    note: split.note || null
+  })),
+  tags: [...(transaction.tags || [])]
+});
+
+// Fields that differ between two snapshots, as { field, before, after }
+export const diffSnapshots = (before, after) => TRACKED_FIELDS
+  .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+  .map(field => ({ field, before: before[field], after: after[field] }));
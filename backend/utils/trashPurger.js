@@ -0,0 +1,68 @@
+// backend/utils/trashPurger.js
+
+import Transaction from '../models/Transaction.js';
+import Budget from '../models/Budget.js';
+import Goal from '../models/Goal.js';
+
+// Days deleted items stay in the Trash when TRASH_RETENTION_DAYS isn't set
+const DEFAULT_RETENTION_DAYS = 30;
+
+// How often the purger looks for expired items
+const PURGER_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Models with a Trash, by the name the API uses for them
+export const TRASH_MODELS = {
+  transactions: Transaction,
+  budgets: Budget,
+  goals: Goal
+};
+
+let timer = null;
+
+export const getTrashRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+// When an item deleted at `deletedAt` will be purged
+export const getPurgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+
+// Permanently remove everything that has been in the Trash longer than the retention period
+export const purgeExpiredTrash = async (asOf = new Date()) => {
+  const deletedBefore = new Date(asOf.getTime() - getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+  const purged = {};
+
+  for (const [name, Model] of Object.entries(TRASH_MODELS)) {
+    purged[name] = await Model.purgeDeleted({}, { deletedBefore });
+  }
+
+  return purged;
+};
+
+// Run once now, then on a fixed interval
+export const startTrashPurger = () => {
+  if (timer) return;
+
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+      if (total > 0) {
+        console.log(`Trash purger removed ${purged.transactions} transactions, ${purged.budgets} budgets and ${purged.goals} goals`);
+      }
+    } catch (error) {
+      console.error('Trash purger error:', error);
+    }
+  };
+
+  run();
+  timer = setInterval(run, PURGER_INTERVAL_MS);
+  timer.unref();
+};
+
+export const stopTrashPurger = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -14,6 +14,8 @@ import AuthError from './pages/AuthError';
 import Transactions from './pages/Transactions';
 import Budget from './pages/Budget';
 import Goals from './pages/Goals';
+import Accounts from './pages/Accounts';
+import Trash from './pages/Trash';
 
 import Profile from './pages/Profile';
 import Settings from './pages/Settings';
@@ -104,6 +106,8 @@ function AppRoutes() {
         <Route path="/transactions" element={<ProtectedLayout><Transactions /></ProtectedLayout>} />
         <Route path="/budget" element={<ProtectedLayout><Budget /></ProtectedLayout>} />
         <Route path="/goals" element={<ProtectedLayout><Goals /></ProtectedLayout>} />
+        <Route path="/accounts" element={<ProtectedLayout><Accounts /></ProtectedLayout>} />
+        <Route path="/trash" element={<ProtectedLayout><Trash /></ProtectedLayout>} />
         
         <Route path="/profile" element={<ProtectedLayout><Profile /></ProtectedLayout>} />
         <Route path="/settings" element={<ProtectedLayout><Settings /></ProtectedLayout>} />
@@ -11,6 +11,7 @@ import {
 } from 'chart.js';
 import { Bar, Doughnut } from 'react-chartjs-2';
 import { formatCurrency } from '../../utils/currency';
+import { displayCategoryName } from '../../utils/categories';
 
 ChartJS.register(
   CategoryScale,
@@ -22,7 +23,7 @@ ChartJS.register(
   ArcElement
 );
 
-const BudgetChart = ({ budgetData, type = 'bar' }) => {
+const BudgetChart = ({ budgetData, type = 'bar', categoryColors = {} }) => {
   // Default data if none provided
   const defaultData = [
     { category: 'Food & Dining', budgeted: 800, spent: 650, remaining: 150 },
@@ -32,7 +33,9 @@ const BudgetChart = ({ budgetData, type = 'bar' }) => {
     { category: 'Bills & Utilities', budgeted: 1200, spent: 1150, remaining: 50 },
   ];
 
-  const data = budgetData || defaultData;
+  // Rollover can make a period's available amount differ from what's budgeted
+  const data = (budgetData || defaultData).map(item => ({ ...item, available: item.available ?? item.budgeted }));
+  const hasRollover = data.some(item => item.available !== item.budgeted);
 
   // Color palette for modern look
   const colors = {
@@ -47,22 +50,27 @@ const BudgetChart = ({ budgetData, type = 'bar' }) => {
   };
 
   if (type === 'doughnut') {
+    // Each category's stored colour, falling back to the palette
+    const palette = [
+      colors.primary,
+      colors.secondary,
+      colors.warning,
+      colors.danger,
+      colors.purple,
+      colors.pink,
+      colors.indigo,
+      colors.teal
+    ];
+
     const doughnutData = {
-      labels: data.map(item => item.category),
+      labels: data.map(item => displayCategoryName(item.category)),
       datasets: [
         {
           label: 'Budget Spent',
           data: data.map(item => item.spent),
-          backgroundColor: [
-            colors.primary,
-            colors.secondary,
-            colors.warning,
-            colors.danger,
-            colors.purple,
-            colors.pink,
-            colors.indigo,
-            colors.teal
-          ],
+          backgroundColor: data.map((item, index) =>
+            categoryColors[item.category] || palette[index % palette.length]
+          ),
           borderColor: '#ffffff',
           borderWidth: 3,
           hoverBorderWidth: 4,
@@ -118,7 +126,7 @@ const BudgetChart = ({ budgetData, type = 'bar' }) => {
           <h3 className="text-lg font-semibold text-gray-900">Budget Distribution</h3>
           <div className="flex items-center space-x-2">
             <div className="w-3 h-3 bg-gradient-to-r from-blue-500 to-purple-600 rounded-full"></div>
-            <span className="text-sm text-gray-600">Current Month</span>
+            <span className="text-sm text-gray-600">Current Period</span>
           </div>
         </div>
         <div className="h-80">
@@ -130,7 +138,7 @@ const BudgetChart = ({ budgetData, type = 'bar' }) => {
 
   // Bar chart data
   const barData = {
-    labels: data.map(item => item.category),
+    labels: data.map(item => displayCategoryName(item.category)),
     datasets: [
       {
         label: 'Budgeted',
@@ -141,16 +149,25 @@ const BudgetChart = ({ budgetData, type = 'bar' }) => {
         borderRadius: 6,
         borderSkipped: false,
       },
+      ...(hasRollover ? [{
+        label: 'Available',
+        data: data.map(item => item.available),
+        backgroundColor: 'rgba(139, 92, 246, 0.8)',
+        borderColor: colors.purple,
+        borderWidth: 2,
+        borderRadius: 6,
+        borderSkipped: false,
+      }] : []),
       {
         label: 'Spent',
         data: data.map(item => item.spent),
         backgroundColor: data.map(item => 
-          item.spent > item.budgeted 
+          item.spent > item.available 
             ? 'rgba(239, 68, 68, 0.8)' 
             : 'rgba(16, 185, 129, 0.8)'
         ),
         borderColor: data.map(item => 
-          item.spent > item.budgeted 
+          item.spent > item.available 
             ? colors.danger 
             : colors.secondary
         ),
@@ -193,9 +210,14 @@ const BudgetChart = ({ budgetData, type = 'bar' }) => {
             if (context.length > 0) {
               const dataIndex = context[0].dataIndex;
               const item = data[dataIndex];
-              const remaining = item.budgeted - item.spent;
+              const remaining = item.available - item.spent;
               const status = remaining >= 0 ? 'Under budget' : 'Over budget';
-              return [`Remaining: ${formatCurrency(Math.abs(remaining))}`, status];
+              const carried = item.available - item.budgeted;
+              return [
+                ...(carried !== 0 ? [`${carried > 0 ? 'Carried over' : 'Overspent last period'}: ${formatCurrency(Math.abs(carried))}`] : []),
+                `Remaining: ${formatCurrency(Math.abs(remaining))}`,
+                status
+              ];
             }
             return [];
           }
@@ -249,6 +271,12 @@ const BudgetChart = ({ budgetData, type = 'bar' }) => {
             <div className="w-3 h-3 bg-blue-500 rounded-full"></div>
             <span className="text-sm text-gray-600">Budgeted</span>
           </div>
+          {hasRollover && (
+            <div className="flex items-center space-x-2">
+              <div className="w-3 h-3 bg-purple-500 rounded-full"></div>
+              <span className="text-sm text-gray-600">Available</span>
+            </div>
+          )}
           <div className="flex items-center space-x-2">
             <div className="w-3 h-3 bg-green-500 rounded-full"></div>
             <span className="text-sm text-gray-600">Spent</span>
@@ -298,7 +326,7 @@ const BudgetChart = ({ budgetData, type = 'bar' }) => {
             <div>
               <p className="text-sm font-medium text-purple-600">Remaining</p>
               <p className="text-2xl font-bold text-purple-900">
-                {formatCurrency(data.reduce((sum, item) => sum + (item.budgeted - item.spent), 0))}
+                {formatCurrency(data.reduce((sum, item) => sum + (item.available - item.spent), 0))}
               </p>
             </div>
             <div className="w-12 h-12 bg-purple-500 rounded-lg flex items-center justify-center">
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+import { budgetAPI } from '../../utils/api';
+import { formatCurrency } from '../../utils/currency';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip, Legend);
+
+// Closed periods shown in the trend
+const HISTORY_PERIODS = 12;
+
+const STATUS_COLORS = {
+  good: 'rgba(16, 185, 129, 0.8)',
+  warning: 'rgba(245, 158, 11, 0.8)',
+  over: 'rgba(239, 68, 68, 0.8)'
+};
+
+// Weekly periods are labelled by their first day, monthly by month, yearly by year, and a
+// custom budget's single range by its first day
+const periodLabel = (period, startDate) => {
+  const options = period === 'weekly' || period === 'custom'
+    ? { month: 'short', day: 'numeric' }
+    : period === 'monthly' ? { month: 'short', year: '2-digit' } : { year: 'numeric' };
+  return new Date(startDate).toLocaleDateString(undefined, { ...options, timeZone: 'UTC' });
+};
+
+// A budget's available and spent amounts over its last closed periods and the current one,
+// with spending coloured by how the period went
+const BudgetHistoryChart = ({ budgetId }) => {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    budgetAPI.getHistory(budgetId, { limit: HISTORY_PERIODS })
+      .then(setData)
+      .catch(err => {
+        console.error('Error fetching budget history:', err);
+        setError('Failed to load budget history');
+      });
+  }, [budgetId]);
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  if (!data) {
+    return <p className="text-sm text-gray-500">Loading history...</p>;
+  }
+
+  const { current } = data;
+  // The current period's percentage is capped at 100, so overspending is told from the amounts
+  const currentStatus = current.spent > current.available ? 'over' : current.percentage > 80 ? 'warning' : 'good';
+  const periods = [
+    ...data.history,
+    { ...current.window, available: current.available, spent: current.spent, status: currentStatus, isCurrent: true }
+  ];
+
+  const chartData = {
+    labels: periods.map(item => `${periodLabel(data.period, item.startDate)}${item.isCurrent ? ' (now)' : ''}`),
+    datasets: [
+      {
+        label: 'Available',
+        data: periods.map(item => item.available),
+        backgroundColor: 'rgba(59, 130, 246, 0.3)',
+        borderColor: '#3B82F6',
+        borderWidth: 2,
+        borderRadius: 6,
+        borderSkipped: false,
+      },
+      {
+        label: 'Spent',
+        data: periods.map(item => item.spent),
+        backgroundColor: periods.map(item => STATUS_COLORS[item.status]),
+        borderRadius: 6,
+        borderSkipped: false,
+      },
+    ],
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { position: 'top' },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`,
+          afterBody: (items) => {
+            const item = periods[items[0].dataIndex];
+            const label = item.available - item.spent >= 0 ? 'Left' : 'Over';
+            return `${label}: ${formatCurrency(Math.abs(item.available - item.spent))}`;
+          }
+        }
+      },
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        ticks: { callback: (value) => formatCurrency(value) }
+      },
+    },
+  };
+
+  const closed = data.history;
+  const overCount = closed.filter(item => item.status === 'over').length;
+  const averageSpent = closed.length > 0 ? closed.reduce((sum, item) => sum + item.spent, 0) / closed.length : 0;
+
+  return (
+    <div>
+      <div className="h-72">
+        <Bar data={chartData} options={options} />
+      </div>
+      {closed.length === 0 ? (
+        <p className="text-sm text-gray-500 mt-3">No closed periods yet; each one is recorded when it ends.</p>
+      ) : (
+        <p className="text-sm text-gray-600 mt-3">
+          Over budget in {overCount} of the last {closed.length} periods · {formatCurrency(averageSpent)} spent on average
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BudgetHistoryChart;
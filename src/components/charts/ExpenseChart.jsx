@@ -12,6 +12,7 @@ import {
 } from 'chart.js';
 import { Line, Pie } from 'react-chartjs-2';
 import { formatCurrency } from '../../utils/currency';
+import { displayCategoryName } from '../../utils/categories';
 
 ChartJS.register(
   CategoryScale,
@@ -24,7 +25,7 @@ ChartJS.register(
   ArcElement
 );
 
-const ExpenseChart = ({ expenseData, type = 'line', timeframe = 'monthly' }) => {
+const ExpenseChart = ({ expenseData, type = 'line', timeframe = 'monthly', categoryColors = {} }) => {
   // Default data if none provided
   const defaultMonthlyData = [
     { month: 'Jan', amount: 2800, categories: { food: 800, transport: 400, entertainment: 300, shopping: 500, bills: 800 } },
@@ -72,26 +73,32 @@ const ExpenseChart = ({ expenseData, type = 'line', timeframe = 'monthly' }) =>
           bills: latestData.amount * 0.25
         };
 
+    // Each category's stored colour, falling back to the palette
+    const palette = [
+      colors.primary,
+      colors.secondary,
+      colors.warning,
+      colors.danger,
+      colors.purple,
+      colors.pink,
+      colors.indigo,
+      colors.teal,
+      colors.orange,
+      colors.cyan
+    ];
+
     const pieData = {
-      labels: Object.keys(categories).map(key => 
-        key.charAt(0).toUpperCase() + key.slice(1)
-      ),
+      labels: Object.keys(categories).map(key => {
+        const name = displayCategoryName(key);
+        return name.charAt(0).toUpperCase() + name.slice(1);
+      }),
       datasets: [
         {
           label: 'Expense Categories',
           data: Object.values(categories),
-          backgroundColor: [
-            colors.primary,
-            colors.secondary,
-            colors.warning,
-            colors.danger,
-            colors.purple,
-            colors.pink,
-            colors.indigo,
-            colors.teal,
-            colors.orange,
-            colors.cyan
-          ],
+          backgroundColor: Object.keys(categories).map((key, index) =>
+            categoryColors[key] || palette[index % palette.length]
+          ),
           borderColor: '#ffffff',
           borderWidth: 3,
           hoverBorderWidth: 4,
@@ -12,6 +12,7 @@ import {
 } from 'chart.js';
 import { Line, Doughnut } from 'react-chartjs-2';
 import { formatCurrency } from '../../utils/currency';
+import { displayCategoryName } from '../../utils/categories';
 
 ChartJS.register(
   CategoryScale,
@@ -24,7 +25,7 @@ ChartJS.register(
   ArcElement
 );
 
-const IncomeChart = ({ incomeData, type = 'line', timeframe = 'monthly' }) => {
+const IncomeChart = ({ incomeData, type = 'line', timeframe = 'monthly', categoryColors = {} }) => {
   // Default data if none provided
   const defaultMonthlyData = [
     { month: 'Jan', amount: 5200, sources: { salary: 4500, freelance: 500, investments: 200 } },
@@ -70,22 +71,28 @@ const IncomeChart = ({ incomeData, type = 'line', timeframe = 'monthly' }) => {
           investments: latestData.amount * 0.05
         };
 
+    // Each source category's stored colour, falling back to the palette
+    const palette = [
+      colors.secondary,
+      colors.primary,
+      colors.warning,
+      colors.purple,
+      colors.teal,
+      colors.pink
+    ];
+
     const doughnutData = {
-      labels: Object.keys(sources).map(key => 
-        key.charAt(0).toUpperCase() + key.slice(1)
-      ),
+      labels: Object.keys(sources).map(key => {
+        const name = displayCategoryName(key);
+        return name.charAt(0).toUpperCase() + name.slice(1);
+      }),
       datasets: [
         {
           label: 'Income Sources',
           data: Object.values(sources),
-          backgroundColor: [
-            colors.secondary,
-            colors.primary,
-            colors.warning,
-            colors.purple,
-            colors.teal,
-            colors.pink
-          ],
+          backgroundColor: Object.keys(sources).map((key, index) =>
+            categoryColors[key] || palette[index % palette.length]
+          ),
           borderColor: '#ffffff',
           borderWidth: 4,
           hoverBorderWidth: 6,
@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { BuildingStorefrontIcon, ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import { dashboardAPI } from '../../utils/api';
+import { formatCurrency } from '../../utils/currency';
+import { displayCategoryName } from '../../utils/categories';
+
+// Fallback bar colour for categories without one of their own
+const DEFAULT_BAR_COLOR = '#6366F1';
+
+// Payees listed on the dashboard
+const TOP_PAYEES = 10;
+
+// Top payees by spending, each expandable into its spending by category
+const PayeeBreakdown = ({ categoryColors = {} }) => {
+  const [payees, setPayees] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [expandedPayee, setExpandedPayee] = useState(null);
+
+  useEffect(() => {
+    dashboardAPI.getPayeeAnalytics({ limit: TOP_PAYEES })
+      .then(response => setPayees(response.data))
+      .catch(err => console.error('Error fetching payee analytics:', err))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading payees...</p>;
+  }
+
+  if (payees.length === 0) {
+    return (
+      <div className="text-center py-6">
+        <BuildingStorefrontIcon className="mx-auto h-8 w-8 text-gray-400 mb-2" />
+        <p className="text-gray-500 text-sm">No payees yet</p>
+        <Link to="/settings" className="text-blue-600 hover:text-blue-800 text-sm font-medium">
+          Find payees in your transactions
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100">
+      {payees.map(entry => (
+        <li key={entry.payeeId} className="py-2">
+          <button
+            onClick={() => setExpandedPayee(expandedPayee === entry.payeeId ? null : entry.payeeId)}
+            className="w-full flex items-center text-left"
+          >
+            {expandedPayee === entry.payeeId
+              ? <ChevronDownIcon className="h-4 w-4 text-gray-400 mr-2" />
+              : <ChevronRightIcon className="h-4 w-4 text-gray-400 mr-2" />}
+            <span className="flex-1 text-sm font-medium text-gray-900">{displayCategoryName(entry.name)}</span>
+            <span className="text-xs text-gray-500 mr-4">{entry.count} transactions</span>
+            <span className="text-sm font-medium text-red-600 w-28 text-right">{formatCurrency(entry.expenses)}</span>
+            {entry.income > 0 && (
+              <span className="text-sm font-medium text-green-600 w-28 text-right">+{formatCurrency(entry.income)}</span>
+            )}
+          </button>
+          {expandedPayee === entry.payeeId && (
+            <div className="mt-2 ml-6 space-y-2">
+              {entry.categories.length === 0 ? (
+                <p className="text-xs text-gray-500">No spending with this payee</p>
+              ) : entry.categories.map(line => (
+                <div key={line.category}>
+                  <div className="flex justify-between text-xs text-gray-600 mb-1">
+                    <span>{displayCategoryName(line.category)}</span>
+                    <span>{formatCurrency(line.amount)} ({line.percentage}%)</span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-1.5">
+                    <div
+                      className="h-1.5 rounded-full"
+                      style={{ width: `${line.percentage}%`, backgroundColor: categoryColors[line.category] || DEFAULT_BAR_COLOR }}
+                    ></div>
+                  </div>
+                </div>
+              ))}
+              <p className="text-xs text-gray-500">
+                {new Date(entry.firstDate).toLocaleDateString()} – {new Date(entry.lastDate).toLocaleDateString()}
+                {entry.expenseCount > 0 && ` · ${formatCurrency(entry.averageExpense)} on average`}
+                {entry.income > 0 && ` · net ${formatCurrency(entry.net)}`}
+              </p>
+            </div>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default PayeeBreakdown;
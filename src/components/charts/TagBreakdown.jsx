@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { TagIcon, ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import { dashboardAPI } from '../../utils/api';
+import { formatCurrency } from '../../utils/currency';
+import { displayCategoryName } from '../../utils/categories';
+
+// Fallback bar colour for categories without one of their own
+const DEFAULT_BAR_COLOR = '#6366F1';
+
+// Spending and income per tag, each expandable into its spending by category
+// (e.g. the full cost of a trip across food, transport and lodging)
+const TagBreakdown = ({ categoryColors = {} }) => {
+  const [tags, setTags] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [expandedTag, setExpandedTag] = useState(null);
+
+  useEffect(() => {
+    dashboardAPI.getTagAnalytics()
+      .then(response => setTags(response.data))
+      .catch(err => console.error('Error fetching tag analytics:', err))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading tags...</p>;
+  }
+
+  if (tags.length === 0) {
+    return (
+      <div className="text-center py-6">
+        <TagIcon className="mx-auto h-8 w-8 text-gray-400 mb-2" />
+        <p className="text-gray-500 text-sm">No tagged transactions yet</p>
+        <Link to="/transactions" className="text-blue-600 hover:text-blue-800 text-sm font-medium">
+          Tag a transaction
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100">
+      {tags.map(entry => (
+        <li key={entry.tag} className="py-2">
+          <button
+            onClick={() => setExpandedTag(expandedTag === entry.tag ? null : entry.tag)}
+            className="w-full flex items-center text-left"
+          >
+            {expandedTag === entry.tag
+              ? <ChevronDownIcon className="h-4 w-4 text-gray-400 mr-2" />
+              : <ChevronRightIcon className="h-4 w-4 text-gray-400 mr-2" />}
+            <span className="flex-1 text-sm font-medium text-indigo-700">#{entry.tag}</span>
+            <span className="text-xs text-gray-500 mr-4">{entry.count} transactions</span>
+            <span className="text-sm font-medium text-red-600 w-28 text-right">{formatCurrency(entry.expenses)}</span>
+            {entry.income > 0 && (
+              <span className="text-sm font-medium text-green-600 w-28 text-right">+{formatCurrency(entry.income)}</span>
+            )}
+          </button>
+          {expandedTag === entry.tag && (
+            <div className="mt-2 ml-6 space-y-2">
+              {entry.categories.length === 0 ? (
+                <p className="text-xs text-gray-500">No spending under this tag</p>
+              ) : entry.categories.map(line => (
+                <div key={line.category}>
+                  <div className="flex justify-between text-xs text-gray-600 mb-1">
+                    <span>{displayCategoryName(line.category)}</span>
+                    <span>{formatCurrency(line.amount)} ({line.percentage}%)</span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-1.5">
+                    <div
+                      className="h-1.5 rounded-full"
+                      style={{ width: `${line.percentage}%`, backgroundColor: categoryColors[line.category] || DEFAULT_BAR_COLOR }}
+                    ></div>
+                  </div>
+                </div>
+              ))}
+              <p className="text-xs text-gray-500">
+                {new Date(entry.firstDate).toLocaleDateString()} – {new Date(entry.lastDate).toLocaleDateString()}
+                {entry.income > 0 && ` · net ${formatCurrency(entry.net)}`}
+              </p>
+            </div>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default TagBreakdown;
@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import { XMarkIcon, PaperClipIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { attachmentAPI } from '../../utils/api';
+import { ATTACHMENT_TYPES, MAX_ATTACHMENT_BYTES, readFileAsBase64, createThumbnail, formatFileSize } from '../../utils/attachments';
+import AttachmentThumbnail from '../ui/AttachmentThumbnail';
+
+// Open an attachment in a new tab
+export const openAttachment = async (transactionId, attachment) => {
+  const blob = await attachmentAPI.getFile(transactionId, attachment._id);
+  const url = URL.createObjectURL(blob);
+  window.open(url, '_blank', 'noopener');
+  // Give the new tab time to load before the URL is released
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+};
+
+// Upload, view and remove the receipts and documents kept with a transaction
+const AttachmentManager = ({ transaction, onClose, onChanged }) => {
+  const [attachments, setAttachments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUploading, setIsUploading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchAttachments = async () => {
+    try {
+      setIsLoading(true);
+      const response = await attachmentAPI.getAll(transaction._id);
+      setAttachments(response.data);
+      setError('');
+    } catch (err) {
+      console.error('Error loading attachments:', err);
+      setError('Failed to load attachments');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchAttachments();
+  }, [transaction._id]);
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    const rejected = files.find(file => !ATTACHMENT_TYPES.includes(file.type) || file.size > MAX_ATTACHMENT_BYTES);
+    if (rejected) {
+      setError(`${rejected.name}: only JPEG, PNG, WebP and PDF files up to ${formatFileSize(MAX_ATTACHMENT_BYTES)} can be attached`);
+      return;
+    }
+
+    try {
+      setIsUploading(true);
+      setError('');
+      for (const file of files) {
+        const [content, thumbnail] = await Promise.all([readFileAsBase64(file), createThumbnail(file)]);
+        await attachmentAPI.upload(transaction._id, {
+          filename: file.name,
+          mimeType: file.type,
+          content,
+          thumbnail: thumbnail || undefined
+        });
+      }
+      await fetchAttachments();
+      if (onChanged) onChanged();
+    } catch (err) {
+      console.error('Error uploading attachment:', err);
+      setError(err.message || 'Failed to upload attachment');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleOpen = async (attachment) => {
+    try {
+      await openAttachment(transaction._id, attachment);
+    } catch (err) {
+      console.error('Error opening attachment:', err);
+      setError('Failed to open attachment');
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.filename}?`)) return;
+
+    try {
+      await attachmentAPI.delete(transaction._id, attachment._id);
+      setAttachments(prev => prev.filter(item => item._id !== attachment._id));
+      if (onChanged) onChanged();
+    } catch (err) {
+      console.error('Error deleting attachment:', err);
+      setError(err.message || 'Failed to delete attachment');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-full max-w-lg shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-center mb-1">
+          <h3 className="text-lg font-medium text-gray-900">Receipts &amp; Documents</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XMarkIcon className="h-5 w-5" />
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4 truncate">{transaction.description}</p>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4 text-sm">
+            {error}
+          </div>
+        )}
+
+        {isLoading ? (
+          <p className="text-gray-500 text-sm">Loading attachments...</p>
+        ) : attachments.length === 0 ? (
+          <p className="text-gray-500 text-sm mb-4">Nothing attached yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 mb-4">
+            {attachments.map(attachment => (
+              <li key={attachment._id} className="flex items-center py-2">
+                <AttachmentThumbnail
+                  transactionId={transaction._id}
+                  attachment={attachment}
+                  size="h-12 w-12"
+                  onClick={() => handleOpen(attachment)}
+                />
+                <button
+                  onClick={() => handleOpen(attachment)}
+                  className="flex-1 ml-3 text-left text-sm text-blue-600 hover:text-blue-900 truncate"
+                >
+                  {attachment.filename}
+                </button>
+                <span className="text-xs text-gray-500 mx-3">{formatFileSize(attachment.size)}</span>
+                <button
+                  onClick={() => handleDelete(attachment)}
+                  className="text-red-600 hover:text-red-900"
+                  title="Delete"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <label className={`inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 cursor-pointer ${isUploading ? 'opacity-50 pointer-events-none' : ''}`}>
+          <PaperClipIcon className="h-4 w-4 mr-2" />
+          {isUploading ? 'Uploading...' : 'Attach files'}
+          <input
+            type="file"
+            accept={ATTACHMENT_TYPES.join(',')}
+            multiple
+            onChange={handleFiles}
+            className="hidden"
+          />
+        </label>
+        <p className="text-xs text-gray-500 mt-2">
+          JPEG, PNG, WebP or PDF, up to {formatFileSize(MAX_ATTACHMENT_BYTES)} each. Files are stored encrypted.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default AttachmentManager;
@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react';
+import { transactionAPI } from '../../utils/api';
+import { formatCurrency } from '../../utils/currency';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm';
+
+const BankAlertImportForm = ({ accounts = [], onClose, onImported }) => {
+  const [step, setStep] = useState('paste');
+  const [content, setContent] = useState('');
+  const [bank, setBank] = useState('');
+  const [banks, setBanks] = useState([]);
+  const [accountId, setAccountId] = useState('');
+  const [defaultCategory, setDefaultCategory] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchBanks = async () => {
+      try {
+        const response = await transactionAPI.getAlertBanks();
+        setBanks(response.data || []);
+      } catch (err) {
+        console.error('Error fetching alert banks:', err);
+      }
+    };
+    fetchBanks();
+  }, []);
+
+  const selectedAccount = accounts.find(account => account._id === accountId) || accounts.find(account => account.isDefault);
+  const currency = selectedAccount ? selectedAccount.currency : undefined;
+
+  const buildRequest = (dryRun) => ({
+    content,
+    format: 'alerts',
+    mapping: {
+      ...(bank ? { bank } : {}),
+      ...(defaultCategory.trim() ? { defaultCategory: defaultCategory.trim() } : {})
+    },
+    accountId: accountId || undefined,
+    dryRun
+  });
+
+  const handlePreview = async () => {
+    try {
+      setIsWorking(true);
+      setError('');
+      const response = await transactionAPI.importStatement(buildRequest(true));
+      setPreview(response.data);
+      setStep('preview');
+    } catch (err) {
+      console.error('Error reading bank alerts:', err);
+      setError(err.message || 'Failed to read the alerts');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleCommit = async () => {
+    try {
+      setIsWorking(true);
+      setError('');
+      const response = await transactionAPI.importStatement(buildRequest(false));
+      setResult(response.data);
+      setStep('done');
+      if (onImported) onImported();
+    } catch (err) {
+      console.error('Error importing bank alerts:', err);
+      setError(err.message || 'Failed to import transactions');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    if (Number.isNaN(date.getTime())) return dateString;
+    return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  };
+
+  const renderPasteStep = () => (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Alert text *
+        </label>
+        <textarea
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          rows={10}
+          placeholder={'Acct: 0123****89\nAmt: NGN5,000.00 DR\nDesc: POS/WEB PURCHASE SHOPRITE\nAvail Bal: NGN120,345.67\nDate: 2024-01-15 10:23 AM'}
+          className={`${inputClassName} font-mono`}
+        />
+        <p className="mt-1 text-xs text-gray-500">
+          Paste one or more debit/credit SMS or email alerts. Leave a blank line between alerts if they run together.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Bank
+          </label>
+          <select
+            value={bank}
+            onChange={(e) => setBank(e.target.value)}
+            className={inputClassName}
+          >
+            <option value="">Detect automatically</option>
+            {banks.map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Default category
+          </label>
+          <input
+            type="text"
+            value={defaultCategory}
+            onChange={(e) => setDefaultCategory(e.target.value)}
+            placeholder="Other"
+            className={inputClassName}
+          />
+        </div>
+
+        {accounts.length > 1 && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Import into account
+            </label>
+            <select
+              value={accountId}
+              onChange={(e) => setAccountId(e.target.value)}
+              className={inputClassName}
+            >
+              {accounts.map(account => (
+                <option key={account._id} value={account.isDefault ? '' : account._id}>{account.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          disabled={!content.trim() || isWorking}
+          onClick={handlePreview}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+        >
+          {isWorking ? 'Reading...' : 'Review'}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderPreviewStep = () => (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+        <div className="bg-gray-50 p-3 rounded-lg">
+          <p className="text-xs text-gray-500">Alerts</p>
+          <p className="text-lg font-semibold text-gray-900">{preview.summary.totalRows}</p>
+        </div>
+        <div className="bg-green-50 p-3 rounded-lg">
+          <p className="text-xs text-green-600">Ready to import</p>
+          <p className="text-lg font-semibold text-green-900">{preview.summary.validRows}</p>
+        </div>
+        <div className="bg-red-50 p-3 rounded-lg">
+          <p className="text-xs text-red-600">Unreadable (skipped)</p>
+          <p className="text-lg font-semibold text-red-900">{preview.summary.invalidRows}</p>
+        </div>
+        <div className="bg-yellow-50 p-3 rounded-lg">
+          <p className="text-xs text-yellow-600">Already imported</p>
+          <p className="text-lg font-semibold text-yellow-900">{preview.summary.duplicateRows || 0}</p>
+        </div>
+      </div>
+
+      <div className="overflow-auto max-h-80 border border-gray-200 rounded-md">
+        <table className="min-w-full divide-y divide-gray-200 text-xs">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase tracking-wider">Bank</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase tracking-wider">Date</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase tracking-wider">Narration</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase tracking-wider">Category</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase tracking-wider">Balance after</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase tracking-wider">Problems</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {preview.rows.map(row => (
+              <tr key={row.rowNumber} className={!row.valid ? 'bg-red-50' : row.duplicate ? 'bg-yellow-50' : ''}>
+                <td className="px-3 py-2 whitespace-nowrap text-gray-500">
+                  {row.alert ? row.alert.bank : '—'}
+                  {row.alert && row.alert.accountNumber && (
+                    <span className="block text-gray-400">{row.alert.accountNumber}</span>
+                  )}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap text-gray-700">{formatDate(row.transaction.date)}</td>
+                <td className="px-3 py-2 text-gray-900">{row.transaction.description}</td>
+                <td className="px-3 py-2 whitespace-nowrap text-gray-500">{row.transaction.category}</td>
+                <td className={`px-3 py-2 whitespace-nowrap font-medium ${row.transaction.type === 'income' ? 'text-green-600' : 'text-red-600'}`}>
+                  {typeof row.transaction.amount === 'number'
+                    ? `${row.transaction.type === 'income' ? '+' : '-'}${formatCurrency(row.transaction.amount, currency)}`
+                    : row.transaction.amount}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap text-gray-500">
+                  {row.alert && typeof row.alert.balance === 'number' ? formatCurrency(row.alert.balance, currency) : '—'}
+                </td>
+                <td className="px-3 py-2 text-red-600">
+                  {row.duplicate && <span className="text-yellow-700">Already imported{row.errors.length > 0 && '; '}</span>}
+                  {row.possibleDuplicateOf && <span className="text-yellow-700">Looks like a transaction you already have</span>}
+                  {row.errors.map(rowError => rowError.message).join('; ')}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={() => setStep('paste')}
+          className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500"
+        >
+          Back
+        </button>
+        <button
+          type="button"
+          disabled={isWorking || preview.summary.validRows === 0}
+          onClick={handleCommit}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+        >
+          {isWorking ? 'Importing...' : `Import ${preview.summary.validRows} transactions`}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderDoneStep = () => (
+    <div className="space-y-4">
+      <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+        Imported {result.summary.imported} transactions
+        {result.summary.skipped > 0 && `, skipped ${result.summary.skipped} unreadable alerts`}
+        {result.summary.duplicates > 0 && `, ignored ${result.summary.duplicates} already imported`}.
+        {result.summary.possibleDuplicateRows > 0 && ` ${result.summary.possibleDuplicateRows} look like transactions you already had; review them under Duplicates.`}
+      </div>
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-full max-w-4xl shadow-lg rounded-md bg-white">
+        <div className="mt-3">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Import Bank Alerts</h3>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4 text-sm">
+              {error}
+            </div>
+          )}
+
+          {step === 'paste' && renderPasteStep()}
+          {step === 'preview' && preview && renderPreviewStep()}
+          {step === 'done' && result && renderDoneStep()}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BankAlertImportForm;
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { TrashIcon } from '@heroicons/react/24/outline';
+import { normalizeTag } from './TagInput';
+
+const ACTIONS = [
+  { value: 'category', label: 'Set category' },
+  { value: 'type', label: 'Set type' },
+  { value: 'date', label: 'Set date' },
+  { value: 'addTag', label: 'Add tag' },
+  { value: 'removeTag', label: 'Remove tag' }
+];
+
+// Toolbar for applying one change, or a delete, to every selected transaction
+const BulkActionBar = ({
+  count,
+  totalMatching,
+  allMatching,
+  onSelectAllMatching,
+  onClear,
+  categories,
+  tagOptions,
+  onApply,
+  onDelete,
+  isWorking
+}) => {
+  const [action, setAction] = useState('category');
+  const [value, setValue] = useState('');
+
+  const changeAction = (next) => {
+    setAction(next);
+    setValue(next === 'type' ? 'expense' : '');
+  };
+
+  const buildChanges = () => {
+    switch (action) {
+      case 'category':
+        return value ? { category: value } : null;
+      case 'type':
+        return { type: value || 'expense' };
+      case 'date':
+        return value ? { date: value } : null;
+      case 'addTag':
+      case 'removeTag': {
+        const tag = normalizeTag(value);
+        if (!tag) return null;
+        return action === 'addTag' ? { addTags: [tag] } : { removeTags: [tag] };
+      }
+      default:
+        return null;
+    }
+  };
+
+  const changes = buildChanges();
+  const inputClass = 'px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="bg-blue-50 border border-blue-200 rounded-lg px-4 py-3 mb-4 flex flex-wrap items-center gap-3 text-sm">
+      <span className="font-medium text-blue-900">
+        {count} selected
+      </span>
+      {!allMatching && totalMatching > count && (
+        <button onClick={onSelectAllMatching} className="text-blue-700 hover:underline">
+          Select all {totalMatching} matching
+        </button>
+      )}
+      <button onClick={onClear} className="text-gray-600 hover:underline">
+        Clear
+      </button>
+
+      <span className="flex-1" />
+
+      <select value={action} onChange={(e) => changeAction(e.target.value)} className={inputClass}>
+        {ACTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+
+      {action === 'category' && (
+        <select value={value} onChange={(e) => setValue(e.target.value)} className={inputClass}>
+          <option value="">Choose a category</option>
+          <optgroup label="Expense">
+            {categories.expense.map(category => (
+              <option key={`expense-${category}`} value={category}>{category}</option>
+            ))}
+          </optgroup>
+          <optgroup label="Income">
+            {categories.income.map(category => (
+              <option key={`income-${category}`} value={category}>{category}</option>
+            ))}
+          </optgroup>
+        </select>
+      )}
+      {action === 'type' && (
+        <select value={value || 'expense'} onChange={(e) => setValue(e.target.value)} className={inputClass}>
+          <option value="expense">Expense</option>
+          <option value="income">Income</option>
+        </select>
+      )}
+      {action === 'date' && (
+        <input type="date" value={value} onChange={(e) => setValue(e.target.value)} className={inputClass} />
+      )}
+      {(action === 'addTag' || action === 'removeTag') && (
+        <>
+          <input
+            type="text"
+            list="bulk-tag-options"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder="tag"
+            className={inputClass}
+          />
+          <datalist id="bulk-tag-options">
+            {tagOptions.map(tag => <option key={tag} value={tag} />)}
+          </datalist>
+        </>
+      )}
+
+      <button
+        onClick={() => onApply(changes)}
+        disabled={!changes || isWorking}
+        className="px-3 py-1.5 border border-transparent rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+      >
+        Apply
+      </button>
+      <button
+        onClick={onDelete}
+        disabled={isWorking}
+        className="inline-flex items-center px-3 py-1.5 border border-red-300 rounded-md text-red-700 bg-white hover:bg-red-50 disabled:opacity-50"
+      >
+        <TrashIcon className="h-4 w-4 mr-1" />
+        Delete
+      </button>
+    </div>
+  );
+};
+
+export default BulkActionBar;
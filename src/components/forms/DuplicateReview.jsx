@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { transactionAPI } from '../../utils/api';
+import { formatCurrency } from '../../utils/currency';
+import { displayCategoryName } from '../../utils/categories';
+
+// Review groups of likely duplicate transactions: keep one and delete the rest, or mark them as distinct
+const DuplicateReview = ({ accounts = [], onClose, onMerged }) => {
+  const [groups, setGroups] = useState([]);
+  const [keepIds, setKeepIds] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyGroup, setBusyGroup] = useState(null);
+  const [error, setError] = useState('');
+
+  const groupKey = (group) => group.transactions.map(transaction => transaction._id).join(':');
+
+  const fetchGroups = async () => {
+    try {
+      setIsLoading(true);
+      const response = await transactionAPI.getDuplicates();
+      setGroups(response.data);
+      // Keep the oldest record by default; it is usually the one entered first
+      setKeepIds(Object.fromEntries(response.data.map(group => [groupKey(group), group.transactions[0]._id])));
+      setError('');
+    } catch (err) {
+      console.error('Error loading duplicates:', err);
+      setError('Failed to load duplicates');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchGroups();
+  }, []);
+
+  const accountName = (accountId) => accounts.find(account => account._id === accountId)?.name || '';
+
+  const handleMerge = async (group) => {
+    const key = groupKey(group);
+    const keepId = keepIds[key];
+    const removeIds = group.transactions.map(transaction => transaction._id).filter(id => id !== keepId);
+
+    try {
+      setBusyGroup(key);
+      setError('');
+      await transactionAPI.mergeDuplicates(keepId, removeIds);
+      setGroups(prev => prev.filter(item => groupKey(item) !== key));
+      if (onMerged) onMerged();
+    } catch (err) {
+      console.error('Error merging duplicates:', err);
+      setError(err.message || 'Failed to merge duplicates');
+    } finally {
+      setBusyGroup(null);
+    }
+  };
+
+  const handleDismiss = async (group) => {
+    const key = groupKey(group);
+
+    try {
+      setBusyGroup(key);
+      setError('');
+      await transactionAPI.dismissDuplicates(group.transactions.map(transaction => transaction._id));
+      setGroups(prev => prev.filter(item => groupKey(item) !== key));
+    } catch (err) {
+      console.error('Error dismissing duplicates:', err);
+      setError(err.message || 'Failed to dismiss duplicates');
+    } finally {
+      setBusyGroup(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-5 border w-full max-w-3xl shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-center mb-1">
+          <h3 className="text-lg font-medium text-gray-900">Possible Duplicates</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XMarkIcon className="h-5 w-5" />
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          These transactions share an account and amount, are dated within a few days of each other and have similar descriptions.
+          Pick the one to keep; the others are moved to the Trash.
+        </p>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4 text-sm">
+            {error}
+          </div>
+        )}
+
+        {isLoading ? (
+          <p className="text-gray-500 text-sm">Looking for duplicates...</p>
+        ) : groups.length === 0 ? (
+          <p className="text-gray-500 text-sm">No likely duplicates found.</p>
+        ) : (
+          <div className="space-y-4 max-h-[60vh] overflow-y-auto">
+            {groups.map(group => {
+              const key = groupKey(group);
+              return (
+                <div key={key} className="border border-gray-200 rounded-lg p-3">
+                  <div className="space-y-2 mb-3">
+                    {group.transactions.map(transaction => (
+                      <label key={transaction._id} className="flex items-center text-sm cursor-pointer">
+                        <input
+                          type="radio"
+                          name={`keep-${key}`}
+                          checked={keepIds[key] === transaction._id}
+                          onChange={() => setKeepIds(prev => ({ ...prev, [key]: transaction._id }))}
+                          className="mr-3"
+                        />
+                        <span className="w-24 text-gray-500">{new Date(transaction.date).toLocaleDateString()}</span>
+                        <span className="flex-1 text-gray-900 truncate">{transaction.description}</span>
+                        <span className="w-32 text-gray-500 truncate">{displayCategoryName(transaction.category)}</span>
+                        <span className="w-28 text-gray-500 truncate">{accountName(transaction.accountId)}</span>
+                        <span className={`w-28 text-right font-medium ${transaction.type === 'income' ? 'text-green-600' : 'text-red-600'}`}>
+                          {transaction.type === 'income' ? '+' : ''}{formatCurrency(transaction.amount)}
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                  <div className="flex justify-end space-x-2">
+                    <button
+                      onClick={() => handleDismiss(group)}
+                      disabled={busyGroup === key}
+                      className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Not duplicates
+                    </button>
+                    <button
+                      onClick={() => handleMerge(group)}
+                      disabled={busyGroup === key}
+                      className="px-3 py-1 text-sm text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {busyGroup === key ? 'Saving...' : 'Keep selected, delete others'}
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateReview;
@@ -0,0 +1,280 @@
+import React, { useState, useEffect } from 'react';
+import { ChevronLeftIcon, ChevronRightIcon, TrashIcon, InboxStackIcon } from '@heroicons/react/24/outline';
+import { budgetAPI } from '../../utils/api';
+import { formatCurrency } from '../../utils/currency';
+import { displayCategoryName } from '../../utils/categories';
+import UnconvertedCurrencyNotice from '../ui/UnconvertedCurrencyNotice';
+
+// Months are "YYYY-MM", as the API takes them
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+const shiftMonth = (month, count) => {
+  const [year, index] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, index - 1 + count, 1)).toISOString().slice(0, 7);
+};
+
+const formatMonthLabel = (month) => new Date(`${month}-01T00:00:00Z`)
+  .toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+// An empty side of a move is the "to be assigned" pool
+const emptyMove = { fromCategory: '', toCategory: '', amount: '' };
+
+// Zero-based envelope budgeting: give every unit of income a job by moving it from "to be
+// assigned" into category envelopes, and between envelopes as plans change
+const EnvelopeBudget = ({ categories = [] }) => {
+  const [month, setMonth] = useState(currentMonth);
+  const [data, setData] = useState(null);
+  const [allocations, setAllocations] = useState([]);
+  const [move, setMove] = useState(emptyMove);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchMonth = async () => {
+    try {
+      setIsLoading(true);
+      const [envelopeResponse, allocationResponse] = await Promise.all([
+        budgetAPI.getEnvelopes(month),
+        budgetAPI.getAllocations(month)
+      ]);
+      setData(envelopeResponse.data);
+      setAllocations(allocationResponse.data);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching envelopes:', err);
+      setError('Failed to load envelopes');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchMonth();
+  }, [month]);
+
+  const handleMove = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSaving(true);
+      setError('');
+      await budgetAPI.allocate({ month, ...move, amount: parseFloat(move.amount) });
+      setMove(emptyMove);
+      await fetchMonth();
+    } catch (err) {
+      console.error('Error allocating money:', err);
+      setError(err.message || 'Failed to move money');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAssignBudgeted = async () => {
+    try {
+      setIsSaving(true);
+      setError('');
+      await budgetAPI.assignBudgeted(month);
+      await fetchMonth();
+    } catch (err) {
+      console.error('Error assigning budgeted amounts:', err);
+      setError(err.message || 'Failed to assign budgeted amounts');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (allocationId) => {
+    try {
+      setError('');
+      await budgetAPI.deleteAllocation(allocationId);
+      await fetchMonth();
+    } catch (err) {
+      console.error('Error deleting allocation:', err);
+      setError(err.message || 'Failed to delete allocation');
+    }
+  };
+
+  // Fill the form to top up an envelope, or to cover an overspent one
+  const startMove = (row) => {
+    setMove({ fromCategory: '', toCategory: displayCategoryName(row.category), amount: '' });
+  };
+
+  const sideName = (category) => (category ? displayCategoryName(category) : 'To be assigned');
+
+  const envelopeOptions = categories.map(category => {
+    const name = displayCategoryName(category.name);
+    return (
+      <option key={category._id} value={name}>
+        {category.depth > 0 ? `\u00A0\u00A0${name}` : name}
+      </option>
+    );
+  });
+
+  const toBeAssigned = data?.toBeAssigned || 0;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white shadow-sm rounded-lg p-4 sm:p-6">
+        <div className="flex items-center justify-between mb-4">
+          <button onClick={() => setMonth(shiftMonth(month, -1))} className="p-1 text-gray-500 hover:text-gray-700" title="Previous month">
+            <ChevronLeftIcon className="h-5 w-5" />
+          </button>
+          <h2 className="text-lg font-semibold text-gray-900">{formatMonthLabel(month)}</h2>
+          <button onClick={() => setMonth(shiftMonth(month, 1))} className="p-1 text-gray-500 hover:text-gray-700" title="Next month">
+            <ChevronRightIcon className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className={`p-4 rounded-lg flex flex-col sm:flex-row sm:items-center sm:justify-between ${
+          toBeAssigned < 0 ? 'bg-red-50' : 'bg-green-50'
+        }`}>
+          <div>
+            <p className={`text-sm font-medium ${toBeAssigned < 0 ? 'text-red-600' : 'text-green-600'}`}>To Be Assigned</p>
+            <p className={`text-2xl font-bold ${toBeAssigned < 0 ? 'text-red-900' : 'text-green-900'}`}>
+              {formatCurrency(toBeAssigned)}
+            </p>
+            <p className="text-xs text-gray-500 mt-1">
+              {formatCurrency(data?.income || 0)} income this month
+              {toBeAssigned < 0 && ' · more is assigned than you have, so take some back from an envelope'}
+            </p>
+          </div>
+          <button
+            onClick={handleAssignBudgeted}
+            disabled={isSaving}
+            className="mt-3 sm:mt-0 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Assign budgeted amounts
+          </button>
+        </div>
+        <UnconvertedCurrencyNotice currencies={data?.unconvertedCurrencies} className="mt-3" />
+        {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+      </div>
+
+      <div className="bg-white shadow-sm rounded-lg overflow-x-auto">
+        {isLoading ? (
+          <p className="text-sm text-gray-500 p-6">Loading envelopes...</p>
+        ) : data.envelopes.length === 0 ? (
+          <div className="text-center py-12">
+            <InboxStackIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No envelopes yet</h3>
+            <p className="mt-1 text-sm text-gray-500">Assign money to a category below to start its envelope.</p>
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Budgeted</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Assigned</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Activity</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Available</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {data.envelopes.map(row => (
+                <tr key={row.category} className="hover:bg-gray-50 cursor-pointer" onClick={() => startMove(row)}>
+                  <td className="px-4 py-3 text-sm font-medium text-gray-900">{displayCategoryName(row.category)}</td>
+                  <td className="px-4 py-3 text-sm text-right text-gray-500">
+                    {row.budgeted !== null ? formatCurrency(row.budgeted) : '—'}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right text-gray-900">{formatCurrency(row.assigned)}</td>
+                  <td className="px-4 py-3 text-sm text-right text-gray-900">{formatCurrency(row.activity)}</td>
+                  <td className="px-4 py-3 text-sm text-right">
+                    <span className={`px-2 py-1 rounded-full font-medium ${
+                      row.available < 0 ? 'bg-red-100 text-red-800' : row.available > 0 ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+                    }`}>
+                      {formatCurrency(row.available)}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot className="bg-gray-50">
+              <tr>
+                <td className="px-4 py-3 text-sm font-semibold text-gray-900" colSpan={2}>Total</td>
+                <td className="px-4 py-3 text-sm text-right font-semibold text-gray-900">{formatCurrency(data.totals.assigned)}</td>
+                <td className="px-4 py-3 text-sm text-right font-semibold text-gray-900">{formatCurrency(data.totals.activity)}</td>
+                <td className="px-4 py-3 text-sm text-right font-semibold text-gray-900">{formatCurrency(data.totals.available)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <form onSubmit={handleMove} className="bg-white shadow-sm rounded-lg p-4 sm:p-6 space-y-4">
+          <h3 className="text-lg font-medium text-gray-900">Move Money</h3>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">From</label>
+              <select
+                value={move.fromCategory}
+                onChange={(e) => setMove(prev => ({ ...prev, fromCategory: e.target.value }))}
+                className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"
+              >
+                <option value="">To be assigned</option>
+                {envelopeOptions}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">To</label>
+              <select
+                value={move.toCategory}
+                onChange={(e) => setMove(prev => ({ ...prev, toCategory: e.target.value }))}
+                className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"
+              >
+                <option value="">To be assigned</option>
+                {envelopeOptions}
+              </select>
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Amount</label>
+            <input
+              type="number"
+              step="0.01"
+              min="0.01"
+              value={move.amount}
+              onChange={(e) => setMove(prev => ({ ...prev, amount: e.target.value }))}
+              className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={isSaving || move.fromCategory === move.toCategory}
+            className="w-full px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isSaving ? 'Saving...' : 'Move'}
+          </button>
+        </form>
+
+        <div className="bg-white shadow-sm rounded-lg p-4 sm:p-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">This Month's Moves</h3>
+          {allocations.length === 0 ? (
+            <p className="text-sm text-gray-500">No money moved this month</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {allocations.map(allocation => (
+                <li key={allocation._id} className="py-2 flex items-center text-sm">
+                  <span className="flex-1 text-gray-700">
+                    {sideName(allocation.fromCategory)} → {sideName(allocation.toCategory)}
+                  </span>
+                  <span className="font-medium text-gray-900 mr-3">{formatCurrency(allocation.amount)}</span>
+                  <button
+                    onClick={() => handleDelete(allocation._id)}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Undo this move"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EnvelopeBudget;
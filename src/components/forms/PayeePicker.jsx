@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { payeeAPI } from '../../utils/api';
+import { displayCategoryName } from '../../utils/categories';
+
+// Most suggestions listed under the input at once
+const MAX_SUGGESTIONS = 8;
+
+// Search-as-you-type payee choice. An empty value leaves the payee to the server, which
+// works it out from the description; typing a new name offers to create that payee.
+const PayeePicker = ({ value = '', payees = [], onChange, onCreated, id }) => {
+  const [text, setText] = useState('');
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState('');
+
+  const selected = payees.find(payee => payee._id === value);
+  const query = text.trim().toLowerCase();
+  const suggestions = payees
+    .filter(payee => !query || displayCategoryName(payee.name).toLowerCase().includes(query))
+    .slice(0, MAX_SUGGESTIONS);
+  const exactMatch = payees.some(payee => displayCategoryName(payee.name).toLowerCase() === query);
+
+  const choose = (payeeId) => {
+    setText('');
+    setShowSuggestions(false);
+    setError('');
+    onChange(payeeId);
+  };
+
+  const handleCreate = async () => {
+    try {
+      setIsCreating(true);
+      setError('');
+      const response = await payeeAPI.create({ name: text.trim() });
+      if (onCreated) onCreated(response.data);
+      choose(response.data._id);
+    } catch (err) {
+      console.error('Error creating payee:', err);
+      setError(err.message || 'Failed to create payee');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  if (selected) {
+    return (
+      <div className="flex items-center justify-between w-full px-3 py-2 border border-gray-300 rounded-md">
+        <span className="text-sm text-gray-900">{displayCategoryName(selected.name)}</span>
+        <button type="button" onClick={() => choose('')} className="text-gray-400 hover:text-gray-600" title="Work it out from the description">
+          <XMarkIcon className="h-4 w-4" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative">
+      <input
+        id={id}
+        type="text"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onFocus={() => setShowSuggestions(true)}
+        onBlur={() => setShowSuggestions(false)}
+        placeholder="Auto (from the description)"
+        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      {showSuggestions && (suggestions.length > 0 || (query && !exactMatch)) && (
+        <ul className="absolute z-10 mt-1 w-full max-h-48 overflow-y-auto bg-white border border-gray-200 rounded-md shadow-lg">
+          {suggestions.map(payee => (
+            <li key={payee._id}>
+              {/* Keeping focus in the input stops the list closing before the click lands */}
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => choose(payee._id)}
+                className="w-full flex justify-between px-3 py-1.5 text-sm text-left hover:bg-gray-100"
+              >
+                <span>{displayCategoryName(payee.name)}</span>
+                {payee.transactionCount > 0 && <span className="text-xs text-gray-400">{payee.transactionCount}</span>}
+              </button>
+            </li>
+          ))}
+          {query && !exactMatch && (
+            <li>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={handleCreate}
+                disabled={isCreating}
+                className="w-full px-3 py-1.5 text-sm text-left text-blue-600 hover:bg-gray-100 disabled:opacity-50"
+              >
+                {isCreating ? 'Creating...' : `Create "${text.trim()}"`}
+              </button>
+            </li>
+          )}
+        </ul>
+      )}
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default PayeePicker;
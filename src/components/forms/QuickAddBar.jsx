@@ -0,0 +1,281 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { BoltIcon } from '@heroicons/react/24/outline';
+import { transactionAPI, accountAPI, categoryAPI } from '../../utils/api';
+import { displayCategoryName, orderCategories } from '../../utils/categories';
+import { getCurrencySymbol } from '../../utils/currency';
+import { useNotifications } from '../../contexts/NotificationContext';
+
+// Fired on window after a quick-add is saved, so an open transaction list can refresh
+export const TRANSACTION_ADDED_EVENT = 'transaction-added';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// The user's own date, so "yesterday" counts back from their day rather than the server's
+const localToday = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+// Type a transaction in one line, e.g. "lunch 3500 yesterday food"; the server reads it into
+// a draft that is shown for checking before anything is saved
+const QuickAddBar = ({ className = '', onSaved }) => {
+  const [text, setText] = useState('');
+  const [draft, setDraft] = useState(null);
+  const [accounts, setAccounts] = useState([]);
+  const [categoryList, setCategoryList] = useState([]);
+  const [isReading, setIsReading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [draftError, setDraftError] = useState('');
+  const { addNotification } = useNotifications();
+
+  const categories = draft ? orderCategories(categoryList, draft.type).map(category => displayCategoryName(category.name)) : [];
+  const account = draft ? accounts.find(item => item._id === draft.accountId) : null;
+
+  const handleRead = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    try {
+      setIsReading(true);
+      setError('');
+      const [response, accountResponse, categoryResponse] = await Promise.all([
+        transactionAPI.quickAdd(text.trim(), localToday()),
+        accountAPI.getAll(),
+        categoryAPI.getAll()
+      ]);
+      const parsed = response.data;
+      setAccounts(accountResponse.data || []);
+      setCategoryList(categoryResponse.data || []);
+      setDraftError('');
+      setDraft({
+        ...parsed,
+        amount: String(parsed.amount),
+        category: parsed.category ? displayCategoryName(parsed.category) : ''
+      });
+    } catch (err) {
+      console.error('Error reading quick-add entry:', err);
+      setError(err.message || "Couldn't read that entry");
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const handleDraftChange = (e) => {
+    const { name, value } = e.target;
+    setDraft(prev => ({
+      ...prev,
+      [name]: value,
+      // Categories belong to a type, so switching type asks for one again
+      ...(name === 'type' ? { category: '', categorySource: null } : {})
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!draft.description.trim() || !draft.category) {
+      setDraftError('Add a description and choose a category');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setDraftError('');
+      await transactionAPI.create({
+        description: draft.description.trim(),
+        amount: parseFloat(draft.amount),
+        type: draft.type,
+        category: draft.category,
+        date: draft.date,
+        accountId: draft.accountId
+      });
+      addNotification({
+        type: 'success',
+        title: 'Transaction Added',
+        message: `${draft.description.trim()} was saved to ${account ? account.name : 'your account'}.`
+      });
+      setDraft(null);
+      setText('');
+      window.dispatchEvent(new Event(TRANSACTION_ADDED_EVENT));
+      if (onSaved) onSaved();
+    } catch (err) {
+      console.error('Error saving quick-add transaction:', err);
+      setDraftError(err.message || 'Failed to save transaction');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <form onSubmit={handleRead} className={`relative ${className}`}>
+        <BoltIcon className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setError('');
+          }}
+          maxLength={200}
+          placeholder='Quick add: "lunch 3500 yesterday food"'
+          aria-label="Quick add a transaction"
+          disabled={isReading}
+          className="w-full pl-9 pr-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-slate-800 dark:border-slate-600 dark:text-white"
+        />
+        {error && (
+          <p className="absolute left-0 right-0 mt-1 text-xs text-red-700 bg-red-50 border border-red-200 rounded-md px-2 py-1 z-50">
+            {error}
+          </p>
+        )}
+      </form>
+
+      {/* Rendered on the body: the header's animation would otherwise pin the modal inside it */}
+      {draft && createPortal(
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <h3 className="text-lg font-medium text-gray-900 mb-1">Check Transaction</h3>
+              <p className="text-sm text-gray-500 mb-4 break-words">
+                Read from &ldquo;{text.trim()}&rdquo;. Fix anything that's wrong, then save.
+              </p>
+
+              {draftError && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4 text-sm">
+                  {draftError}
+                </div>
+              )}
+
+              <form onSubmit={handleSave}>
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Description *
+                  </label>
+                  <input
+                    type="text"
+                    name="description"
+                    maxLength={200}
+                    value={draft.description}
+                    onChange={handleDraftChange}
+                    className={inputClassName}
+                    required
+                  />
+                </div>
+
+                <div className="grid grid-cols-2 gap-3 mb-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Amount{account ? ` (${getCurrencySymbol(account.currency)})` : ''} *
+                    </label>
+                    <input
+                      type="number"
+                      name="amount"
+                      step="0.01"
+                      min="0.01"
+                      value={draft.amount}
+                      onChange={handleDraftChange}
+                      className={inputClassName}
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Type *
+                    </label>
+                    <select
+                      name="type"
+                      value={draft.type}
+                      onChange={handleDraftChange}
+                      className={inputClassName}
+                    >
+                      <option value="expense">Expense</option>
+                      <option value="income">Income</option>
+                    </select>
+                  </div>
+                </div>
+
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Category *
+                  </label>
+                  <select
+                    name="category"
+                    value={draft.category}
+                    onChange={handleDraftChange}
+                    className={inputClassName}
+                    required
+                  >
+                    <option value="">Choose a category</option>
+                    {draft.category && !categories.includes(draft.category) && (
+                      <option value={draft.category}>{draft.category}</option>
+                    )}
+                    {categories.map(category => (
+                      <option key={category} value={category}>{category}</option>
+                    ))}
+                  </select>
+                  {draft.categorySource === 'rule' && (
+                    <p className="text-xs text-gray-500 mt-1">Picked by your categorization rules.</p>
+                  )}
+                </div>
+
+                <div className="grid grid-cols-2 gap-3 mb-6">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Date
+                    </label>
+                    <input
+                      type="date"
+                      name="date"
+                      value={draft.date}
+                      onChange={handleDraftChange}
+                      className={inputClassName}
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Account
+                    </label>
+                    <select
+                      name="accountId"
+                      value={draft.accountId}
+                      onChange={handleDraftChange}
+                      className={inputClassName}
+                    >
+                      {accounts.map(item => (
+                        <option key={item._id} value={item._id}>{item.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="flex justify-end space-x-3">
+                  <button
+                    type="button"
+                    onClick={() => setDraft(null)}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={isSaving}
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                  >
+                    {isSaving ? 'Saving...' : 'Save Transaction'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>,
+        document.body
+      )}
+    </>
+  );
+};
+
+export default QuickAddBar;
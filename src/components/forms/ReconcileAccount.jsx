@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import { XMarkIcon, LockClosedIcon } from '@heroicons/react/24/outline';
+import { accountAPI } from '../../utils/api';
+import { formatCurrency } from '../../utils/currency';
+import { displayCategoryName } from '../../utils/categories';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Income and incoming transfers add to the account; everything else takes from it
+const isCredit = (transaction) => (transaction.type === 'transfer'
+  ? transaction.transferDirection === 'in'
+  : transaction.type === 'income');
+
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+// Check an account against a bank statement: enter its ending balance and date, tick off the
+// transactions it shows until the difference is zero, then lock them in as reconciled
+const ReconcileAccount = ({ account, onClose }) => {
+  const [state, setState] = useState(null);
+  const [statement, setStatement] = useState({ statementDate: new Date().toISOString().split('T')[0], statementBalance: '' });
+  const [isEditingStatement, setIsEditingStatement] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const fetchState = async () => {
+    try {
+      const response = await accountAPI.getReconciliation(account._id);
+      setState(response.data);
+      setError('');
+    } catch (err) {
+      console.error('Error loading reconciliation:', err);
+      setError('Failed to load reconciliation');
+    }
+  };
+
+  useEffect(() => {
+    fetchState();
+  }, [account._id]);
+
+  // Every call answers with the updated state, so the difference stays current
+  const run = async (request, failure) => {
+    try {
+      setIsWorking(true);
+      setError('');
+      const response = await request();
+      if (response.data) setState(response.data);
+      return response;
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      setError(err.message || failure);
+      return null;
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleStatementSubmit = async (e) => {
+    e.preventDefault();
+    const data = { statementDate: statement.statementDate, statementBalance: parseFloat(statement.statementBalance) };
+    const response = await run(
+      () => (state.reconciliation
+        ? accountAPI.updateReconciliation(account._id, data)
+        : accountAPI.startReconciliation(account._id, data)),
+      'Failed to save the statement details'
+    );
+    if (response) setIsEditingStatement(false);
+  };
+
+  const editStatement = () => {
+    setStatement({
+      statementDate: state.reconciliation.statementDate.split('T')[0],
+      statementBalance: state.reconciliation.statementBalance.toString()
+    });
+    setIsEditingStatement(true);
+  };
+
+  const toggleCleared = (transaction) => run(
+    () => accountAPI.markCleared(account._id, [transaction._id], transaction.status !== 'cleared'),
+    'Failed to update the transaction'
+  );
+
+  const clearAll = () => {
+    const pendingIds = state.summary.transactions
+      .filter(transaction => transaction.status !== 'cleared')
+      .map(transaction => transaction._id);
+    if (pendingIds.length > 0) run(() => accountAPI.markCleared(account._id, pendingIds, true), 'Failed to update the transactions');
+  };
+
+  const handleComplete = async () => {
+    const response = await run(() => accountAPI.completeReconciliation(account._id), 'Failed to finish reconciling');
+    if (response) setNotice(response.message);
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('Stop this reconciliation? Transactions you ticked off stay cleared.')) return;
+    const response = await run(() => accountAPI.cancelReconciliation(account._id), 'Failed to cancel the reconciliation');
+    if (response) fetchState();
+  };
+
+  const reconciliation = state && state.reconciliation;
+  const summary = state && state.summary;
+  const lastReconciliation = state && state.lastReconciliation;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-5 border w-full max-w-3xl shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-center mb-1">
+          <h3 className="text-lg font-medium text-gray-900">Reconcile {account.name}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XMarkIcon className="h-5 w-5" />
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          {lastReconciliation
+            ? `Last reconciled against the statement ending ${formatDate(lastReconciliation.statementDate)} (${formatCurrency(lastReconciliation.statementBalance, account.currency)}).`
+            : 'This account has not been reconciled yet.'}
+        </p>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4 text-sm">
+            {error}
+          </div>
+        )}
+
+        {notice && (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg mb-4 text-sm">
+            {notice}
+          </div>
+        )}
+
+        {!state ? (
+          <p className="text-gray-500 text-sm">Loading...</p>
+        ) : !reconciliation || isEditingStatement ? (
+          <form onSubmit={handleStatementSubmit} className="space-y-4">
+            <p className="text-sm text-gray-700">Enter the closing details from your bank statement.</p>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Statement date</label>
+                <input
+                  type="date"
+                  value={statement.statementDate}
+                  onChange={(e) => setStatement({ ...statement, statementDate: e.target.value })}
+                  className={inputClassName}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Ending balance</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  value={statement.statementBalance}
+                  onChange={(e) => setStatement({ ...statement, statementBalance: e.target.value })}
+                  className={inputClassName}
+                  required
+                />
+              </div>
+            </div>
+            {account.type === 'credit_card' && (
+              <p className="text-xs text-gray-500">Enter the amount owed on the card as a negative balance.</p>
+            )}
+            <div className="flex justify-end space-x-3">
+              {isEditingStatement && (
+                <button
+                  type="button"
+                  onClick={() => setIsEditingStatement(false)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300"
+                >
+                  Back
+                </button>
+              )}
+              <button
+                type="submit"
+                disabled={isWorking}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                {reconciliation ? 'Save' : 'Start reconciling'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <div className="grid grid-cols-3 gap-3 mb-4 text-sm">
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-gray-500">Statement ({formatDate(reconciliation.statementDate)})</p>
+                <p className="text-lg font-semibold text-gray-900">{formatCurrency(reconciliation.statementBalance, account.currency)}</p>
+                <button onClick={editStatement} className="text-xs text-blue-600 hover:text-blue-900">Change</button>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-gray-500">Cleared balance</p>
+                <p className="text-lg font-semibold text-gray-900">{formatCurrency(summary.clearedBalance, account.currency)}</p>
+                <p className="text-xs text-gray-500">{summary.clearedCount} ticked off</p>
+              </div>
+              <div className={`rounded-lg p-3 ${summary.difference === 0 ? 'bg-green-50' : 'bg-yellow-50'}`}>
+                <p className="text-gray-500">Difference</p>
+                <p className={`text-lg font-semibold ${summary.difference === 0 ? 'text-green-700' : 'text-yellow-700'}`}>
+                  {formatCurrency(summary.difference, account.currency)}
+                </p>
+              </div>
+            </div>
+
+            <div className="flex justify-between items-center mb-2">
+              <p className="text-sm text-gray-700">Tick off each transaction that appears on the statement.</p>
+              <button onClick={clearAll} disabled={isWorking} className="text-sm text-blue-600 hover:text-blue-900 disabled:opacity-50">
+                Tick all
+              </button>
+            </div>
+
+            {summary.transactions.length === 0 ? (
+              <p className="text-gray-500 text-sm py-4 text-center">No unreconciled transactions up to the statement date.</p>
+            ) : (
+              <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-200">
+                {summary.transactions.map(transaction => (
+                  <label key={transaction._id} className="flex items-center px-3 py-2 text-sm cursor-pointer hover:bg-gray-50">
+                    <input
+                      type="checkbox"
+                      checked={transaction.status === 'cleared'}
+                      disabled={isWorking}
+                      onChange={() => toggleCleared(transaction)}
+                      className="mr-3"
+                    />
+                    <span className="w-24 text-gray-500">{formatDate(transaction.date)}</span>
+                    <span className="flex-1 text-gray-900 truncate">{transaction.description}</span>
+                    <span className="w-32 text-gray-500 truncate">{displayCategoryName(transaction.category)}</span>
+                    <span className={`w-28 text-right font-medium ${isCredit(transaction) ? 'text-green-600' : 'text-red-600'}`}>
+                      {isCredit(transaction) ? '+' : '-'}{formatCurrency(Math.abs(transaction.amount), account.currency)}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            <div className="flex justify-between items-center mt-4">
+              <button onClick={handleCancel} disabled={isWorking} className="text-sm text-red-600 hover:text-red-900 disabled:opacity-50">
+                Cancel reconciliation
+              </button>
+              <button
+                onClick={handleComplete}
+                disabled={isWorking || summary.difference !== 0}
+                className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                <LockClosedIcon className="h-4 w-4 mr-2" />
+                Finish and lock
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReconcileAccount;
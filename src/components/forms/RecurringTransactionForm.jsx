@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { recurringAPI } from '../../utils/api';
+import { formatCurrency } from '../../utils/currency';
+
+export const FREQUENCY_OPTIONS = [
+  { value: 'weekly', label: 'Every week' },
+  { value: 'monthly', label: 'Every month (same day)' },
+  { value: 'last-business-day', label: 'Last business day of the month' },
+  { value: 'yearly', label: 'Every year' },
+  { value: 'every-n-days', label: 'Every N days' }
+];
+
+export const describeFrequency = (frequency, interval) => {
+  if (frequency === 'every-n-days') return `Every ${interval} days`;
+  const option = FREQUENCY_OPTIONS.find(item => item.value === frequency);
+  return option ? option.label : frequency;
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const RecurringTransactionForm = ({ transaction, onClose, onCreated }) => {
+  const [formData, setFormData] = useState({
+    frequency: 'monthly',
+    interval: '14',
+    startDate: (transaction.date || '').split('T')[0],
+    endDate: ''
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSubmitting(true);
+      setError('');
+      await recurringAPI.create({
+        transactionId: transaction._id,
+        description: transaction.description,
+        amount: Math.abs(transaction.amount),
+        category: transaction.category,
+        type: transaction.type,
+        frequency: formData.frequency,
+        interval: formData.frequency === 'every-n-days' ? parseInt(formData.interval) : undefined,
+        startDate: formData.startDate,
+        endDate: formData.endDate || undefined
+      });
+      if (onCreated) onCreated();
+      onClose();
+    } catch (err) {
+      console.error('Error creating recurring transaction:', err);
+      setError(err.message || 'Failed to make transaction recurring');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+        <div className="mt-3">
+          <h3 className="text-lg font-medium text-gray-900 mb-1">Make Recurring</h3>
+          <p className="text-sm text-gray-500 mb-4">
+            {transaction.description} · {formatCurrency(Math.abs(transaction.amount))} · {transaction.category}
+          </p>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4 text-sm">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Repeats *
+              </label>
+              <select
+                name="frequency"
+                value={formData.frequency}
+                onChange={handleInputChange}
+                className={inputClassName}
+              >
+                {FREQUENCY_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {formData.frequency === 'every-n-days' && (
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Days between occurrences *
+                </label>
+                <input
+                  type="number"
+                  name="interval"
+                  min="1"
+                  max="365"
+                  value={formData.interval}
+                  onChange={handleInputChange}
+                  className={inputClassName}
+                  required
+                />
+              </div>
+            )}
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Starting from
+              </label>
+              <input
+                type="date"
+                name="startDate"
+                value={formData.startDate}
+                onChange={handleInputChange}
+                className={inputClassName}
+                required
+              />
+            </div>
+
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Ends on (optional)
+              </label>
+              <input
+                type="date"
+                name="endDate"
+                value={formData.endDate}
+                min={formData.startDate}
+                onChange={handleInputChange}
+                className={inputClassName}
+              />
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                {isSubmitting ? 'Saving...' : 'Make Recurring'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecurringTransactionForm;
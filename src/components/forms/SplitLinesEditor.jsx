@@ -0,0 +1,87 @@
+import React from 'react';
+import { formatCurrency } from '../../utils/currency';
+
+export const SPLIT_CATEGORY = 'Split';
+
+export const emptySplitLine = () => ({ amount: '', category: '', note: '' });
+
+// Remaining amount to allocate, in cents to avoid floating point drift
+export const getUnallocated = (total, lines) => {
+  const allocated = lines.reduce((sum, line) => sum + Math.round((parseFloat(line.amount) || 0) * 100), 0);
+  return (Math.round((parseFloat(total) || 0) * 100) - allocated) / 100;
+};
+
+const inputClassName = 'px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm';
+
+const SplitLinesEditor = ({ lines, total, categories, onChange }) => {
+  const unallocated = getUnallocated(total, lines);
+
+  const updateLine = (index, field, value) => {
+    onChange(lines.map((line, lineIndex) => (lineIndex === index ? { ...line, [field]: value } : line)));
+  };
+
+  const removeLine = (index) => {
+    onChange(lines.filter((_, lineIndex) => lineIndex !== index));
+  };
+
+  return (
+    <div className="space-y-2">
+      {lines.map((line, index) => (
+        <div key={index} className="flex space-x-2">
+          <input
+            type="number"
+            step="0.01"
+            placeholder="Amount"
+            value={line.amount}
+            onChange={(e) => updateLine(index, 'amount', e.target.value)}
+            className={`${inputClassName} w-24`}
+            required
+          />
+          <select
+            value={line.category}
+            onChange={(e) => updateLine(index, 'category', e.target.value)}
+            className={`${inputClassName} flex-1`}
+            required
+          >
+            <option value="">Category</option>
+            {categories.map(category => (
+              <option key={category} value={category}>{category}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Note"
+            maxLength={100}
+            value={line.note}
+            onChange={(e) => updateLine(index, 'note', e.target.value)}
+            className={`${inputClassName} w-24`}
+          />
+          {lines.length > 2 && (
+            <button
+              type="button"
+              onClick={() => removeLine(index)}
+              className="text-red-600 hover:text-red-900 text-sm"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      ))}
+
+      <div className="flex justify-between items-center text-xs">
+        <button
+          type="button"
+          onClick={() => onChange([...lines, emptySplitLine()])}
+          className="text-blue-600 hover:text-blue-900"
+        >
+          + Add line
+        </button>
+        <span className={unallocated === 0 ? 'text-green-600' : 'text-red-600'}>
+          {unallocated === 0 ? 'Fully allocated' : `${formatCurrency(unallocated)} left to allocate`}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default SplitLinesEditor;
@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { transactionAPI } from '../../utils/api';
+
+export const MAX_TAGS = 10;
+
+// Same shape the server stores tags in: lower-case words joined by hyphens
+export const normalizeTag = (tag) => tag
+  .trim()
+  .toLowerCase()
+  .replace(/^#+/, '')
+  .replace(/[\s_]+/g, '-')
+  .replace(/[^\p{L}\p{N}-]/gu, '')
+  .replace(/-{2,}/g, '-')
+  .replace(/^-|-$/g, '');
+
+// Chip-style tag editor that suggests the user's existing tags as they type
+const TagInput = ({ value = [], onChange, id }) => {
+  const [text, setText] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+
+  useEffect(() => {
+    if (!showSuggestions) return undefined;
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      transactionAPI.getTags(normalizeTag(text))
+        .then(response => {
+          if (!cancelled) setSuggestions(response.data.filter(item => !value.includes(item.tag)));
+        })
+        .catch(() => {});
+    }, 200);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [text, showSuggestions, value]);
+
+  const addTag = (raw) => {
+    const tag = normalizeTag(raw);
+    setText('');
+    if (!tag || value.includes(tag) || value.length >= MAX_TAGS) return;
+    onChange([...value, tag]);
+  };
+
+  const removeTag = (tag) => onChange(value.filter(item => item !== tag));
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(text);
+    } else if (e.key === 'Backspace' && !text && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex flex-wrap items-center gap-1 w-full px-2 py-1.5 border border-gray-300 rounded-md focus-within:ring-2 focus-within:ring-blue-500">
+        {value.map(tag => (
+          <span key={tag} className="inline-flex items-center px-2 py-0.5 text-xs rounded-full bg-indigo-100 text-indigo-700">
+            #{tag}
+            <button type="button" onClick={() => removeTag(tag)} className="ml-1 text-indigo-500 hover:text-indigo-800">
+              <XMarkIcon className="h-3 w-3" />
+            </button>
+          </span>
+        ))}
+        <input
+          id={id}
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setShowSuggestions(true)}
+          onBlur={() => {
+            setShowSuggestions(false);
+            if (text) addTag(text);
+          }}
+          placeholder={value.length === 0 ? 'e.g. vacation-2026, reimbursable' : ''}
+          disabled={value.length >= MAX_TAGS}
+          className="flex-1 min-w-[8rem] px-1 py-0.5 text-sm focus:outline-none"
+        />
+      </div>
+      {showSuggestions && suggestions.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full max-h-40 overflow-y-auto bg-white border border-gray-200 rounded-md shadow-lg">
+          {suggestions.map(item => (
+            <li key={item.tag}>
+              {/* Keeping focus in the input stops the list closing before the click lands */}
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => addTag(item.tag)}
+                className="w-full flex justify-between px-3 py-1.5 text-sm text-left hover:bg-gray-100"
+              >
+                <span>#{item.tag}</span>
+                <span className="text-xs text-gray-400">{item.count}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
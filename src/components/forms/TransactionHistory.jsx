@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import { XMarkIcon, ArrowUturnLeftIcon } from '@heroicons/react/24/outline';
+import { transactionAPI } from '../../utils/api';
+import { formatCurrency } from '../../utils/currency';
+import { displayCategoryName } from '../../utils/categories';
+
+const FIELD_LABELS = {
+  description: 'Description',
+  amount: 'Amount',
+  currency: 'Currency',
+  category: 'Category',
+  type: 'Type',
+  date: 'Date',
+  accountId: 'Account',
+  payeeId: 'Payee',
+  splits: 'Split',
+  tags: 'Tags'
+};
+
+const SOURCE_LABELS = {
+  edit: 'Edited',
+  'bulk-edit': 'Bulk edit',
+  rules: 'Category rules',
+  revert: 'Reverted'
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-US', {
+  year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+});
+
+// Side drawer listing what changed on a transaction, edit by edit, with a way back to any earlier version
+const TransactionHistory = ({ transaction, accounts, payees = [], onClose, onReverted }) => {
+  const [versions, setVersions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [revertingTo, setRevertingTo] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchHistory = async () => {
+    try {
+      const response = await transactionAPI.getHistory(transaction._id);
+      setVersions(response.data);
+      setError('');
+    } catch (err) {
+      console.error('Error loading transaction history:', err);
+      setError('Failed to load history');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchHistory();
+  }, [transaction._id]);
+
+  const formatValue = (field, value) => {
+    switch (field) {
+      case 'amount':
+        return formatCurrency(Math.abs(value));
+      case 'category':
+        return displayCategoryName(value);
+      case 'date':
+        return new Date(value).toLocaleDateString();
+      case 'accountId': {
+        const account = accounts.find(item => item._id === value);
+        return account ? account.name : 'an archived account';
+      }
+      case 'payeeId': {
+        if (!value) return 'no payee';
+        const payee = payees.find(item => item._id === value);
+        return payee ? displayCategoryName(payee.name) : 'a deleted payee';
+      }
+      case 'splits':
+        return value.length > 0
+          ? value.map(line => `${displayCategoryName(line.category)} ${formatCurrency(line.amount)}`).join(', ')
+          : 'not split';
+      case 'tags':
+        return value.length > 0 ? value.map(tag => `#${tag}`).join(' ') : 'no tags';
+      default:
+        return value || '—';
+    }
+  };
+
+  const handleRevert = async (version) => {
+    const label = version === 0 ? 'the original' : `version ${version}`;
+    if (!window.confirm(`Put this transaction back to ${label}? The revert is kept in the history too.`)) {
+      return;
+    }
+
+    try {
+      setRevertingTo(version);
+      await transactionAPI.revert(transaction._id, version);
+      await fetchHistory();
+      if (onReverted) onReverted();
+    } catch (err) {
+      console.error('Error reverting transaction:', err);
+      setError(err.message || 'Failed to revert');
+    } finally {
+      setRevertingTo(null);
+    }
+  };
+
+  const revertButton = (version) => (
+    <button
+      onClick={() => handleRevert(version)}
+      disabled={revertingTo !== null}
+      className="inline-flex items-center text-xs text-blue-600 hover:text-blue-900 disabled:opacity-50"
+    >
+      <ArrowUturnLeftIcon className="h-3 w-3 mr-1" />
+      {revertingTo === version ? 'Reverting...' : 'Revert to this version'}
+    </button>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 z-50" onClick={onClose}>
+      <div
+        className="absolute inset-y-0 right-0 w-full max-w-md bg-white shadow-xl overflow-y-auto p-5"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-1">
+          <h3 className="text-lg font-medium text-gray-900">History</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XMarkIcon className="h-5 w-5" />
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4 truncate">{transaction.description}</p>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4 text-sm">
+            {error}
+          </div>
+        )}
+
+        {isLoading ? (
+          <p className="text-gray-500 text-sm">Loading history...</p>
+        ) : versions.length === 0 ? (
+          <p className="text-gray-500 text-sm">This transaction hasn't been changed since it was created.</p>
+        ) : (
+          <ol className="space-y-4">
+            {versions.map((entry, index) => (
+              <li key={entry._id} className="border-l-2 border-blue-200 pl-3">
+                <div className="flex justify-between items-baseline">
+                  <p className="text-sm font-medium text-gray-900">
+                    Version {entry.version} · {SOURCE_LABELS[entry.source]}
+                    {entry.source === 'revert' && ` to ${entry.revertedTo === 0 ? 'the original' : `version ${entry.revertedTo}`}`}
+                  </p>
+                  <p className="text-xs text-gray-500">{formatDateTime(entry.createdAt)}</p>
+                </div>
+                <ul className="mt-1 space-y-0.5">
+                  {entry.changes.map(change => (
+                    <li key={change.field} className="text-xs text-gray-600">
+                      <span className="font-medium">{FIELD_LABELS[change.field]}:</span>{' '}
+                      <span className="line-through text-gray-400">{formatValue(change.field, change.before)}</span>
+                      {' → '}
+                      {formatValue(change.field, change.after)}
+                    </li>
+                  ))}
+                </ul>
+                <div className="mt-1">
+                  {index === 0 ? <span className="text-xs text-gray-400">Current version</span> : revertButton(entry.version)}
+                </div>
+              </li>
+            ))}
+            <li className="border-l-2 border-gray-200 pl-3">
+              <p className="text-sm font-medium text-gray-900">Original</p>
+              <div className="mt-1">{revertButton(0)}</div>
+            </li>
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TransactionHistory;
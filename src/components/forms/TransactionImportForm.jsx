@@ -0,0 +1,471 @@
+import React, { useState, useEffect } from 'react';
+import { transactionAPI } from '../../utils/api';
+import { formatCurrency } from '../../utils/currency';
+
+const FIELD_LABELS = {
+  date: 'Date *',
+  description: 'Description *',
+  amount: 'Amount (signed)',
+  debit: 'Debit / Money out',
+  credit: 'Credit / Money in',
+  type: 'Debit/Credit indicator',
+  category: 'Category'
+};
+
+const DATE_FORMAT_OPTIONS = [
+  { value: 'auto', label: 'Detect automatically' },
+  { value: 'DD/MM/YYYY', label: 'DD/MM/YYYY' },
+  { value: 'MM/DD/YYYY', label: 'MM/DD/YYYY' },
+  { value: 'YYYY-MM-DD', label: 'YYYY-MM-DD' },
+  { value: 'DD-MMM-YYYY', label: 'DD-MMM-YYYY (05-Jan-2024)' }
+];
+
+// Statement format from the file extension; the server sniffs the content when unknown
+const formatFromFileName = (name) => {
+  const extension = name.split('.').pop().toLowerCase();
+  if (extension === 'ofx' || extension === 'qfx') return 'ofx';
+  if (extension === 'qif') return 'qif';
+  if (extension === 'csv') return 'csv';
+  return undefined;
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm';
+
+const TransactionImportForm = ({ accounts = [], onClose, onImported }) => {
+  const [step, setStep] = useState('upload');
+  const [content, setContent] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [format, setFormat] = useState(undefined);
+  const [qifDateFormat, setQifDateFormat] = useState('auto');
+  const [bankName, setBankName] = useState('');
+  const [accountId, setAccountId] = useState('');
+  const [savedMappings, setSavedMappings] = useState([]);
+  const [headers, setHeaders] = useState([]);
+  const [sampleRows, setSampleRows] = useState([]);
+  const [mapping, setMapping] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [saveMapping, setSaveMapping] = useState(true);
+  const [result, setResult] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchMappings = async () => {
+      try {
+        const response = await transactionAPI.getImportMappings();
+        setSavedMappings(response.data || []);
+      } catch (err) {
+        console.error('Error fetching import mappings:', err);
+      }
+    };
+    fetchMappings();
+  }, []);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      setContent(await file.text());
+      setFileName(file.name);
+      setFormat(formatFromFileName(file.name));
+      setError('');
+    } catch (err) {
+      console.error('Error reading statement file:', err);
+      setError('Could not read the selected file');
+    }
+  };
+
+  // OFX/QIF need no column mapping, only the date format for QIF
+  const statementOptions = () => (format === 'qif' ? { dateFormat: qifDateFormat } : undefined);
+
+  const runPreview = async (mappingToUse) => {
+    try {
+      setIsWorking(true);
+      setError('');
+      const response = await transactionAPI.importStatement({
+        content,
+        format,
+        bankName: bankName.trim() || undefined,
+        mapping: mappingToUse || statementOptions(),
+        dryRun: true
+      });
+      const data = response.data;
+
+      if (data.needsMapping) {
+        setHeaders(data.headers);
+        setSampleRows(data.sampleRows);
+        setMapping(data.suggestedMapping);
+        setStep('map');
+        return;
+      }
+
+      setFormat(data.format);
+      setHeaders(data.headers);
+      setMapping(data.mapping);
+      setPreview(data);
+      setStep('preview');
+    } catch (err) {
+      console.error('Error previewing import:', err);
+      setError(err.message || 'Failed to read statement');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleCommit = async () => {
+    try {
+      setIsWorking(true);
+      setError('');
+      const response = await transactionAPI.importStatement({
+        content,
+        format,
+        bankName: bankName.trim() || undefined,
+        mapping,
+        accountId: accountId || undefined,
+        saveMapping: format === 'csv' && saveMapping && Boolean(bankName.trim()),
+        dryRun: false
+      });
+      setResult(response.data);
+      setStep('done');
+      if (onImported) onImported();
+    } catch (err) {
+      console.error('Error importing statement:', err);
+      setError(err.message || 'Failed to import transactions');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleColumnChange = (field, header) => {
+    setMapping(prev => {
+      const columns = { ...prev.columns };
+      if (header) {
+        columns[field] = header;
+      } else {
+        delete columns[field];
+      }
+      return { ...prev, columns };
+    });
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    if (Number.isNaN(date.getTime())) return dateString;
+    return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  };
+
+  const renderUploadStep = () => (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Statement file (CSV, OFX, QFX or QIF) *
+        </label>
+        <input
+          type="file"
+          accept=".csv,.ofx,.qfx,.qif,text/csv,text/plain"
+          onChange={handleFileChange}
+          className="w-full text-sm text-gray-700"
+        />
+        {fileName && <p className="mt-1 text-xs text-gray-500">{fileName}</p>}
+      </div>
+
+      {format === 'qif' && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            QIF date format
+          </label>
+          <select
+            value={qifDateFormat}
+            onChange={(e) => setQifDateFormat(e.target.value)}
+            className={inputClassName}
+          >
+            {DATE_FORMAT_OPTIONS.filter(option => option.value !== 'DD-MMM-YYYY').map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Bank
+        </label>
+        <input
+          type="text"
+          list="import-bank-mappings"
+          value={bankName}
+          onChange={(e) => setBankName(e.target.value)}
+          placeholder="e.g. GTBank"
+          className={inputClassName}
+        />
+        <datalist id="import-bank-mappings">
+          {savedMappings.map(saved => (
+            <option key={saved._id} value={saved.bankName} />
+          ))}
+        </datalist>
+        <p className="mt-1 text-xs text-gray-500">
+          Banks with a saved column mapping skip straight to the preview.
+        </p>
+      </div>
+
+      {accounts.length > 1 && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Import into account
+          </label>
+          <select
+            value={accountId}
+            onChange={(e) => setAccountId(e.target.value)}
+            className={inputClassName}
+          >
+            {accounts.map(account => (
+              <option key={account._id} value={account.isDefault ? '' : account._id}>{account.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          disabled={!content || isWorking}
+          onClick={() => runPreview(null)}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+        >
+          {isWorking ? 'Reading...' : 'Continue'}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderMapStep = () => (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Match the statement columns to transaction fields. Use either a signed amount column or separate debit and credit columns.
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {Object.entries(FIELD_LABELS).map(([field, label]) => (
+          <div key={field}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+            <select
+              value={mapping.columns[field] || ''}
+              onChange={(e) => handleColumnChange(field, e.target.value)}
+              className={inputClassName}
+            >
+              <option value="">Not mapped</option>
+              {headers.map(header => (
+                <option key={header} value={header}>{header}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Date format</label>
+          <select
+            value={mapping.dateFormat || 'auto'}
+            onChange={(e) => setMapping(prev => ({ ...prev, dateFormat: e.target.value }))}
+            className={inputClassName}
+          >
+            {DATE_FORMAT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Default category</label>
+          <input
+            type="text"
+            value={mapping.defaultCategory || ''}
+            onChange={(e) => setMapping(prev => ({ ...prev, defaultCategory: e.target.value }))}
+            className={inputClassName}
+          />
+        </div>
+      </div>
+
+      {sampleRows.length > 0 && (
+        <div className="overflow-x-auto border border-gray-200 rounded-md">
+          <table className="min-w-full divide-y divide-gray-200 text-xs">
+            <thead className="bg-gray-50">
+              <tr>
+                {headers.map(header => (
+                  <th key={header} className="px-3 py-2 text-left font-medium text-gray-500 uppercase tracking-wider">
+                    {header}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {sampleRows.map((row, index) => (
+                <tr key={index}>
+                  {headers.map(header => (
+                    <td key={header} className="px-3 py-2 whitespace-nowrap text-gray-700">{row[header]}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={() => setStep('upload')}
+          className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500"
+        >
+          Back
+        </button>
+        <button
+          type="button"
+          disabled={isWorking}
+          onClick={() => runPreview(mapping)}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+        >
+          {isWorking ? 'Checking...' : 'Preview'}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderPreviewStep = () => (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+        <div className="bg-gray-50 p-3 rounded-lg">
+          <p className="text-xs text-gray-500">Rows</p>
+          <p className="text-lg font-semibold text-gray-900">{preview.summary.totalRows}</p>
+        </div>
+        <div className="bg-green-50 p-3 rounded-lg">
+          <p className="text-xs text-green-600">Ready to import</p>
+          <p className="text-lg font-semibold text-green-900">{preview.summary.validRows}</p>
+        </div>
+        <div className="bg-red-50 p-3 rounded-lg">
+          <p className="text-xs text-red-600">With errors (skipped)</p>
+          <p className="text-lg font-semibold text-red-900">{preview.summary.invalidRows}</p>
+        </div>
+        <div className="bg-yellow-50 p-3 rounded-lg">
+          <p className="text-xs text-yellow-600">Already imported</p>
+          <p className="text-lg font-semibold text-yellow-900">{preview.summary.duplicateRows || 0}</p>
+        </div>
+      </div>
+
+      <div className="overflow-auto max-h-80 border border-gray-200 rounded-md">
+        <table className="min-w-full divide-y divide-gray-200 text-xs">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase tracking-wider">Row</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase tracking-wider">Date</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase tracking-wider">Description</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase tracking-wider">Category</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase tracking-wider">Problems</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {preview.rows.map(row => (
+              <tr key={row.rowNumber} className={!row.valid ? 'bg-red-50' : row.duplicate ? 'bg-yellow-50' : ''}>
+                <td className="px-3 py-2 whitespace-nowrap text-gray-500">{row.rowNumber}</td>
+                <td className="px-3 py-2 whitespace-nowrap text-gray-700">{formatDate(row.transaction.date)}</td>
+                <td className="px-3 py-2 text-gray-900">{row.transaction.description}</td>
+                <td className="px-3 py-2 whitespace-nowrap text-gray-500">{row.transaction.category}</td>
+                <td className={`px-3 py-2 whitespace-nowrap font-medium ${row.transaction.type === 'income' ? 'text-green-600' : 'text-red-600'}`}>
+                  {typeof row.transaction.amount === 'number'
+                    ? `${row.transaction.type === 'income' ? '+' : ''}${formatCurrency(row.transaction.amount)}`
+                    : row.transaction.amount}
+                </td>
+                <td className="px-3 py-2 text-red-600">
+                  {row.duplicate && <span className="text-yellow-700">Already imported{row.errors.length > 0 && '; '}</span>}
+                  {row.possibleDuplicateOf && <span className="text-yellow-700">Looks like a transaction you already have</span>}
+                  {row.errors.map(rowError => rowError.message).join('; ')}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {format === 'csv' && bankName.trim() && (
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={saveMapping}
+            onChange={(e) => setSaveMapping(e.target.checked)}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+          />
+          <span>Save this column mapping for {bankName.trim()}</span>
+        </label>
+      )}
+
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={() => setStep(format === 'csv' ? 'map' : 'upload')}
+          className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500"
+        >
+          {format === 'csv' ? 'Edit mapping' : 'Back'}
+        </button>
+        <button
+          type="button"
+          disabled={isWorking || preview.summary.validRows === 0}
+          onClick={handleCommit}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+        >
+          {isWorking ? 'Importing...' : `Import ${preview.summary.validRows} transactions`}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderDoneStep = () => (
+    <div className="space-y-4">
+      <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+        Imported {result.summary.imported} transactions
+        {result.summary.skipped > 0 && `, skipped ${result.summary.skipped} rows with errors`}
+        {result.summary.duplicates > 0 && `, ignored ${result.summary.duplicates} already imported`}.
+        {result.summary.possibleDuplicateRows > 0 && ` ${result.summary.possibleDuplicateRows} look like transactions you already had; review them under Duplicates.`}
+      </div>
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-full max-w-4xl shadow-lg rounded-md bg-white">
+        <div className="mt-3">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Import Bank Statement</h3>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4 text-sm">
+              {error}
+            </div>
+          )}
+
+          {step === 'upload' && renderUploadStep()}
+          {step === 'map' && mapping && renderMapStep()}
+          {step === 'preview' && preview && renderPreviewStep()}
+          {step === 'done' && result && renderDoneStep()}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TransactionImportForm;
@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { transactionAPI } from '../../utils/api';
+import { getCurrencySymbol } from '../../utils/currency';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Create a transfer between two accounts, or edit an existing one (both legs at once)
+const TransferForm = ({ accounts, transfer, onClose, onSaved }) => {
+  const [formData, setFormData] = useState({
+    fromAccountId: transfer ? transfer.fromAccountId : (accounts[0]?._id || ''),
+    toAccountId: transfer ? transfer.toAccountId : (accounts[1]?._id || ''),
+    amount: transfer ? String(transfer.amount) : '',
+    toAmount: transfer && transfer.toAmount !== undefined ? String(transfer.toAmount) : '',
+    description: transfer ? transfer.description : '',
+    date: transfer ? transfer.date.split('T')[0] : new Date().toISOString().split('T')[0]
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const fromAccount = accounts.find(account => account._id === formData.fromAccountId);
+  const toAccount = accounts.find(account => account._id === formData.toAccountId);
+  // Between accounts in different currencies the amount received is entered separately
+  const crossCurrency = Boolean(fromAccount && toAccount && fromAccount.currency !== toAccount.currency);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (formData.fromAccountId === formData.toAccountId) {
+      setError('Choose two different accounts');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      setError('');
+      const transferData = {
+        ...formData,
+        amount: parseFloat(formData.amount),
+        toAmount: crossCurrency ? parseFloat(formData.toAmount) : undefined,
+        description: formData.description.trim() || undefined
+      };
+      if (transfer) {
+        await transactionAPI.updateTransfer(transfer.transferId, transferData);
+      } else {
+        await transactionAPI.createTransfer(transferData);
+      }
+      if (onSaved) onSaved();
+      onClose();
+    } catch (err) {
+      console.error('Error saving transfer:', err);
+      setError(err.message || 'Failed to save transfer');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+        <div className="mt-3">
+          <h3 className="text-lg font-medium text-gray-900 mb-1">{transfer ? 'Edit Transfer' : 'Transfer Between Accounts'}</h3>
+          <p className="text-sm text-gray-500 mb-4">
+            Transfers move money between your accounts and don't count as income or spending.
+          </p>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4 text-sm">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                From *
+              </label>
+              <select
+                name="fromAccountId"
+                value={formData.fromAccountId}
+                onChange={handleInputChange}
+                className={inputClassName}
+                required
+              >
+                {accounts.map(account => (
+                  <option key={account._id} value={account._id}>{account.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                To *
+              </label>
+              <select
+                name="toAccountId"
+                value={formData.toAccountId}
+                onChange={handleInputChange}
+                className={inputClassName}
+                required
+              >
+                {accounts.map(account => (
+                  <option key={account._id} value={account._id}>{account.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {crossCurrency ? `Amount sent (${getCurrencySymbol(fromAccount.currency)}) *` : 'Amount *'}
+              </label>
+              <input
+                type="number"
+                name="amount"
+                step="0.01"
+                min="0.01"
+                value={formData.amount}
+                onChange={handleInputChange}
+                className={inputClassName}
+                required
+              />
+            </div>
+
+            {crossCurrency && (
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Amount received ({getCurrencySymbol(toAccount.currency)}) *
+                </label>
+                <input
+                  type="number"
+                  name="toAmount"
+                  step="0.01"
+                  min="0.01"
+                  value={formData.toAmount}
+                  onChange={handleInputChange}
+                  className={inputClassName}
+                  required
+                />
+              </div>
+            )}
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Description
+              </label>
+              <input
+                type="text"
+                name="description"
+                maxLength={200}
+                placeholder="Transfer"
+                value={formData.description}
+                onChange={handleInputChange}
+                className={inputClassName}
+              />
+            </div>
+
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Date
+              </label>
+              <input
+                type="date"
+                name="date"
+                value={formData.date}
+                onChange={handleInputChange}
+                className={inputClassName}
+              />
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                {isSubmitting ? 'Saving...' : (transfer ? 'Save Transfer' : 'Transfer')}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TransferForm;
@@ -6,8 +6,10 @@ import {
   CreditCardIcon,
   ChartBarIcon,
   TrophyIcon,
+  BanknotesIcon,
   DocumentChartBarIcon,
   Cog6ToothIcon,
+  TrashIcon,
   UserIcon,
   ArrowRightOnRectangleIcon,
   Bars3Icon,
@@ -15,6 +17,7 @@ import {
   ChevronDownIcon
 } from '@heroicons/react/24/outline';
 import NotificationDropdown from '../ui/NotificationDropdown';
+import QuickAddBar from '../forms/QuickAddBar';
 import { motion, AnimatePresence } from 'framer-motion';
 
 const Header = () => {
@@ -80,6 +83,7 @@ const Header = () => {
   const navLinks = [
     { path: '/dashboard', label: 'Dashboard', icon: HomeIcon },
     { path: '/transactions', label: 'Transactions', icon: CreditCardIcon },
+    { path: '/accounts', label: 'Accounts', icon: BanknotesIcon },
     { path: '/budget', label: 'Budget', icon: ChartBarIcon },
     { path: '/goals', label: 'Goals', icon: TrophyIcon }
   ];
@@ -147,6 +151,8 @@ const Header = () => {
 
           {/* Desktop User Menu */}
           <div className="hidden md:flex items-center space-x-3">
+            <QuickAddBar className="hidden lg:block w-64" />
+
             {/* Notifications */}
             <NotificationDropdown />
             
@@ -193,6 +199,15 @@ const Header = () => {
                       <span>Settings</span>
                     </Link>
                     
+                    <Link
+                      to="/trash"
+                      onClick={() => setIsProfileDropdownOpen(false)}
+                      className="flex items-center space-x-3 px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-slate-700 transition-colors"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                      <span>Trash</span>
+                    </Link>
+                    
                     <hr className="my-1 border-gray-200 dark:border-slate-600" />
                     
                     <button
@@ -264,6 +279,8 @@ const Header = () => {
               animate={{ y: 0 }}
               transition={{ delay: 0.1 }}
             >
+              <QuickAddBar className="px-2 pb-2" onSaved={closeMobileMenu} />
+
               {navLinks.map((link, index) => {
                 const IconComponent = link.icon;
                 return (
@@ -326,6 +343,15 @@ const Header = () => {
                   <span>Settings</span>
                 </Link>
                 
+                <Link
+                  to="/trash"
+                  onClick={closeMobileMenu}
+                  className="flex items-center space-x-3 px-4 py-3 rounded-lg text-base font-medium text-gray-700 dark:text-gray-300 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-gray-50 dark:hover:bg-slate-700 transition-all duration-200"
+                >
+                  <TrashIcon className="h-5 w-5" />
+                  <span>Trash</span>
+                </Link>
+                
                 <motion.button
                   onClick={() => {
                     closeMobileMenu();
@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from 'react';
+import { PlusIcon, PencilIcon, TrashIcon, ArrowsPointingInIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { categoryAPI } from '../../utils/api';
+import { CATEGORY_ICONS, displayCategoryName, orderCategories } from '../../utils/categories';
+
+const emptyForm = (type) => ({ name: '', type, parentId: '', color: '#6B7280', icon: 'tag' });
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-700 dark:border-slate-600 dark:text-white';
+
+const CategoryManager = () => {
+  const [categories, setCategories] = useState([]);
+  const [activeType, setActiveType] = useState('expense');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(emptyForm('expense'));
+  const [showForm, setShowForm] = useState(false);
+  const [merging, setMerging] = useState(null);
+  const [mergeTargetId, setMergeTargetId] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await categoryAPI.getAll();
+      setCategories(response.data || []);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching categories:', err);
+      setError('Failed to load categories');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const ordered = orderCategories(categories, activeType);
+  const parentOptions = ordered.filter(category => category.depth === 0 && (!editing || category._id !== editing._id));
+  const hasChildren = (category) => categories.some(other => other.parentId === category._id);
+
+  const showMessage = (text) => {
+    setMessage(text);
+    setTimeout(() => setMessage(''), 3000);
+  };
+
+  const openCreate = () => {
+    setEditing(null);
+    setFormData(emptyForm(activeType));
+    setShowForm(true);
+  };
+
+  const openEdit = (category) => {
+    setEditing(category);
+    setFormData({
+      name: displayCategoryName(category.name),
+      type: category.type,
+      parentId: category.parentId || '',
+      color: category.color,
+      icon: category.icon
+    });
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      if (editing) {
+        // Renaming re-points everything filed under the old name on the server
+        await categoryAPI.update(editing._id, {
+          name: formData.name,
+          parentId: formData.parentId,
+          color: formData.color,
+          icon: formData.icon
+        });
+        showMessage('Category updated');
+      } else {
+        await categoryAPI.create({ ...formData, parentId: formData.parentId || undefined });
+        showMessage('Category created');
+      }
+      setShowForm(false);
+      await fetchCategories();
+    } catch (err) {
+      console.error('Error saving category:', err);
+      setError(err.message || 'Failed to save category');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete "${displayCategoryName(category.name)}"?`)) return;
+    try {
+      await categoryAPI.delete(category._id);
+      showMessage('Category deleted');
+      await fetchCategories();
+    } catch (err) {
+      console.error('Error deleting category:', err);
+      setError(err.message || 'Failed to delete category');
+    }
+  };
+
+  const handleMerge = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const response = await categoryAPI.merge(merging._id, mergeTargetId);
+      showMessage(displayCategoryName(response.message));
+      setMerging(null);
+      setMergeTargetId('');
+      await fetchCategories();
+    } catch (err) {
+      console.error('Error merging categories:', err);
+      setError(err.message || 'Failed to merge categories');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Loading categories...</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h3 className="text-lg font-medium leading-6 text-gray-900 dark:text-white">Categories</h3>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+            Organise transactions, budgets and goals. Renaming or merging a category updates everything filed under it.
+          </p>
+        </div>
+        <button
+          onClick={openCreate}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+        >
+          <PlusIcon className="h-5 w-5" />
+          <span>Add Category</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex">
+            <ExclamationTriangleIcon className="h-5 w-5 text-red-400" />
+            <div className="ml-3">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-50 dark:bg-green-900 border border-green-200 dark:border-green-700 text-green-700 dark:text-green-300 px-4 py-3 rounded-lg">
+          {message}
+        </div>
+      )}
+
+      <div className="flex space-x-2">
+        {['expense', 'income'].map(type => (
+          <button
+            key={type}
+            onClick={() => setActiveType(type)}
+            className={`px-3 py-1 rounded-full text-sm font-medium ${
+              activeType === type
+                ? 'bg-blue-100 text-blue-700 dark:bg-blue-900 dark:text-blue-300'
+                : 'text-gray-500 hover:text-gray-700 dark:text-gray-400'
+            }`}
+          >
+            {type === 'expense' ? 'Expense' : 'Income'}
+          </button>
+        ))}
+      </div>
+
+      <ul className="divide-y divide-gray-200 dark:divide-slate-700 border border-gray-200 dark:border-slate-700 rounded-lg">
+        {ordered.map(category => {
+          const Icon = CATEGORY_ICONS[category.icon] || CATEGORY_ICONS.tag;
+          return (
+            <li key={category._id} className={`flex items-center justify-between py-3 pr-4 ${category.depth > 0 ? 'pl-12' : 'pl-4'}`}>
+              <div className="flex items-center space-x-3">
+                <span
+                  className="h-8 w-8 rounded-full flex items-center justify-center"
+                  style={{ backgroundColor: category.color }}
+                >
+                  <Icon className="h-4 w-4 text-white" />
+                </span>
+                <span className="text-sm font-medium text-gray-900 dark:text-white">
+                  {displayCategoryName(category.name)}
+                </span>
+              </div>
+              <div className="flex items-center space-x-3">
+                <button onClick={() => openEdit(category)} className="text-blue-600 hover:text-blue-900" title="Edit">
+                  <PencilIcon className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => { setMerging(category); setMergeTargetId(''); }}
+                  className="text-gray-600 hover:text-gray-900 dark:text-gray-300"
+                  title="Merge into another category"
+                >
+                  <ArrowsPointingInIcon className="h-4 w-4" />
+                </button>
+                {!hasChildren(category) && (
+                  <button onClick={() => handleDelete(category)} className="text-red-600 hover:text-red-900" title="Delete">
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {showForm && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
+          <div className="bg-white dark:bg-slate-800 p-6 rounded-lg shadow-xl max-w-md w-full">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
+              {editing ? 'Edit Category' : `New ${formData.type === 'expense' ? 'Expense' : 'Income'} Category`}
+            </h3>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  className={inputClassName}
+                  maxLength={50}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Parent</label>
+                <select
+                  value={formData.parentId}
+                  onChange={(e) => setFormData({ ...formData, parentId: e.target.value })}
+                  className={inputClassName}
+                  disabled={editing && hasChildren(editing)}
+                >
+                  <option value="">None (top level)</option>
+                  {parentOptions.map(category => (
+                    <option key={category._id} value={category._id}>{displayCategoryName(category.name)}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex items-center space-x-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Color</label>
+                  <input
+                    type="color"
+                    value={formData.color}
+                    onChange={(e) => setFormData({ ...formData, color: e.target.value.toUpperCase() })}
+                    className="h-10 w-16 border border-gray-300 rounded-md"
+                  />
+                </div>
+                <div className="flex-1">
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Icon</label>
+                  <div className="flex flex-wrap gap-1">
+                    {Object.entries(CATEGORY_ICONS).map(([key, Icon]) => (
+                      <button
+                        key={key}
+                        type="button"
+                        onClick={() => setFormData({ ...formData, icon: key })}
+                        className={`p-1.5 rounded-md border ${
+                          formData.icon === key ? 'border-blue-500 bg-blue-50 dark:bg-blue-900' : 'border-transparent'
+                        }`}
+                        title={key}
+                      >
+                        <Icon className="h-4 w-4 text-gray-700 dark:text-gray-300" />
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+              <div className="flex justify-end space-x-3 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setShowForm(false)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {isSubmitting ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {merging && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
+          <div className="bg-white dark:bg-slate-800 p-6 rounded-lg shadow-xl max-w-md w-full">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+              Merge "{displayCategoryName(merging.name)}"
+            </h3>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+              Its transactions, recurring transactions, budgets, goals and category rules move to the category you pick, and it is then deleted.
+            </p>
+            <form onSubmit={handleMerge} className="space-y-4">
+              <select
+                value={mergeTargetId}
+                onChange={(e) => setMergeTargetId(e.target.value)}
+                className={inputClassName}
+                required
+              >
+                <option value="">Merge into...</option>
+                {ordered.filter(category => category._id !== merging._id).map(category => (
+                  <option key={category._id} value={category._id}>
+                    {category.depth > 0 ? '\u00A0\u00A0' : ''}{displayCategoryName(category.name)}
+                  </option>
+                ))}
+              </select>
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setMerging(null)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {isSubmitting ? 'Merging...' : 'Merge'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CategoryManager;
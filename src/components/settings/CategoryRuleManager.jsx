@@ -0,0 +1,500 @@
+import React, { useState, useEffect } from 'react';
+import { PlusIcon, PencilIcon, TrashIcon, ArrowUpIcon, ArrowDownIcon, ArrowPathIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { categoryRuleAPI, categoryAPI, accountAPI } from '../../utils/api';
+import { formatCurrency } from '../../utils/currency';
+import { displayCategoryName } from '../../utils/categories';
+
+const emptyForm = () => ({
+  name: '',
+  descriptionContains: '',
+  minAmount: '',
+  maxAmount: '',
+  type: '',
+  accountId: '',
+  category: '',
+  isActive: true
+});
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-700 dark:border-slate-600 dark:text-white';
+
+const CategoryRuleManager = () => {
+  const [rules, setRules] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(emptyForm());
+  const [showForm, setShowForm] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [selectedChanges, setSelectedChanges] = useState(new Set());
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      const [rulesResponse, categoriesResponse, accountsResponse] = await Promise.all([
+        categoryRuleAPI.getAll(),
+        categoryAPI.getAll(),
+        accountAPI.getAll()
+      ]);
+      setRules(rulesResponse.data || []);
+      setCategories(categoriesResponse.data || []);
+      setAccounts(accountsResponse.data || []);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching rules:', err);
+      setError('Failed to load rules');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const fetchRules = async () => {
+    const response = await categoryRuleAPI.getAll();
+    setRules(response.data || []);
+  };
+
+  const showMessage = (text) => {
+    setMessage(text);
+    setTimeout(() => setMessage(''), 3000);
+  };
+
+  // Readable summary of a rule's conditions
+  const describeRule = (rule) => {
+    const conditions = [];
+    if (rule.descriptionContains) conditions.push(`description contains "${displayCategoryName(rule.descriptionContains)}"`);
+    if (rule.minAmount !== null && rule.maxAmount !== null) {
+      conditions.push(`amount ${formatCurrency(rule.minAmount)}–${formatCurrency(rule.maxAmount)}`);
+    } else if (rule.minAmount !== null) {
+      conditions.push(`amount ≥ ${formatCurrency(rule.minAmount)}`);
+    } else if (rule.maxAmount !== null) {
+      conditions.push(`amount ≤ ${formatCurrency(rule.maxAmount)}`);
+    }
+    if (rule.type) conditions.push(rule.type);
+    if (rule.accountId) {
+      const account = accounts.find(item => item._id === rule.accountId);
+      conditions.push(`in ${account ? account.name : 'an archived account'}`);
+    }
+    return conditions.join(', ');
+  };
+
+  // Category names for the chosen type, or every name when the rule isn't typed
+  const categoryNames = [...new Set(categories
+    .filter(category => !formData.type || category.type === formData.type)
+    .map(category => displayCategoryName(category.name)))];
+
+  const openCreate = () => {
+    setEditing(null);
+    setFormData(emptyForm());
+    setShowForm(true);
+  };
+
+  const openEdit = (rule) => {
+    setEditing(rule);
+    setFormData({
+      name: displayCategoryName(rule.name || ''),
+      descriptionContains: displayCategoryName(rule.descriptionContains || ''),
+      minAmount: rule.minAmount ?? '',
+      maxAmount: rule.maxAmount ?? '',
+      type: rule.type || '',
+      accountId: rule.accountId || '',
+      category: displayCategoryName(rule.category),
+      isActive: rule.isActive
+    });
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      if (editing) {
+        await categoryRuleAPI.update(editing._id, formData);
+        showMessage('Rule updated');
+      } else {
+        await categoryRuleAPI.create(formData);
+        showMessage('Rule created');
+      }
+      setShowForm(false);
+      await fetchRules();
+    } catch (err) {
+      console.error('Error saving rule:', err);
+      setError(err.message || 'Failed to save rule');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      await categoryRuleAPI.update(rule._id, { isActive: !rule.isActive });
+      await fetchRules();
+    } catch (err) {
+      console.error('Error updating rule:', err);
+      setError(err.message || 'Failed to update rule');
+    }
+  };
+
+  const handleMove = async (index, offset) => {
+    const ids = rules.map(rule => rule._id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    try {
+      const response = await categoryRuleAPI.reorder(ids);
+      setRules(response.data || []);
+    } catch (err) {
+      console.error('Error reordering rules:', err);
+      setError(err.message || 'Failed to reorder rules');
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm('Delete this rule? Transactions it already categorized keep their category.')) return;
+    try {
+      await categoryRuleAPI.delete(rule._id);
+      showMessage('Rule deleted');
+      await fetchRules();
+    } catch (err) {
+      console.error('Error deleting rule:', err);
+      setError(err.message || 'Failed to delete rule');
+    }
+  };
+
+  const handlePreview = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await categoryRuleAPI.apply({ dryRun: true });
+      setPreview(response.data.changes);
+      setSelectedChanges(new Set(response.data.changes.map(change => change.transactionId)));
+    } catch (err) {
+      console.error('Error previewing rules:', err);
+      setError(err.message || 'Failed to preview rules');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const toggleChange = (transactionId) => {
+    setSelectedChanges(prev => {
+      const next = new Set(prev);
+      if (next.has(transactionId)) {
+        next.delete(transactionId);
+      } else {
+        next.add(transactionId);
+      }
+      return next;
+    });
+  };
+
+  const handleApply = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await categoryRuleAPI.apply({ dryRun: false, transactionIds: [...selectedChanges] });
+      showMessage(response.message || 'Rules applied');
+      setPreview(null);
+    } catch (err) {
+      console.error('Error applying rules:', err);
+      setError(err.message || 'Failed to apply rules');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Loading rules...</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h3 className="text-lg font-medium leading-6 text-gray-900 dark:text-white">Categorization Rules</h3>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+            Rules run top to bottom on new and imported transactions; the first match sets the category.
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={handlePreview}
+            disabled={isSubmitting || rules.length === 0}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors disabled:opacity-50"
+          >
+            <ArrowPathIcon className="h-5 w-5" />
+            <span>Re-run on past transactions</span>
+          </button>
+          <button
+            onClick={openCreate}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+          >
+            <PlusIcon className="h-5 w-5" />
+            <span>Add Rule</span>
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex">
+            <ExclamationTriangleIcon className="h-5 w-5 text-red-400" />
+            <div className="ml-3">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-50 dark:bg-green-900 border border-green-200 dark:border-green-700 text-green-700 dark:text-green-300 px-4 py-3 rounded-lg">
+          {message}
+        </div>
+      )}
+
+      {rules.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No rules yet. Add one, e.g. description contains "UBER" → Transportation.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-slate-700 border border-gray-200 dark:border-slate-700 rounded-lg">
+          {rules.map((rule, index) => (
+            <li key={rule._id} className={`flex items-center justify-between px-4 py-3 ${rule.isActive ? '' : 'opacity-50'}`}>
+              <div className="flex items-center space-x-3">
+                <div className="flex flex-col">
+                  <button
+                    onClick={() => handleMove(index, -1)}
+                    disabled={index === 0}
+                    className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                    title="Run earlier"
+                  >
+                    <ArrowUpIcon className="h-3 w-3" />
+                  </button>
+                  <button
+                    onClick={() => handleMove(index, 1)}
+                    disabled={index === rules.length - 1}
+                    className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                    title="Run later"
+                  >
+                    <ArrowDownIcon className="h-3 w-3" />
+                  </button>
+                </div>
+                <div>
+                  <p className="text-sm font-medium text-gray-900 dark:text-white">
+                    {rule.name ? displayCategoryName(rule.name) : describeRule(rule)} → {displayCategoryName(rule.category)}
+                  </p>
+                  {rule.name && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">{describeRule(rule)}</p>
+                  )}
+                </div>
+              </div>
+              <div className="flex items-center space-x-3">
+                <button
+                  onClick={() => handleToggle(rule)}
+                  className="text-xs text-gray-600 hover:text-gray-900 dark:text-gray-300"
+                >
+                  {rule.isActive ? 'Disable' : 'Enable'}
+                </button>
+                <button onClick={() => openEdit(rule)} className="text-blue-600 hover:text-blue-900" title="Edit">
+                  <PencilIcon className="h-4 w-4" />
+                </button>
+                <button onClick={() => handleDelete(rule)} className="text-red-600 hover:text-red-900" title="Delete">
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {showForm && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
+          <div className="bg-white dark:bg-slate-800 p-6 rounded-lg shadow-xl max-w-md w-full max-h-full overflow-y-auto">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
+              {editing ? 'Edit Rule' : 'New Rule'}
+            </h3>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Name (optional)</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  className={inputClassName}
+                  maxLength={100}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Description contains</label>
+                <input
+                  type="text"
+                  value={formData.descriptionContains}
+                  onChange={(e) => setFormData({ ...formData, descriptionContains: e.target.value })}
+                  className={inputClassName}
+                  placeholder="e.g. UBER"
+                  maxLength={100}
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Min amount</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={formData.minAmount}
+                    onChange={(e) => setFormData({ ...formData, minAmount: e.target.value })}
+                    className={inputClassName}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Max amount</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={formData.maxAmount}
+                    onChange={(e) => setFormData({ ...formData, maxAmount: e.target.value })}
+                    className={inputClassName}
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Type</label>
+                  <select
+                    value={formData.type}
+                    onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+                    className={inputClassName}
+                  >
+                    <option value="">Any</option>
+                    <option value="expense">Expense</option>
+                    <option value="income">Income</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Account</label>
+                  <select
+                    value={formData.accountId}
+                    onChange={(e) => setFormData({ ...formData, accountId: e.target.value })}
+                    className={inputClassName}
+                  >
+                    <option value="">Any</option>
+                    {accounts.map(account => (
+                      <option key={account._id} value={account._id}>{account.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Set category to</label>
+                <select
+                  value={formData.category}
+                  onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+                  className={inputClassName}
+                  required
+                >
+                  <option value="">Select a category</option>
+                  {categoryNames.map(name => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+              </div>
+              <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={formData.isActive}
+                  onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span>Active</span>
+              </label>
+              <div className="flex justify-end space-x-3 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setShowForm(false)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {isSubmitting ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {preview && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
+          <div className="bg-white dark:bg-slate-800 p-6 rounded-lg shadow-xl max-w-2xl w-full max-h-full overflow-y-auto">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">Re-run rules on past transactions</h3>
+            {preview.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">Your rules wouldn't change any past transactions.</p>
+            ) : (
+              <>
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                  {preview.length} transactions would change category. Untick any you want to leave alone.
+                </p>
+                <div className="max-h-96 overflow-y-auto border border-gray-200 dark:border-slate-700 rounded-lg mb-4">
+                  <table className="min-w-full divide-y divide-gray-200 dark:divide-slate-700 text-sm">
+                    <tbody className="divide-y divide-gray-200 dark:divide-slate-700">
+                      {preview.map(change => (
+                        <tr key={change.transactionId}>
+                          <td className="px-3 py-2">
+                            <input
+                              type="checkbox"
+                              checked={selectedChanges.has(change.transactionId)}
+                              onChange={() => toggleChange(change.transactionId)}
+                              className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                            />
+                          </td>
+                          <td className="px-3 py-2 text-gray-900 dark:text-white">
+                            {displayCategoryName(change.description)}
+                            <p className="text-xs text-gray-500">
+                              {new Date(change.date).toLocaleDateString()} · {formatCurrency(change.amount)}
+                            </p>
+                          </td>
+                          <td className="px-3 py-2 text-gray-500 whitespace-nowrap">
+                            {displayCategoryName(change.from)} → <span className="font-medium text-gray-900 dark:text-white">{displayCategoryName(change.to)}</span>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => setPreview(null)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+              >
+                {preview.length === 0 ? 'Close' : 'Cancel'}
+              </button>
+              {preview.length > 0 && (
+                <button
+                  type="button"
+                  onClick={handleApply}
+                  disabled={isSubmitting || selectedChanges.size === 0}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {isSubmitting ? 'Applying...' : `Apply ${selectedChanges.size} changes`}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CategoryRuleManager;
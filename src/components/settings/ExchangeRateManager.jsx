@@ -0,0 +1,361 @@
+import React, { useState, useEffect } from 'react';
+import { PlusIcon, PencilIcon, TrashIcon, ArrowUpTrayIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { exchangeRateAPI } from '../../utils/api';
+import { CURRENCY_OPTIONS } from '../../utils/currency';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-700 dark:border-slate-600 dark:text-white';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyForm = (baseCurrency) => ({
+  fromCurrency: CURRENCY_OPTIONS.find(option => option.code !== baseCurrency).code,
+  toCurrency: baseCurrency,
+  rate: '',
+  date: today()
+});
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, { timeZone: 'UTC' });
+
+// Day-by-day exchange rates used to convert amounts in other currencies into the base currency
+const ExchangeRateManager = () => {
+  const [rates, setRates] = useState([]);
+  const [baseCurrency, setBaseCurrency] = useState('NGN');
+  const [filterCurrency, setFilterCurrency] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(emptyForm('NGN'));
+  const [showForm, setShowForm] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [importPreview, setImportPreview] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchRates();
+  }, [filterCurrency]);
+
+  const fetchRates = async () => {
+    try {
+      const response = await exchangeRateAPI.getAll(filterCurrency);
+      setRates(response.data || []);
+      setBaseCurrency(response.baseCurrency);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching exchange rates:', err);
+      setError('Failed to load exchange rates');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const showMessage = (text) => {
+    setMessage(text);
+    setTimeout(() => setMessage(''), 3000);
+  };
+
+  const openCreate = () => {
+    setEditing(null);
+    setFormData(emptyForm(baseCurrency));
+    setShowForm(true);
+  };
+
+  const openEdit = (rate) => {
+    setEditing(rate);
+    setFormData({
+      fromCurrency: rate.fromCurrency,
+      toCurrency: rate.toCurrency,
+      rate: rate.rate.toString(),
+      date: rate.date.split('T')[0]
+    });
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const data = { ...formData, rate: parseFloat(formData.rate) };
+      if (editing) {
+        await exchangeRateAPI.update(editing._id, data);
+        showMessage('Exchange rate updated');
+      } else {
+        await exchangeRateAPI.create(data);
+        showMessage('Exchange rate added');
+      }
+      setShowForm(false);
+      await fetchRates();
+    } catch (err) {
+      console.error('Error saving exchange rate:', err);
+      setError(err.message || 'Failed to save exchange rate');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (rate) => {
+    if (!window.confirm('Delete this rate? Amounts on its date will convert at the nearest earlier rate.')) return;
+    try {
+      await exchangeRateAPI.delete(rate._id);
+      showMessage('Exchange rate deleted');
+      await fetchRates();
+    } catch (err) {
+      console.error('Error deleting exchange rate:', err);
+      setError(err.message || 'Failed to delete exchange rate');
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setImportText(reader.result);
+      setImportPreview(null);
+    };
+    reader.readAsText(file);
+  };
+
+  // Check the file first; rates are only saved once every row reads cleanly
+  const handleImport = async (dryRun) => {
+    setIsSubmitting(true);
+    try {
+      const response = await exchangeRateAPI.import(importText, dryRun);
+      if (dryRun) {
+        setImportPreview(response.data);
+      } else {
+        showMessage(response.message);
+        setImportText('');
+        setImportPreview(null);
+        await fetchRates();
+      }
+      setError('');
+    } catch (err) {
+      console.error('Error importing exchange rates:', err);
+      setError(err.message || 'Failed to import exchange rates');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Loading exchange rates...</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h3 className="text-lg font-medium leading-6 text-gray-900 dark:text-white">Exchange Rates</h3>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+            Amounts in other currencies are converted into {baseCurrency} at the latest rate on or before their date.
+          </p>
+        </div>
+        <button
+          onClick={openCreate}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+        >
+          <PlusIcon className="h-5 w-5" />
+          <span>Add Rate</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex">
+            <ExclamationTriangleIcon className="h-5 w-5 text-red-400" />
+            <div className="ml-3">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-50 dark:bg-green-900 border border-green-200 dark:border-green-700 text-green-700 dark:text-green-300 px-4 py-3 rounded-lg">
+          {message}
+        </div>
+      )}
+
+      <div className="flex items-center space-x-2 text-sm">
+        <label className="text-gray-700 dark:text-gray-300">Show</label>
+        <select
+          value={filterCurrency}
+          onChange={(e) => setFilterCurrency(e.target.value)}
+          className="px-3 py-1 border border-gray-300 rounded-md bg-white dark:bg-slate-700 dark:border-slate-600 dark:text-white"
+        >
+          <option value="">All currencies</option>
+          {CURRENCY_OPTIONS.filter(option => option.code !== baseCurrency).map(option => (
+            <option key={option.code} value={option.code}>{option.code}</option>
+          ))}
+        </select>
+      </div>
+
+      {rates.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No rates yet. Add one, e.g. 1 USD = 1,550 {baseCurrency}, or import a file of past rates below.
+        </p>
+      ) : (
+        <div className="max-h-96 overflow-y-auto border border-gray-200 dark:border-slate-700 rounded-lg">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-slate-700 text-sm">
+            <thead className="bg-gray-50 dark:bg-slate-700">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500 dark:text-gray-300">Date</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500 dark:text-gray-300">Rate</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500 dark:text-gray-300">Source</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-slate-700">
+              {rates.map(rate => (
+                <tr key={rate._id}>
+                  <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{formatDate(rate.date)}</td>
+                  <td className="px-4 py-2 text-gray-900 dark:text-white">
+                    1 {rate.fromCurrency} = {rate.rate.toLocaleString(undefined, { maximumFractionDigits: 6 })} {rate.toCurrency}
+                  </td>
+                  <td className="px-4 py-2 text-gray-500 dark:text-gray-400 capitalize">{rate.source}</td>
+                  <td className="px-4 py-2 text-right space-x-3">
+                    <button onClick={() => openEdit(rate)} className="text-blue-600 hover:text-blue-900" title="Edit">
+                      <PencilIcon className="h-4 w-4" />
+                    </button>
+                    <button onClick={() => handleDelete(rate)} className="text-red-600 hover:text-red-900" title="Delete">
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="border border-gray-200 dark:border-slate-700 rounded-lg p-4 space-y-3">
+        <h4 className="text-sm font-medium text-gray-900 dark:text-white">Import rates</h4>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          A CSV with <code>date</code>, <code>from</code>, <code>to</code> and <code>rate</code> columns, one row per day
+          (leave <code>to</code> out for {baseCurrency}). A day that already has a rate is overwritten.
+        </p>
+        <input type="file" accept=".csv,text/csv" onChange={handleFile} className="text-sm text-gray-700 dark:text-gray-300" />
+        <textarea
+          value={importText}
+          onChange={(e) => {
+            setImportText(e.target.value);
+            setImportPreview(null);
+          }}
+          rows={4}
+          placeholder={`date,from,to,rate\n2026-01-02,USD,${baseCurrency},1550.25`}
+          className={`${inputClassName} font-mono text-xs`}
+        />
+        {importPreview && (
+          <div className="text-sm">
+            <p className="text-gray-700 dark:text-gray-300">{importPreview.validRows} rate{importPreview.validRows === 1 ? '' : 's'} ready to import.</p>
+            {importPreview.errors.length > 0 && (
+              <ul className="mt-1 text-red-700 text-xs space-y-1">
+                {importPreview.errors.map(rowError => (
+                  <li key={rowError.row}>Row {rowError.row}: {rowError.message}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={() => handleImport(true)}
+            disabled={isSubmitting || !importText.trim()}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 disabled:opacity-50"
+          >
+            Check file
+          </button>
+          <button
+            onClick={() => handleImport(false)}
+            disabled={isSubmitting || !importPreview || importPreview.errors.length > 0 || importPreview.validRows === 0}
+            className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            <ArrowUpTrayIcon className="h-4 w-4 mr-2" />
+            Import
+          </button>
+        </div>
+      </div>
+
+      {showForm && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
+          <div className="bg-white dark:bg-slate-800 p-6 rounded-lg shadow-xl max-w-md w-full max-h-full overflow-y-auto">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
+              {editing ? 'Edit Rate' : 'New Rate'}
+            </h3>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">1 unit of</label>
+                  <select
+                    value={formData.fromCurrency}
+                    onChange={(e) => setFormData({ ...formData, fromCurrency: e.target.value })}
+                    className={inputClassName}
+                  >
+                    {CURRENCY_OPTIONS.map(option => (
+                      <option key={option.code} value={option.code}>{option.code}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Is worth (in)</label>
+                  <select
+                    value={formData.toCurrency}
+                    onChange={(e) => setFormData({ ...formData, toCurrency: e.target.value })}
+                    className={inputClassName}
+                  >
+                    {CURRENCY_OPTIONS.map(option => (
+                      <option key={option.code} value={option.code}>{option.code}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Rate</label>
+                  <input
+                    type="number"
+                    step="any"
+                    min="0"
+                    value={formData.rate}
+                    onChange={(e) => setFormData({ ...formData, rate: e.target.value })}
+                    className={inputClassName}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Date</label>
+                  <input
+                    type="date"
+                    value={formData.date}
+                    onChange={(e) => setFormData({ ...formData, date: e.target.value })}
+                    className={inputClassName}
+                    required
+                  />
+                </div>
+              </div>
+              <div className="flex justify-end space-x-3 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setShowForm(false)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting || formData.fromCurrency === formData.toCurrency}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {editing ? 'Save' : 'Add'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExchangeRateManager;
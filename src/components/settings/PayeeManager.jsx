@@ -0,0 +1,337 @@
+import React, { useState, useEffect } from 'react';
+import { PlusIcon, PencilIcon, TrashIcon, ArrowsRightLeftIcon, MagnifyingGlassIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { payeeAPI } from '../../utils/api';
+import { displayCategoryName } from '../../utils/categories';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-700 dark:border-slate-600 dark:text-white';
+
+const emptyForm = { name: '', matchers: '' };
+
+// One matcher per line in the form
+const parseMatchers = (text) => [...new Set(text.split('\n').map(line => line.trim()).filter(Boolean))];
+
+// Payees worked out from transaction descriptions, with renaming, "descriptions containing"
+// matchers, merging duplicates and deleting
+const PayeeManager = () => {
+  const [payees, setPayees] = useState([]);
+  const [search, setSearch] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [showForm, setShowForm] = useState(false);
+  const [merging, setMerging] = useState(null);
+  const [mergeTargetId, setMergeTargetId] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchPayees();
+  }, []);
+
+  const fetchPayees = async () => {
+    try {
+      const response = await payeeAPI.getAll();
+      setPayees(response.data || []);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching payees:', err);
+      setError('Failed to load payees');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const showMessage = (text) => {
+    setMessage(text);
+    setTimeout(() => setMessage(''), 3000);
+  };
+
+  const openCreate = () => {
+    setEditing(null);
+    setFormData(emptyForm);
+    setShowForm(true);
+  };
+
+  const openEdit = (payee) => {
+    setEditing(payee);
+    setFormData({
+      name: displayCategoryName(payee.name),
+      matchers: payee.matchers.map(matcher => displayCategoryName(matcher.text)).join('\n')
+    });
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const data = { name: formData.name.trim(), matchers: parseMatchers(formData.matchers) };
+      if (editing) {
+        await payeeAPI.update(editing._id, data);
+        showMessage('Payee updated');
+      } else {
+        await payeeAPI.create(data);
+        showMessage('Payee added');
+      }
+      setShowForm(false);
+      await fetchPayees();
+    } catch (err) {
+      console.error('Error saving payee:', err);
+      setError(err.message || 'Failed to save payee');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const openMerge = (payee) => {
+    setMerging(payee);
+    setMergeTargetId('');
+  };
+
+  const handleMerge = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      await payeeAPI.merge(merging._id, mergeTargetId);
+      showMessage('Payees merged');
+      setMerging(null);
+      await fetchPayees();
+    } catch (err) {
+      console.error('Error merging payees:', err);
+      setError(err.message || 'Failed to merge payees');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (payee) => {
+    if (!window.confirm(`Delete "${displayCategoryName(payee.name)}"? Its transactions will be left without a payee.`)) return;
+    try {
+      await payeeAPI.delete(payee._id);
+      showMessage('Payee deleted');
+      await fetchPayees();
+    } catch (err) {
+      console.error('Error deleting payee:', err);
+      setError(err.message || 'Failed to delete payee');
+    }
+  };
+
+  const handleAssign = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await payeeAPI.assign();
+      showMessage(response.message);
+      await fetchPayees();
+    } catch (err) {
+      console.error('Error finding payees:', err);
+      setError(err.message || 'Failed to find payees');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Loading payees...</p>;
+  }
+
+  const query = search.trim().toLowerCase();
+  const shown = payees.filter(payee => !query || displayCategoryName(payee.name).toLowerCase().includes(query));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h3 className="text-lg font-medium leading-6 text-gray-900 dark:text-white">Payees</h3>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+            Who your money goes to and comes from, worked out from transaction descriptions.
+            Merge payees that are the same merchant, or add matchers to catch descriptions that name them differently.
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={handleAssign}
+            disabled={isSubmitting}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors disabled:opacity-50"
+            title="Find payees for transactions that have none yet, adding payees for new names"
+          >
+            <MagnifyingGlassIcon className="h-5 w-5" />
+            <span>Find in past transactions</span>
+          </button>
+          <button
+            onClick={openCreate}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+          >
+            <PlusIcon className="h-5 w-5" />
+            <span>Add Payee</span>
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex">
+            <ExclamationTriangleIcon className="h-5 w-5 text-red-400" />
+            <div className="ml-3">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-50 dark:bg-green-900 border border-green-200 dark:border-green-700 text-green-700 dark:text-green-300 px-4 py-3 rounded-lg">
+          {message}
+        </div>
+      )}
+
+      {payees.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No payees yet. They are added as you record transactions, or find them in the transactions you already have.
+        </p>
+      ) : (
+        <>
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search payees"
+            className={inputClassName}
+          />
+          <div className="max-h-96 overflow-y-auto border border-gray-200 dark:border-slate-700 rounded-lg">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-slate-700 text-sm">
+              <thead className="bg-gray-50 dark:bg-slate-700">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500 dark:text-gray-300">Payee</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500 dark:text-gray-300">Matchers</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500 dark:text-gray-300">Transactions</th>
+                  <th className="px-4 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-slate-700">
+                {shown.map(payee => (
+                  <tr key={payee._id}>
+                    <td className="px-4 py-2 text-gray-900 dark:text-white">{displayCategoryName(payee.name)}</td>
+                    <td className="px-4 py-2 text-gray-500 dark:text-gray-400">
+                      {payee.matchers.map(matcher => displayCategoryName(matcher.text)).join(', ') || '—'}
+                    </td>
+                    <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{payee.transactionCount}</td>
+                    <td className="px-4 py-2 text-right space-x-3 whitespace-nowrap">
+                      <button onClick={() => openEdit(payee)} className="text-blue-600 hover:text-blue-900" title="Edit">
+                        <PencilIcon className="h-4 w-4" />
+                      </button>
+                      {payees.length > 1 && (
+                        <button onClick={() => openMerge(payee)} className="text-gray-600 hover:text-gray-900" title="Merge into another payee">
+                          <ArrowsRightLeftIcon className="h-4 w-4" />
+                        </button>
+                      )}
+                      <button onClick={() => handleDelete(payee)} className="text-red-600 hover:text-red-900" title="Delete">
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {showForm && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
+          <div className="bg-white dark:bg-slate-800 p-6 rounded-lg shadow-xl max-w-md w-full max-h-full overflow-y-auto">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
+              {editing ? 'Edit Payee' : 'New Payee'}
+            </h3>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  maxLength={100}
+                  className={inputClassName}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Descriptions containing</label>
+                <textarea
+                  value={formData.matchers}
+                  onChange={(e) => setFormData({ ...formData, matchers: e.target.value })}
+                  rows={4}
+                  placeholder={'AMZN MKTP\nAMAZON PRIME'}
+                  className={`${inputClassName} font-mono text-xs`}
+                />
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                  One per line. A description containing any of these always goes to this payee.
+                </p>
+              </div>
+              <div className="flex justify-end space-x-3 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setShowForm(false)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting || !formData.name.trim()}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {editing ? 'Save' : 'Add'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {merging && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
+          <div className="bg-white dark:bg-slate-800 p-6 rounded-lg shadow-xl max-w-md w-full max-h-full overflow-y-auto">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+              Merge "{displayCategoryName(merging.name)}"
+            </h3>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+              Its {merging.transactionCount} transactions move to the payee you pick, and descriptions that named it go there from now on.
+            </p>
+            <form onSubmit={handleMerge} className="space-y-4">
+              <select
+                value={mergeTargetId}
+                onChange={(e) => setMergeTargetId(e.target.value)}
+                className={inputClassName}
+                required
+              >
+                <option value="">Choose a payee</option>
+                {payees.filter(payee => payee._id !== merging._id).map(payee => (
+                  <option key={payee._id} value={payee._id}>{displayCategoryName(payee.name)}</option>
+                ))}
+              </select>
+              <div className="flex justify-end space-x-3 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setMerging(null)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting || !mergeTargetId}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Merge
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PayeeManager;
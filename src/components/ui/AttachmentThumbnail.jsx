@@ -0,0 +1,44 @@
+import React, { useState, useEffect } from 'react';
+import { DocumentTextIcon } from '@heroicons/react/24/outline';
+import { attachmentAPI } from '../../utils/api';
+
+// Small preview of a transaction attachment: the stored thumbnail for images, a document icon otherwise
+const AttachmentThumbnail = ({ transactionId, attachment, size = 'h-8 w-8', onClick }) => {
+  const [imageUrl, setImageUrl] = useState(null);
+
+  useEffect(() => {
+    if (!attachment.hasThumbnail) return undefined;
+
+    let objectUrl = null;
+    let cancelled = false;
+    attachmentAPI.getThumbnail(transactionId, attachment._id)
+      .then(blob => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setImageUrl(objectUrl);
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [transactionId, attachment._id, attachment.hasThumbnail]);
+
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      title={attachment.filename}
+      className={`${size} inline-flex items-center justify-center rounded border border-gray-200 bg-gray-50 overflow-hidden hover:ring-2 hover:ring-blue-500`}
+    >
+      {imageUrl ? (
+        <img src={imageUrl} alt={attachment.filename} className="h-full w-full object-cover" />
+      ) : (
+        <DocumentTextIcon className="h-5 w-5 text-gray-400" />
+      )}
+    </button>
+  );
+};
+
+export default AttachmentThumbnail;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { LockClosedIcon } from '@heroicons/react/24/outline';
+
+const STATUS_STYLES = {
+  pending: { label: 'Pending', className: 'text-gray-600 bg-gray-100' },
+  cleared: { label: 'Cleared', className: 'text-green-700 bg-green-50' },
+  reconciled: { label: 'Reconciled', className: 'text-blue-700 bg-blue-50' }
+};
+
+// Where a transaction stands against the bank; pass onClick to make it a toggle
+const TransactionStatusBadge = ({ status = 'pending', onClick }) => {
+  const style = STATUS_STYLES[status] || STATUS_STYLES.pending;
+  const content = (
+    <>
+      {status === 'reconciled' && <LockClosedIcon className="h-3 w-3 mr-1" />}
+      {style.label}
+    </>
+  );
+  const className = `inline-flex items-center text-xs font-medium px-2 py-0.5 rounded-full ${style.className}`;
+
+  return onClick ? (
+    <button
+      type="button"
+      onClick={onClick}
+      title={status === 'reconciled' ? 'Unlock' : `Mark as ${status === 'cleared' ? 'pending' : 'cleared'}`}
+      className={`${className} hover:opacity-75`}
+    >
+      {content}
+    </button>
+  ) : (
+    <span className={className}>{content}</span>
+  );
+};
+
+export default TransactionStatusBadge;
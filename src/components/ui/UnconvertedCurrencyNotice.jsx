@@ -0,0 +1,20 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+// Warns that totals include amounts in currencies with no exchange rate yet, which are counted as they are
+const UnconvertedCurrencyNotice = ({ currencies = [], className = '' }) => {
+  if (!currencies || currencies.length === 0) return null;
+
+  return (
+    <p className={`flex items-center text-sm text-yellow-700 ${className}`}>
+      <ExclamationTriangleIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+      <span>
+        No exchange rate for {currencies.join(', ')} yet, so those amounts are counted as is.{' '}
+        <Link to="/settings" className="underline hover:text-yellow-800">Add rates in Settings</Link>
+      </span>
+    </p>
+  );
+};
+
+export default UnconvertedCurrencyNotice;
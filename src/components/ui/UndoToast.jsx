@@ -0,0 +1,27 @@
+import React, { useEffect } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+
+// How long the toast stays up; the item stays in the Trash after that either way
+const UNDO_TIMEOUT_MS = 8000;
+
+// Bottom-of-screen notice after a delete, with a button to take it back
+const UndoToast = ({ message, onUndo, onDismiss }) => {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [message]);
+
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center space-x-4 px-4 py-3 rounded-lg shadow-lg bg-gray-900 text-white text-sm">
+      <span>{message}</span>
+      <button onClick={onUndo} className="font-medium text-blue-300 hover:text-blue-200">
+        Undo
+      </button>
+      <button onClick={onDismiss} className="text-gray-400 hover:text-gray-200">
+        <XMarkIcon className="h-4 w-4" />
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
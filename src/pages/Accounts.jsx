@@ -0,0 +1,486 @@
+import React, { useState, useEffect } from 'react';
+import { accountAPI } from '../utils/api';
+import { formatCurrency, getBaseCurrency, CURRENCY_OPTIONS } from '../utils/currency';
+import ReconcileAccount from '../components/forms/ReconcileAccount';
+import TransactionStatusBadge from '../components/ui/TransactionStatusBadge';
+import UnconvertedCurrencyNotice from '../components/ui/UnconvertedCurrencyNotice';
+import {
+  BanknotesIcon,
+  BuildingLibraryIcon,
+  CreditCardIcon,
+  DevicePhoneMobileIcon,
+  WalletIcon,
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  ArchiveBoxIcon,
+  ArrowUturnLeftIcon,
+  ExclamationTriangleIcon,
+  ScaleIcon
+} from '@heroicons/react/24/outline';
+
+const ACCOUNT_TYPE_OPTIONS = [
+  { value: 'checking', label: 'Checking', icon: BuildingLibraryIcon },
+  { value: 'savings', label: 'Savings', icon: BanknotesIcon },
+  { value: 'cash', label: 'Cash', icon: WalletIcon },
+  { value: 'credit_card', label: 'Credit Card', icon: CreditCardIcon },
+  { value: 'wallet', label: 'Mobile Wallet', icon: DevicePhoneMobileIcon }
+];
+
+const LEDGER_PAGE_SIZE = 25;
+
+const emptyForm = {
+  name: '',
+  type: 'checking',
+  institution: '',
+  currency: 'NGN',
+  openingBalance: '0'
+};
+
+const getTypeOption = (type) => ACCOUNT_TYPE_OPTIONS.find(option => option.value === type) || ACCOUNT_TYPE_OPTIONS[0];
+
+// Income and incoming transfers add to the account; everything else takes from it
+const isCredit = (transaction) => (transaction.type === 'transfer'
+  ? transaction.transferDirection === 'in'
+  : transaction.type === 'income');
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const Accounts = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [totalBalance, setTotalBalance] = useState(0);
+  const [unconvertedCurrencies, setUnconvertedCurrencies] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingAccount, setEditingAccount] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [selectedAccountId, setSelectedAccountId] = useState(null);
+  const [ledger, setLedger] = useState(null);
+  const [ledgerPage, setLedgerPage] = useState(1);
+  const [reconcilingAccount, setReconcilingAccount] = useState(null);
+
+  useEffect(() => {
+    fetchAccounts();
+  }, [showArchived]);
+
+  useEffect(() => {
+    if (selectedAccountId) fetchLedger(selectedAccountId, ledgerPage);
+  }, [selectedAccountId, ledgerPage]);
+
+  const fetchAccounts = async () => {
+    try {
+      setIsLoading(true);
+      const response = await accountAPI.getAll(showArchived);
+      if (response.success) {
+        setAccounts(response.data);
+        setTotalBalance(response.totalBalance);
+        setUnconvertedCurrencies(response.unconvertedCurrencies || []);
+      }
+    } catch (err) {
+      console.error('Error fetching accounts:', err);
+      setError('Failed to load accounts');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const fetchLedger = async (accountId, page) => {
+    try {
+      const response = await accountAPI.getLedger(accountId, page, LEDGER_PAGE_SIZE);
+      if (response.success) {
+        setLedger(response);
+      }
+    } catch (err) {
+      console.error('Error fetching account transactions:', err);
+      setError('Failed to load account transactions');
+    }
+  };
+
+  const selectAccount = (accountId) => {
+    setLedger(null);
+    setLedgerPage(1);
+    setSelectedAccountId(accountId === selectedAccountId ? null : accountId);
+  };
+
+  const openModal = (account = null) => {
+    setEditingAccount(account);
+    setFormData(account ? {
+      name: account.name,
+      type: account.type,
+      institution: account.institution || '',
+      currency: account.currency,
+      openingBalance: account.openingBalance.toString()
+    } : { ...emptyForm, currency: getBaseCurrency() });
+    setShowModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setError('');
+      const accountData = {
+        ...formData,
+        openingBalance: parseFloat(formData.openingBalance) || 0
+      };
+
+      const response = editingAccount
+        ? await accountAPI.update(editingAccount._id, accountData)
+        : await accountAPI.create(accountData);
+
+      if (response.success) {
+        setShowModal(false);
+        setEditingAccount(null);
+        fetchAccounts();
+        if (editingAccount && editingAccount._id === selectedAccountId) {
+          fetchLedger(selectedAccountId, ledgerPage);
+        }
+      }
+    } catch (err) {
+      console.error('Error saving account:', err);
+      setError(err.message || 'Failed to save account');
+    }
+  };
+
+  const handleArchive = async (account, isArchived) => {
+    try {
+      setError('');
+      const response = await accountAPI.update(account._id, { isArchived });
+      if (response.success) fetchAccounts();
+    } catch (err) {
+      console.error('Error archiving account:', err);
+      setError(err.message || 'Failed to update account');
+    }
+  };
+
+  const handleDelete = async (account) => {
+    if (!window.confirm(`Delete the account "${account.name}"?`)) return;
+    try {
+      setError('');
+      const response = await accountAPI.delete(account._id);
+      if (response.success) {
+        if (account._id === selectedAccountId) selectAccount(null);
+        fetchAccounts();
+      }
+    } catch (err) {
+      console.error('Error deleting account:', err);
+      setError(err.message || 'Failed to delete account');
+    }
+  };
+
+  if (isLoading && accounts.length === 0) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 px-4 sm:px-6 lg:px-8">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+          <p className="text-gray-500 mt-4">Loading accounts...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const selectedAccount = accounts.find(account => account._id === selectedAccountId);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <main className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Accounts</h1>
+              <p className="text-gray-600 mt-1">
+                Net balance across open accounts: <span className={`font-semibold ${totalBalance < 0 ? 'text-red-600' : 'text-gray-900'}`}>{formatCurrency(totalBalance)}</span>
+              </p>
+              <UnconvertedCurrencyNotice currencies={unconvertedCurrencies} className="mt-1" />
+            </div>
+            <div className="mt-4 sm:mt-0 flex items-center space-x-4">
+              <label className="flex items-center text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={showArchived}
+                  onChange={(e) => setShowArchived(e.target.checked)}
+                  className="mr-2"
+                />
+                Show archived
+              </label>
+              <button
+                onClick={() => openModal()}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                <PlusIcon className="h-4 w-4 mr-2" />
+                Add Account
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-6 flex items-center">
+            <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {/* Account Cards */}
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
+          {accounts.map((account) => {
+            const TypeIcon = getTypeOption(account.type).icon;
+            return (
+              <div
+                key={account._id}
+                onClick={() => selectAccount(account._id)}
+                className={`bg-white rounded-lg shadow-sm border p-6 cursor-pointer hover:shadow-md transition-shadow ${
+                  account._id === selectedAccountId ? 'border-blue-500' : 'border-gray-200'
+                } ${account.isArchived ? 'opacity-60' : ''}`}
+              >
+                <div className="flex justify-between items-start mb-4">
+                  <div className="flex items-center space-x-3">
+                    <div className="p-2 rounded-lg text-blue-600 bg-blue-50">
+                      <TypeIcon className="h-5 w-5" />
+                    </div>
+                    <div>
+                      <h3 className="text-lg font-semibold text-gray-900">
+                        {account.name}
+                        {account.isDefault && (
+                          <span className="ml-2 text-xs font-medium px-2 py-0.5 rounded-full text-gray-600 bg-gray-100">Default</span>
+                        )}
+                        {account.isArchived && (
+                          <span className="ml-2 text-xs font-medium px-2 py-0.5 rounded-full text-yellow-700 bg-yellow-50">Archived</span>
+                        )}
+                      </h3>
+                      <p className="text-sm text-gray-500">
+                        {getTypeOption(account.type).label}{account.institution ? ` · ${account.institution}` : ''} · {account.currency}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex space-x-1" onClick={(e) => e.stopPropagation()}>
+                    {!account.isArchived && (
+                      <button
+                        onClick={() => setReconcilingAccount(account)}
+                        title="Reconcile"
+                        className="p-2 text-gray-400 hover:text-green-600 hover:bg-green-50 rounded-md transition-colors"
+                      >
+                        <ScaleIcon className="h-4 w-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => openModal(account)}
+                      title="Edit"
+                      className="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-md transition-colors"
+                    >
+                      <PencilIcon className="h-4 w-4" />
+                    </button>
+                    {!account.isDefault && (
+                      <button
+                        onClick={() => handleArchive(account, !account.isArchived)}
+                        title={account.isArchived ? 'Unarchive' : 'Archive'}
+                        className="p-2 text-gray-400 hover:text-yellow-600 hover:bg-yellow-50 rounded-md transition-colors"
+                      >
+                        {account.isArchived ? <ArrowUturnLeftIcon className="h-4 w-4" /> : <ArchiveBoxIcon className="h-4 w-4" />}
+                      </button>
+                    )}
+                    {!account.isDefault && account.transactionCount === 0 && (
+                      <button
+                        onClick={() => handleDelete(account)}
+                        title="Delete"
+                        className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-md transition-colors"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <p className={`text-2xl font-bold ${account.balance < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                  {formatCurrency(account.balance, account.currency)}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {account.transactionCount} transactions · opening balance {formatCurrency(account.openingBalance, account.currency)}
+                </p>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Ledger with running balances */}
+        {selectedAccount && ledger && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">{selectedAccount.name} transactions</h2>
+            </div>
+            {ledger.data.length === 0 ? (
+              <p className="px-6 py-8 text-center text-gray-500">No transactions in this account yet</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {ledger.data.map((transaction) => (
+                      <tr key={transaction._id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {new Date(transaction.date).toLocaleDateString()}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-900">{transaction.description}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{transaction.category}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          <TransactionStatusBadge status={transaction.status} />
+                        </td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${
+                          transaction.type === 'transfer' ? 'text-gray-600' : transaction.type === 'income' ? 'text-green-600' : 'text-red-600'
+                        }`}>
+                          {isCredit(transaction) ? '+' : '-'}{formatCurrency(Math.abs(transaction.amount), selectedAccount.currency)}
+                        </td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${
+                          transaction.runningBalance < 0 ? 'text-red-600' : 'text-gray-900'
+                        }`}>
+                          {formatCurrency(transaction.runningBalance, selectedAccount.currency)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {ledger.pagination.pages > 1 && (
+              <div className="px-6 py-3 border-t border-gray-200 flex justify-between items-center text-sm">
+                <span className="text-gray-500">Page {ledger.pagination.page} of {ledger.pagination.pages}</span>
+                <div className="space-x-2">
+                  <button
+                    onClick={() => setLedgerPage(page => page - 1)}
+                    disabled={ledgerPage <= 1}
+                    className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Previous
+                  </button>
+                  <button
+                    onClick={() => setLedgerPage(page => page + 1)}
+                    disabled={ledgerPage >= ledger.pagination.pages}
+                    className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </main>
+
+      {reconcilingAccount && (
+        <ReconcileAccount
+          account={reconcilingAccount}
+          onClose={() => {
+            // Ticking transactions off changes their status in the ledger
+            if (reconcilingAccount._id === selectedAccountId) fetchLedger(selectedAccountId, ledgerPage);
+            setReconcilingAccount(null);
+          }}
+        />
+      )}
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
+          <div className="bg-white p-6 rounded-lg shadow-xl max-w-md w-full max-h-full overflow-y-auto">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              {editingAccount ? 'Edit Account' : 'Add Account'}
+            </h3>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  maxLength={50}
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  className={inputClassName}
+                  required
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                <select
+                  value={formData.type}
+                  onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+                  className={inputClassName}
+                >
+                  {ACCOUNT_TYPE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Institution</label>
+                <input
+                  type="text"
+                  maxLength={100}
+                  placeholder="e.g. GTBank, Opay"
+                  value={formData.institution}
+                  onChange={(e) => setFormData({ ...formData, institution: e.target.value })}
+                  className={inputClassName}
+                />
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+                  <select
+                    value={formData.currency}
+                    onChange={(e) => setFormData({ ...formData, currency: e.target.value })}
+                    className={inputClassName}
+                  >
+                    {CURRENCY_OPTIONS.map(option => (
+                      <option key={option.code} value={option.code}>{option.code}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Opening balance</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={formData.openingBalance}
+                    onChange={(e) => setFormData({ ...formData, openingBalance: e.target.value })}
+                    className={inputClassName}
+                  />
+                </div>
+              </div>
+              {formData.type === 'credit_card' && (
+                <p className="text-xs text-gray-500">Enter money owed on the card as a negative balance.</p>
+              )}
+
+              <div className="flex justify-end space-x-3 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setShowModal(false)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {editingAccount ? 'Save Changes' : 'Add Account'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Accounts;
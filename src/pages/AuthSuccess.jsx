@@ -1,5 +1,6 @@
 import React, { useEffect } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
+import { setBaseCurrency } from '../utils/currency';
 
 const AuthSuccess = () => {
   const navigate = useNavigate();
@@ -25,6 +26,7 @@ const AuthSuccess = () => {
             email: userData.email,
             avatar: userData.avatar
           }));
+          setBaseCurrency(userData.baseCurrency);
           
           // Initialize token refresh mechanism
           import('../utils/tokenManager.js').then(({ initializeTokenRefresh }) => {
@@ -1,7 +1,43 @@
 import React, { useState, useEffect } from 'react';
-import { PlusIcon, PencilIcon, TrashIcon, ChartBarIcon, TrophyIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
-import { budgetAPI, goalAPI, transactionAPI } from '../utils/api';
+import { PlusIcon, PencilIcon, TrashIcon, ChartBarIcon, PresentationChartLineIcon, XMarkIcon, TrophyIcon, ExclamationTriangleIcon, ChevronLeftIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import { budgetAPI, goalAPI, transactionAPI, categoryAPI, trashAPI } from '../utils/api';
 import { formatCurrency } from '../utils/currency';
+import { displayCategoryName, orderCategories } from '../utils/categories';
+import UndoToast from '../components/ui/UndoToast';
+import EnvelopeBudget from '../components/forms/EnvelopeBudget';
+import BudgetHistoryChart from '../components/charts/BudgetHistoryChart';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const emptyForm = { category: '', amount: '', period: 'monthly', startDay: '', startMonth: '', startDate: '', endDate: '', rollover: 'none', rolloverCap: '', goal: '', goalType: 'save', targetDate: '' };
+
+const ROLLOVER_OPTIONS = [
+  { value: 'none', label: 'Start fresh each period' },
+  { value: 'surplus', label: 'Carry unspent money forward' },
+  { value: 'surplus-and-deficit', label: 'Carry unspent and overspent amounts forward' },
+  { value: 'capped', label: 'Carry unspent money forward, up to a cap' }
+];
+
+// Window days are UTC midnights, like transaction dates
+const formatWindowDay = (value) => new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+
+// An empty start field means the period's usual start (Sunday, the 1st, January). A custom
+// budget runs over its own date range instead.
+const startFields = (data) => (data.period === 'custom'
+  ? { startDay: null, startMonth: null, startDate: data.startDate, endDate: data.endDate }
+  : {
+    startDay: data.startDay === '' ? null : parseInt(data.startDay, 10),
+    startMonth: data.period === 'yearly' && data.startMonth !== '' ? parseInt(data.startMonth, 10) : null
+  });
+
+// A custom budget has a single period, so nothing rolls over
+const rolloverFields = (data) => ({
+  rollover: data.period === 'custom' ? 'none' : data.rollover,
+  rolloverCap: data.period !== 'custom' && data.rollover === 'capped' ? data.rolloverCap : null
+});
+
+const periodName = (period) => (period === 'custom' ? 'Date range' : period);
 
 const Budget = () => {
   const [budgets, setBudgets] = useState([]);
@@ -12,22 +48,22 @@ const Budget = () => {
   const [showGoalModal, setShowGoalModal] = useState(false);
   const [editingBudget, setEditingBudget] = useState(null);
   const [activeTab, setActiveTab] = useState('budgets');
-  const [formData, setFormData] = useState({
-    category: '',
-    amount: '',
-    period: 'monthly',
-    goal: '',
-    goalType: 'save',
-    targetDate: ''
-  });
+  const [formData, setFormData] = useState(emptyForm);
   const [expenseInputs, setExpenseInputs] = useState({});
   const [showExpenseModal, setShowExpenseModal] = useState(false);
   const [selectedBudget, setSelectedBudget] = useState(null);
   const [goals, setGoals] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [undo, setUndo] = useState(null);
+  // Past windows being looked at, by budget ID: { offset, data }
+  const [pastWindows, setPastWindows] = useState({});
+  // Budget whose period-by-period history is open
+  const [historyBudget, setHistoryBudget] = useState(null);
 
   useEffect(() => {
     fetchBudgets();
     fetchGoals();
+    fetchCategories();
   }, []);
 
   const fetchBudgets = async () => {
@@ -38,6 +74,7 @@ const Budget = () => {
       const budgetData = response.data || response;
       // Budgets fetched successfully
       setBudgets(budgetData);
+      setPastWindows({});
     } catch (err) {
       console.error('Error fetching budgets:', err);
       setError('Failed to fetch budgets');
@@ -57,28 +94,65 @@ const Budget = () => {
     }
   };
 
+  const fetchCategories = async () => {
+    try {
+      const response = await categoryAPI.getAll('expense');
+      setCategories(orderCategories(response.data || [], 'expense'));
+    } catch (err) {
+      console.error('Error fetching categories:', err);
+    }
+  };
+
+  // Budgets track spending, so they pick from the expense categories
+  const categoryOptions = categories.map(category => {
+    const name = displayCategoryName(category.name);
+    return (
+      <option key={category._id} value={name}>
+        {category.depth > 0 ? `\u00A0\u00A0${name}` : name}
+      </option>
+    );
+  });
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: value,
+      // A weekday isn't a day of the month, so a new period starts from its usual day
+      ...(name === 'period' ? { startDay: '' } : {})
     }));
   };
 
+  const showWindow = async (budget, offset) => {
+    if (offset === 0) {
+      setPastWindows(prev => ({ ...prev, [budget._id]: undefined }));
+      return;
+    }
+    try {
+      const response = await budgetAPI.getWindow(budget._id, { offset });
+      setPastWindows(prev => ({ ...prev, [budget._id]: { offset, data: response } }));
+    } catch (err) {
+      console.error('Error fetching budget window:', err);
+      setError('Failed to load that budget period');
+    }
+  };
+
   const handleAddBudget = async (e) => {
     e.preventDefault();
     try {
       await budgetAPI.create({
         category: formData.category,
         amount: formData.amount,
-        period: formData.period
+        period: formData.period,
+        ...startFields(formData),
+        ...rolloverFields(formData)
       });
       setShowAddModal(false);
-      setFormData({ category: '', amount: '', period: 'monthly', goal: '', goalType: 'save', targetDate: '' });
+      setFormData(emptyForm);
       fetchBudgets();
     } catch (err) {
       console.error('Error creating budget:', err);
-      setError('Failed to create budget');
+      setError('Failed to create budget: ' + err.message);
     }
   };
 
@@ -95,7 +169,7 @@ const Budget = () => {
     };
     setGoals(prev => [...prev, newGoal]);
     setShowGoalModal(false);
-    setFormData({ category: '', amount: '', period: 'monthly', goal: '', goalType: 'save', targetDate: '' });
+    setFormData(emptyForm);
   };
 
   const handleEditBudget = async (e) => {
@@ -104,28 +178,42 @@ const Budget = () => {
       await budgetAPI.update(editingBudget._id, {
         category: formData.category,
         amount: formData.amount,
-        period: formData.period
+        period: formData.period,
+        ...startFields(formData),
+        ...rolloverFields(formData)
       });
       setShowEditModal(false);
       setEditingBudget(null);
-      setFormData({ category: '', amount: '', period: 'monthly', goal: '', goalType: 'save', targetDate: '' });
+      setFormData(emptyForm);
       fetchBudgets();
     } catch (err) {
       console.error('Error updating budget:', err);
-      setError('Failed to update budget');
+      setError('Failed to update budget: ' + err.message);
     }
   };
 
+  // Deleted budgets go to the Trash, so there's an undo instead of a confirmation
   const handleDeleteBudget = async (budgetId) => {
-    if (window.confirm('Are you sure you want to delete this budget?')) {
-      try {
-        const response = await budgetAPI.delete(budgetId);
-        fetchBudgets();
-      } catch (err) {
-        console.error('Error deleting budget:', err);
-        console.error('Error details:', err.message);
-        setError('Failed to delete budget: ' + err.message);
-      }
+    try {
+      const response = await budgetAPI.delete(budgetId);
+      setUndo({ message: response.message, ids: [budgetId] });
+      fetchBudgets();
+    } catch (err) {
+      console.error('Error deleting budget:', err);
+      console.error('Error details:', err.message);
+      setError('Failed to delete budget: ' + err.message);
+    }
+  };
+
+  const handleUndoDelete = async () => {
+    const { ids } = undo;
+    setUndo(null);
+    try {
+      await trashAPI.restore('budgets', ids);
+      fetchBudgets();
+    } catch (err) {
+      console.error('Error restoring budget:', err);
+      setError('Failed to restore budget: ' + err.message);
     }
   };
 
@@ -157,7 +245,7 @@ const Budget = () => {
         await transactionAPI.create({
           type: 'expense',
           amount: amount,
-          category: budget.category,
+          category: displayCategoryName(budget.category),
           description: `Budget expense - ${budget.category}`,
           date: new Date().toISOString().split('T')[0]
         });
@@ -192,9 +280,16 @@ const Budget = () => {
   const openEditModal = (budget) => {
     setEditingBudget(budget);
     setFormData({
-      category: budget.category,
+      category: displayCategoryName(budget.category),
       amount: budget.amount.toString(),
       period: budget.period || 'monthly',
+      // The period's usual start is the form's empty choice
+      startDay: [undefined, null, budget.period === 'weekly' ? 0 : 1].includes(budget.startDay) ? '' : budget.startDay,
+      startMonth: [undefined, null, 1].includes(budget.startMonth) ? '' : budget.startMonth,
+      startDate: budget.period === 'custom' && budget.window ? budget.window.startDate.slice(0, 10) : '',
+      endDate: budget.period === 'custom' && budget.window ? budget.window.endDate.slice(0, 10) : '',
+      rollover: budget.rollover || 'none',
+      rolloverCap: budget.rolloverCap ? budget.rolloverCap.toString() : '',
       goal: '',
       goalType: 'save',
       targetDate: ''
@@ -238,16 +333,161 @@ const Budget = () => {
     }
   };
 
-  const renderBudgetCard = (budget) => {
-    // Rendering budget card
+  // When each window of the budget's period starts, or a custom budget's dates, for its Add/Edit form
+  const renderStartFields = () => (formData.period === 'custom' ? (
+    <div className="grid grid-cols-2 gap-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+        <input
+          type="date"
+          name="startDate"
+          value={formData.startDate}
+          onChange={handleInputChange}
+          required
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+        <input
+          type="date"
+          name="endDate"
+          value={formData.endDate}
+          onChange={handleInputChange}
+          min={formData.startDate || undefined}
+          required
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+      <p className="col-span-2 -mt-2 text-xs text-gray-500">
+        Spending in this category between these dates counts here, and in any weekly, monthly or yearly budget for it too.
+      </p>
+    </div>
+  ) : (
+    <div className={formData.period === 'yearly' ? 'grid grid-cols-2 gap-4' : ''}>
+      {formData.period === 'yearly' && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Starts in</label>
+          <select
+            name="startMonth"
+            value={formData.startMonth}
+            onChange={handleInputChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">January</option>
+            {MONTHS.slice(1).map((month, index) => (
+              <option key={month} value={index + 2}>{month}</option>
+            ))}
+          </select>
+        </div>
+      )}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          {formData.period === 'weekly' ? 'Week starts on' : 'Starts on day'}
+        </label>
+        <select
+          name="startDay"
+          value={formData.startDay}
+          onChange={handleInputChange}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {formData.period === 'weekly'
+            ? WEEKDAYS.map((weekday, index) => (
+              <option key={weekday} value={index === 0 ? '' : index}>{weekday}</option>
+            ))
+            : Array.from({ length: 31 }, (_, index) => (
+              <option key={index} value={index === 0 ? '' : index + 1}>{index + 1}</option>
+            ))}
+        </select>
+        {formData.period !== 'weekly' && (
+          <p className="mt-1 text-xs text-gray-500">E.g. 25 for a budget that runs payday to payday. Short months start on their last day.</p>
+        )}
+      </div>
+    </div>
+  ));
+
+  // What happens to what's left (or overspent) at the end of each period
+  const renderRolloverFields = () => (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">At the end of each period</label>
+        <select
+          name="rollover"
+          value={formData.rollover}
+          onChange={handleInputChange}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {ROLLOVER_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+      {formData.rollover === 'capped' && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Carry at most</label>
+          <input
+            type="number"
+            name="rolloverCap"
+            value={formData.rolloverCap}
+            onChange={handleInputChange}
+            required
+            min="0.01"
+            step="0.01"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder="0.00"
+          />
+        </div>
+      )}
+    </div>
+  );
+
+  const renderBudgetCard = (currentBudget) => {
+    // A past window, if one is being looked at, shows in place of the current one
+    const past = pastWindows[currentBudget._id];
+    const offset = past ? past.offset : 0;
+    const budget = past ? past.data : currentBudget;
+    // What the period has to spend: the budget plus whatever earlier periods carried in
+    const available = budget.available ?? budget.amount;
+    // The server's percentage copes with nothing (or less) being available
+    const progress = budget.percentage ?? calculateProgress(budget.spent || 0, available);
     return (
       <div key={budget._id} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 sm:p-6 hover:shadow-md transition-shadow">
       <div className="flex flex-col sm:flex-row sm:justify-between sm:items-start mb-4">
         <div className="flex-1">
-          <h3 className="text-lg font-semibold text-gray-900 mb-1">{budget.category}</h3>
-          <p className="text-sm text-gray-500 capitalize">{budget.period} budget</p>
+          <h3 className="text-lg font-semibold text-gray-900 mb-1">{displayCategoryName(budget.category)}</h3>
+          <p className="text-sm text-gray-500 capitalize">{periodName(budget.period)} budget</p>
+          {budget.window && (
+            <div className="flex items-center space-x-1 mt-1 text-xs text-gray-500">
+              {budget.period !== 'custom' && (
+                <button
+                  onClick={() => showWindow(currentBudget, offset - 1)}
+                  className="p-0.5 rounded hover:bg-gray-100 hover:text-gray-700"
+                  title="Previous period"
+                >
+                  <ChevronLeftIcon className="h-3 w-3" />
+                </button>
+              )}
+              <span>{formatWindowDay(budget.window.startDate)} – {formatWindowDay(budget.window.endDate)}</span>
+              {offset < 0 && (
+                <button
+                  onClick={() => showWindow(currentBudget, offset + 1)}
+                  className="p-0.5 rounded hover:bg-gray-100 hover:text-gray-700"
+                  title="Next period"
+                >
+                  <ChevronRightIcon className="h-3 w-3" />
+                </button>
+              )}
+            </div>
+          )}
         </div>
         <div className="flex items-center space-x-2 mt-2 sm:mt-0">
+          <button
+            onClick={() => setHistoryBudget(currentBudget)}
+            className="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-md transition-colors"
+            title="History"
+          >
+            <PresentationChartLineIcon className="h-4 w-4" />
+          </button>
           <button
             onClick={() => openEditModal(budget)}
             className="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-md transition-colors"
@@ -272,10 +512,24 @@ const Budget = () => {
           <span className="text-gray-600">Budget</span>
           <span className="font-medium">{formatCurrency(budget.amount)}</span>
         </div>
+        {budget.carriedIn ? (
+          <>
+            <div className="flex justify-between items-center text-sm">
+              <span className="text-gray-600">{budget.carriedIn > 0 ? 'Carried over' : 'Overspent last period'}</span>
+              <span className={`font-medium ${budget.carriedIn > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {budget.carriedIn > 0 ? '+' : '-'}{formatCurrency(Math.abs(budget.carriedIn))}
+              </span>
+            </div>
+            <div className="flex justify-between items-center text-sm">
+              <span className="text-gray-600">Available</span>
+              <span className="font-medium">{formatCurrency(available)}</span>
+            </div>
+          </>
+        ) : null}
         <div className="flex justify-between items-center text-sm">
           <span className="text-gray-600">Remaining</span>
           <span className={`font-medium ${(budget.remaining || 0) >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-            {formatCurrency(budget.remaining || (budget.amount - (budget.spent || 0)))}
+            {formatCurrency(budget.remaining ?? (available - (budget.spent || 0)))}
           </span>
         </div>
         
@@ -284,20 +538,21 @@ const Budget = () => {
           <div className="flex justify-between items-center mb-2">
             <span className="text-xs text-gray-500">Progress</span>
             <span className="text-xs font-medium text-gray-700">
-              {calculateProgress(budget.spent || 0, budget.amount)}%
+              {progress}%
             </span>
           </div>
           <div className="w-full bg-gray-200 rounded-full h-2">
             <div 
               className={`h-2 rounded-full transition-all duration-300 ${
-                getProgressColor(budget.spent || 0, budget.amount)
+                getProgressColor(progress, 100)
               }`}
-              style={{ width: `${Math.min(calculateProgress(budget.spent || 0, budget.amount), 100)}%` }}
+              style={{ width: `${Math.min(progress, 100)}%` }}
             ></div>
           </div>
         </div>
 
         {/* Expense Input Section */}
+        {offset === 0 && (
         <div className="border-t pt-3 mt-4">
           <div className="flex items-center space-x-2">
             <input
@@ -318,6 +573,7 @@ const Budget = () => {
             </button>
           </div>
         </div>
+        )}
       </div>
     </div>
     );
@@ -335,7 +591,7 @@ const Budget = () => {
               <h3 className="text-lg font-semibold text-gray-900">{goal.title}</h3>
               <span className={`text-lg ${status.color}`}>{status.icon}</span>
             </div>
-            <p className="text-sm text-gray-500">{goal.category} • Due: {new Date(goal.targetDate).toLocaleDateString()}</p>
+            <p className="text-sm text-gray-500">{displayCategoryName(goal.category)} • Due: {new Date(goal.targetDate).toLocaleDateString()}</p>
             <p className={`text-xs font-medium mt-1 ${status.color}`}>
               {status.status.charAt(0).toUpperCase() + status.status.slice(1).replace('-', ' ')}
             </p>
@@ -457,6 +713,16 @@ const Budget = () => {
           >
             🎯 Goals
           </button>
+          <button
+            className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${
+              activeTab === 'envelopes' 
+                ? 'bg-white text-blue-600 shadow-sm' 
+                : 'text-gray-600 hover:text-gray-900'
+            }`}
+            onClick={() => setActiveTab('envelopes')}
+          >
+            ✉️ Envelopes
+          </button>
         </div>
 
         {/* Budget Summary */}
@@ -464,8 +730,9 @@ const Budget = () => {
           <div className="bg-white shadow-sm rounded-lg mb-6 p-4 sm:p-6">
             <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
               <ChartBarIcon className="h-5 w-5 mr-2" />
-              Monthly Budget Summary
+              Budget Summary
             </h2>
+            <p className="text-sm text-gray-500 -mt-3 mb-4">Each budget's current week, month or year, or its date range</p>
             <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
               <div className="bg-blue-50 p-4 rounded-lg">
                 <p className="text-sm text-blue-600 font-medium">Total Budgeted</p>
@@ -482,7 +749,7 @@ const Budget = () => {
               <div className="bg-green-50 p-4 rounded-lg">
                 <p className="text-sm text-green-600 font-medium">Total Remaining</p>
                 <p className="text-xl sm:text-2xl font-bold text-green-900">
-                  {budgets.length > 0 ? formatCurrency(budgets.reduce((sum, budget) => sum + (budget.remaining || (budget.amount - (budget.spent || 0))), 0)) : formatCurrency(0)}
+                  {budgets.length > 0 ? formatCurrency(budgets.reduce((sum, budget) => sum + (budget.remaining ?? (budget.amount - (budget.spent || 0))), 0)) : formatCurrency(0)}
                 </p>
               </div>
             </div>
@@ -513,6 +780,8 @@ const Budget = () => {
               </div>
             )}
           </div>
+        ) : activeTab === 'envelopes' ? (
+          <EnvelopeBudget categories={categories} />
         ) : (
           <div>
             {goals.length === 0 ? (
@@ -555,13 +824,7 @@ const Budget = () => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
                   <option value="">Select a category</option>
-                  <option value="Food">Food</option>
-                  <option value="Transportation">Transportation</option>
-                  <option value="Entertainment">Entertainment</option>
-                  <option value="Utilities">Utilities</option>
-                  <option value="Shopping">Shopping</option>
-                  <option value="Healthcare">Healthcare</option>
-                  <option value="Other">Other</option>
+                  {categoryOptions}
                 </select>
               </div>
               <div>
@@ -589,8 +852,11 @@ const Budget = () => {
                   <option value="monthly">Monthly</option>
                   <option value="weekly">Weekly</option>
                   <option value="yearly">Yearly</option>
+                  <option value="custom">Date range</option>
                 </select>
               </div>
+              {renderStartFields()}
+              {formData.period !== 'custom' && renderRolloverFields()}
               <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-3 pt-4">
                 <button
                   type="submit"
@@ -652,13 +918,7 @@ const Budget = () => {
                 >
                   <option value="">Select a category</option>
                   <option value="Savings">Savings</option>
-                  <option value="Food">Food</option>
-                  <option value="Transportation">Transportation</option>
-                  <option value="Entertainment">Entertainment</option>
-                  <option value="Utilities">Utilities</option>
-                  <option value="Shopping">Shopping</option>
-                  <option value="Healthcare">Healthcare</option>
-                  <option value="Other">Other</option>
+                  {categoryOptions}
                 </select>
               </div>
               <div>
@@ -723,13 +983,7 @@ const Budget = () => {
                   required
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
-                  <option value="Food">Food</option>
-                  <option value="Transportation">Transportation</option>
-                  <option value="Entertainment">Entertainment</option>
-                  <option value="Utilities">Utilities</option>
-                  <option value="Shopping">Shopping</option>
-                  <option value="Healthcare">Healthcare</option>
-                  <option value="Other">Other</option>
+                  {categoryOptions}
                 </select>
               </div>
               <div>
@@ -756,8 +1010,11 @@ const Budget = () => {
                   <option value="monthly">Monthly</option>
                   <option value="weekly">Weekly</option>
                   <option value="yearly">Yearly</option>
+                  <option value="custom">Date range</option>
                 </select>
               </div>
+              {renderStartFields()}
+              {formData.period !== 'custom' && renderRolloverFields()}
               <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-3 pt-4">
                 <button
                   type="submit"
@@ -777,6 +1034,32 @@ const Budget = () => {
           </div>
         </div>
       )}
+
+      {/* Budget History Modal */}
+      {historyBudget && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
+          <div className="bg-white p-6 rounded-lg shadow-xl max-w-3xl w-full max-h-full overflow-y-auto">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">{displayCategoryName(historyBudget.category)} History</h3>
+                <p className="text-sm text-gray-500 capitalize">{periodName(historyBudget.period)} budget{historyBudget.period !== 'custom' && ', last 12 periods'}</p>
+              </div>
+              <button onClick={() => setHistoryBudget(null)} className="text-gray-400 hover:text-gray-600">
+                <XMarkIcon className="h-5 w-5" />
+              </button>
+            </div>
+            <BudgetHistoryChart budgetId={historyBudget._id} />
+          </div>
+        </div>
+      )}
+
+      {undo && (
+        <UndoToast
+          message={undo.message}
+          onUndo={handleUndoDelete}
+          onDismiss={() => setUndo(null)}
+        />
+      )}
     </div>
   );
 };
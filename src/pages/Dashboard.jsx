@@ -1,10 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { dashboardAPI, goalAPI } from '../utils/api';
+import { dashboardAPI, goalAPI, categoryAPI } from '../utils/api';
+import { buildCategoryColors } from '../utils/categories';
 import BudgetChart from '../components/charts/BudgetChart';
 import ExpenseChart from '../components/charts/ExpenseChart';
 import IncomeChart from '../components/charts/IncomeChart';
+import TagBreakdown from '../components/charts/TagBreakdown';
+import PayeeBreakdown from '../components/charts/PayeeBreakdown';
 import { FullPageLoader, CardSkeleton, ChartSkeleton } from '../components/ui/LoadingSpinner';
+import UnconvertedCurrencyNotice from '../components/ui/UnconvertedCurrencyNotice';
 import { formatCurrency } from '../utils/currency';
 import {
   BanknotesIcon,
@@ -44,11 +48,19 @@ const Dashboard = () => {
   const [activeChartType, setActiveChartType] = useState('budget');
   const [chartViewType, setChartViewType] = useState('pie');
   const [selectedPeriod, setSelectedPeriod] = useState('monthly');
+  const [categories, setCategories] = useState([]);
 
   useEffect(() => {
     fetchDashboardData();
   }, [selectedPeriod]);
 
+  // Charts colour each category with the colour the user picked for it
+  useEffect(() => {
+    categoryAPI.getAll()
+      .then(response => setCategories(response.data || []))
+      .catch(err => console.error('Error fetching categories:', err));
+  }, []);
+
   const fetchDashboardData = async () => {
     try {
       setIsLoading(true);
@@ -143,8 +155,13 @@ const Dashboard = () => {
     }
   };
 
+  // Budget windows are whole UTC days, like transaction dates
+  const formatWindowDay = (value) => new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+  // Measured against what the period has after rollover; the server's percentage copes with
+  // nothing being available
   const getBudgetProgress = (budget) => {
-    return Math.min(Math.round(((budget.spent || 0) / budget.amount) * 100), 100);
+    return budget.percentage ?? Math.min(Math.round(((budget.spent || 0) / budget.amount) * 100), 100);
   };
 
   const getBudgetColor = (budget) => {
@@ -196,6 +213,8 @@ const Dashboard = () => {
           </div>
         )}
 
+        <UnconvertedCurrencyNotice currencies={dashboardData.financialSummary.unconvertedCurrencies} className="mb-4" />
+
         {/* Quick Stats Cards */}
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 sm:gap-6 mb-6 animate-slide-in-up" style={{ animationDelay: '0.1s' }}>
           <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 sm:p-6 card-hover animate-fade-in-scale">
@@ -340,10 +359,12 @@ const Dashboard = () => {
               {activeChartType === 'budget' && (
                 <BudgetChart 
                   type={chartViewType} 
+                  categoryColors={buildCategoryColors(categories, 'expense')}
                   budgetData={dashboardData.budgetOverview.map((budget, index) => ({
                     key: budget._id || budget.category || index,
                     category: budget.category,
                     budgeted: budget.amount,
+                    available: budget.available ?? budget.amount,
                     spent: budget.spent || 0,
                     remaining: budget.remaining || (budget.amount - (budget.spent || 0))
                   }))}
@@ -352,12 +373,14 @@ const Dashboard = () => {
               {activeChartType === 'expense' && (
                 <ExpenseChart 
                   type={chartViewType} 
+                  categoryColors={buildCategoryColors(categories, 'expense')}
                   expenseData={analyticsData.expenses?.monthlyData || []}
                 />
               )}
               {activeChartType === 'income' && (
                 <IncomeChart 
                   type={chartViewType} 
+                  categoryColors={buildCategoryColors(categories, 'income')}
                   incomeData={analyticsData.income?.monthlyData || []}
                 />
               )}
@@ -440,7 +463,7 @@ const Dashboard = () => {
                       <div className={`text-sm font-medium ${
                         transaction.type === 'income' ? 'text-green-600' : 'text-red-600'
                       }`}>
-                        {transaction.type === 'income' ? '+' : '-'}{formatCurrency(Math.abs(transaction.amount))}
+                        {transaction.type === 'income' ? '+' : '-'}{formatCurrency(Math.abs(transaction.amount), transaction.currency)}
                       </div>
                     </div>
                   ))
@@ -548,14 +571,17 @@ const Dashboard = () => {
                 ) : (
                   dashboardData.budgetOverview.map((budget) => {
                     const progress = getBudgetProgress(budget);
-                    const remaining = budget.amount - (budget.spent || 0);
+                    const remaining = (budget.available ?? budget.amount) - (budget.spent || 0);
                     
                     return (
                       <div key={budget._id} className="p-3 bg-gray-50 rounded-lg">
                         <div className="flex justify-between items-start mb-2">
                           <div>
                             <p className="text-sm font-medium text-gray-900">{budget.category}</p>
-                            <p className="text-xs text-gray-500 capitalize">{budget.period}</p>
+                            <p className="text-xs text-gray-500">
+                              <span className="capitalize">{budget.period}</span>
+                              {budget.window && ` · ${formatWindowDay(budget.window.startDate)} – ${formatWindowDay(budget.window.endDate)}`}
+                            </p>
                           </div>
                           <span className={`text-xs font-medium ${getBudgetColor(budget)}`}>
                             {progress}%
@@ -563,7 +589,10 @@ const Dashboard = () => {
                         </div>
                         <div className="flex justify-between items-center text-xs text-gray-600 mb-2">
                           <span>Spent: {formatCurrency(budget.spent || 0)}</span>
-                          <span>Budget: {formatCurrency(budget.amount)}</span>
+                          <span>
+                            Budget: {formatCurrency(budget.available ?? budget.amount)}
+                            {budget.carriedIn ? ` (${budget.carriedIn > 0 ? '+' : '-'}${formatCurrency(Math.abs(budget.carriedIn))} carried)` : ''}
+                          </span>
                         </div>
                         <div className="w-full bg-gray-200 rounded-full h-2 mb-2">
                           <div 
@@ -584,6 +613,18 @@ const Dashboard = () => {
                 )}
               </div>
             </div>
+
+            {/* Spending by Tag */}
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 sm:p-6 card-hover animate-slide-in-up" style={{ animationDelay: '0.9s' }}>
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Spending by Tag</h2>
+              <TagBreakdown categoryColors={buildCategoryColors(categories, 'expense')} />
+            </div>
+
+            {/* Top Payees */}
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 sm:p-6 card-hover animate-slide-in-up" style={{ animationDelay: '1s' }}>
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Top Payees</h2>
+              <PayeeBreakdown categoryColors={buildCategoryColors(categories, 'expense')} />
+            </div>
           </div>
         </div>
       </main>
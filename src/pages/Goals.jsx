@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
-import { goalAPI } from '../utils/api';
+import { goalAPI, categoryAPI, trashAPI } from '../utils/api';
 import { formatCurrency } from '../utils/currency';
+import { displayCategoryName } from '../utils/categories';
+import UndoToast from '../components/ui/UndoToast';
 import {
   TrophyIcon,
   PlusIcon,
@@ -22,6 +24,7 @@ const Goals = () => {
   const [showModal, setShowModal] = useState(false);
   const [editingGoal, setEditingGoal] = useState(null);
   const [filter, setFilter] = useState('all');
+  const [undo, setUndo] = useState(null);
   const [formData, setFormData] = useState({
     title: '',
     description: '',
@@ -31,12 +34,17 @@ const Goals = () => {
     targetDate: '',
     priority: 'medium'
   });
+  const [categoryNames, setCategoryNames] = useState([]);
 
   useEffect(() => {
     fetchGoals();
     fetchStats();
   }, [filter]);
 
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
   const fetchGoals = async () => {
     try {
       setIsLoading(true);
@@ -54,6 +62,16 @@ const Goals = () => {
     }
   };
 
+  // Suggested from the user's categories, though goals can use any name
+  const fetchCategories = async () => {
+    try {
+      const response = await categoryAPI.getAll();
+      setCategoryNames([...new Set((response.data || []).map(category => displayCategoryName(category.name)))]);
+    } catch (err) {
+      console.error('Error fetching categories:', err);
+    }
+  };
+
   const fetchStats = async () => {
     try {
       const response = await goalAPI.getStats();
@@ -109,7 +127,7 @@ const Goals = () => {
       title: goal.title,
       description: goal.description || '',
       type: goal.type,
-      category: goal.category,
+      category: displayCategoryName(goal.category),
       targetAmount: goal.targetAmount.toString(),
       targetDate: goal.targetDate.split('T')[0],
       priority: goal.priority
@@ -117,18 +135,31 @@ const Goals = () => {
     setShowModal(true);
   };
 
+  // Deleted goals go to the Trash, so there's an undo instead of a confirmation
   const handleDelete = async (goalId) => {
-    if (window.confirm('Are you sure you want to delete this goal?')) {
-      try {
-        const response = await goalAPI.delete(goalId);
-        if (response.success) {
-          fetchGoals();
-          fetchStats();
-        }
-      } catch (err) {
-        console.error('Error deleting goal:', err);
-        setError('Failed to delete goal');
+    try {
+      const response = await goalAPI.delete(goalId);
+      if (response.success) {
+        setUndo({ message: response.message, ids: [goalId] });
+        fetchGoals();
+        fetchStats();
       }
+    } catch (err) {
+      console.error('Error deleting goal:', err);
+      setError('Failed to delete goal');
+    }
+  };
+
+  const handleUndoDelete = async () => {
+    const { ids } = undo;
+    setUndo(null);
+    try {
+      await trashAPI.restore('goals', ids);
+      fetchGoals();
+      fetchStats();
+    } catch (err) {
+      console.error('Error restoring goal:', err);
+      setError(err.message || 'Failed to restore goal');
     }
   };
 
@@ -362,7 +393,7 @@ const Goals = () => {
                     </div>
                     <div>
                       <h3 className="text-lg font-semibold text-gray-900">{goal.title}</h3>
-                      <p className="text-sm text-gray-500">{goal.category}</p>
+                      <p className="text-sm text-gray-500">{displayCategoryName(goal.category)}</p>
                     </div>
                   </div>
                   <div className="flex space-x-2">
@@ -562,8 +593,14 @@ const Goals = () => {
                   onChange={(e) => setFormData({ ...formData, category: e.target.value })}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                   placeholder="e.g., Emergency Fund, Vacation, Debt Reduction"
+                  list="goal-category-options"
                   required
                 />
+                <datalist id="goal-category-options">
+                  {categoryNames.map(name => (
+                    <option key={name} value={name} />
+                  ))}
+                </datalist>
               </div>
               
               <div className="grid grid-cols-2 gap-4">
@@ -614,6 +651,14 @@ const Goals = () => {
           </div>
         </div>
       )}
+
+      {undo && (
+        <UndoToast
+          message={undo.message}
+          onUndo={handleUndoDelete}
+          onDismiss={() => setUndo(null)}
+        />
+      )}
     </div>
   );
 };
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { authAPI } from '../utils/api';
 import { initializeTokenRefresh } from '../utils/tokenManager';
+import { setBaseCurrency } from '../utils/currency';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -98,6 +99,7 @@ const Login = () => {
         name: userData.name,
         email: userData.email
       }));
+      setBaseCurrency(userData.baseCurrency);
       
       // Initialize token refresh mechanism
       initializeTokenRefresh();
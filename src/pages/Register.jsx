@@ -2,6 +2,7 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { authAPI } from '../utils/api';
+import { setBaseCurrency } from '../utils/currency';
 
 const Register = () => {
   const [formData, setFormData] = useState({
@@ -81,6 +82,7 @@ const Register = () => {
           name: response.name,
           email: response.email
         }));
+        setBaseCurrency(response.baseCurrency);
         
         // Initialize token refresh mechanism
         const { initializeTokenRefresh } = await import('../utils/tokenManager.js');
@@ -1,6 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { useNotifications } from '../contexts/NotificationContext';
-import { authenticatedApiRequest } from '../utils/api';
+import { authenticatedApiRequest, authAPI } from '../utils/api';
+import { CURRENCY_OPTIONS, getBaseCurrency, setBaseCurrency } from '../utils/currency';
+import CategoryManager from '../components/settings/CategoryManager';
+import CategoryRuleManager from '../components/settings/CategoryRuleManager';
+import PayeeManager from '../components/settings/PayeeManager';
+import ExchangeRateManager from '../components/settings/ExchangeRateManager';
 
 const Settings = () => {
   const [activeTab, setActiveTab] = useState('preferences');
@@ -41,7 +46,7 @@ const Settings = () => {
   // Load saved preferences on component mount
   useEffect(() => {
     const savedTheme = localStorage.getItem('theme') || 'light';
-    const savedCurrency = localStorage.getItem('currency') || 'NGN';
+    const savedCurrency = getBaseCurrency();
     const savedNotifications = localStorage.getItem('notifications') !== 'false';
     
     setPreferences(prev => ({
@@ -50,6 +55,16 @@ const Settings = () => {
       currency: savedCurrency,
       notifications: savedNotifications
     }));
+
+    // The base currency lives on the account; pick up a change made on another device
+    authAPI.getProfile()
+      .then(profile => {
+        if (profile.baseCurrency) {
+          setBaseCurrency(profile.baseCurrency);
+          setPreferences(prev => ({ ...prev, currency: profile.baseCurrency }));
+        }
+      })
+      .catch(error => console.error('Error loading profile:', error));
   }, []);
 
   const handlePreferenceChange = (e) => {
@@ -63,12 +78,34 @@ const Settings = () => {
 
     // Save to localStorage immediately for certain preferences
     if (name === 'currency') {
-      localStorage.setItem('currency', value);
+      handleBaseCurrencyChange(value);
     } else if (name === 'notifications') {
       localStorage.setItem('notifications', checked.toString());
     }
   };
 
+  // Totals are converted on the server, so the base currency is saved to the account
+  const handleBaseCurrencyChange = async (currency) => {
+    const previous = getBaseCurrency();
+    try {
+      await authAPI.updateProfile({ baseCurrency: currency });
+      setBaseCurrency(currency);
+      addNotification({
+        type: 'success',
+        title: 'Base Currency Updated',
+        message: `Totals, budgets and reports are now shown in ${currency}. Add exchange rates for your other currencies.`
+      });
+    } catch (error) {
+      console.error('Error saving base currency:', error);
+      setPreferences(prev => ({ ...prev, currency: previous }));
+      addNotification({
+        type: 'error',
+        title: 'Save Failed',
+        message: error.message || 'Failed to change your base currency.'
+      });
+    }
+  };
+
   const handleSavePreferences = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -227,7 +264,7 @@ const Settings = () => {
           
           <div className="grid grid-cols-1 gap-y-6 gap-x-4 sm:grid-cols-6">
             <div className="sm:col-span-3">
-              <label htmlFor="currency" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Currency</label>
+              <label htmlFor="currency" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Base currency</label>
               <select
                 id="currency"
                 name="currency"
@@ -235,13 +272,13 @@ const Settings = () => {
                 onChange={handlePreferenceChange}
                 className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-gray-900 dark:text-white focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
               >
-                <option value="NGN">NGN - Nigerian Naira</option>
-                <option value="USD">USD - US Dollar</option>
-                <option value="EUR">EUR - Euro</option>
-                <option value="GBP">GBP - British Pound</option>
-                <option value="JPY">JPY - Japanese Yen</option>
-                <option value="CAD">CAD - Canadian Dollar</option>
+                {CURRENCY_OPTIONS.map(option => (
+                  <option key={option.code} value={option.code}>{option.code} - {option.name}</option>
+                ))}
               </select>
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                Totals, budgets and reports are converted into this currency. Each account keeps its own.
+              </p>
             </div>
             
             <div className="sm:col-span-3">
@@ -466,6 +503,30 @@ const Settings = () => {
                 >
                   Preferences
                 </button>
+                <button
+                  onClick={() => setActiveTab('categories')}
+                  className={`${activeTab === 'categories' ? 'border-blue-500 text-blue-600 dark:text-blue-400' : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300 hover:border-gray-300 dark:hover:border-slate-600'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+                >
+                  Categories
+                </button>
+                <button
+                  onClick={() => setActiveTab('rules')}
+                  className={`${activeTab === 'rules' ? 'border-blue-500 text-blue-600 dark:text-blue-400' : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300 hover:border-gray-300 dark:hover:border-slate-600'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+                >
+                  Rules
+                </button>
+                <button
+                  onClick={() => setActiveTab('payees')}
+                  className={`${activeTab === 'payees' ? 'border-blue-500 text-blue-600 dark:text-blue-400' : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300 hover:border-gray-300 dark:hover:border-slate-600'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+                >
+                  Payees
+                </button>
+                <button
+                  onClick={() => setActiveTab('rates')}
+                  className={`${activeTab === 'rates' ? 'border-blue-500 text-blue-600 dark:text-blue-400' : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300 hover:border-gray-300 dark:hover:border-slate-600'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+                >
+                  Exchange Rates
+                </button>
                 <button
                   onClick={() => setActiveTab('data')}
                   className={`${activeTab === 'data' ? 'border-blue-500 text-blue-600 dark:text-blue-400' : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300 hover:border-gray-300 dark:hover:border-slate-600'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
@@ -476,7 +537,12 @@ const Settings = () => {
             </div>
             
             <div className="px-4 py-5 sm:p-6">
-              {activeTab === 'preferences' ? renderPreferencesTab() : renderDataTab()}
+              {activeTab === 'preferences' && renderPreferencesTab()}
+              {activeTab === 'categories' && <CategoryManager />}
+              {activeTab === 'rules' && <CategoryRuleManager />}
+              {activeTab === 'payees' && <PayeeManager />}
+              {activeTab === 'rates' && <ExchangeRateManager />}
+              {activeTab === 'data' && renderDataTab()}
             </div>
           </div>
         </div>
@@ -1,48 +1,71 @@
 import React, { useState, useEffect } from 'react';
-import { PlusIcon, PencilIcon, TrashIcon, EyeIcon } from '@heroicons/react/24/outline';
-import { transactionAPI } from '../utils/api';
-import { formatCurrency } from '../utils/currency';
+import { PlusIcon, PencilIcon, TrashIcon, EyeIcon, PaperClipIcon } from '@heroicons/react/24/outline';
+import { transactionAPI, recurringAPI, accountAPI, categoryAPI, trashAPI, payeeAPI } from '../utils/api';
+import { formatCurrency, getCurrencySymbol } from '../utils/currency';
+import { displayCategoryName, orderCategories } from '../utils/categories';
+import TransactionImportForm from '../components/forms/TransactionImportForm';
+import BankAlertImportForm from '../components/forms/BankAlertImportForm';
+import RecurringTransactionForm, { describeFrequency } from '../components/forms/RecurringTransactionForm';
+import TransferForm from '../components/forms/TransferForm';
+import { TRANSACTION_ADDED_EVENT } from '../components/forms/QuickAddBar';
+import DuplicateReview from '../components/forms/DuplicateReview';
+import AttachmentManager, { openAttachment } from '../components/forms/AttachmentManager';
+import AttachmentThumbnail from '../components/ui/AttachmentThumbnail';
+import UndoToast from '../components/ui/UndoToast';
+import TagInput from '../components/forms/TagInput';
+import PayeePicker from '../components/forms/PayeePicker';
+import BulkActionBar from '../components/forms/BulkActionBar';
+import TransactionHistory from '../components/forms/TransactionHistory';
+import TransactionStatusBadge from '../components/ui/TransactionStatusBadge';
+import UnconvertedCurrencyNotice from '../components/ui/UnconvertedCurrencyNotice';
+import SplitLinesEditor, { SPLIT_CATEGORY, emptySplitLine, getUnallocated } from '../components/forms/SplitLinesEditor';
+
+// Transactions per page
+const PAGE_SIZE = 25;
+
+// Receipt thumbnails shown in a table row before the rest are summarised as "+N"
+const MAX_ROW_THUMBNAILS = 3;
 
 const Transactions = () => {
   const [transactions, setTransactions] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [showAddForm, setShowAddForm] = useState(false);
+  const [showImportForm, setShowImportForm] = useState(false);
+  const [showAlertImport, setShowAlertImport] = useState(false);
+  const [recurringSource, setRecurringSource] = useState(null);
+  const [schedules, setSchedules] = useState([]);
+  const [upcoming, setUpcoming] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [transferForm, setTransferForm] = useState(null);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [duplicateWarning, setDuplicateWarning] = useState(null);
+  const [attachmentsFor, setAttachmentsFor] = useState(null);
+  const [historyFor, setHistoryFor] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [allMatchingSelected, setAllMatchingSelected] = useState(false);
+  const [isBulkWorking, setIsBulkWorking] = useState(false);
+  const [notice, setNotice] = useState('');
+  const [undo, setUndo] = useState(null);
   
-  // Predefined categories for better organization
+  const [categoryList, setCategoryList] = useState([]);
+  const [payees, setPayees] = useState([]);
+
+  // The user's category names per type, parents followed by their subcategories
   const categories = {
-    expense: [
-      'Food',
-      'Transportation',
-      'Shopping',
-      'Entertainment',
-      'Bills & Utilities',
-      'Healthcare',
-      'Education',
-      'Travel',
-      'Home & Garden',
-      'Personal Care',
-      'Insurance',
-      'Taxes',
-      'Other'
-    ],
-    income: [
-      'Salary',
-      'Freelance',
-      'Business',
-      'Investment',
-      'Rental',
-      'Gift',
-      'Bonus',
-      'Other'
-    ]
+    expense: orderCategories(categoryList, 'expense').map(category => displayCategoryName(category.name)),
+    income: orderCategories(categoryList, 'income').map(category => displayCategoryName(category.name))
   };
   const [formData, setFormData] = useState({
     description: '',
     amount: '',
     category: '',
     type: 'expense',
-    date: new Date().toISOString().split('T')[0]
+    date: new Date().toISOString().split('T')[0],
+    accountId: '',
+    payeeId: '',
+    splits: [],
+    tags: []
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showEditForm, setShowEditForm] = useState(false);
@@ -52,95 +75,157 @@ const Transactions = () => {
     amount: '',
     category: '',
     type: 'expense',
-    date: ''
+    date: '',
+    accountId: '',
+    payeeId: '',
+    splits: [],
+    tags: []
   });
   
-  // Filter states
+  // Filter states (applied on the server)
   const [filterCategory, setFilterCategory] = useState('all');
+  const [filterType, setFilterType] = useState('all');
+  const [filterAccount, setFilterAccount] = useState('all');
+  const [filterStatus, setFilterStatus] = useState('all');
+  const [filterTag, setFilterTag] = useState('all');
+  const [filterPayee, setFilterPayee] = useState('all');
+  const [tagOptions, setTagOptions] = useState([]);
   const [filterPeriod, setFilterPeriod] = useState('all');
-  const [filteredTransactions, setFilteredTransactions] = useState([]);
   const [customDateRange, setCustomDateRange] = useState({
     startDate: '',
     endDate: ''
   });
   const [showCustomDateRange, setShowCustomDateRange] = useState(false);
+  const [amountRange, setAmountRange] = useState({ min: '', max: '' });
+  const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [sortOption, setSortOption] = useState('date:desc');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0, limit: PAGE_SIZE });
+  const [totals, setTotals] = useState({ income: 0, expenses: 0, net: 0 });
+  const [quickAddCount, setQuickAddCount] = useState(0);
 
   useEffect(() => {
-    fetchTransactions();
+    fetchRecurring();
+    fetchAccounts();
+    fetchCategories();
+    fetchTags();
+    fetchPayees();
   }, []);
-  
-  // Filter transactions when filters or transactions change
+
+  // Entries saved from the header's quick-add bar show up without a reload
   useEffect(() => {
-    applyFilters();
-  }, [transactions, filterCategory, filterPeriod, customDateRange]);
-  
-  const applyFilters = () => {
-    let filtered = [...transactions];
-    
-    // Filter by category
-    if (filterCategory !== 'all') {
-      filtered = filtered.filter(transaction => transaction.category === filterCategory);
-    }
-    
-    // Filter by period or custom date range
-    if (filterPeriod === 'custom' && (customDateRange.startDate || customDateRange.endDate)) {
-      filtered = filtered.filter(transaction => {
-        const transactionDate = new Date(transaction.date);
-        const startDate = customDateRange.startDate ? new Date(customDateRange.startDate) : null;
-        const endDate = customDateRange.endDate ? new Date(customDateRange.endDate) : null;
-        
-        if (startDate && endDate) {
-          return transactionDate >= startDate && transactionDate <= endDate;
-        } else if (startDate) {
-          return transactionDate >= startDate;
-        } else if (endDate) {
-          return transactionDate <= endDate;
-        }
-        return true;
-      });
-    } else if (filterPeriod !== 'all' && filterPeriod !== 'custom') {
-      const now = new Date();
-      let startDate, endDate;
-      
-      switch (filterPeriod) {
-        case 'today':
-          startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-          endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-          break;
-        case 'week':
-          const dayOfWeek = now.getDay();
-          startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - dayOfWeek);
-          endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + (7 - dayOfWeek));
-          break;
-        case 'month':
-          startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-          endDate = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-          break;
-        case 'year':
-          startDate = new Date(now.getFullYear(), 0, 1);
-          endDate = new Date(now.getFullYear() + 1, 0, 1);
-          break;
-        default:
-          startDate = null;
-          endDate = null;
+    const handleQuickAdd = () => setQuickAddCount(count => count + 1);
+    window.addEventListener(TRANSACTION_ADDED_EVENT, handleQuickAdd);
+    return () => window.removeEventListener(TRANSACTION_ADDED_EVENT, handleQuickAdd);
+  }, []);
+
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const term = searchTerm.trim();
+      if (term !== debouncedSearch) {
+        setDebouncedSearch(term);
+        setPage(1);
       }
-      
-      if (startDate && endDate) {
-        filtered = filtered.filter(transaction => {
-          const transactionDate = new Date(transaction.date);
-          return transactionDate >= startDate && transactionDate < endDate;
-        });
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  useEffect(() => {
+    fetchTransactions();
+  }, [page, filterCategory, filterType, filterAccount, filterStatus, filterTag, filterPayee, filterPeriod, customDateRange, amountRange, debouncedSearch, sortOption, quickAddCount]);
+
+  // A selection only makes sense for the filters it was made under
+  useEffect(() => {
+    clearSelection();
+  }, [filterCategory, filterType, filterAccount, filterStatus, filterTag, filterPayee, filterPeriod, customDateRange, amountRange, debouncedSearch]);
+
+  // Any filter change starts again from the first page
+  const withPageReset = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  // Local calendar day as YYYY-MM-DD
+  const toDateParam = (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  };
+
+  // Inclusive start/end days for the selected period
+  const getPeriodRange = () => {
+    if (filterPeriod === 'custom') {
+      return customDateRange;
+    }
+
+    const now = new Date();
+    let startDate, endDate;
+
+    switch (filterPeriod) {
+      case 'today':
+        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        endDate = startDate;
+        break;
+      case 'week': {
+        const dayOfWeek = now.getDay();
+        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - dayOfWeek);
+        endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + (6 - dayOfWeek));
+        break;
       }
+      case 'month':
+        startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+        break;
+      case 'year':
+        startDate = new Date(now.getFullYear(), 0, 1);
+        endDate = new Date(now.getFullYear(), 11, 31);
+        break;
+      default:
+        return { startDate: '', endDate: '' };
     }
-    
-    setFilteredTransactions(filtered);
+
+    return { startDate: toDateParam(startDate), endDate: toDateParam(endDate) };
+  };
+
+  const buildQueryParams = () => {
+    const [sort, order] = sortOption.split(':');
+    const { startDate, endDate } = getPeriodRange();
+    const params = { page, limit: PAGE_SIZE, sort, order };
+
+    if (filterCategory !== 'all') params.category = filterCategory;
+    if (filterType !== 'all') params.type = filterType;
+    if (filterAccount !== 'all') params.accountId = filterAccount;
+    if (filterStatus !== 'all') params.status = filterStatus;
+    if (filterTag !== 'all') params.tag = filterTag;
+    if (filterPayee !== 'all') params.payeeId = filterPayee;
+    if (startDate) params.startDate = startDate;
+    if (endDate) params.endDate = endDate;
+    if (amountRange.min !== '') params.minAmount = amountRange.min;
+    if (amountRange.max !== '') params.maxAmount = amountRange.max;
+    if (debouncedSearch) params.search = debouncedSearch;
+
+    return params;
+  };
+
+  // The current filters without paging or sorting, for acting on every matching transaction
+  const buildBulkFilter = () => {
+    const { page: _page, limit, sort, order, ...filter } = buildQueryParams();
+    return filter;
   };
 
   const fetchTransactions = async () => {
     try {
-      setIsLoading(true);
-      const data = await transactionAPI.getAll();
-      setTransactions(data);
+      const response = await transactionAPI.getAll(buildQueryParams());
+      // Step back if the current page emptied (e.g. after deleting its last row)
+      if (page > 1 && page > response.pagination.pages) {
+        setPage(Math.max(response.pagination.pages, 1));
+        return;
+      }
+      setTransactions(response.data || []);
+      setPagination(response.pagination);
+      setTotals(response.totals);
       setError('');
     } catch (err) {
       console.error('Error fetching transactions:', err);
@@ -150,6 +235,86 @@ const Transactions = () => {
     }
   };
 
+  const fetchAccounts = async () => {
+    try {
+      const response = await accountAPI.getAll();
+      setAccounts(response.data || []);
+    } catch (err) {
+      console.error('Error fetching accounts:', err);
+    }
+  };
+
+  const fetchCategories = async () => {
+    try {
+      const response = await categoryAPI.getAll();
+      setCategoryList(response.data || []);
+    } catch (err) {
+      console.error('Error fetching categories:', err);
+    }
+  };
+
+  const fetchPayees = async () => {
+    try {
+      const response = await payeeAPI.getAll();
+      setPayees(response.data || []);
+    } catch (err) {
+      console.error('Error fetching payees:', err);
+    }
+  };
+
+  const fetchTags = async () => {
+    try {
+      const response = await transactionAPI.getTags();
+      setTagOptions(response.data.map(item => item.tag));
+    } catch (err) {
+      console.error('Error fetching tags:', err);
+    }
+  };
+
+  const fetchRecurring = async () => {
+    try {
+      const [schedulesResponse, upcomingResponse] = await Promise.all([
+        recurringAPI.getAll(),
+        recurringAPI.getUpcoming(30)
+      ]);
+      setSchedules(schedulesResponse.data || []);
+      setUpcoming(upcomingResponse.data || []);
+    } catch (err) {
+      console.error('Error fetching recurring transactions:', err);
+    }
+  };
+
+  // Creating a schedule may post past occurrences, so refresh both lists
+  const handleRecurringCreated = async () => {
+    await Promise.all([fetchTransactions(), fetchRecurring()]);
+  };
+
+  const handleToggleSchedule = async (schedule) => {
+    try {
+      await recurringAPI.update(schedule._id, {
+        status: schedule.status === 'paused' ? 'active' : 'paused'
+      });
+      await fetchRecurring();
+    } catch (err) {
+      console.error('Error updating recurring transaction:', err);
+      setError(err.message || 'Failed to update recurring transaction');
+    }
+  };
+
+  const handleDeleteSchedule = async (id) => {
+    if (!window.confirm('Stop this recurring transaction? Transactions already posted are kept.')) {
+      return;
+    }
+
+    try {
+      await recurringAPI.delete(id);
+      await fetchRecurring();
+    } catch (err) {
+      console.error('Error deleting recurring transaction:', err);
+      setError('Failed to delete recurring transaction');
+    }
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => {
@@ -158,7 +323,8 @@ const Transactions = () => {
         return {
           ...prev,
           [name]: value,
-          category: '' // Reset category when type changes
+          category: '', // Reset category when type changes
+          splits: []
         };
       }
       return {
@@ -168,17 +334,42 @@ const Transactions = () => {
     });
   };
 
+  // Turn a form's single category into split lines, or back again
+  const toggleSplit = (setData) => {
+    setData(prev => (prev.splits.length > 0
+      ? { ...prev, splits: [], category: '' }
+      : { ...prev, splits: [emptySplitLine(), emptySplitLine()], category: SPLIT_CATEGORY }));
+  };
+
+  const buildPayload = (data) => ({
+    ...data,
+    // An empty choice leaves the transaction in the default account, and the payee to the description
+    accountId: data.accountId || undefined,
+    payeeId: data.payeeId || undefined,
+    splits: data.splits.map(line => ({
+      amount: parseFloat(line.amount),
+      category: line.category,
+      note: line.note || undefined
+    }))
+  });
+
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!formData.description || !formData.amount || !formData.category) {
+    // A blank category is left to the user's categorization rules
+    if (!formData.description || !formData.amount) {
       setError('Please fill in all required fields');
       return;
     }
+    if (formData.splits.length > 0 && getUnallocated(formData.amount, formData.splits) !== 0) {
+      setError('Split amounts must add up to the transaction amount');
+      return;
+    }
 
     try {
       setIsSubmitting(true);
       setError('');
-      await transactionAPI.create(formData);
+      const created = await transactionAPI.create(buildPayload(formData));
+      setDuplicateWarning(created.possibleDuplicates?.length ? created : null);
       
       // Reset form and close modal
       setFormData({
@@ -186,12 +377,18 @@ const Transactions = () => {
         amount: '',
         category: '',
         type: 'expense',
-        date: new Date().toISOString().split('T')[0]
+        date: new Date().toISOString().split('T')[0],
+        accountId: formData.accountId,
+        payeeId: '',
+        splits: [],
+        tags: []
       });
       setShowAddForm(false);
       
       // Refresh transactions
       await fetchTransactions();
+      fetchTags();
+      fetchPayees();
     } catch (err) {
       console.error('Error creating transaction:', err);
       setError(err.message || 'Failed to create transaction');
@@ -200,28 +397,167 @@ const Transactions = () => {
     }
   };
 
+  const handleOpenAttachment = async (transaction, attachment) => {
+    try {
+      await openAttachment(transaction._id, attachment);
+    } catch (err) {
+      console.error('Error opening attachment:', err);
+      setError('Failed to open attachment');
+    }
+  };
+
+  // Deleted transactions go to the Trash, so there's an undo instead of a confirmation
   const handleDelete = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this transaction?')) {
+    try {
+      const response = await transactionAPI.delete(id);
+      setSelectedIds(prev => prev.filter(item => item !== id));
+      setUndo({ message: response.message, ids: [id] });
+      await fetchTransactions();
+    } catch (err) {
+      console.error('Error deleting transaction:', err);
+      setError(err.message || 'Failed to delete transaction');
+    }
+  };
+
+  // Flip between pending and cleared; a reconciled transaction is unlocked back to cleared
+  const handleToggleStatus = async (transaction) => {
+    if (transaction.status === 'reconciled' &&
+      !window.confirm('This transaction is reconciled. Unlock it so its amount, type, date and account can be edited?')) {
       return;
     }
 
     try {
-      await transactionAPI.delete(id);
+      await transactionAPI.setStatus(transaction._id, transaction.status === 'pending' ? 'cleared' : transaction.status === 'cleared' ? 'pending' : 'cleared');
       await fetchTransactions();
     } catch (err) {
-      console.error('Error deleting transaction:', err);
-      setError('Failed to delete transaction');
+      console.error('Error updating transaction status:', err);
+      setError(err.message || 'Failed to update transaction status');
+    }
+  };
+
+  const handleUndoDelete = async () => {
+    const { ids } = undo;
+    setUndo(null);
+    try {
+      await trashAPI.restore('transactions', ids);
+      await fetchTransactions();
+    } catch (err) {
+      console.error('Error restoring transactions:', err);
+      setError(err.message || 'Failed to restore transactions');
+    }
+  };
+
+  const clearSelection = () => {
+    setSelectedIds([]);
+    setAllMatchingSelected(false);
+  };
+
+  const toggleSelected = (id) => {
+    setAllMatchingSelected(false);
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]));
+  };
+
+  const pageIds = transactions.map(transaction => transaction._id);
+  const isPageSelected = pageIds.length > 0 && pageIds.every(id => selectedIds.includes(id));
+
+  const togglePageSelected = () => {
+    setAllMatchingSelected(false);
+    setSelectedIds(prev => (isPageSelected
+      ? prev.filter(id => !pageIds.includes(id))
+      : [...new Set([...prev, ...pageIds])]));
+  };
+
+  const bulkSelection = () => (allMatchingSelected ? { filter: buildBulkFilter() } : { ids: selectedIds });
+  const selectedCount = allMatchingSelected ? pagination.total : selectedIds.length;
+
+  const handleBulkApply = async (changes) => {
+    try {
+      setIsBulkWorking(true);
+      setError('');
+      const response = await transactionAPI.bulkUpdate({ ...bulkSelection(), changes });
+      const { skipped } = response.data;
+      const notes = [];
+      if (skipped.transfers > 0) notes.push(`${skipped.transfers} transfer${skipped.transfers === 1 ? '' : 's'} left unchanged`);
+      if (skipped.splits > 0) notes.push(`${skipped.splits} split transaction${skipped.splits === 1 ? '' : 's'} kept ${skipped.splits === 1 ? 'its' : 'their'} categories`);
+      if (skipped.reconciled > 0) notes.push(`${skipped.reconciled} reconciled transaction${skipped.reconciled === 1 ? '' : 's'} kept ${skipped.reconciled === 1 ? 'its' : 'their'} type and date`);
+      setNotice([response.message, ...notes].join('; '));
+      clearSelection();
+      await fetchTransactions();
+      if (changes.addTags) fetchTags();
+    } catch (err) {
+      console.error('Error updating transactions:', err);
+      setError(err.message || 'Failed to update transactions');
+    } finally {
+      setIsBulkWorking(false);
+    }
+  };
+
+  const handleBulkDelete = async () => {
+    if (!window.confirm(`Move ${selectedCount} transaction${selectedCount === 1 ? '' : 's'} to the Trash? A transfer's other leg goes with it.`)) {
+      return;
+    }
+
+    try {
+      setIsBulkWorking(true);
+      setError('');
+      const response = await transactionAPI.bulkDelete(bulkSelection());
+      if (response.data.ids.length > 0) setUndo({ message: response.message, ids: response.data.ids });
+      if (response.data.skipped.reconciled > 0) {
+        setNotice(`${response.data.skipped.reconciled} reconciled transaction${response.data.skipped.reconciled === 1 ? ' was' : 's were'} kept; unlock ${response.data.skipped.reconciled === 1 ? 'it' : 'them'} to delete`);
+      }
+      clearSelection();
+      await fetchTransactions();
+    } catch (err) {
+      console.error('Error deleting transactions:', err);
+      setError(err.message || 'Failed to delete transactions');
+    } finally {
+      setIsBulkWorking(false);
     }
   };
 
+  // Transfers are edited as a pair, so load both legs first
+  const handleEditTransfer = async (transaction) => {
+    try {
+      const response = await transactionAPI.getTransfer(transaction.transferId);
+      setTransferForm({ transfer: response.data });
+    } catch (err) {
+      console.error('Error loading transfer:', err);
+      setError('Failed to load transfer');
+    }
+  };
+
+  const getAccountName = (accountId) => {
+    const account = accounts.find(item => item._id === accountId);
+    return account ? account.name : 'an archived account';
+  };
+
+  const getPayeeName = (payeeId) => {
+    const payee = payeeId && payees.find(item => item._id === payeeId);
+    return payee ? displayCategoryName(payee.name) : '';
+  };
+
+  // Amounts are entered in the chosen account's currency
+  const getAmountLabel = (accountId) => {
+    const account = accounts.find(item => item._id === accountId);
+    return account ? `Amount (${getCurrencySymbol(account.currency)}) *` : 'Amount *';
+  };
+
   const handleEdit = (transaction) => {
     setEditingTransaction(transaction);
     setEditFormData({
       description: transaction.description,
       amount: Math.abs(transaction.amount).toString(),
-      category: transaction.category,
+      category: displayCategoryName(transaction.category),
       type: transaction.type,
-      date: transaction.date
+      date: transaction.date,
+      accountId: transaction.accountId || '',
+      payeeId: transaction.payeeId || '',
+      splits: (transaction.splits || []).map(split => ({
+        amount: split.amount.toString(),
+        category: displayCategoryName(split.category),
+        note: split.note || ''
+      })),
+      tags: transaction.tags || []
     });
     setShowEditForm(true);
   };
@@ -234,7 +570,8 @@ const Transactions = () => {
         return {
           ...prev,
           [name]: value,
-          category: '' // Reset category when type changes
+          category: '', // Reset category when type changes
+          splits: []
         };
       }
       return {
@@ -250,11 +587,15 @@ const Transactions = () => {
       setError('Please fill in all required fields');
       return;
     }
+    if (editFormData.splits.length > 0 && getUnallocated(editFormData.amount, editFormData.splits) !== 0) {
+      setError('Split amounts must add up to the transaction amount');
+      return;
+    }
 
     try {
       setIsSubmitting(true);
       setError('');
-      await transactionAPI.update(editingTransaction._id, editFormData);
+      await transactionAPI.update(editingTransaction._id, buildPayload(editFormData));
       
       // Reset form and close modal
       setEditFormData({
@@ -262,13 +603,19 @@ const Transactions = () => {
         amount: '',
         category: '',
         type: 'expense',
-        date: ''
+        date: '',
+        accountId: '',
+        payeeId: '',
+        splits: [],
+        tags: []
       });
       setShowEditForm(false);
       setEditingTransaction(null);
       
       // Refresh transactions
       await fetchTransactions();
+      fetchTags();
+      fetchPayees();
     } catch (err) {
       console.error('Error updating transaction:', err);
       setError(err.message || 'Failed to update transaction');
@@ -277,6 +624,9 @@ const Transactions = () => {
     }
   };
 
+  // Reconciled transactions keep their amount, type, account and date until unlocked
+  const isEditLocked = Boolean(editingTransaction && editingTransaction.status === 'reconciled');
+
   // Using imported formatCurrency from utils
 
   const formatDate = (dateString) => {
@@ -300,38 +650,152 @@ const Transactions = () => {
         <div className="px-4 py-6 sm:px-0">
           <div className="flex justify-between items-center mb-6">
             <h1 className="text-2xl font-semibold text-gray-900">Transactions</h1>
-            <button
-              onClick={() => setShowAddForm(true)}
-              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-            >
-              Add Transaction
-            </button>
+            <div className="flex space-x-3">
+              {accounts.length > 1 && (
+                <button
+                  onClick={() => setTransferForm({ transfer: null })}
+                  className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md shadow-sm text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  Transfer
+                </button>
+              )}
+              <button
+                onClick={() => setShowDuplicates(true)}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md shadow-sm text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                Duplicates
+              </button>
+              <button
+                onClick={() => setShowImportForm(true)}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md shadow-sm text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                Import Statement
+              </button>
+              <button
+                onClick={() => setShowAlertImport(true)}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md shadow-sm text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                Paste Alerts
+              </button>
+              <button
+                onClick={() => setShowAddForm(true)}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                Add Transaction
+              </button>
+            </div>
           </div>
           
           {/* Filter Controls */}
           <div className="bg-white p-4 rounded-lg shadow mb-6">
+            <div className="mb-4">
+              <input
+                type="search"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                placeholder="Search descriptions..."
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm bg-white dark:bg-slate-700 dark:border-slate-600 dark:text-white"
+              />
+            </div>
+            
             <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-4 sm:space-y-0 sm:space-x-4">
-              <div className="flex flex-col sm:flex-row sm:items-center space-y-4 sm:space-y-0 sm:space-x-4">
+              <div className="flex flex-col sm:flex-row sm:flex-wrap sm:items-center gap-4">
                 <div className="flex items-center space-x-2">
                    <label className="text-sm font-medium text-gray-700 dark:text-gray-300">Category:</label>
                   <select 
                     value={filterCategory} 
-                    onChange={(e) => setFilterCategory(e.target.value)}
+                    onChange={(e) => withPageReset(setFilterCategory)(e.target.value)}
                     className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm bg-white dark:bg-slate-700 dark:border-slate-600 dark:text-white"
                   >
                     <option value="all">All Categories</option>
-                    {[...categories.expense, ...categories.income].map((category) => (
-                      <option key={category} value={category}>{category}</option>
+                    {[...new Set(categoryList.map(category => category.name))].map((name) => (
+                      <option key={name} value={name}>{displayCategoryName(name)}</option>
                     ))}
                   </select>
                 </div>
                 
+                <div className="flex items-center space-x-2">
+                   <label className="text-sm font-medium text-gray-700 dark:text-gray-300">Type:</label>
+                  <select 
+                    value={filterType} 
+                    onChange={(e) => withPageReset(setFilterType)(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm bg-white dark:bg-slate-700 dark:border-slate-600 dark:text-white"
+                  >
+                    <option value="all">All Types</option>
+                    <option value="expense">Expenses</option>
+                    <option value="income">Income</option>
+                    <option value="transfer">Transfers</option>
+                  </select>
+                </div>
+                
+                {tagOptions.length > 0 && (
+                  <div className="flex items-center space-x-2">
+                    <label className="text-sm font-medium text-gray-700 dark:text-gray-300">Tag:</label>
+                    <select 
+                      value={filterTag} 
+                      onChange={(e) => withPageReset(setFilterTag)(e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm bg-white dark:bg-slate-700 dark:border-slate-600 dark:text-white"
+                    >
+                      <option value="all">All Tags</option>
+                      {[...new Set([...tagOptions, ...(filterTag !== 'all' ? [filterTag] : [])])].map((tag) => (
+                        <option key={tag} value={tag}>#{tag}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                
+                {payees.length > 0 && (
+                  <div className="flex items-center space-x-2">
+                    <label className="text-sm font-medium text-gray-700 dark:text-gray-300">Payee:</label>
+                    <select 
+                      value={filterPayee} 
+                      onChange={(e) => withPageReset(setFilterPayee)(e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm bg-white dark:bg-slate-700 dark:border-slate-600 dark:text-white"
+                    >
+                      <option value="all">All Payees</option>
+                      {payees.map((payee) => (
+                        <option key={payee._id} value={payee._id}>{displayCategoryName(payee.name)}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                
+                {accounts.length > 1 && (
+                  <div className="flex items-center space-x-2">
+                    <label className="text-sm font-medium text-gray-700 dark:text-gray-300">Account:</label>
+                    <select 
+                      value={filterAccount} 
+                      onChange={(e) => withPageReset(setFilterAccount)(e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm bg-white dark:bg-slate-700 dark:border-slate-600 dark:text-white"
+                    >
+                      <option value="all">All Accounts</option>
+                      {accounts.map((account) => (
+                        <option key={account._id} value={account._id}>{account.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                
+                <div className="flex items-center space-x-2">
+                  <label className="text-sm font-medium text-gray-700 dark:text-gray-300">Status:</label>
+                  <select 
+                    value={filterStatus} 
+                    onChange={(e) => withPageReset(setFilterStatus)(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm bg-white dark:bg-slate-700 dark:border-slate-600 dark:text-white"
+                  >
+                    <option value="all">Any Status</option>
+                    <option value="pending">Pending</option>
+                    <option value="cleared">Cleared</option>
+                    <option value="reconciled">Reconciled</option>
+                  </select>
+                </div>
+                
                 <div className="flex items-center space-x-2">
                    <label className="text-sm font-medium text-gray-700 dark:text-gray-300">Period:</label>
                   <select 
                     value={filterPeriod} 
                     onChange={(e) => {
-                      setFilterPeriod(e.target.value);
+                      withPageReset(setFilterPeriod)(e.target.value);
                       setShowCustomDateRange(e.target.value === 'custom');
                       if (e.target.value !== 'custom') {
                         setCustomDateRange({ startDate: '', endDate: '' });
@@ -347,10 +811,47 @@ const Transactions = () => {
                     <option value="custom">Custom Date Range</option>
                   </select>
                 </div>
+                
+                <div className="flex items-center space-x-2">
+                   <label className="text-sm font-medium text-gray-700 dark:text-gray-300">Amount:</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    placeholder="Min"
+                    value={amountRange.min}
+                    onChange={(e) => withPageReset(setAmountRange)({ ...amountRange, min: e.target.value })}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm bg-white dark:bg-slate-700 dark:border-slate-600 dark:text-white"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    placeholder="Max"
+                    value={amountRange.max}
+                    onChange={(e) => withPageReset(setAmountRange)({ ...amountRange, max: e.target.value })}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm bg-white dark:bg-slate-700 dark:border-slate-600 dark:text-white"
+                  />
+                </div>
+                
+                <div className="flex items-center space-x-2">
+                   <label className="text-sm font-medium text-gray-700 dark:text-gray-300">Sort:</label>
+                  <select 
+                    value={sortOption} 
+                    onChange={(e) => withPageReset(setSortOption)(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm bg-white dark:bg-slate-700 dark:border-slate-600 dark:text-white"
+                  >
+                    <option value="date:desc">Newest first</option>
+                    <option value="date:asc">Oldest first</option>
+                    <option value="amount:desc">Largest amount</option>
+                    <option value="amount:asc">Smallest amount</option>
+                    <option value="category:asc">Category A-Z</option>
+                  </select>
+                </div>
               </div>
               
-              <div className="text-sm text-gray-500 dark:text-gray-400">
-                 Showing {filteredTransactions.length} of {transactions.length} transactions
+              <div className="text-sm text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                 {pagination.total} transactions
                </div>
             </div>
             
@@ -363,7 +864,7 @@ const Transactions = () => {
                     <input
                       type="date"
                       value={customDateRange.startDate}
-                      onChange={(e) => setCustomDateRange(prev => ({ ...prev, startDate: e.target.value }))}
+                      onChange={(e) => withPageReset(setCustomDateRange)({ ...customDateRange, startDate: e.target.value })}
                       className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm bg-white dark:bg-slate-700 dark:border-slate-600 dark:text-white"
                     />
                   </div>
@@ -373,14 +874,14 @@ const Transactions = () => {
                     <input
                       type="date"
                       value={customDateRange.endDate}
-                      onChange={(e) => setCustomDateRange(prev => ({ ...prev, endDate: e.target.value }))}
+                      onChange={(e) => withPageReset(setCustomDateRange)({ ...customDateRange, endDate: e.target.value })}
                       className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm bg-white dark:bg-slate-700 dark:border-slate-600 dark:text-white"
                     />
                   </div>
                   
                   <button
                     onClick={() => {
-                      setCustomDateRange({ startDate: '', endDate: '' });
+                      withPageReset(setCustomDateRange)({ startDate: '', endDate: '' });
                     }}
                     className="px-3 py-2 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-slate-600 transition-colors"
                   >
@@ -389,6 +890,23 @@ const Transactions = () => {
                 </div>
               </div>
             )}
+            
+            {/* Totals for everything matching the filters, not just this page */}
+            <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-600 grid grid-cols-3 gap-4 text-sm">
+              <div>
+                <p className="text-gray-500">Income</p>
+                <p className="font-medium text-green-600">{formatCurrency(totals.income)}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Expenses</p>
+                <p className="font-medium text-red-600">{formatCurrency(totals.expenses)}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Net</p>
+                <p className={`font-medium ${totals.net >= 0 ? 'text-green-600' : 'text-red-600'}`}>{formatCurrency(totals.net)}</p>
+              </div>
+            </div>
+            <UnconvertedCurrencyNotice currencies={totals.unconvertedCurrencies} className="mt-2" />
           </div>
           
           {error && (
@@ -396,12 +914,131 @@ const Transactions = () => {
               {error}
             </div>
           )}
+
+          {notice && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg mb-6 flex justify-between items-center">
+              <span>{notice}</span>
+              <button onClick={() => setNotice('')} className="text-sm text-green-700 hover:underline ml-4">
+                Dismiss
+              </button>
+            </div>
+          )}
+
+          {duplicateWarning && (
+            <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg mb-6 flex justify-between items-center">
+              <span>
+                &quot;{duplicateWarning.description}&quot; looks like {duplicateWarning.possibleDuplicates.length === 1 ? 'a transaction' : `${duplicateWarning.possibleDuplicates.length} transactions`} you already have
+                {' '}({duplicateWarning.possibleDuplicates.map(item => new Date(item.date).toLocaleDateString()).join(', ')}).
+              </span>
+              <span className="flex space-x-3 ml-4 shrink-0">
+                <button
+                  onClick={() => { setDuplicateWarning(null); setShowDuplicates(true); }}
+                  className="text-sm font-medium text-yellow-900 hover:underline"
+                >
+                  Review
+                </button>
+                <button
+                  onClick={() => setDuplicateWarning(null)}
+                  className="text-sm text-yellow-700 hover:underline"
+                >
+                  Dismiss
+                </button>
+              </span>
+            </div>
+          )}
+          
+          {/* Recurring schedules and upcoming occurrences */}
+          {schedules.length > 0 && (
+            <div className="bg-white shadow sm:rounded-lg mb-6 p-4">
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div>
+                  <h2 className="text-sm font-medium text-gray-900 mb-3">Recurring</h2>
+                  <ul className="divide-y divide-gray-200">
+                    {schedules.map(schedule => (
+                      <li key={schedule._id} className="py-2 flex items-center justify-between text-sm">
+                        <div>
+                          <p className="text-gray-900">{schedule.description}</p>
+                          <p className="text-xs text-gray-500">
+                            {describeFrequency(schedule.frequency, schedule.interval)}
+                            {schedule.status === 'active' && schedule.nextRunDate && ` · next ${formatDate(schedule.nextRunDate)}`}
+                            {schedule.status !== 'active' && ` · ${schedule.status}`}
+                          </p>
+                        </div>
+                        <div className="flex items-center space-x-3">
+                          <span className={schedule.type === 'income' ? 'text-green-600' : 'text-red-600'}>
+                            {formatCurrency(schedule.amount)}
+                          </span>
+                          {schedule.status !== 'ended' && (
+                            <button
+                              onClick={() => handleToggleSchedule(schedule)}
+                              className="text-blue-600 hover:text-blue-900"
+                            >
+                              {schedule.status === 'paused' ? 'Resume' : 'Pause'}
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleDeleteSchedule(schedule._id)}
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            Stop
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+                <div>
+                  <h2 className="text-sm font-medium text-gray-900 mb-3">Upcoming (next 30 days)</h2>
+                  {upcoming.length === 0 ? (
+                    <p className="text-sm text-gray-500">Nothing scheduled in the next 30 days.</p>
+                  ) : (
+                    <ul className="divide-y divide-gray-200">
+                      {upcoming.slice(0, 10).map(occurrence => (
+                        <li key={`${occurrence.recurringId}-${occurrence.date}`} className="py-2 flex justify-between text-sm">
+                          <span className="text-gray-500 w-28">{formatDate(occurrence.date)}</span>
+                          <span className="flex-1 text-gray-900">{occurrence.description}</span>
+                          <span className={occurrence.type === 'income' ? 'text-green-600' : 'text-red-600'}>
+                            {occurrence.type === 'income' ? '+' : ''}{formatCurrency(occurrence.amount)}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
           
+          {selectedCount > 0 && (
+            <BulkActionBar
+              count={selectedCount}
+              totalMatching={pagination.total}
+              allMatching={allMatchingSelected}
+              onSelectAllMatching={() => setAllMatchingSelected(true)}
+              onClear={clearSelection}
+              categories={categories}
+              tagOptions={tagOptions}
+              onApply={handleBulkApply}
+              onDelete={handleBulkDelete}
+              isWorking={isBulkWorking}
+            />
+          )}
+
           <div className="bg-white shadow overflow-hidden sm:rounded-lg">
             <div className="overflow-x-auto">
               <table className="min-w-full divide-y divide-gray-200">
                 <thead className="bg-gray-50">
                   <tr>
+                    <th scope="col" className="pl-6 py-3 text-left">
+                      <input
+                        type="checkbox"
+                        checked={isPageSelected || allMatchingSelected}
+                        onChange={togglePageSelected}
+                        disabled={allMatchingSelected}
+                        className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                        title="Select this page"
+                      />
+                    </th>
                     <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Date
                     </th>
@@ -414,33 +1051,131 @@ const Transactions = () => {
                     <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Amount
                     </th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Receipts
+                    </th>
                     <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Actions
                     </th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
-                  {filteredTransactions.map((transaction) => (
-                    <tr key={transaction._id}>
+                  {transactions.map((transaction) => (
+                    <tr key={transaction._id} className={selectedIds.includes(transaction._id) || allMatchingSelected ? 'bg-blue-50' : ''}>
+                      <td className="pl-6 py-4">
+                        <input
+                          type="checkbox"
+                          checked={allMatchingSelected || selectedIds.includes(transaction._id)}
+                          onChange={() => toggleSelected(transaction._id)}
+                          disabled={allMatchingSelected}
+                          className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                        />
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         {formatDate(transaction.date)}
+                        <div className="mt-1">
+                          <TransactionStatusBadge status={transaction.status} onClick={() => handleToggleStatus(transaction)} />
+                        </div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                         {transaction.description}
+                        {transaction.recurringId && (
+                          <span className="ml-2 inline-flex px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-700">
+                            Recurring
+                          </span>
+                        )}
+                        {transaction.tags && transaction.tags.map(tag => (
+                          <button
+                            key={tag}
+                            onClick={() => withPageReset(setFilterTag)(tag)}
+                            className="ml-2 inline-flex px-2 py-0.5 text-xs rounded-full bg-indigo-100 text-indigo-700 hover:bg-indigo-200"
+                            title={`Show transactions tagged #${tag}`}
+                          >
+                            #{tag}
+                          </button>
+                        ))}
+                        {getPayeeName(transaction.payeeId) && (
+                          <button
+                            onClick={() => withPageReset(setFilterPayee)(transaction.payeeId)}
+                            className="block text-xs text-gray-500 hover:text-blue-600"
+                            title="Show transactions with this payee"
+                          >
+                            {getPayeeName(transaction.payeeId)}
+                          </button>
+                        )}
+                        {transaction.type === 'transfer' && (
+                          <p className="text-xs text-gray-500">
+                            {transaction.transferDirection === 'out' ? 'Out of' : 'Into'} {getAccountName(transaction.accountId)}
+                          </p>
+                        )}
+                        {transaction.splits && transaction.splits.length > 0 && (
+                          <div className="mt-1 space-y-0.5">
+                            {transaction.splits.map(split => (
+                              <p key={split._id} className="text-xs text-gray-500">
+                                {displayCategoryName(split.category)}: {formatCurrency(split.amount, transaction.currency)}
+                                {split.note && ` · ${split.note}`}
+                              </p>
+                            ))}
+                          </div>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {transaction.category}
+                        {displayCategoryName(transaction.category)}
                       </td>
-                      <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${transaction.type === 'income' ? 'text-green-600' : 'text-red-600'}`}>
-                        {transaction.type === 'income' ? '+' : ''}{formatCurrency(transaction.amount)}
+                      {transaction.type === 'transfer' ? (
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-600">
+                          {transaction.transferDirection === 'in' ? '+' : '-'}{formatCurrency(Math.abs(transaction.amount), transaction.currency)}
+                        </td>
+                      ) : (
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${transaction.type === 'income' ? 'text-green-600' : 'text-red-600'}`}>
+                          {transaction.type === 'income' ? '+' : ''}{formatCurrency(transaction.amount, transaction.currency)}
+                        </td>
+                      )}
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        <div className="flex items-center space-x-1">
+                          {(transaction.attachments || []).slice(0, MAX_ROW_THUMBNAILS).map(attachment => (
+                            <AttachmentThumbnail
+                              key={attachment._id}
+                              transactionId={transaction._id}
+                              attachment={attachment}
+                              onClick={() => handleOpenAttachment(transaction, attachment)}
+                            />
+                          ))}
+                          {(transaction.attachments || []).length > MAX_ROW_THUMBNAILS && (
+                            <span className="text-xs text-gray-500">+{transaction.attachments.length - MAX_ROW_THUMBNAILS}</span>
+                          )}
+                          <button
+                            onClick={() => setAttachmentsFor(transaction)}
+                            className="p-1 text-gray-400 hover:text-gray-700"
+                            title="Receipts and documents"
+                          >
+                            <PaperClipIcon className="h-4 w-4" />
+                          </button>
+                        </div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         <button 
-                          onClick={() => handleEdit(transaction)}
+                          onClick={() => (transaction.type === 'transfer' ? handleEditTransfer(transaction) : handleEdit(transaction))}
                           className="text-blue-600 hover:text-blue-900 mr-3"
                         >
                           Edit
                         </button>
+                        {!transaction.recurringId && transaction.type !== 'transfer' && (
+                          <button 
+                            onClick={() => setRecurringSource(transaction)}
+                            className="text-gray-600 hover:text-gray-900 mr-3"
+                          >
+                            Make recurring
+                          </button>
+                        )}
+                        {transaction.type !== 'transfer' && (
+                          <button 
+                            onClick={() => setHistoryFor(transaction)}
+                            className="text-gray-600 hover:text-gray-900 mr-3"
+                          >
+                            History
+                          </button>
+                        )}
                         <button 
                           onClick={() => handleDelete(transaction._id)}
                           className="text-red-600 hover:text-red-900"
@@ -453,6 +1188,30 @@ const Transactions = () => {
                 </tbody>
               </table>
             </div>
+            
+            {pagination.pages > 1 && (
+              <div className="flex items-center justify-between px-6 py-3 border-t border-gray-200 text-sm text-gray-500">
+                <span>
+                  Showing {(pagination.page - 1) * pagination.limit + 1}-{Math.min(pagination.page * pagination.limit, pagination.total)} of {pagination.total}
+                </span>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => setPage(page - 1)}
+                    disabled={page <= 1}
+                    className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Previous
+                  </button>
+                  <button
+                    onClick={() => setPage(page + 1)}
+                    disabled={page >= pagination.pages}
+                    className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
           
           {/* Add Transaction Modal */}
@@ -478,7 +1237,7 @@ const Transactions = () => {
                     
                     <div className="mb-4">
                       <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Amount *
+                        {getAmountLabel(formData.accountId)}
                       </label>
                       <input
                         type="number"
@@ -491,41 +1250,100 @@ const Transactions = () => {
                       />
                     </div>
                     
+                    <div className="mb-4">
+                      <div className="flex justify-between items-center mb-2">
+                        <label className="block text-sm font-medium text-gray-700">
+                          Category *
+                        </label>
+                        <button
+                          type="button"
+                          onClick={() => toggleSplit(setFormData)}
+                          className="text-xs text-blue-600 hover:text-blue-900"
+                        >
+                          {formData.splits.length > 0 ? 'Use one category' : 'Split across categories'}
+                        </button>
+                      </div>
+                      {formData.splits.length > 0 ? (
+                        <SplitLinesEditor
+                          lines={formData.splits}
+                          total={formData.amount}
+                          categories={categories[formData.type]}
+                          onChange={(splits) => setFormData(prev => ({ ...prev, splits }))}
+                        />
+                      ) : (
+                        <select
+                          name="category"
+                          value={formData.category}
+                          onChange={handleInputChange}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value="">Auto (use my rules)</option>
+                          {categories[formData.type].map((category) => (
+                            <option key={category} value={category}>
+                              {category}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                    
                     <div className="mb-4">
                       <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Category *
+                        Type
                       </label>
                       <select
-                        name="category"
-                        value={formData.category}
+                        name="type"
+                        value={formData.type}
                         onChange={handleInputChange}
                         className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                        required
                       >
-                        <option value="">Select a category</option>
-                        {categories[formData.type].map((category) => (
-                          <option key={category} value={category}>
-                            {category}
-                          </option>
-                        ))}
+                        <option value="expense">Expense</option>
+                        <option value="income">Income</option>
                       </select>
                     </div>
                     
                     <div className="mb-4">
                       <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Type
+                        Account
                       </label>
                       <select
-                        name="type"
-                        value={formData.type}
+                        name="accountId"
+                        value={formData.accountId}
                         onChange={handleInputChange}
                         className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                       >
-                        <option value="expense">Expense</option>
-                        <option value="income">Income</option>
+                        {accounts.map((account) => (
+                          <option key={account._id} value={account._id}>{account.name}</option>
+                        ))}
                       </select>
                     </div>
                     
+                    {formData.type !== 'transfer' && (
+                      <div className="mb-4">
+                        <label htmlFor="add-transaction-payee" className="block text-sm font-medium text-gray-700 mb-2">
+                          Payee
+                        </label>
+                        <PayeePicker
+                          id="add-transaction-payee"
+                          value={formData.payeeId}
+                          payees={payees}
+                          onChange={(payeeId) => setFormData(prev => ({ ...prev, payeeId }))}
+                          onCreated={(payee) => setPayees(prev => [...prev, payee])}
+                        />
+                      </div>
+                    )}
+
+                    <div className="mb-4">
+                      <label htmlFor="add-transaction-tags" className="block text-sm font-medium text-gray-700 mb-2">
+                        Tags
+                      </label>
+                      <TagInput
+                        id="add-transaction-tags"
+                        value={formData.tags}
+                        onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+                      />
+                    </div>
+                    
                     <div className="mb-6">
                       <label className="block text-sm font-medium text-gray-700 mb-2">
                         Date
@@ -561,12 +1379,87 @@ const Transactions = () => {
             </div>
           )}
           
+          {/* Import Statement Modal */}
+          {showImportForm && (
+            <TransactionImportForm
+              accounts={accounts}
+              onClose={() => setShowImportForm(false)}
+              onImported={fetchTransactions}
+            />
+          )}
+
+          {/* Bank Alert Import Modal */}
+          {showAlertImport && (
+            <BankAlertImportForm
+              accounts={accounts}
+              onClose={() => setShowAlertImport(false)}
+              onImported={fetchTransactions}
+            />
+          )}
+          
+          {/* Make Recurring Modal */}
+          {recurringSource && (
+            <RecurringTransactionForm
+              transaction={recurringSource}
+              onClose={() => setRecurringSource(null)}
+              onCreated={handleRecurringCreated}
+            />
+          )}
+          
+          {attachmentsFor && (
+            <AttachmentManager
+              transaction={attachmentsFor}
+              onClose={() => setAttachmentsFor(null)}
+              onChanged={fetchTransactions}
+            />
+          )}
+
+          {historyFor && (
+            <TransactionHistory
+              transaction={historyFor}
+              accounts={accounts}
+              payees={payees}
+              onClose={() => setHistoryFor(null)}
+              onReverted={fetchTransactions}
+            />
+          )}
+          
+          {showDuplicates && (
+            <DuplicateReview
+              accounts={accounts}
+              onClose={() => setShowDuplicates(false)}
+              onMerged={fetchTransactions}
+            />
+          )}
+
+          {undo && (
+            <UndoToast
+              message={undo.message}
+              onUndo={handleUndoDelete}
+              onDismiss={() => setUndo(null)}
+            />
+          )}
+          
+          {transferForm && (
+            <TransferForm
+              accounts={accounts}
+              transfer={transferForm.transfer}
+              onClose={() => setTransferForm(null)}
+              onSaved={fetchTransactions}
+            />
+          )}
+          
           {/* Edit Transaction Modal */}
           {showEditForm && (
             <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
               <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
                 <div className="mt-3">
                   <h3 className="text-lg font-medium text-gray-900 mb-4">Edit Transaction</h3>
+                  {isEditLocked && (
+                    <p className="text-xs text-blue-700 bg-blue-50 rounded-md px-3 py-2 mb-4">
+                      This transaction is reconciled, so its amount, type, account and date are locked. Click its status to unlock it.
+                    </p>
+                  )}
                   <form onSubmit={handleEditSubmit}>
                     <div className="mb-4">
                       <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -584,7 +1477,7 @@ const Transactions = () => {
                     
                     <div className="mb-4">
                       <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Amount *
+                        {getAmountLabel(editFormData.accountId)}
                       </label>
                       <input
                         type="number"
@@ -592,46 +1485,109 @@ const Transactions = () => {
                         value={editFormData.amount}
                         onChange={handleEditInputChange}
                         step="0.01"
-                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        disabled={isEditLocked}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
                         required
                       />
                     </div>
                     
+                    <div className="mb-4">
+                      <div className="flex justify-between items-center mb-2">
+                        <label className="block text-sm font-medium text-gray-700">
+                          Category *
+                        </label>
+                        <button
+                          type="button"
+                          onClick={() => toggleSplit(setEditFormData)}
+                          className="text-xs text-blue-600 hover:text-blue-900"
+                        >
+                          {editFormData.splits.length > 0 ? 'Use one category' : 'Split across categories'}
+                        </button>
+                      </div>
+                      {editFormData.splits.length > 0 ? (
+                        <SplitLinesEditor
+                          lines={editFormData.splits}
+                          total={editFormData.amount}
+                          categories={categories[editFormData.type]}
+                          onChange={(splits) => setEditFormData(prev => ({ ...prev, splits }))}
+                        />
+                      ) : (
+                        <select
+                          name="category"
+                          value={editFormData.category}
+                          onChange={handleEditInputChange}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          required
+                        >
+                          <option value="">Select a category</option>
+                          {categories[editFormData.type].map((category) => (
+                            <option key={category} value={category}>
+                              {category}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                    
                     <div className="mb-4">
                       <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Category *
+                        Type
                       </label>
                       <select
-                        name="category"
-                        value={editFormData.category}
+                        name="type"
+                        value={editFormData.type}
                         onChange={handleEditInputChange}
-                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                        required
+                        disabled={isEditLocked}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
                       >
-                        <option value="">Select a category</option>
-                        {categories[editFormData.type].map((category) => (
-                          <option key={category} value={category}>
-                            {category}
-                          </option>
-                        ))}
+                        <option value="expense">Expense</option>
+                        <option value="income">Income</option>
                       </select>
                     </div>
                     
                     <div className="mb-4">
                       <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Type
+                        Account
                       </label>
                       <select
-                        name="type"
-                        value={editFormData.type}
+                        name="accountId"
+                        value={editFormData.accountId}
                         onChange={handleEditInputChange}
-                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        disabled={isEditLocked}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
                       >
-                        <option value="expense">Expense</option>
-                        <option value="income">Income</option>
+                        {accounts.map((account) => (
+                          <option key={account._id} value={account._id}>{account.name}</option>
+                        ))}
                       </select>
                     </div>
                     
+                    {editFormData.type !== 'transfer' && (
+                      <div className="mb-4">
+                        <label htmlFor="edit-transaction-payee" className="block text-sm font-medium text-gray-700 mb-2">
+                          Payee
+                        </label>
+                        <PayeePicker
+                          id="edit-transaction-payee"
+                          value={editFormData.payeeId}
+                          payees={payees}
+                          onChange={(payeeId) => setEditFormData(prev => ({ ...prev, payeeId }))}
+                          onCreated={(payee) => setPayees(prev => [...prev, payee])}
+                        />
+                      </div>
+                    )}
+
+                    <div className="mb-4">
+                      <label htmlFor="edit-transaction-tags" className="block text-sm font-medium text-gray-700 mb-2">
+                        Tags
+                      </label>
+                      <TagInput
+                        id="edit-transaction-tags"
+                        value={editFormData.tags}
+                        onChange={(tags) => setEditFormData(prev => ({ ...prev, tags }))}
+                      />
+                    </div>
+                    
                     <div className="mb-6">
                       <label className="block text-sm font-medium text-gray-700 mb-2">
                         Date
@@ -641,7 +1597,8 @@ const Transactions = () => {
                         name="date"
                         value={editFormData.date}
                         onChange={handleEditInputChange}
-                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        disabled={isEditLocked}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
                       />
                     </div>
                     
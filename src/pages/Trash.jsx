@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import { TrashIcon, ArrowUturnLeftIcon } from '@heroicons/react/24/outline';
+import { trashAPI } from '../utils/api';
+import { formatCurrency } from '../utils/currency';
+import { displayCategoryName } from '../utils/categories';
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+// How each kind of deleted item is listed
+const SECTIONS = [
+  {
+    resource: 'transactions',
+    title: 'Transactions',
+    describe: (item) => item.description,
+    detail: (item) => `${formatDate(item.date)} · ${item.type === 'transfer' ? 'Transfer' : displayCategoryName(item.category)}`,
+    amount: (item) => (item.type === 'income' ? '+' : '') + formatCurrency(Math.abs(item.amount), item.currency)
+  },
+  {
+    resource: 'budgets',
+    title: 'Budgets',
+    describe: (item) => displayCategoryName(item.category),
+    detail: (item) => `${item.period} budget`,
+    amount: (item) => formatCurrency(item.amount)
+  },
+  {
+    resource: 'goals',
+    title: 'Goals',
+    describe: (item) => item.title,
+    detail: (item) => `${displayCategoryName(item.category)} · due ${formatDate(item.targetDate)}`,
+    amount: (item) => formatCurrency(item.targetAmount)
+  }
+];
+
+// Deleted transactions, budgets and goals, kept until they're restored or purged
+const Trash = () => {
+  const [trash, setTrash] = useState({ retentionDays: 30, transactions: [], budgets: [], goals: [] });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const fetchTrash = async () => {
+    try {
+      const response = await trashAPI.getAll();
+      setTrash(response.data);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching trash:', err);
+      setError('Failed to load the Trash');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTrash();
+  }, []);
+
+  const handleRestore = async (resource, item) => {
+    try {
+      const response = await trashAPI.restore(resource, [item._id]);
+      setNotice(response.message);
+      setError('');
+      await fetchTrash();
+    } catch (err) {
+      console.error('Error restoring item:', err);
+      setError(err.message || 'Failed to restore');
+    }
+  };
+
+  const handlePurge = async (resource, item) => {
+    if (!window.confirm('Delete this permanently? It cannot be recovered.')) {
+      return;
+    }
+
+    try {
+      const response = await trashAPI.purge(resource, [item._id]);
+      setNotice(response.message);
+      setError('');
+      await fetchTrash();
+    } catch (err) {
+      console.error('Error deleting item:', err);
+      setError(err.message || 'Failed to delete');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+        <div className="text-center">
+          <p className="text-gray-500">Loading the Trash...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const isEmpty = SECTIONS.every(section => trash[section.resource].length === 0);
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <main className="max-w-5xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0">
+          <h1 className="text-2xl font-semibold text-gray-900 mb-1">Trash</h1>
+          <p className="text-sm text-gray-500 mb-6">
+            Deleted items are kept for {trash.retentionDays} days, then removed for good.
+          </p>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-6">
+              {error}
+            </div>
+          )}
+
+          {notice && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg mb-6 flex justify-between items-center">
+              <span>{notice}</span>
+              <button onClick={() => setNotice('')} className="text-sm text-green-700 hover:underline ml-4">
+                Dismiss
+              </button>
+            </div>
+          )}
+
+          {isEmpty ? (
+            <div className="bg-white shadow sm:rounded-lg p-8 text-center">
+              <TrashIcon className="mx-auto h-10 w-10 text-gray-400 mb-2" />
+              <p className="text-gray-500">The Trash is empty.</p>
+            </div>
+          ) : SECTIONS.filter(section => trash[section.resource].length > 0).map(section => (
+            <div key={section.resource} className="bg-white shadow sm:rounded-lg mb-6">
+              <h2 className="px-6 py-3 border-b border-gray-200 text-sm font-medium text-gray-900">
+                {section.title} ({trash[section.resource].length})
+              </h2>
+              <ul className="divide-y divide-gray-200">
+                {trash[section.resource].map(item => (
+                  <li key={item._id} className="px-6 py-3 flex items-center text-sm">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-gray-900 truncate">{section.describe(item)}</p>
+                      <p className="text-xs text-gray-500">
+                        {section.detail(item)} · deleted {formatDate(item.deletedAt)} · removed for good {formatDate(item.purgeAt)}
+                      </p>
+                    </div>
+                    <span className="text-gray-700 font-medium mx-4">{section.amount(item)}</span>
+                    <button
+                      onClick={() => handleRestore(section.resource, item)}
+                      className="inline-flex items-center text-blue-600 hover:text-blue-900 mr-4"
+                    >
+                      <ArrowUturnLeftIcon className="h-4 w-4 mr-1" />
+                      Restore
+                    </button>
+                    <button
+                      onClick={() => handlePurge(section.resource, item)}
+                      className="text-red-600 hover:text-red-900"
+                    >
+                      Delete forever
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Trash;
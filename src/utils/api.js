@@ -80,6 +80,23 @@ async function authenticatedApiRequest(endpoint, method = 'GET', data = null) {
   }
 }
 
+// Authenticated GET for binary content (files, images); resolves to a Blob
+async function authenticatedBlobRequest(endpoint) {
+  try {
+    const response = await authenticatedFetch(`${API_URL}${endpoint}`, { method: 'GET' });
+
+    if (!response.ok) {
+      const responseData = await response.json().catch(() => ({}));
+      throw new Error(responseData.message || 'Something went wrong');
+    }
+
+    return await response.blob();
+  } catch (error) {
+    console.error('Authenticated blob request error:', error);
+    throw error;
+  }
+}
+
 // Auth API calls
 const authAPI = {
   // Register a new user
@@ -97,6 +114,11 @@ const authAPI = {
     return await authenticatedApiRequest('/api/auth/profile', 'GET');
   },
 
+  // Update profile preferences ({ baseCurrency })
+  updateProfile: async (profileData) => {
+    return await authenticatedApiRequest('/api/auth/profile', 'PUT', profileData);
+  },
+
   // Refresh access token
   refreshToken: async () => {
     return await apiRequest('/api/auth/refresh', 'POST');
@@ -115,9 +137,22 @@ const authAPI = {
 
 // Transaction API calls
 const transactionAPI = {
-  // Get all transactions
-  getAll: async () => {
-    return await authenticatedApiRequest('/api/transactions', 'GET');
+  // Search transactions (page, limit, sort, order, type, category, tag, startDate, endDate, minAmount, maxAmount, search)
+  getAll: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/api/transactions?${queryString}` : '/api/transactions';
+    return await authenticatedApiRequest(endpoint, 'GET');
+  },
+
+  // Get the user's tags with usage counts, optionally only those starting with `q`
+  getTags: async (q = '') => {
+    const endpoint = q ? `/api/transactions/tags?${new URLSearchParams({ q }).toString()}` : '/api/transactions/tags';
+    return await authenticatedApiRequest(endpoint, 'GET');
+  },
+
+  // Read a one-line entry ("lunch 3500 yesterday food") into a draft to confirm; `today` is the user's date
+  quickAdd: async (text, today) => {
+    return await authenticatedApiRequest('/api/transactions/quick-add', 'POST', { text, today });
   },
 
   // Get single transaction
@@ -140,6 +175,21 @@ const transactionAPI = {
     return await authenticatedApiRequest(`/api/transactions/${id}`, 'DELETE');
   },
 
+  // Mark a transaction as pending or cleared (unlocks a reconciled one)
+  setStatus: async (id, status) => {
+    return await authenticatedApiRequest(`/api/transactions/${id}/status`, 'PATCH', { status });
+  },
+
+  // Get a transaction's change history, newest first
+  getHistory: async (id) => {
+    return await authenticatedApiRequest(`/api/transactions/${id}/history`, 'GET');
+  },
+
+  // Put a transaction back the way it was at an earlier version (0 is as created)
+  revert: async (id, version) => {
+    return await authenticatedApiRequest(`/api/transactions/${id}/history/${version}/revert`, 'POST');
+  },
+
   // Get transaction statistics
   getStats: async () => {
     return await authenticatedApiRequest('/api/transactions/stats', 'GET');
@@ -153,6 +203,99 @@ const transactionAPI = {
   // Get category breakdown data
   getCategoryData: async () => {
     return await authenticatedApiRequest('/api/transactions/categories', 'GET');
+  },
+
+  // Get a transfer (both legs) by its transfer ID
+  getTransfer: async (transferId) => {
+    return await authenticatedApiRequest(`/api/transactions/transfers/${transferId}`, 'GET');
+  },
+
+  // Move money between two accounts
+  createTransfer: async (transferData) => {
+    return await authenticatedApiRequest('/api/transactions/transfers', 'POST', transferData);
+  },
+
+  // Update both legs of a transfer
+  updateTransfer: async (transferId, transferData) => {
+    return await authenticatedApiRequest(`/api/transactions/transfers/${transferId}`, 'PUT', transferData);
+  },
+
+  // Delete both legs of a transfer
+  deleteTransfer: async (transferId) => {
+    return await authenticatedApiRequest(`/api/transactions/transfers/${transferId}`, 'DELETE');
+  },
+
+  // Get groups of transactions that look like copies of each other
+  getDuplicates: async () => {
+    return await authenticatedApiRequest('/api/transactions/duplicates', 'GET');
+  },
+
+  // Keep one transaction of a duplicate group and delete the others
+  mergeDuplicates: async (keepId, removeIds) => {
+    return await authenticatedApiRequest('/api/transactions/duplicates/merge', 'POST', { keepId, removeIds });
+  },
+
+  // Mark transactions as not duplicates of each other
+  dismissDuplicates: async (ids) => {
+    return await authenticatedApiRequest('/api/transactions/duplicates/dismiss', 'POST', { ids });
+  },
+
+  // Change category, type, date or tags on many transactions: { ids } or { filter }, plus { changes }
+  bulkUpdate: async (selection) => {
+    return await authenticatedApiRequest('/api/transactions/bulk', 'PATCH', selection);
+  },
+
+  // Delete many transactions: { ids } or { filter }
+  bulkDelete: async (selection) => {
+    return await authenticatedApiRequest('/api/transactions/bulk', 'DELETE', selection);
+  },
+
+  // Preview (dryRun) or commit a bank statement import
+  importStatement: async (importData) => {
+    return await authenticatedApiRequest('/api/transactions/import', 'POST', importData);
+  },
+
+  // Get saved statement column mappings
+  getImportMappings: async () => {
+    return await authenticatedApiRequest('/api/transactions/import/mappings', 'GET');
+  },
+
+  // Delete a saved statement column mapping
+  deleteImportMapping: async (id) => {
+    return await authenticatedApiRequest(`/api/transactions/import/mappings/${id}`, 'DELETE');
+  },
+
+  // Get the banks whose SMS/email alerts can be imported
+  getAlertBanks: async () => {
+    return await authenticatedApiRequest('/api/transactions/import/alert-banks', 'GET');
+  }
+};
+
+// Recurring transaction API calls
+const recurringAPI = {
+  // Get all recurring schedules
+  getAll: async () => {
+    return await authenticatedApiRequest('/api/recurring', 'GET');
+  },
+
+  // Get upcoming occurrences for the next `days` days
+  getUpcoming: async (days = 30) => {
+    return await authenticatedApiRequest(`/api/recurring/upcoming?days=${days}`, 'GET');
+  },
+
+  // Create a schedule (pass transactionId to make an existing transaction recurring)
+  create: async (recurringData) => {
+    return await authenticatedApiRequest('/api/recurring', 'POST', recurringData);
+  },
+
+  // Update, pause or resume a schedule
+  update: async (id, recurringData) => {
+    return await authenticatedApiRequest(`/api/recurring/${id}`, 'PUT', recurringData);
+  },
+
+  // Delete a schedule
+  delete: async (id) => {
+    return await authenticatedApiRequest(`/api/recurring/${id}`, 'DELETE');
   }
 };
 
@@ -168,6 +311,18 @@ const budgetAPI = {
     return await authenticatedApiRequest(`/api/budgets/${id}`, 'GET');
   },
 
+  // Get a budget's spending in a past window of its period: { offset } periods back, or { date } inside it
+  getWindow: async (id, params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return await authenticatedApiRequest(`/api/budgets/${id}/window?${queryString}`, 'GET');
+  },
+
+  // Get a budget's recent closed periods and its current one
+  getHistory: async (id, params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return await authenticatedApiRequest(`/api/budgets/${id}/history?${queryString}`, 'GET');
+  },
+
   // Create new budget
   create: async (budgetData) => {
     return await authenticatedApiRequest('/api/budgets', 'POST', budgetData);
@@ -186,6 +341,31 @@ const budgetAPI = {
   // Get budget overview
   getOverview: async () => {
     return await authenticatedApiRequest('/api/budgets/overview', 'GET');
+  },
+
+  // Get envelope budgeting for a month ("YYYY-MM")
+  getEnvelopes: async (month) => {
+    return await authenticatedApiRequest(`/api/budgets/envelopes?month=${month}`, 'GET');
+  },
+
+  // Get a month's allocation events
+  getAllocations: async (month) => {
+    return await authenticatedApiRequest(`/api/budgets/envelopes/allocations?month=${month}`, 'GET');
+  },
+
+  // Move money: { month, fromCategory, toCategory, amount }; an empty side is "to be assigned"
+  allocate: async (allocationData) => {
+    return await authenticatedApiRequest('/api/budgets/envelopes/allocations', 'POST', allocationData);
+  },
+
+  // Assign each envelope what its monthly budget still needs
+  assignBudgeted: async (month) => {
+    return await authenticatedApiRequest('/api/budgets/envelopes/assign-budgeted', 'POST', { month });
+  },
+
+  // Delete an allocation event
+  deleteAllocation: async (id) => {
+    return await authenticatedApiRequest(`/api/budgets/envelopes/allocations/${id}`, 'DELETE');
   }
 };
 
@@ -265,6 +445,20 @@ const dashboardAPI = {
     return await authenticatedApiRequest(endpoint, 'GET');
   },
 
+  // Get income and spending per tag (tag, startDate, endDate)
+  getTagAnalytics: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/api/dashboard/analytics/tags?${queryString}` : '/api/dashboard/analytics/tags';
+    return await authenticatedApiRequest(endpoint, 'GET');
+  },
+
+  // Get income and spending per payee (startDate, endDate, limit)
+  getPayeeAnalytics: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/api/dashboard/analytics/payees?${queryString}` : '/api/dashboard/analytics/payees';
+    return await authenticatedApiRequest(endpoint, 'GET');
+  },
+
   // Get income analytics data
   getIncomeAnalytics: async (params = {}) => {
     const queryString = new URLSearchParams(params).toString();
@@ -310,10 +504,240 @@ const reportAPI = {
   }
 };
 
+// Account API functions
+const accountAPI = {
+  // Get accounts with balances (archived ones only when asked for)
+  getAll: async (includeArchived = false) => {
+    return await authenticatedApiRequest(`/api/accounts${includeArchived ? '?includeArchived=true' : ''}`, 'GET');
+  },
+
+  // Get an account's transactions with running balances
+  getLedger: async (id, page = 1, limit = 25) => {
+    return await authenticatedApiRequest(`/api/accounts/${id}/transactions?page=${page}&limit=${limit}`, 'GET');
+  },
+
+  // Create an account
+  create: async (accountData) => {
+    return await authenticatedApiRequest('/api/accounts', 'POST', accountData);
+  },
+
+  // Update or archive an account
+  update: async (id, accountData) => {
+    return await authenticatedApiRequest(`/api/accounts/${id}`, 'PUT', accountData);
+  },
+
+  // Delete an account with no transactions
+  delete: async (id) => {
+    return await authenticatedApiRequest(`/api/accounts/${id}`, 'DELETE');
+  },
+
+  // Get the account's reconciliation in progress and where it stands
+  getReconciliation: async (id) => {
+    return await authenticatedApiRequest(`/api/accounts/${id}/reconciliation`, 'GET');
+  },
+
+  // Start reconciling against a statement ({ statementDate, statementBalance })
+  startReconciliation: async (id, statement) => {
+    return await authenticatedApiRequest(`/api/accounts/${id}/reconciliation`, 'POST', statement);
+  },
+
+  // Change the statement being reconciled against
+  updateReconciliation: async (id, statement) => {
+    return await authenticatedApiRequest(`/api/accounts/${id}/reconciliation`, 'PUT', statement);
+  },
+
+  // Tick transactions off as cleared, or back to pending
+  markCleared: async (id, ids, cleared) => {
+    return await authenticatedApiRequest(`/api/accounts/${id}/reconciliation/transactions`, 'PATCH', { ids, cleared });
+  },
+
+  // Finish reconciling and lock the cleared transactions
+  completeReconciliation: async (id) => {
+    return await authenticatedApiRequest(`/api/accounts/${id}/reconciliation/complete`, 'POST');
+  },
+
+  // Cancel the reconciliation in progress
+  cancelReconciliation: async (id) => {
+    return await authenticatedApiRequest(`/api/accounts/${id}/reconciliation`, 'DELETE');
+  }
+};
+
+const categoryAPI = {
+  // Get categories, optionally only one type (income or expense)
+  getAll: async (type) => {
+    return await authenticatedApiRequest(`/api/categories${type ? `?type=${type}` : ''}`, 'GET');
+  },
+
+  // Create a category
+  create: async (categoryData) => {
+    return await authenticatedApiRequest('/api/categories', 'POST', categoryData);
+  },
+
+  // Update, rename or re-parent a category
+  update: async (id, categoryData) => {
+    return await authenticatedApiRequest(`/api/categories/${id}`, 'PUT', categoryData);
+  },
+
+  // Merge a category into another
+  merge: async (id, targetId) => {
+    return await authenticatedApiRequest(`/api/categories/${id}/merge`, 'POST', { targetId });
+  },
+
+  // Delete an unused category
+  delete: async (id) => {
+    return await authenticatedApiRequest(`/api/categories/${id}`, 'DELETE');
+  }
+};
+
+const categoryRuleAPI = {
+  // Get categorization rules in the order they run
+  getAll: async () => {
+    return await authenticatedApiRequest('/api/category-rules', 'GET');
+  },
+
+  // Create a rule (it runs after the existing ones)
+  create: async (ruleData) => {
+    return await authenticatedApiRequest('/api/category-rules', 'POST', ruleData);
+  },
+
+  // Update a rule
+  update: async (id, ruleData) => {
+    return await authenticatedApiRequest(`/api/category-rules/${id}`, 'PUT', ruleData);
+  },
+
+  // Set the order rules run in
+  reorder: async (ids) => {
+    return await authenticatedApiRequest('/api/category-rules/reorder', 'PUT', { ids });
+  },
+
+  // Preview (dryRun) or apply the rules to past transactions, optionally only some of them
+  apply: async ({ dryRun = true, transactionIds } = {}) => {
+    return await authenticatedApiRequest('/api/category-rules/apply', 'POST', { dryRun, transactionIds });
+  },
+
+  // Delete a rule
+  delete: async (id) => {
+    return await authenticatedApiRequest(`/api/category-rules/${id}`, 'DELETE');
+  }
+};
+
+// Payee API calls
+const payeeAPI = {
+  // Get payees by name, with their transaction counts
+  getAll: async () => {
+    return await authenticatedApiRequest('/api/payees', 'GET');
+  },
+
+  // Create a payee: { name, matchers }
+  create: async (payeeData) => {
+    return await authenticatedApiRequest('/api/payees', 'POST', payeeData);
+  },
+
+  // Rename a payee or replace its matchers
+  update: async (id, payeeData) => {
+    return await authenticatedApiRequest(`/api/payees/${id}`, 'PUT', payeeData);
+  },
+
+  // Merge a payee into another
+  merge: async (id, targetId) => {
+    return await authenticatedApiRequest(`/api/payees/${id}/merge`, 'POST', { targetId });
+  },
+
+  // Find payees for transactions that have none yet
+  assign: async () => {
+    return await authenticatedApiRequest('/api/payees/assign', 'POST');
+  },
+
+  // Delete a payee
+  delete: async (id) => {
+    return await authenticatedApiRequest(`/api/payees/${id}`, 'DELETE');
+  }
+};
+
+const attachmentAPI = {
+  // Get a transaction's attachments
+  getAll: async (transactionId) => {
+    return await authenticatedApiRequest(`/api/transactions/${transactionId}/attachments`, 'GET');
+  },
+
+  // Upload a file as { filename, mimeType, content (base64), thumbnail (base64 JPEG, optional) }
+  upload: async (transactionId, fileData) => {
+    return await authenticatedApiRequest(`/api/transactions/${transactionId}/attachments`, 'POST', fileData);
+  },
+
+  // Get the decrypted file as a Blob
+  getFile: async (transactionId, attachmentId) => {
+    return await authenticatedBlobRequest(`/api/transactions/${transactionId}/attachments/${attachmentId}`);
+  },
+
+  // Get the thumbnail image as a Blob
+  getThumbnail: async (transactionId, attachmentId) => {
+    return await authenticatedBlobRequest(`/api/transactions/${transactionId}/attachments/${attachmentId}/thumbnail`);
+  },
+
+  // Delete an attachment
+  delete: async (transactionId, attachmentId) => {
+    return await authenticatedApiRequest(`/api/transactions/${transactionId}/attachments/${attachmentId}`, 'DELETE');
+  }
+};
+
+const exchangeRateAPI = {
+  // Get exchange rates, newest first, optionally only those involving one currency
+  getAll: async (currency) => {
+    return await authenticatedApiRequest(`/api/exchange-rates${currency ? `?currency=${currency}` : ''}`, 'GET');
+  },
+
+  // Add a rate { fromCurrency, toCurrency (defaults to the base currency), rate, date }
+  create: async (rateData) => {
+    return await authenticatedApiRequest('/api/exchange-rates', 'POST', rateData);
+  },
+
+  // Update a rate
+  update: async (id, rateData) => {
+    return await authenticatedApiRequest(`/api/exchange-rates/${id}`, 'PUT', rateData);
+  },
+
+  // Delete a rate
+  delete: async (id) => {
+    return await authenticatedApiRequest(`/api/exchange-rates/${id}`, 'DELETE');
+  },
+
+  // Preview (dryRun) or import rates from CSV text with date, from, to and rate columns
+  import: async (content, dryRun = false) => {
+    return await authenticatedApiRequest('/api/exchange-rates/import', 'POST', { content, dryRun });
+  }
+};
+
+// Trash API calls (resource is 'transactions', 'budgets' or 'goals')
+const trashAPI = {
+  // Get deleted transactions, budgets and goals
+  getAll: async () => {
+    return await authenticatedApiRequest('/api/trash', 'GET');
+  },
+
+  // Restore items from the Trash
+  restore: async (resource, ids) => {
+    return await authenticatedApiRequest(`/api/trash/${resource}/restore`, 'POST', { ids });
+  },
+
+  // Permanently delete items in the Trash
+  purge: async (resource, ids) => {
+    return await authenticatedApiRequest(`/api/trash/${resource}`, 'DELETE', { ids });
+  }
+};
+
 // Export all API modules
 export default {
   auth: authAPI,
   transactions: transactionAPI,
+  recurring: recurringAPI,
+  accounts: accountAPI,
+  categories: categoryAPI,
+  categoryRules: categoryRuleAPI,
+  payees: payeeAPI,
+  attachments: attachmentAPI,
+  trash: trashAPI,
+  exchangeRates: exchangeRateAPI,
   budgets: budgetAPI,
   goals: goalAPI,
   dashboard: dashboardAPI,
@@ -325,6 +749,14 @@ export {
   authenticatedApiRequest, 
   authAPI, 
   transactionAPI, 
+  recurringAPI, 
+  accountAPI, 
+  categoryAPI, 
+  categoryRuleAPI, 
+  payeeAPI, 
+  attachmentAPI, 
+  trashAPI, 
+  exchangeRateAPI, 
   budgetAPI, 
   goalAPI, 
   dashboardAPI, 
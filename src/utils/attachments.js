@@ -0,0 +1,49 @@
+// File types and size the server accepts for transaction attachments
+export const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+export const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+// Longest side of a generated thumbnail, in pixels
+const THUMBNAIL_SIZE = 160;
+
+// Read a file as base64 (without the data: URL prefix)
+export const readFileAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+  reader.onerror = () => reject(new Error('Failed to read file'));
+  reader.readAsDataURL(file);
+});
+
+// Shrink an image file to a small JPEG thumbnail, as base64; null for files that aren't images
+export const createThumbnail = async (file) => {
+  if (!file.type.startsWith('image/')) return null;
+
+  const url = URL.createObjectURL(file);
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Failed to load image'));
+      img.src = url;
+    });
+
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return canvas.toDataURL('image/jpeg', 0.7).split(',')[1];
+  } catch (error) {
+    console.error('Error creating thumbnail:', error);
+    return null;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Human-readable file size
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
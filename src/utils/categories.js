@@ -0,0 +1,84 @@
+import {
+  TagIcon,
+  ShoppingCartIcon,
+  TruckIcon,
+  ShoppingBagIcon,
+  FilmIcon,
+  BoltIcon,
+  HeartIcon,
+  AcademicCapIcon,
+  GlobeAltIcon,
+  HomeIcon,
+  SparklesIcon,
+  ShieldCheckIcon,
+  ReceiptPercentIcon,
+  BriefcaseIcon,
+  ComputerDesktopIcon,
+  BuildingOfficeIcon,
+  ChartBarIcon,
+  GiftIcon,
+  StarIcon,
+  WalletIcon
+} from '@heroicons/react/24/outline';
+
+// Icons a category can use, keyed by the name stored on the server
+export const CATEGORY_ICONS = {
+  tag: TagIcon,
+  'shopping-cart': ShoppingCartIcon,
+  truck: TruckIcon,
+  'shopping-bag': ShoppingBagIcon,
+  film: FilmIcon,
+  bolt: BoltIcon,
+  heart: HeartIcon,
+  'academic-cap': AcademicCapIcon,
+  globe: GlobeAltIcon,
+  home: HomeIcon,
+  sparkles: SparklesIcon,
+  shield: ShieldCheckIcon,
+  receipt: ReceiptPercentIcon,
+  briefcase: BriefcaseIcon,
+  computer: ComputerDesktopIcon,
+  building: BuildingOfficeIcon,
+  chart: ChartBarIcon,
+  gift: GiftIcon,
+  star: StarIcon,
+  wallet: WalletIcon
+};
+
+// The server HTML-escapes category names, so "Bills & Utilities" is stored as "Bills &amp; Utilities".
+// Forms send the readable name (the server escapes it again); filters match the stored one.
+export const displayCategoryName = (name) => (name || '')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#x27;/g, "'")
+  .replace(/&#x2F;/g, '/')
+  .replace(/&#x5C;/g, '\\')
+  .replace(/&#96;/g, '`')
+  .replace(/&amp;/g, '&');
+
+// A type's categories ordered for a picker: each parent followed by its subcategories
+export const orderCategories = (categories, type) => {
+  const ofType = categories.filter(category => category.type === type);
+  const parents = ofType.filter(category => !category.parentId);
+  const ordered = [];
+
+  parents.forEach(parent => {
+    ordered.push({ ...parent, depth: 0 });
+    ofType
+      .filter(category => category.parentId === parent._id)
+      .forEach(child => ordered.push({ ...child, depth: 1 }));
+  });
+
+  return ordered;
+};
+
+// A type's category name -> stored colour for charts, keyed by both the stored and readable name
+export const buildCategoryColors = (categories, type) => categories
+  .filter(category => category.type === type)
+  .reduce((colors, category) => {
+    colors[category.name] = category.color;
+    colors[displayCategoryName(category.name)] = category.color;
+    return colors;
+  }, {});
+
@@ -1,19 +1,38 @@
 // Currency formatting utility
-const getCurrencySettings = () => {
-  const savedCurrency = localStorage.getItem('currency') || 'NGN';
-  const currencyMap = {
-    'NGN': { locale: 'en-NG', currency: 'NGN' },
-    'USD': { locale: 'en-US', currency: 'USD' },
-    'EUR': { locale: 'en-EU', currency: 'EUR' },
-    'GBP': { locale: 'en-GB', currency: 'GBP' },
-    'JPY': { locale: 'ja-JP', currency: 'JPY' },
-    'CAD': { locale: 'en-CA', currency: 'CAD' }
-  };
-  return currencyMap[savedCurrency] || currencyMap['NGN'];
+const currencyMap = {
+  'NGN': { locale: 'en-NG', currency: 'NGN' },
+  'USD': { locale: 'en-US', currency: 'USD' },
+  'EUR': { locale: 'en-EU', currency: 'EUR' },
+  'GBP': { locale: 'en-GB', currency: 'GBP' },
+  'JPY': { locale: 'ja-JP', currency: 'JPY' },
+  'CAD': { locale: 'en-CA', currency: 'CAD' }
+};
+
+// Currencies offered in pickers
+export const CURRENCY_OPTIONS = [
+  { code: 'NGN', name: 'Nigerian Naira' },
+  { code: 'USD', name: 'US Dollar' },
+  { code: 'EUR', name: 'Euro' },
+  { code: 'GBP', name: 'British Pound' },
+  { code: 'JPY', name: 'Japanese Yen' },
+  { code: 'CAD', name: 'Canadian Dollar' }
+];
+
+// The user's base currency: totals, budgets and reports are converted into it
+export const getBaseCurrency = () => localStorage.getItem('currency') || 'NGN';
+
+export const setBaseCurrency = (code) => {
+  if (code) localStorage.setItem('currency', code);
+};
+
+// Amounts without a currency of their own are in the base currency
+const getCurrencySettings = (code) => {
+  const currency = code || getBaseCurrency();
+  return currencyMap[currency] || { locale: 'en-US', currency };
 };
 
-export const formatCurrency = (amount) => {
-  const { locale, currency } = getCurrencySettings();
+export const formatCurrency = (amount, code) => {
+  const { locale, currency } = getCurrencySettings(code);
   return new Intl.NumberFormat(locale, {
     style: 'currency',
     currency: currency,
@@ -22,8 +41,8 @@ export const formatCurrency = (amount) => {
   }).format(amount);
 };
 
-export const formatCurrencyWithDecimals = (amount) => {
-  const { locale, currency } = getCurrencySettings();
+export const formatCurrencyWithDecimals = (amount, code) => {
+  const { locale, currency } = getCurrencySettings(code);
   return new Intl.NumberFormat(locale, {
     style: 'currency',
     currency: currency,
@@ -32,8 +51,8 @@ export const formatCurrencyWithDecimals = (amount) => {
   }).format(amount);
 };
 
-export const getCurrencySymbol = () => {
-  const { currency } = getCurrencySettings();
+export const getCurrencySymbol = (code) => {
+  const { currency } = getCurrencySettings(code);
   const symbols = {
     'NGN': '₦',
     'USD': '$',
@@ -42,5 +61,5 @@ export const getCurrencySymbol = () => {
     'JPY': '¥',
     'CAD': 'C$'
   };
-  return symbols[currency] || '₦';
-};
\ No newline at end of file
+  return symbols[currency] || currency;
+};